@@ -1,8 +1,11 @@
 /**
  * VIB34D SystemManager - Unified system coordination
  * Preserves 100% gallery and viewer functionality while providing clean modular architecture
+ * Systems follow the contract in VisualizationSystem.js and are looked up in systemRegistry
  */
 
+import { systemRegistry } from './SystemRegistry.js';
+
 export class SystemManager {
     constructor() {
         this.systems = new Map();
@@ -82,13 +85,17 @@ export class SystemManager {
     }
 
     /**
-     * Register a system module
+     * Register a system module (added to systemRegistry too, so every page can use it)
+     * SystemClass defaults to the class already registered under `name`
      */
-    async registerSystem(name, SystemClass) {
+    async registerSystem(name, SystemClass = null) {
         console.log(`📝 SystemManager: Registering ${name} system`);
         
         try {
-            const system = new SystemClass();
+            if (SystemClass) {
+                systemRegistry.register(name, SystemClass);
+            }
+            const system = systemRegistry.create(name);
             
             // Initialize the system
             await system.initialize();
@@ -104,6 +111,18 @@ export class SystemManager {
         }
     }
 
+    /**
+     * Register every system in systemRegistry, including plugins registered before this call
+     */
+    async registerAvailableSystems() {
+        const results = await Promise.all(
+            systemRegistry.names()
+                .filter(name => !this.systems.has(name))
+                .map(name => this.registerSystem(name))
+        );
+        return results.every(Boolean);
+    }
+
     /**
      * CRITICAL: Switch between systems with exact index.html behavior
      * This preserves gallery iframe switching and viewer integration
@@ -158,11 +177,9 @@ export class SystemManager {
      * Preserves gallery iframe rendering and viewer functionality
      */
     updateCanvasLayers(activeSystem) {
-        const systems = ['faceted', 'quantum', 'holographic', 'polychora'];
-        
-        systems.forEach(system => {
-            const layerId = system === 'faceted' ? 'vib34dLayers' : `${system}Layers`;
-            const layers = document.getElementById(layerId);
+        systemRegistry.names().forEach(system => {
+            const layerId = systemRegistry.getCapabilities(system).container;
+            const layers = layerId && document.getElementById(layerId);
             
             if (layers) {
                 const shouldShow = system === activeSystem;
@@ -190,17 +207,12 @@ export class SystemManager {
         });
         
         // Update panel header
-        const headers = {
-            faceted: 'FACETED SYSTEM',
-            quantum: 'QUANTUM SYSTEM', 
-            holographic: 'HOLOGRAPHIC SYSTEM',
-            polychora: 'POLYCHORA SYSTEM'
-        };
-        
         const panelHeader = document.querySelector('.panel-header span') || 
                           document.getElementById('panelHeader');
         if (panelHeader) {
-            panelHeader.textContent = headers[systemName] || 'VIB34D SYSTEM';
+            panelHeader.textContent = systemRegistry.has(systemName)
+                ? `${systemRegistry.getCapabilities(systemName).label.toUpperCase()} SYSTEM`
+                : 'VIB34D SYSTEM';
         }
     }
 
@@ -0,0 +1,114 @@
+/**
+ * VIB34D System Registry
+ * Name -> system class lookup shared by SystemManager, the choreographer and plugins. Classes are checked
+ * against the contract in VisualizationSystem.js when they register, and the four built-in systems are
+ * registered here.
+ *
+ *   import { systemRegistry } from './core/SystemRegistry.js';
+ *   systemRegistry.register('plasma', PlasmaSystem);
+ *
+ * Non-module scripts can reach the same registry as window.vib34dSystems.
+ */
+
+import { SYSTEM_METHODS, DEFAULT_CAPABILITIES } from './VisualizationSystem.js';
+import { FacetedSystem } from '../systems/faceted/FacetedSystem.js';
+import { QuantumSystem } from '../systems/quantum/QuantumSystem.js';
+import { HolographicSystem } from '../systems/holographic/HolographicSystem.js';
+import { PolychoraSystem } from '../systems/polychora/PolychoraSystem.js';
+
+/**
+ * Throw unless SystemClass implements every contract method and declares usable capabilities
+ */
+export function validateSystem(SystemClass) {
+    if (typeof SystemClass !== 'function') {
+        throw new Error('A system must be a class');
+    }
+
+    const missing = SYSTEM_METHODS.filter(method => typeof SystemClass.prototype[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`${SystemClass.name || 'System'} does not implement ${missing.join(', ')}`);
+    }
+
+    const capabilities = SystemClass.capabilities || {};
+    if (capabilities.layers !== undefined && !Array.isArray(capabilities.layers)) {
+        throw new Error(`${SystemClass.name || 'System'} capabilities.layers must be an array of canvas ids`);
+    }
+}
+
+export class SystemRegistry {
+    constructor() {
+        this.systems = new Map();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Add a system class under `name`; replace: true swaps out an existing registration
+     */
+    register(name, SystemClass, { replace = false } = {}) {
+        if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+            throw new Error(`Invalid system name: ${name} (use lowercase letters, digits and dashes)`);
+        }
+        if (this.systems.has(name) && this.systems.get(name) !== SystemClass && !replace) {
+            throw new Error(`System already registered: ${name}`);
+        }
+        validateSystem(SystemClass);
+
+        this.systems.set(name, SystemClass);
+        console.log(`🧩 Registered ${name} system`);
+        this.listeners.forEach(listener => listener(name, SystemClass));
+        return SystemClass;
+    }
+
+    unregister(name) {
+        return this.systems.delete(name);
+    }
+
+    has(name) {
+        return this.systems.has(name);
+    }
+
+    get(name) {
+        const SystemClass = this.systems.get(name);
+        if (!SystemClass) {
+            throw new Error(`Unknown system: ${name} (registered: ${this.names().join(', ')})`);
+        }
+        return SystemClass;
+    }
+
+    names() {
+        return Array.from(this.systems.keys());
+    }
+
+    getCapabilities(name) {
+        const capabilities = { ...DEFAULT_CAPABILITIES, ...this.get(name).capabilities };
+        return { ...capabilities, label: capabilities.label ?? name };
+    }
+
+    /**
+     * Every system for menus: [{ name, label, icon, layers, ... }]
+     */
+    list() {
+        return this.names().map(name => ({ name, ...this.getCapabilities(name) }));
+    }
+
+    create(name, options = {}) {
+        const SystemClass = this.get(name);
+        return new SystemClass(options);
+    }
+
+    /**
+     * listener(name, SystemClass) for every later registration; returns an unsubscribe function
+     */
+    onRegister(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+export const systemRegistry = new SystemRegistry();
+systemRegistry.register('faceted', FacetedSystem);
+systemRegistry.register('quantum', QuantumSystem);
+systemRegistry.register('holographic', HolographicSystem);
+systemRegistry.register('polychora', PolychoraSystem);
+
+window.vib34dSystems = systemRegistry;
@@ -0,0 +1,137 @@
+/**
+ * VIB34D Visualization System contract
+ * Every visual style - built-in or third-party - implements this interface, so SystemManager pages and the
+ * choreographer drive any of them the same way. Extend VisualizationSystem for working defaults, then
+ * register the class with systemRegistry (see SystemRegistry.js).
+ *
+ * Lifecycle (each may return a promise):
+ *   initialize()   load modules and set up the system's own UI; no canvases needed yet
+ *   activate()     create the engine on the system's canvases and start drawing
+ *   deactivate()   stop drawing and hide the layers; activate() resumes
+ *   destroy()      release the engine and its GL contexts; the instance is not reused
+ *
+ * Driving:
+ *   setParameters(params)      apply a partial { name: value } map - quiet enough to call every frame
+ *   render(time, params)       draw one frame at `time` seconds now (offline export, external loops)
+ *   getParameterSchema()       { [name]: { min, max, step, type, default } } for the parameters it understands
+ *   triggerEvent(name, data)   one of SYSTEM_EVENTS; returns false when the system ignores it
+ *
+ * static capabilities: see DEFAULT_CAPABILITIES
+ */
+
+import { ParameterManager } from '../src/core/Parameters.js';
+
+export const SYSTEM_METHODS = ['initialize', 'activate', 'deactivate', 'destroy', 'setParameters', 'render', 'getParameterSchema', 'triggerEvent'];
+
+/**
+ * click / beat / downbeat: { intensity 0-1 }
+ * interaction: { x, y, intensity } in 0-1 canvas coordinates
+ * scroll: { velocity }
+ */
+export const SYSTEM_EVENTS = ['click', 'beat', 'downbeat', 'interaction', 'scroll'];
+
+export const DEFAULT_CAPABILITIES = {
+    label: null,        // display name, defaults to the registered name
+    icon: '',
+    layers: [],         // canvas ids the engine draws into; hosts that build their own DOM create these
+    container: null,    // id the engine expects on the element holding those canvases
+    geometries: [],     // names of `geometry` values 0..n-1
+    audio: false,       // can listen to audio by itself (hosts feeding parameters pass { audio: false })
+    offline: true       // render(time) draws a frame on demand
+};
+
+export class VisualizationSystem {
+    /**
+     * options.audio: false stops the engine opening its own audio input
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.name = null;
+        this.isActive = false;
+        this.isInitialized = false;
+        this.engine = null;
+        this.visualizers = [];
+        this.parameters = new Map();
+    }
+
+    static get capabilities() {
+        return DEFAULT_CAPABILITIES;
+    }
+
+    getCapabilities() {
+        const capabilities = { ...DEFAULT_CAPABILITIES, ...this.constructor.capabilities };
+        return { ...capabilities, label: capabilities.label ?? this.name };
+    }
+
+    async initialize() {
+        this.isInitialized = true;
+        return true;
+    }
+
+    async activate() {
+        this.isActive = true;
+        return true;
+    }
+
+    async deactivate() {
+        this.isActive = false;
+        return true;
+    }
+
+    /**
+     * Stop and release the engine without touching shared layout (hosts remove the layers themselves)
+     */
+    async destroy() {
+        this.isActive = false;
+        if (this.engine) {
+            this.engine.isActive = false;
+            if (this.engine.destroy) this.engine.destroy();
+        }
+        this.engine = null;
+        this.visualizers = [];
+    }
+
+    setParameters(params) {
+        Object.entries(params).forEach(([param, value]) => this.parameters.set(param, value));
+        if (this.engine) this.applyParameters(params);
+    }
+
+    /**
+     * Push parameters into the engine; systems override this for their engine's API
+     */
+    applyParameters(params) {
+        if (this.engine.updateParameters) this.engine.updateParameters(params);
+    }
+
+    render(time, params = null) {
+        if (params) this.setParameters(params);
+        if (this.engine) this.drawFrame(time);
+    }
+
+    /**
+     * Draw every layer once; systems override this when their engine needs parameters or time first
+     */
+    drawFrame(time) {
+        this.visualizers.forEach(visualizer => {
+            if (visualizer.render) visualizer.render();
+        });
+    }
+
+    /**
+     * Shared parameter definitions with this system's defaults and geometry count
+     */
+    getParameterSchema() {
+        const { geometries } = this.getCapabilities();
+        const schema = {};
+        for (const [name, def] of Object.entries(new ParameterManager().parameterDefs)) {
+            if (name !== 'geometry' && !this.parameters.has(name)) continue;
+            schema[name] = { ...def, default: this.parameters.get(name) ?? def.min };
+        }
+        if (geometries.length) schema.geometry = { ...schema.geometry, max: geometries.length - 1 };
+        return schema;
+    }
+
+    triggerEvent(name, data = {}) {
+        return false;
+    }
+}
@@ -4,6 +4,10 @@
  * Extracted from monolithic index.html for clean architecture
  */
 
+import { BandEnvelopes, DEFAULT_ENVELOPES } from '../../src/audio/EnvelopeFollower.js';
+import { FrequencyBands } from '../../src/audio/FrequencyBands.js';
+import { AudioInput } from '../../src/audio/AudioInput.js';
+
 // Global audio state flags - CRITICAL for system integration
 window.audioEnabled = false; // Global audio flag (will auto-enable on interaction)
 
@@ -16,8 +20,19 @@ export class SimpleAudioEngine {
         this.context = null;
         this.analyser = null;
         this.dataArray = null;
+        this.input = null; // AudioInput: mic/line-in by default, or a file/MediaStream passed to init()
         this.isActive = false;
         
+        // Hz-based band split shared with the other analyzers (configure with this.frequencyBands.configure({ bands, weighting }))
+        this.frequencyBands = new FrequencyBands();
+        
+        // Per-band attack/release followers (configure with this.envelopes.configure(band, settings))
+        this.envelopes = new BandEnvelopes({
+            bass: DEFAULT_ENVELOPES.bass,
+            mid: DEFAULT_ENVELOPES.mid,
+            high: DEFAULT_ENVELOPES.high
+        });
+        
         // Mobile-safe: Initialize with defaults
         window.audioReactive = {
             bass: 0,
@@ -29,13 +44,16 @@ export class SimpleAudioEngine {
         console.log('🎵 Audio Engine: Initialized with default values');
     }
     
-    async init() {
+    /**
+     * Start analysing an input: { deviceId } (default mic), { stream } (MediaStream) or { file, element }
+     * Optional: gain (analysis input gain), monitoring (hear the input; defaults on for files, off for live)
+     */
+    async init(options = {}) {
         if (this.isActive) return true;
         
         try {
             console.log('🎵 Simple Audio Engine: Starting...');
             
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
             this.context = new (window.AudioContext || window.webkitAudioContext)();
             
             if (this.context.state === 'suspended') {
@@ -46,10 +64,13 @@ export class SimpleAudioEngine {
             this.analyser.fftSize = 256;
             this.analyser.smoothingTimeConstant = 0.8;
             
-            const source = this.context.createMediaStreamSource(stream);
-            source.connect(this.analyser);
+            this.input = new AudioInput(this.context, { gain: options.gain ?? 1 });
+            this.input.connect(this.analyser);
+            await this.setInput(options);
+            if (options.monitoring !== undefined) this.input.setMonitoring(options.monitoring);
             
             this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+            this.frequencyBands.configure({ sampleRate: this.context.sampleRate });
             this.isActive = true;
             
             // CRITICAL FIX: Enable global audio flag so visualizers will use the data
@@ -62,10 +83,52 @@ export class SimpleAudioEngine {
         } catch (error) {
             console.log('⚠️ Audio denied - silent mode');
             window.audioEnabled = false; // Keep audio disabled if permission denied
+            if (this.context) {
+                this.context.close();
+                this.context = null;
+            }
             return false;
         }
     }
     
+    /**
+     * Switch input while running (same options as init; mix: true keeps the other channel)
+     */
+    async setInput({ deviceId = null, stream = null, file = null, element = null, mix = false } = {}) {
+        if (file) {
+            const player = element || new Audio();
+            this.input.useFile(file, player, { mix });
+            await player.play();
+        } else if (element) {
+            this.input.useElement(element, { mix });
+        } else if (stream) {
+            this.input.useStream(stream, { mix });
+        } else {
+            await this.input.useDevice(deviceId, { mix });
+        }
+    }
+    
+    /**
+     * Analysis input gain (linear, 1 = unchanged)
+     */
+    setInputGain(value) {
+        if (this.input) this.input.setGain(value);
+    }
+    
+    /**
+     * Hear the input ('file' | 'live' channel, or all) through the speakers
+     */
+    setMonitoring(enabled, channel = null) {
+        if (this.input) this.input.setMonitoring(enabled, channel);
+    }
+    
+    /**
+     * Available mic/line-in devices for init({ deviceId })
+     */
+    listInputDevices() {
+        return AudioInput.listDevices();
+    }
+    
     startProcessing() {
         const process = () => {
             if (!this.isActive || !this.analyser) {
@@ -75,25 +138,13 @@ export class SimpleAudioEngine {
             
             this.analyser.getByteFrequencyData(this.dataArray);
             
-            // Simple frequency analysis
-            const len = this.dataArray.length;
-            const bassRange = Math.floor(len * 0.1);
-            const midRange = Math.floor(len * 0.3);
-            
-            let bass = 0, mid = 0, high = 0;
-            
-            for (let i = 0; i < bassRange; i++) bass += this.dataArray[i];
-            for (let i = bassRange; i < midRange; i++) mid += this.dataArray[i];
-            for (let i = midRange; i < len; i++) high += this.dataArray[i];
+            // Same Hz bands as every other analyzer, whatever the FFT size and sample rate
+            const { bass, mid, high } = this.frequencyBands.process(this.dataArray);
             
-            bass = (bass / bassRange) / 255;
-            mid = (mid / (midRange - bassRange)) / 255;
-            high = (high / (len - midRange)) / 255;
-            
-            const smoothing = 0.7;
-            window.audioReactive.bass = bass * smoothing + window.audioReactive.bass * (1 - smoothing);
-            window.audioReactive.mid = mid * smoothing + window.audioReactive.mid * (1 - smoothing);
-            window.audioReactive.high = high * smoothing + window.audioReactive.high * (1 - smoothing);
+            const envelopes = this.envelopes.process({ bass, mid, high }, performance.now() / 1000);
+            window.audioReactive.bass = envelopes.bass;
+            window.audioReactive.mid = envelopes.mid;
+            window.audioReactive.high = envelopes.high;
             window.audioReactive.energy = (window.audioReactive.bass + window.audioReactive.mid + window.audioReactive.high) / 3;
             
             // Debug logging every 5 seconds to verify audio processing
@@ -128,6 +179,11 @@ export class SimpleAudioEngine {
         this.isActive = false;
         window.audioEnabled = false;
         
+        if (this.input) {
+            this.input.stop();
+            this.input = null;
+        }
+        
         if (this.context) {
             this.context.close();
             this.context = null;
@@ -3,6 +3,10 @@
  * Maps device orientation to 4D rotation parameters for immersive interaction
  */
 
+import { ROTATION_PARAMETERS } from '../../src/core/Parameters.js';
+
+const zeroRotation = () => Object.fromEntries(ROTATION_PARAMETERS.map(plane => [plane, 0]));
+
 export class DeviceTiltHandler {
     constructor() {
         this.isEnabled = false;
@@ -22,25 +26,24 @@ export class DeviceTiltHandler {
         this.tiltIntensity = 0;
         this.extremeTilt = false;
         
-        // Smoothed 4D rotation values
-        this.smoothedRotation = {
-            rot4dXW: 0,
-            rot4dYW: 0,
-            rot4dZW: 0
+        // Rotation plane each tilt axis drives (see setPlanes)
+        this.planes = {
+            beta: 'rot4dXW',
+            gamma: 'rot4dYW',
+            alpha: 'rot4dZW'
         };
         
+        // Smoothed 4D rotation values
+        this.smoothedRotation = zeroRotation();
+        
         // Base rotation values (from presets/manual control)
-        this.baseRotation = {
-            rot4dXW: 0,
-            rot4dYW: 0,
-            rot4dZW: 0
-        };
+        this.baseRotation = zeroRotation();
         
         // Mapping configuration
         this.mapping = {
             // 🔷 NORMAL MODE: Conservative mapping (original behavior)
             normal: {
-                // Device beta (front-back tilt) -> 4D XW rotation
+                // Device beta (front-back tilt) -> 4D XW rotation (by default)
                 betaToXW: {
                     scale: 0.01, // Radians per degree of device tilt
                     range: [-45, 45], // Degrees of device tilt to use
@@ -145,9 +148,9 @@ export class DeviceTiltHandler {
         
         // Store current parameter values as base
         if (window.userParameterState) {
-            this.baseRotation.rot4dXW = window.userParameterState.rot4dXW || 0;
-            this.baseRotation.rot4dYW = window.userParameterState.rot4dYW || 0;
-            this.baseRotation.rot4dZW = window.userParameterState.rot4dZW || 0;
+            ROTATION_PARAMETERS.forEach(plane => {
+                this.baseRotation[plane] = window.userParameterState[plane] || 0;
+            });
         }
         
         // Initialize smoothed values to current base
@@ -174,9 +177,7 @@ export class DeviceTiltHandler {
         
         // Reset to base rotation values
         if (window.updateParameter) {
-            window.updateParameter('rot4dXW', this.baseRotation.rot4dXW);
-            window.updateParameter('rot4dYW', this.baseRotation.rot4dYW);
-            window.updateParameter('rot4dZW', this.baseRotation.rot4dZW);
+            Object.values(this.planes).forEach(plane => window.updateParameter(plane, this.baseRotation[plane]));
         }
         
         console.log('🎯 DEVICE TILT: Disabled - reset to base rotation');
@@ -203,29 +204,13 @@ export class DeviceTiltHandler {
         const targetRotation = this.mapToRotation(event);
         
         // Apply smoothing to prevent jittery movement
-        this.smoothedRotation.rot4dXW = this.lerp(
-            this.smoothedRotation.rot4dXW,
-            targetRotation.rot4dXW,
-            this.smoothing
-        );
-        
-        this.smoothedRotation.rot4dYW = this.lerp(
-            this.smoothedRotation.rot4dYW,
-            targetRotation.rot4dYW,
-            this.smoothing
-        );
-        
-        this.smoothedRotation.rot4dZW = this.lerp(
-            this.smoothedRotation.rot4dZW,
-            targetRotation.rot4dZW,
-            this.smoothing
-        );
+        for (const [plane, target] of Object.entries(targetRotation)) {
+            this.smoothedRotation[plane] = this.lerp(this.smoothedRotation[plane], target, this.smoothing);
+        }
         
         // Apply to visualization system
         if (window.updateParameter) {
-            window.updateParameter('rot4dXW', this.smoothedRotation.rot4dXW);
-            window.updateParameter('rot4dYW', this.smoothedRotation.rot4dYW);
-            window.updateParameter('rot4dZW', this.smoothedRotation.rot4dZW);
+            Object.keys(targetRotation).forEach(plane => window.updateParameter(plane, this.smoothedRotation[plane]));
         }
         
         // Update UI display if available
@@ -249,37 +234,66 @@ export class DeviceTiltHandler {
         this.tiltIntensity = Math.sqrt(betaNorm*betaNorm + gammaNorm*gammaNorm) / 90;
         this.extremeTilt = this.tiltIntensity > 1.0;
         
-        // Map beta (front-back tilt) to XW rotation
+        // Map beta (front-back tilt) to its plane (XW by default)
         const betaClamped = Math.max(activeMapping.betaToXW.range[0], 
             Math.min(activeMapping.betaToXW.range[1], betaDeg));
-        const rot4dXW = this.baseRotation.rot4dXW + 
+        const betaRotation = this.baseRotation[this.planes.beta] + 
             (betaClamped * activeMapping.betaToXW.scale * this.sensitivity);
         
-        // Map gamma (left-right tilt) to YW rotation
+        // Map gamma (left-right tilt) to its plane (YW by default)
         const gammaClamped = Math.max(activeMapping.gammaToYW.range[0],
             Math.min(activeMapping.gammaToYW.range[1], gammaDeg));
-        const rot4dYW = this.baseRotation.rot4dYW + 
+        const gammaRotation = this.baseRotation[this.planes.gamma] + 
             (gammaClamped * activeMapping.gammaToYW.scale * this.sensitivity);
         
-        // Map alpha (compass) to ZW rotation
+        // Map alpha (compass) to its plane (ZW by default)
         let alphaNormalized = alphaDeg;
         if (alphaNormalized > 180) alphaNormalized -= 360; // Normalize to -180 to 180
         const alphaClamped = Math.max(activeMapping.alphaToZW.range[0],
             Math.min(activeMapping.alphaToZW.range[1], alphaNormalized));
-        const rot4dZW = this.baseRotation.rot4dZW + 
+        const alphaRotation = this.baseRotation[this.planes.alpha] + 
             (alphaClamped * activeMapping.alphaToZW.scale * this.sensitivity);
         
         // Apply final clamping to prevent extreme values
         return {
-            rot4dXW: Math.max(activeMapping.betaToXW.clamp[0],
-                Math.min(activeMapping.betaToXW.clamp[1], rot4dXW)),
-            rot4dYW: Math.max(activeMapping.gammaToYW.clamp[0],
-                Math.min(activeMapping.gammaToYW.clamp[1], rot4dYW)),
-            rot4dZW: Math.max(activeMapping.alphaToZW.clamp[0],
-                Math.min(activeMapping.alphaToZW.clamp[1], rot4dZW))
+            [this.planes.beta]: Math.max(activeMapping.betaToXW.clamp[0],
+                Math.min(activeMapping.betaToXW.clamp[1], betaRotation)),
+            [this.planes.gamma]: Math.max(activeMapping.gammaToYW.clamp[0],
+                Math.min(activeMapping.gammaToYW.clamp[1], gammaRotation)),
+            [this.planes.alpha]: Math.max(activeMapping.alphaToZW.clamp[0],
+                Math.min(activeMapping.alphaToZW.clamp[1], alphaRotation))
         };
     }
     
+    /**
+     * Choose the rotation plane each tilt axis drives, e.g. { beta: 'rot4dXY', gamma: 'rot4dYZ' }
+     */
+    setPlanes(planes) {
+        const next = { ...this.planes, ...planes };
+        for (const [axis, plane] of Object.entries(next)) {
+            if (!(axis in this.planes)) {
+                throw new Error(`Unknown tilt axis: ${axis} (use beta, gamma or alpha)`);
+            }
+            if (!ROTATION_PARAMETERS.includes(plane)) {
+                throw new Error(`Unknown rotation plane: ${plane} (use ${ROTATION_PARAMETERS.join(', ')})`);
+            }
+        }
+        if (new Set(Object.values(next)).size < 3) {
+            throw new Error('Each tilt axis needs its own rotation plane');
+        }
+        
+        // Planes no longer driven go back to their base values
+        if (this.isEnabled && window.updateParameter) {
+            Object.values(this.planes)
+                .filter(plane => !Object.values(next).includes(plane))
+                .forEach(plane => window.updateParameter(plane, this.baseRotation[plane]));
+        }
+        
+        this.planes = next;
+        this.updateTiltDisplay();
+        console.log('🎯 DEVICE TILT: Planes set to', this.planes);
+    }
+    
     /**
      * Linear interpolation for smooth transitions
      */
@@ -291,9 +305,16 @@ export class DeviceTiltHandler {
      * Update base rotation values (from preset loading or manual adjustment)
      */
     updateBaseRotation(rot4dXW, rot4dYW, rot4dZW) {
-        this.baseRotation.rot4dXW = rot4dXW || 0;
-        this.baseRotation.rot4dYW = rot4dYW || 0;
-        this.baseRotation.rot4dZW = rot4dZW || 0;
+        // Also takes a { rot4dXY, ... } object covering any of the six planes
+        if (typeof rot4dXW === 'object' && rot4dXW !== null) {
+            ROTATION_PARAMETERS.forEach(plane => {
+                if (rot4dXW[plane] !== undefined) this.baseRotation[plane] = rot4dXW[plane] || 0;
+            });
+        } else {
+            this.baseRotation.rot4dXW = rot4dXW || 0;
+            this.baseRotation.rot4dYW = rot4dYW || 0;
+            this.baseRotation.rot4dZW = rot4dZW || 0;
+        }
         
         console.log('🎯 DEVICE TILT: Base rotation updated:', this.baseRotation);
     }
@@ -394,9 +415,10 @@ export class DeviceTiltHandler {
         const zwDisplay = document.getElementById('tilt-zw');
         const intensityDisplay = document.getElementById('tilt-intensity');
         
-        if (xwDisplay) xwDisplay.textContent = `XW: ${this.smoothedRotation.rot4dXW.toFixed(2)}`;
-        if (ywDisplay) ywDisplay.textContent = `YW: ${this.smoothedRotation.rot4dYW.toFixed(2)}`;
-        if (zwDisplay) zwDisplay.textContent = `ZW: ${this.smoothedRotation.rot4dZW.toFixed(2)}`;
+        const label = plane => `${plane.slice(5)}: ${this.smoothedRotation[plane].toFixed(2)}`;
+        if (xwDisplay) xwDisplay.textContent = label(this.planes.beta);
+        if (ywDisplay) ywDisplay.textContent = label(this.planes.gamma);
+        if (zwDisplay) zwDisplay.textContent = label(this.planes.alpha);
         if (intensityDisplay) {
             intensityDisplay.textContent = `Intensity: ${this.tiltIntensity.toFixed(2)}`;
             // 🚀 Color intensity display based on extreme tilt
@@ -425,6 +447,7 @@ export class DeviceTiltHandler {
             isEnabled: this.isEnabled,
             sensitivity: this.sensitivity,
             smoothing: this.smoothing,
+            planes: { ...this.planes },
             currentTilt: { ...this.currentTilt },
             smoothedRotation: { ...this.smoothedRotation },
             baseRotation: { ...this.baseRotation }
@@ -3,40 +3,173 @@
  * Dual-mode system: Reactive (built-in audio reactivity) + Choreographed (timeline-based)
  */
 
-import { VIB34DIntegratedEngine } from './src/core/Engine.js';
-import { QuantumEngine } from './src/quantum/QuantumEngine.js';
-import { RealHolographicSystem } from './src/holograms/RealHolographicSystem.js';
+import { systemRegistry } from './core/SystemRegistry.js';
+import { OfflineAudioAnalyzer } from './src/audio/OfflineAudioAnalyzer.js';
+import { TempoTracker } from './src/audio/TempoTracker.js';
+import { PercussionDetector, PERCUSSION_TYPES } from './src/audio/PercussionDetector.js';
+import { BandEnvelopes } from './src/audio/EnvelopeFollower.js';
+import { FrequencyBands, BAND_PRESETS, BAND_WEIGHTINGS } from './src/audio/FrequencyBands.js';
+import { AudioInput } from './src/audio/AudioInput.js';
+import { MidiController } from './src/core/MidiController.js';
+import { CommandHistory } from './src/core/CommandHistory.js';
+import { ChoreographyGenerator } from './src/choreography/ChoreographyGenerator.js';
+import { SeededRandom } from './src/choreography/SeededRandom.js';
+import { OfflineRenderer } from './src/export/OfflineRenderer.js';
+import { AutomationResolver } from './src/choreography/AutomationLanes.js';
+import { SystemTransition, TRANSITION_TYPES } from './src/choreography/SystemTransition.js';
+import { ModulationMatrix, routesFromReactivity, MODULATION_SOURCES, MODULATION_CURVES, MODULATION_POLARITIES, MODULATION_MODES } from './src/core/ModulationMatrix.js';
+import { TempoModulators, musicalPosition, DEFAULT_MODULATORS, LFO_SHAPES, MUSICAL_DIVISIONS } from './src/core/TempoModulators.js';
+import { BeatQuantizer, SNAP_RESOLUTIONS } from './src/choreography/BeatQuantizer.js';
+import { SequenceTimeline } from './src/ui/SequenceTimeline.js';
+import { TextTrack, parseLyrics, TEXT_POSITIONS, TEXT_ALIGNS } from './src/choreography/TextTrack.js';
+import { createChoreographyDocument, parseChoreography, checkAudioMatch, CHOREOGRAPHY_MODES } from './src/choreography/ChoreographyDocument.js';
+import { ProjectStore } from './src/choreography/ProjectStore.js';
+import { PostProcessingChain, POST_EFFECTS, isPostParameter } from './src/core/PostProcessingChain.js';
+import { drawLayerCanvas, layerParameterDefaults, parseLayerParameter } from './src/core/LayerCompositing.js';
+
+// Reactive mode values before modulation; hue and rotations also drift with time
+const REACTIVE_BASE = {
+    gridDensity: 15,
+    morphFactor: 1.0,
+    chaos: 0.2,
+    speed: 1.0,
+    intensity: 0.5,
+    saturation: 0.7
+};
+
+// Seconds for a drum hit's kick/snare/hihat level in audioData to fall to 1/e
+const PERCUSSION_DECAY = 0.15;
+
+// Milliseconds between autosaves of a changed session (also saved when the page is hidden)
+const AUTOSAVE_INTERVAL = 10000;
+
+// Audio layered on top of automated base values (ParameterManager units)
+const AUTOMATION_AUDIO_LAYERS = {
+    rot4dXW: (base, audio) => base + audio.bass * 0.3,
+    rot4dYW: (base, audio) => base + audio.mid * 0.3,
+    rot4dZW: (base, audio) => base + audio.high * 0.2,
+    gridDensity: (base, audio) => base + audio.bass * 35,
+    morphFactor: (base, audio) => base + audio.mid * 0.7,
+    chaos: (base, audio) => base + audio.energy * 0.4,
+    speed: (base, audio) => base * (1 + audio.energy * 0.6),
+    hue: (base, audio) => (base + audio.energy * 30) % 360,
+    intensity: (base, audio) => base + audio.energy * 0.5,
+    saturation: (base, audio) => base + audio.bass * 0.3
+};
 
 export class MusicVideoChoreographer {
     constructor(mode = 'reactive') {
         this.mode = mode; // 'reactive' or 'choreographed'
         this.audio = new Audio();
+        this.currentFile = null;
+
+        // File and/or live input (see AudioInput); live-only input has no track time, so it runs its own clock
+        this.input = null;
+        this.liveStartTime = null; // audioContext time that live position 0 corresponds to, null while paused
+        this.livePosition = 0;
         this.audioContext = null;
         this.analyser = null;
         this.dataArray = null;
         this.currentSystem = 'faceted';
-        this.currentEngine = null;
+        this.currentEngine = null; // the active system instance (see core/VisualizationSystem.js)
+        this.currentLayer = null;
+        this.systemReady = Promise.resolve();
+
+        // System transitions: sequences can set effects.transition, otherwise this default is used
+        this.transition = null;
+        this.defaultTransition = { type: 'crossfade', duration: 1.0 };
         this.isPlaying = false;
         this.animationId = null;
 
-        // Beat detection
-        this.beatThreshold = 0.7;
-        this.lastBeatTime = 0;
-        this.beatInterval = 500;
+        // Hz band split shared by the live analyser and the offline pass (see setFrequencyBands)
+        this.frequencyBands = new FrequencyBands();
+
+        // Offline analysis of the loaded track (null until the pass finishes)
+        this.analyzer = new OfflineAudioAnalyzer();
+        this.analysis = null;
+
+        // Beat tracking: offline beat grid when analyzed, live tempo tracker otherwise
+        this.beatThreshold = 0.7; // Minimum bass level for an off-downbeat beat to trigger engine effects
+        this.tempoTracker = new TempoTracker();
+        this.previousSpectrum = null;
+        this.beatState = this.tempoTracker.getState();
         this.detectedBPM = 0;
 
+        // Kick/snare/hi-hat hits: from the analysis when available, else detected live (see init)
+        this.percussion = new PercussionDetector();
+        this.lastHits = {};
+
         // Choreography sequences (for choreographed mode)
         this.sequences = [];
         this.currentSequence = null;
+        this.choreographyStyle = 'cinematic';
 
-        // Audio reactivity multipliers (for reactive mode)
-        this.reactivitySettings = {
-            bassToGridDensity: 30,
-            midToMorph: 0.5,
-            highToChaos: 0.6,
-            energyToIntensity: 0.5,
-            energyToSpeed: 0.5
-        };
+        // Sequence edits snap to the beat grid at this resolution ('off', 'beat', 'bar', 'phrase')
+        this.snapResolution = 'beat';
+        this.quantizer = new BeatQuantizer();
+        this.timelineView = null;
+
+        // Per-parameter keyframe lanes; automated parameters ignore the sequence enums below
+        this.automation = new AutomationResolver();
+
+        // Last imported choreography document, checked against the track once it is analyzed
+        this.importedDocument = null;
+        this.choreographySeed = Date.now();
+
+        // All per-frame randomness goes through this so offline renders are reproducible
+        this.random = new SeededRandom(this.choreographySeed);
+
+        // Reactive mode: source -> parameter routes on top of REACTIVE_BASE (saved with the project)
+        this.modulation = new ModulationMatrix(routesFromReactivity());
+
+        // Choreographed mode: routes layered over the sequence/automation values (none by default)
+        this.choreographyModulation = new ModulationMatrix();
+
+        // Beat-locked LFOs and step sequencers, exposed as sources by name (e.g. lfo1, steps1)
+        this.modulators = new TempoModulators(DEFAULT_MODULATORS);
+
+        // Attack/release followers per band, exposed as <band>Env sources (e.g. kickEnv)
+        this.envelopes = new BandEnvelopes();
+
+        // Which source drives each band in choreographed mode, e.g. { bass: 'kickEnv' }
+        this.bandSources = { bass: 'bass', mid: 'mid', high: 'high', energy: 'energy' };
+
+        // Web MIDI: pads trigger clicks/sequences/systems, learned CCs override parameters, clock drives tempo
+        this.midi = new MidiController({
+            onTrigger: (action, velocity) => this.handleMidiTrigger(action, velocity),
+            onLearn: () => {
+                this.renderModulationList(); // learned CCs become cc<n> sources
+                this.markDirty();
+            }
+        });
+        this.systemHold = null; // sequence whose system a MIDI pad overrode
+
+        // Lyric/title layers over the visualization (see TextTrack), fed the same sources and parameters as the shaders
+        this.textTracks = [];
+        this.textCanvas = null;
+        this.frameSources = {};
+        this.parameterValues = {}; // last value sent to the engine per parameter
+
+        // Bloom, trails, kaleidoscope... over the composited picture; fx* parameters are automated and modulated like the rest
+        this.postProcessing = new PostProcessingChain();
+        this.postOverlay = null;
+        this.postSource = null; // live composite the chain reads
+
+        // Undo/redo: every edit records the project state before and after it (see commitEdit)
+        this.history = new CommandHistory({ onChange: () => this.markDirty() });
+        this.history.register('project', (state, entry, direction) => {
+            this.applyProjectState(state);
+            this.updateStatus(`${direction === 'undo' ? '↩️ Undid' : '↪️ Redid'}: ${entry.label}`);
+        });
+        this.projectSnapshot = this.getProjectState();
+
+        // Named projects and the autosaved session (IndexedDB, audio included - see ProjectStore)
+        this.projects = new ProjectStore();
+        this.projectId = null;
+        this.projectName = 'Untitled';
+        this.dirty = false;
+        this.autosaveTimer = null;
+        this.pendingSession = null; // autosave found at startup, kept until restored or discarded
 
         this.init();
     }
@@ -49,18 +182,35 @@ export class MusicVideoChoreographer {
         this.analyser = this.audioContext.createAnalyser();
         this.analyser.fftSize = 2048;
         this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        this.input = new AudioInput(this.audioContext);
+        this.input.connect(this.analyser);
+        this.frequencyBands.configure({ sampleRate: this.audioContext.sampleRate });
+        this.percussion = new PercussionDetector({ sampleRate: this.audioContext.sampleRate, fftSize: this.analyser.fftSize });
 
         // Initialize default engine
         await this.switchSystem('faceted');
 
         // Setup event listeners
         this.setupEventListeners();
+        this.timelineView = new SequenceTimeline(this);
+        this.renderModulationList();
+        this.renderInputControls();
+        this.renderTextTracks();
+        this.renderPostProcessing();
 
         // Initialize mode-specific features
         if (this.mode === 'choreographed') {
             await this.generateDefaultChoreography();
         }
 
+        // The starting choreography is the bottom of the undo stack
+        this.projectSnapshot = this.getProjectState();
+        this.history.bindKeys();
+
+        await this.checkForRecovery();
+        this.startAutosave();
+        this.renderProjectList();
+
         console.log('✅ Choreographer initialized');
     }
 
@@ -76,10 +226,15 @@ export class MusicVideoChoreographer {
         document.getElementById('stop-btn').addEventListener('click', () => this.stop());
 
         // Timeline seeking
-        document.getElementById('timeline').addEventListener('click', (e) => {
-            const rect = e.target.getBoundingClientRect();
+        const timeline = document.getElementById('timeline');
+        timeline.addEventListener('click', (e) => {
+            // Clicks on sequence blocks are edits, not seeks
+            if (e.target.closest('.timeline-sequence')) return;
+            // Live input can't be seeked
+            if (this.input.isLive) return;
+            const rect = timeline.getBoundingClientRect();
             const pos = (e.clientX - rect.left) / rect.width;
-            this.audio.currentTime = pos * this.audio.duration;
+            this.seek(pos * this.audio.duration);
         });
 
         // System switching
@@ -94,26 +249,254 @@ export class MusicVideoChoreographer {
         this.audio.addEventListener('timeupdate', () => this.updateTimeline());
     }
 
-    async loadAudioFile(file) {
+    /**
+     * Play and analyse a file; options.mix keeps a live input running alongside it
+     */
+    async loadAudioFile(file, options = {}) {
         if (!file) return;
 
-        const url = URL.createObjectURL(file);
-        this.audio.src = url;
+        this.input.useFile(file, this.audio, options);
+        this.currentFile = file;
+        this.markDirty();
+        this.tempoTracker.reset();
+        this.percussion.reset();
+        this.lastHits = {};
+        this.enablePlaybackControls();
+
+        this.updateStatus(`Loaded: ${file.name}`);
+        console.log('🎵 Audio file loaded:', file.name);
+
+        await this.analyzeAudioFile(file);
+    }
+
+    /**
+     * Use a mic/line-in device ({ deviceId }) or a MediaStream ({ stream }) as input
+     * mix: true keeps the loaded file playing too (its timeline still drives the choreography)
+     */
+    async useLiveInput({ deviceId = null, stream = null, mix = false } = {}) {
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        try {
+            if (stream) {
+                this.input.useStream(stream, { mix });
+            } else {
+                await this.input.useDevice(deviceId, { mix });
+            }
+        } catch (error) {
+            console.error('Live input failed:', error);
+            this.updateStatus(`⚠️ Live input unavailable: ${error.message}`);
+            return false;
+        }
 
-        // Connect audio to analyser
-        if (!this.sourceNode) {
-            this.sourceNode = this.audioContext.createMediaElementSource(this.audio);
-            this.sourceNode.connect(this.analyser);
-            this.analyser.connect(this.audioContext.destination);
+        if (!mix) {
+            // Nothing to analyse ahead of time: beats, drums and bands all come from the live analyser
+            this.audio.pause();
+            this.currentFile = null;
+            this.analysis = null;
+            this.quantizer.setGrid(null);
+            if (this.timelineView) this.timelineView.render();
         }
+        this.tempoTracker.reset();
+        this.percussion.reset();
+        this.lastHits = {};
+        this.livePosition = 0;
+        this.liveStartTime = null;
+        this.enablePlaybackControls();
+
+        const { label } = this.input.getState().channels.live;
+        this.updateStatus(`🎙️ Live input${label ? `: ${label}` : ''}${mix ? ' (mixed with file)' : ''}`);
+        this.renderInputControls();
+        return true;
+    }
+
+    /**
+     * Back to file-only input (stops any live device)
+     */
+    stopLiveInput() {
+        if (this.input.isLive && this.isPlaying) this.pause();
+        this.input.remove('live');
+        this.renderInputControls();
+    }
+
+    /**
+     * Analysis input gain (linear); doesn't change what is heard
+     */
+    setInputGain(value) {
+        const gain = parseFloat(value);
+        if (Number.isFinite(gain)) this.input.setGain(gain);
+    }
+
+    /**
+     * Hear a channel ('file' | 'live', all when omitted) through the speakers
+     */
+    setMonitoring(enabled, channel = null) {
+        this.input.setMonitoring(enabled, channel);
+        this.renderInputControls();
+    }
+
+    /**
+     * Input device picker, gain and monitoring into #input-controls when the page has it
+     */
+    async renderInputControls() {
+        const container = document.getElementById('input-controls');
+        if (!container) return;
+
+        const devices = await AudioInput.listDevices();
+        const state = this.input.getState();
+        const live = state.channels.live;
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+        container.innerHTML = `
+            <div class="sequence-controls">
+                <label>Live input</label>
+                <select id="input-device">
+                    ${devices.map(device => `<option value="${escape(device.deviceId)}" ${live && live.deviceId === device.deviceId ? 'selected' : ''}>${escape(device.label)}</option>`).join('')}
+                </select>
+
+                <label>Mix with file</label>
+                <input type="checkbox" id="input-mix" ${live && state.channels.file ? 'checked' : ''}>
+
+                <label>Input gain</label>
+                <input type="number" step="0.1" min="0" value="${state.gain}" onchange="choreographer.setInputGain(this.value)">
+
+                ${Object.entries(state.channels).map(([channel, { monitoring }]) => `
+                    <label>Monitor ${channel}</label>
+                    <input type="checkbox" ${monitoring ? 'checked' : ''} onchange="choreographer.setMonitoring(this.checked, '${channel}')">
+                `).join('')}
+            </div>
+            <button onclick="choreographer.useLiveInput({ deviceId: document.getElementById('input-device').value || null, mix: document.getElementById('input-mix').checked })" style="font-size: 10px; padding: 5px;">🎙️ ${live ? 'Switch' : 'Start'} Live Input</button>
+            ${live ? `<button onclick="choreographer.stopLiveInput()" style="font-size: 10px; padding: 5px; background: #f44;">Stop Live Input</button>` : ''}
+            ${this.midi.enabled
+                ? `<div style="font-size: 10px;">🎹 MIDI: ${this.midi.inputs.map(input => escape(input.name)).join(', ') || 'no controller'}</div>`
+                : `<button onclick="choreographer.enableMidi()" style="font-size: 10px; padding: 5px;">🎹 Enable MIDI</button>`}
+        `;
+    }
 
-        // Enable controls
+    enablePlaybackControls() {
         document.getElementById('play-btn').disabled = false;
         document.getElementById('pause-btn').disabled = false;
         document.getElementById('stop-btn').disabled = false;
+    }
 
-        this.updateStatus(`Loaded: ${file.name}`);
-        console.log('🎵 Audio file loaded:', file.name);
+    /**
+     * Jump to a time in seconds (live-only input moves its own clock)
+     */
+    seek(time) {
+        if (this.input.isLive) {
+            this.livePosition = time;
+            if (this.liveStartTime !== null) this.liveStartTime = this.audioContext.currentTime - time;
+        } else {
+            this.audio.currentTime = time;
+        }
+        this.percussion.reset();
+        this.modulation.reset();
+        this.choreographyModulation.reset();
+        this.postProcessing.reset();
+    }
+
+    /**
+     * Start listening to MIDI controllers
+     */
+    async enableMidi() {
+        try {
+            await this.midi.enable();
+            this.updateStatus(`🎹 MIDI: ${this.midi.inputs.map(input => input.name).join(', ') || 'waiting for a controller'}`);
+            this.renderInputControls();
+            return true;
+        } catch (error) {
+            this.updateStatus(`⚠️ ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * A bound MIDI note was played (see MidiController.noteBindings)
+     */
+    handleMidiTrigger(action, velocity) {
+        if (action.type === 'click') {
+            if (this.currentEngine) this.currentEngine.triggerEvent('click', { intensity: velocity });
+        } else if (action.type === 'system') {
+            // Hold the pad's system until the next sequence starts
+            this.systemHold = this.getSequenceAt(this.currentTime);
+            this.switchSystem(action.system, this.defaultTransition, this.currentTime);
+        } else if (action.type === 'sequence') {
+            const sequence = this.sequences[action.index];
+            if (sequence) this.seek(sequence.time);
+        }
+    }
+
+    /**
+     * Playback position in seconds: the file's time, or time since play() for live-only input
+     */
+    get currentTime() {
+        if (!this.input || !this.input.isLive) return this.audio.currentTime;
+        return this.liveStartTime === null ? this.livePosition : this.audioContext.currentTime - this.liveStartTime;
+    }
+
+    /**
+     * Run the offline analysis pass for the loaded track
+     * Playback works immediately; the live analyser is used until the document is ready
+     * regenerate: false keeps the current sequences (re-analysis after a band change)
+     */
+    async analyzeAudioFile(file, regenerate = true) {
+        this.analysis = null;
+        this.quantizer.setGrid(null);
+
+        try {
+            const analysis = await this.analyzer.analyzeFile(file, progress => {
+                this.updateStatus(`Analyzing ${file.name}... ${Math.round(progress * 100)}%`);
+            });
+
+            // Ignore results for a file that was replaced while analyzing
+            if (this.currentFile !== file) return;
+
+            this.analysis = analysis;
+            this.quantizer.setGrid(analysis.beatGrid);
+            if (this.timelineView) this.timelineView.render();
+            this.updateStatus(`Loaded: ${file.name} (${analysis.beatGrid.bpm} BPM, ${analysis.sections.length} sections)`);
+
+            if (this.importedDocument) {
+                // Keep the imported choreography, but say so if it was made for another track
+                const warning = checkAudioMatch(this.importedDocument, analysis);
+                if (warning) this.updateStatus(`⚠️ ${warning}`);
+            } else if (regenerate && this.mode === 'choreographed') {
+                this.generateChoreography();
+            }
+        } catch (error) {
+            console.error('Offline audio analysis failed:', error);
+            this.updateStatus(`Loaded: ${file.name} (live analysis only)`);
+        }
+    }
+
+    /**
+     * Generate sequences from the analyzed track
+     * Same analysis + style + seed always gives the same result; omit the seed to keep the current one
+     */
+    generateChoreography(style = this.choreographyStyle, seed = this.choreographySeed) {
+        if (!this.analysis) {
+            console.warn('Choreography generation needs an analyzed track - load audio first');
+            return false;
+        }
+
+        this.choreographyStyle = style;
+        this.choreographySeed = seed;
+        this.random = new SeededRandom(seed);
+        this.importedDocument = null;
+
+        const generator = new ChoreographyGenerator({ style, seed });
+        this.sequences = generator.generate(this.analysis);
+        this.renderSequenceList();
+        this.commitEdit(`Generate ${style} choreography`);
+        return true;
+    }
+
+    /**
+     * Re-roll the generated choreography with a fresh seed
+     */
+    rerollChoreography() {
+        return this.generateChoreography(this.choreographyStyle, Date.now());
     }
 
     async generateDefaultChoreography() {
@@ -205,12 +588,30 @@ export class MusicVideoChoreographer {
     }
 
     renderSequenceList() {
+        if (this.timelineView) this.timelineView.render();
+
         const list = document.getElementById('sequence-list');
         if (!list) return;
 
-        list.innerHTML = this.sequences.map((seq, index) => `
-            <div class="sequence-item">
-                <h4>Sequence ${index + 1} (${seq.time}s - ${seq.time + seq.duration}s)</h4>
+        const overlapping = new Set(this.findOverlaps().flat());
+        const settingsControls = `
+            <div class="sequence-controls" style="margin-bottom: 10px;">
+                <label>🎬 Mode</label>
+                <select onchange="choreographer.setMode(this.value)">
+                    ${CHOREOGRAPHY_MODES.map(mode => `<option value="${mode}" ${this.mode === mode ? 'selected' : ''}>${mode[0].toUpperCase() + mode.slice(1)}</option>`).join('')}
+                </select>
+
+                <label>🧲 Snap</label>
+                <select onchange="choreographer.setSnapResolution(this.value)">
+                    ${SNAP_RESOLUTIONS.map(res => `<option value="${res}" ${this.snapResolution === res ? 'selected' : ''}>${res[0].toUpperCase() + res.slice(1)}</option>`).join('')}
+                </select>
+            </div>
+        `;
+
+        list.innerHTML = settingsControls + this.sequences.map((seq, index) => `
+            <div class="sequence-item"${overlapping.has(index) ? ' style="border-color: #f44;"' : ''}>
+                <h4>Sequence ${index + 1} (${seq.time}s - ${+(seq.time + seq.duration).toFixed(3)}s)</h4>
+                ${overlapping.has(index) ? '<div style="font-size: 9px; color: #f44; margin-bottom: 5px;">⚠️ Overlaps another sequence</div>' : ''}
                 <div class="sequence-controls">
                     <label>Start Time (s)</label>
                     <input type="number" value="${seq.time}" onchange="choreographer.updateSequence(${index}, 'time', this.value)">
@@ -220,9 +621,7 @@ export class MusicVideoChoreographer {
 
                     <label>🎨 System</label>
                     <select onchange="choreographer.updateSequence(${index}, 'system', this.value)" style="grid-column: span 2;">
-                        <option value="faceted" ${seq.effects.system === 'faceted' ? 'selected' : ''}>🔷 Faceted</option>
-                        <option value="quantum" ${seq.effects.system === 'quantum' ? 'selected' : ''}>🌌 Quantum</option>
-                        <option value="holographic" ${seq.effects.system === 'holographic' ? 'selected' : ''}>✨ Holographic</option>
+                        ${systemRegistry.list().map(system => `<option value="${system.name}" ${seq.effects.system === system.name ? 'selected' : ''}>${system.icon} ${system.label}</option>`).join('')}
                     </select>
 
                     <label>Geometry</label>
@@ -257,6 +656,14 @@ export class MusicVideoChoreographer {
                         <option value="fast" ${seq.effects.colorShift === 'fast' ? 'selected' : ''}>Fast</option>
                         <option value="rainbow" ${seq.effects.colorShift === 'rainbow' ? 'selected' : ''}>Rainbow</option>
                     </select>
+
+                    <label>Transition In</label>
+                    <select onchange="choreographer.updateSequence(${index}, 'transitionType', this.value)">
+                        ${TRANSITION_TYPES.map(type => `<option value="${type}" ${this.getTransition(seq).type === type ? 'selected' : ''}>${type[0].toUpperCase() + type.slice(1)}</option>`).join('')}
+                    </select>
+
+                    <label>Transition (s)</label>
+                    <input type="number" step="0.1" min="0" max="8" value="${this.getTransition(seq).duration}" onchange="choreographer.updateSequence(${index}, 'transitionDuration', this.value)">
                 </div>
                 <div style="font-size: 9px; color: #666; margin-top: 5px; padding: 5px; background: rgba(0,255,255,0.05); border-radius: 3px;">
                     ℹ️ Audio reactivity is ALWAYS active - these are base values that audio modulates
@@ -271,101 +678,264 @@ export class MusicVideoChoreographer {
         if (!seq) return;
 
         if (property === 'time' || property === 'duration') {
-            seq[property] = parseFloat(value);
+            const time = property === 'time' ? parseFloat(value) : seq.time;
+            const duration = property === 'duration' ? parseFloat(value) : seq.duration;
+            if (!Number.isFinite(time) || !Number.isFinite(duration)) return;
+            this.setSequenceRange(index, time, duration);
+            return;
         } else if (property === 'chaos' || property === 'speed') {
             seq.effects[property] = parseFloat(value);
+        } else if (property === 'transitionType') {
+            seq.effects.transition = { ...this.getTransition(seq), type: value };
+        } else if (property === 'transitionDuration') {
+            seq.effects.transition = { ...this.getTransition(seq), duration: parseFloat(value) };
         } else {
             seq.effects[property] = value;
         }
 
+        if (property === 'system' && this.timelineView) this.timelineView.render();
+        this.commitEdit(`Edit sequence ${index + 1} ${property}`, `sequence:${index}:${property}`);
         console.log(`Updated sequence ${index}:`, seq);
     }
 
+    /**
+     * Transition used when a sequence switches system
+     */
+    getTransition(seq) {
+        return seq.effects.transition || this.defaultTransition;
+    }
+
+    /**
+     * Move/resize a sequence, snapping to the beat grid unless `snap` is false (already snapped),
+     * then keep the list in time order
+     */
+    setSequenceRange(index, time, duration, snap = true) {
+        const seq = this.sequences[index];
+        if (!seq) return;
+
+        const range = snap
+            ? this.quantizer.snapRange(Math.max(0, time), Math.max(0.01, duration), this.snapResolution)
+            : { time, duration };
+        seq.time = range.time;
+        seq.duration = range.duration;
+
+        this.sortSequences();
+        this.renderSequenceList();
+        this.commitEdit(`Move sequence ${index + 1}`, `sequence-range:${index}`);
+        console.log(`Updated sequence ${this.sequences.indexOf(seq)}:`, seq);
+    }
+
+    setSnapResolution(resolution) {
+        if (!SNAP_RESOLUTIONS.includes(resolution)) {
+            throw new Error(`Unknown snap resolution: ${resolution}`);
+        }
+        this.snapResolution = resolution;
+        this.commitEdit(`Snap to ${resolution}`);
+    }
+
+    setMode(mode) {
+        if (!CHOREOGRAPHY_MODES.includes(mode)) {
+            throw new Error(`Unknown mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.commitEdit(`Switch to ${mode} mode`);
+    }
+
+    sortSequences() {
+        this.sequences.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Index pairs of sequences whose time ranges overlap (sequences are kept sorted by start)
+     */
+    findOverlaps() {
+        const overlaps = [];
+        for (let i = 0; i < this.sequences.length; i++) {
+            const end = this.sequences[i].time + this.sequences[i].duration;
+            for (let j = i + 1; j < this.sequences.length && this.sequences[j].time < end; j++) {
+                overlaps.push([i, j]);
+            }
+        }
+        return overlaps;
+    }
+
     deleteSequence(index) {
         this.sequences.splice(index, 1);
         this.renderSequenceList();
+        this.commitEdit(`Delete sequence ${index + 1}`);
     }
 
     addSequenceToTimeline(newSeq) {
         this.sequences.push(newSeq);
-        this.sequences.sort((a, b) => a.time - b.time);
+        this.sortSequences();
         this.renderSequenceList();
+        this.commitEdit('Add sequence');
     }
 
-    async switchSystem(systemName) {
-        // Cleanup old engine
-        if (this.currentEngine && this.currentEngine.destroy) {
-            this.currentEngine.destroy();
+    /**
+     * Switch visualization system
+     * Without a transition (or on the first switch) this is a hard cut. With one, the outgoing
+     * engine keeps rendering in its own layer until the transition completes.
+     * transition: { type: 'crossfade'|'dissolve'|'wipe'|'flash'|'cut', duration, direction? }
+     */
+    async switchSystem(systemName, transition = null, time = this.currentTime) {
+        const container = document.getElementById('vib34dLayers');
+        const blend = transition && transition.type !== 'cut' && this.currentEngine && systemName !== this.currentSystem;
+
+        // Only one transition at a time: land the running one first
+        if (this.transition) {
+            this.finishTransition();
         }
 
-        // Clear canvases
-        const container = document.getElementById('vib34dLayers');
-        container.innerHTML = '';
-
-        // Create canvases based on system requirements
-        if (systemName === 'faceted') {
-            const layers = ['background', 'shadow', 'content', 'highlight', 'accent'];
-            layers.forEach(layer => {
-                const canvas = document.createElement('canvas');
-                canvas.id = `${layer}-canvas`;
-                canvas.width = window.innerWidth;
-                canvas.height = window.innerHeight;
-                container.appendChild(canvas);
-            });
-        } else if (systemName === 'quantum') {
-            const layers = ['background', 'shadow', 'content', 'highlight', 'accent'];
-            layers.forEach(layer => {
-                const canvas = document.createElement('canvas');
-                canvas.id = `quantum-${layer}-canvas`;
-                canvas.width = window.innerWidth;
-                canvas.height = window.innerHeight;
-                container.appendChild(canvas);
-            });
-        } else if (systemName === 'holographic') {
-            for (let i = 0; i < 5; i++) {
-                const canvas = document.createElement('canvas');
-                canvas.id = `holo-layer-${i}`;
-                canvas.width = window.innerWidth;
-                canvas.height = window.innerHeight;
-                container.appendChild(canvas);
+        const outgoing = { system: this.currentSystem, engine: this.currentEngine, element: this.currentLayer };
+        if (!blend) {
+            // Cleanup old engine
+            if (this.currentEngine) {
+                this.currentEngine.destroy();
             }
+
+            // Clear canvases
+            container.innerHTML = '';
         }
 
         // Initialize new engine
         try {
-            if (systemName === 'faceted') {
-                this.currentEngine = new VIB34DIntegratedEngine();
-            } else if (systemName === 'quantum') {
-                this.currentEngine = new QuantumEngine();
-            } else if (systemName === 'holographic') {
-                this.currentEngine = new RealHolographicSystem();
-            }
-
+            this.currentLayer = this.createSystemLayer(systemName, container);
+            this.currentEngine = this.createEngine(systemName);
             this.currentSystem = systemName;
+            this.systemReady = this.startEngine(this.currentEngine);
+
+            if (blend) {
+                this.transition = new SystemTransition({
+                    ...transition,
+                    from: outgoing,
+                    to: { system: systemName, engine: this.currentEngine, element: this.currentLayer },
+                    startTime: time,
+                    peakTime: transition.type === 'flash' ? this.getNextDownbeat(time) : null,
+                    seed: this.choreographySeed
+                });
+                this.transition.apply(time);
+                console.log(`🎞️ ${transition.type} ${outgoing.system} → ${systemName} over ${this.transition.duration}s`);
+            }
 
             // Update UI
             document.querySelectorAll('.system-btn').forEach(btn => {
                 btn.classList.toggle('active', btn.dataset.system === systemName);
             });
 
+            await this.systemReady;
             console.log('✅ Switched to', systemName, 'system');
         } catch (error) {
             console.error('Failed to switch system:', error);
         }
     }
 
+    /**
+     * Create a full-size layer container with the canvases a system expects
+     */
+    createSystemLayer(systemName, container) {
+        const layer = document.createElement('div');
+        layer.className = 'system-layer';
+        layer.dataset.system = systemName;
+        layer.style.cssText = 'position:absolute;inset:0;';
+
+        // Engines find their canvases (and some their container) by id
+        const { layers, container: containerId } = systemRegistry.getCapabilities(systemName);
+        if (containerId && !document.getElementById(containerId)) {
+            layer.id = containerId;
+        }
+
+        layers.forEach(id => {
+            const canvas = document.createElement('canvas');
+            canvas.id = id;
+            canvas.width = window.innerWidth;
+            canvas.height = window.innerHeight;
+            layer.appendChild(canvas);
+        });
+
+        container.appendChild(layer);
+        return layer;
+    }
+
+    /**
+     * New instance of a registered system; the choreographer feeds audio itself, so systems don't open their own input
+     */
+    createEngine(systemName) {
+        return systemRegistry.create(systemName, { audio: false });
+    }
+
+    /**
+     * Initialize and activate a system once its layer is in the document
+     */
+    async startEngine(system) {
+        if (!(await system.initialize()) || !(await system.activate())) {
+            throw new Error(`${system.name} system failed to start`);
+        }
+    }
+
+    /**
+     * Advance a running transition; the outgoing system is destroyed when it completes
+     */
+    updateTransition(time) {
+        if (!this.transition) return;
+
+        if (this.transition.isComplete(time)) {
+            this.finishTransition();
+        } else {
+            this.transition.apply(time);
+        }
+    }
+
+    finishTransition() {
+        const { from } = this.transition;
+        this.transition.cleanup();
+        if (from.engine) {
+            from.engine.destroy();
+        }
+        if (from.element) {
+            from.element.remove();
+        }
+        this.transition = null;
+    }
+
+    /**
+     * Engines currently drawing (two during a transition)
+     */
+    getActiveEngines() {
+        const engines = this.transition ? [this.transition.from.engine] : [];
+        if (this.currentEngine) engines.push(this.currentEngine);
+        return engines;
+    }
+
+    /**
+     * First downbeat at or after `time`, for flash transitions
+     */
+    getNextDownbeat(time) {
+        if (this.analysis) {
+            const next = this.analysis.beatGrid.downbeats.find(downbeat => downbeat >= time);
+            if (next !== undefined) return next;
+        }
+        return time;
+    }
+
     play() {
         if (this.audioContext.state === 'suspended') {
             this.audioContext.resume();
         }
 
-        this.audio.play();
+        if (this.input.isLive) {
+            this.liveStartTime = this.audioContext.currentTime - this.livePosition;
+        } else {
+            this.audio.play();
+        }
         this.isPlaying = true;
         this.startVisualization();
-        this.updateStatus('Playing...');
+        this.updateStatus(this.input.isLive ? '🎙️ Live...' : 'Playing...');
     }
 
     pause() {
+        this.livePosition = this.currentTime;
+        this.liveStartTime = null;
         this.audio.pause();
         this.isPlaying = false;
         this.updateStatus('Paused');
@@ -374,6 +944,8 @@ export class MusicVideoChoreographer {
     stop() {
         this.audio.pause();
         this.audio.currentTime = 0;
+        this.livePosition = 0;
+        this.liveStartTime = null;
         this.isPlaying = false;
         this.updateStatus('Stopped');
     }
@@ -382,141 +954,498 @@ export class MusicVideoChoreographer {
         const render = () => {
             if (!this.isPlaying) return;
 
-            // Get audio data
-            this.analyser.getByteFrequencyData(this.dataArray);
-            const audioData = this.processAudioData(this.dataArray);
+            const time = this.currentTime;
+            this.renderFrame(time, this.getAudioData(time));
 
-            // Detect beats
-            this.detectBeat(audioData);
-
-            // Apply mode-specific logic
-            if (this.mode === 'reactive') {
-                this.applyReactiveMode(audioData);
-            } else if (this.mode === 'choreographed') {
-                this.applyChoreography(audioData);
+            // Learned MIDI CCs have the last word while performing
+            for (const [param, value] of Object.entries(this.midi.getParameterValues())) {
+                this.setEngineParameter(param, value);
             }
 
-            // Update info panel
-            this.updateInfoPanel(audioData);
-
             this.animationId = requestAnimationFrame(render);
         };
         render();
     }
 
-    processAudioData(dataArray) {
-        const bass = this.getAverage(dataArray, 0, 100) / 255;
-        const mid = this.getAverage(dataArray, 100, 400) / 255;
-        const high = this.getAverage(dataArray, 400, 1024) / 255;
-        const energy = (bass + mid + high) / 3;
+    /**
+     * Render the loaded track frame by frame at a fixed fps (see OfflineRenderer)
+     * Frames go to options.onFrame, or to a picked folder when options.toDirectory is set
+     */
+    async renderOffline(options = {}) {
+        // A fresh renderer per call so this call's options (fps, size, format) all apply
+        if (this.offlineRenderer && this.offlineRenderer.isRendering) {
+            throw new Error('Offline render already in progress');
+        }
+        this.offlineRenderer = new OfflineRenderer(this, options);
 
-        return { bass, mid, high, energy };
-    }
+        this.updateStatus('Rendering frames...');
+        const onProgress = (progress) => {
+            this.updateStatus(`Rendering frames... ${Math.round(progress * 100)}%`);
+            if (options.onProgress) options.onProgress(progress);
+        };
 
-    getAverage(array, start, end) {
-        let sum = 0;
-        for (let i = start; i < end; i++) {
-            sum += array[i];
+        try {
+            const result = options.toDirectory
+                ? await this.offlineRenderer.renderToDirectory({ ...options, onProgress })
+                : await this.offlineRenderer.render({ ...options, onProgress });
+            this.updateStatus(`Rendered ${result.frameCount} frames at ${result.fps}fps`);
+            return result;
+        } catch (error) {
+            console.error('Offline render failed:', error);
+            this.updateStatus(`Render failed: ${error.message}`);
+            throw error;
         }
-        return sum / (end - start);
     }
 
-    detectBeat(audioData) {
-        const now = Date.now();
-        if (audioData.bass > this.beatThreshold && now - this.lastBeatTime > this.beatInterval) {
-            this.lastBeatTime = now;
-            this.onBeat();
-            this.detectedBPM = Math.round(60000 / this.beatInterval);
+    /**
+     * Apply one frame of choreography at `time` seconds
+     * Shared by live playback and OfflineRenderer, so it must not read wall-clock time or Math.random
+     */
+    renderFrame(time, audioData) {
+        this.updateTransition(time);
+
+        // Detect beats and drum hits, then follow every band's envelope
+        this.detectBeat(audioData, time);
+        this.detectPercussion(audioData, time);
+        this.followEnvelopes(audioData, time);
+
+        // Apply mode-specific logic
+        const sources = this.getModulationSources(audioData, time);
+        if (this.mode === 'reactive') {
+            this.applyReactiveMode(sources, time);
+        } else if (this.mode === 'choreographed') {
+            this.applyChoreography(this.selectBandSources(sources), time);
         }
-    }
 
-    onBeat() {
-        // Visual beat indicator
-        const indicator = document.getElementById('beatIndicator');
-        indicator.classList.add('active');
-        setTimeout(() => indicator.classList.remove('active'), 300);
+        // Effects and text react to this frame's sources; OfflineRenderer draws both into exported frames
+        this.frameSources = sources;
+        this.drawPostOverlay(time);
+        this.drawTextOverlay(time);
 
-        // Trigger engine effects
-        if (this.currentEngine && this.currentEngine.triggerClick) {
-            this.currentEngine.triggerClick(1.0);
-        }
+        // Update info panel
+        this.updateInfoPanel(audioData);
     }
 
     /**
-     * REACTIVE MODE: Built-in audio reactivity with direct parameter mapping
+     * Current audio features: from the offline analysis when available, else the live analyser
      */
-    applyReactiveMode(audioData) {
-        const setParam = (param, value) => {
-            if (this.currentEngine.parameterManager) {
-                this.currentEngine.parameterManager.setParameter(param, value);
-            } else if (this.currentEngine.updateParameter) {
-                this.currentEngine.updateParameter(param, value);
-            } else if (this.currentEngine.updateParameters) {
-                this.currentEngine.updateParameters({ [param]: value });
-            }
-        };
+    getAudioData(time = this.currentTime) {
+        if (this.analysis) {
+            return this.analysis.getFeaturesAt(time);
+        }
 
-        // Direct audio-to-parameter mapping
-        const densityBase = 15 + audioData.bass * this.reactivitySettings.bassToGridDensity;
-        setParam('gridDensity', Math.floor(densityBase));
+        this.analyser.getByteFrequencyData(this.dataArray);
+        return this.processAudioData(this.dataArray);
+    }
 
-        const morphBase = 1.0 + audioData.mid * this.reactivitySettings.midToMorph;
-        setParam('morphFactor', morphBase);
+    /**
+     * Band levels (see FrequencyBands) plus spectral flux for one analyser read
+     */
+    processAudioData(dataArray) {
+        const levels = this.frequencyBands.process(dataArray);
+        levels.flux = this.computeFlux(dataArray);
+        return levels;
+    }
 
-        const chaosValue = 0.2 + audioData.high * this.reactivitySettings.highToChaos;
-        setParam('chaos', chaosValue);
+    /**
+     * Change the band split: { bands: preset name | { [band]: [lowHz, highHz] } | { bands: n, spacing: 'log' }, weighting }
+     * The offline analysis uses the same bands, so a loaded track is re-analyzed
+     */
+    async setFrequencyBands(settings) {
+        const previous = JSON.stringify(this.frequencyBands.toJSON());
+        try {
+            this.frequencyBands.configure(settings);
+            this.analyzer.frequencyBands.configure(settings);
+        } catch (error) {
+            this.updateStatus(`⚠️ ${error.message}`);
+            return;
+        }
+        this.renderModulationList();
+        this.markDirty();
 
-        const speedValue = 1.0 + audioData.energy * this.reactivitySettings.energyToSpeed;
-        setParam('speed', speedValue);
+        if (this.currentFile && JSON.stringify(this.frequencyBands.toJSON()) !== previous) {
+            await this.analyzeAudioFile(this.currentFile, false);
+        }
+    }
 
-        const intensityValue = 0.5 + audioData.energy * this.reactivitySettings.energyToIntensity;
-        setParam('intensity', intensityValue);
+    /**
+     * Spectral flux between consecutive analyser reads (onset strength for the tempo tracker)
+     */
+    computeFlux(dataArray) {
+        if (!this.previousSpectrum) {
+            this.previousSpectrum = new Uint8Array(dataArray.length);
+        }
 
-        const saturationValue = 0.7 + audioData.bass * 0.3;
-        setParam('saturation', saturationValue);
+        let flux = 0, weightSum = 0;
+        for (let i = 0; i < dataArray.length; i++) {
+            const weight = 1 / (i + 1);
+            flux += Math.max(0, dataArray[i] - this.previousSpectrum[i]) * weight;
+            weightSum += weight;
+        }
+        this.previousSpectrum.set(dataArray);
+        return flux / weightSum / 255;
+    }
 
-        // Reactive hue shifting based on frequencies
-        const currentTime = this.audio.currentTime;
-        const hueShift = (audioData.mid * 60 + audioData.high * 30) % 360;
-        setParam('hue', (currentTime * 5 + hueShift) % 360);
+    /**
+     * Advance the musical position and fire onBeat() when a new beat starts
+     * beatState exposes { bpm, beatIndex, barIndex, beatInBar, isDownbeat, phase }
+     */
+    detectBeat(audioData, time = this.currentTime) {
+        let beat = null;
+
+        const rendering = this.offlineRenderer && this.offlineRenderer.isRendering;
+        if (this.midi.clock.running && this.isPlaying && !rendering) {
+            // External MIDI clock sets tempo and beat position (wall-clock timed, so not during offline export)
+            const position = this.midi.getClockState(performance.now() / 1000, this.quantizer.beatsPerBar);
+            if (position.beatIndex >= 0 && position.beatIndex !== this.beatState.beatIndex) {
+                beat = position;
+            }
+            this.beatState = position;
+        } else if (this.analysis) {
+            const position = this.analysis.getBeatAt(time);
+            if (position.beatIndex >= 0 && position.beatIndex !== this.beatState.beatIndex) {
+                beat = position;
+            }
+            this.beatState = position;
+        } else {
+            beat = this.tempoTracker.push(audioData.flux, time, audioData.bass);
+            this.beatState = this.tempoTracker.getState(time);
+        }
 
-        // Reactive 4D rotations
-        setParam('rot4dXW', Math.sin(currentTime * 0.5 + audioData.bass * Math.PI) * Math.PI);
-        setParam('rot4dYW', Math.cos(currentTime * 0.3 + audioData.mid * Math.PI) * Math.PI);
-        setParam('rot4dZW', Math.sin(currentTime * 0.7 + audioData.high * Math.PI) * Math.PI);
+        this.detectedBPM = this.beatState.bpm;
+        if (beat) {
+            this.onBeat(beat, audioData);
+        }
     }
 
     /**
-     * CHOREOGRAPHED MODE: Timeline-based choreography with FULL audio reactivity
-     * Choreography controls: system switching, geometry changes, base parameters
-     * Audio reactivity: ALWAYS active, overlays on choreographed parameters
+     * Collect this frame's kick/snare/hi-hat hits and add decaying hit levels to audioData
+     * (audioData.kick/snare/hihat: the last hit's confidence, falling off over PERCUSSION_DECAY)
      */
-    applyChoreography(audioData) {
-        const currentTime = this.audio.currentTime;
+    detectPercussion(audioData, time = this.currentTime) {
+        const hits = this.percussion.update(this.dataArray, time, this.analysis);
+        hits.forEach(hit => { this.lastHits[hit.type] = hit; });
+
+        for (const type of PERCUSSION_TYPES) {
+            const hit = this.lastHits[type];
+            audioData[type] = hit && time >= hit.time
+                ? hit.confidence * Math.exp(-(time - hit.time) / PERCUSSION_DECAY)
+                : 0;
+        }
+        return hits;
+    }
 
-        // Find active sequence
-        const activeSequence = this.sequences.find(seq =>
-            currentTime >= seq.time && currentTime < seq.time + seq.duration
-        );
+    /**
+     * Add <band>Env values (attack/release/hold/gate followers) to audioData
+     */
+    followEnvelopes(audioData, time = this.currentTime) {
+        const envelopes = this.envelopes.process(audioData, time, this.detectedBPM);
+        for (const [band, value] of Object.entries(envelopes)) {
+            audioData[`${band}Env`] = value;
+        }
+        return envelopes;
+    }
 
-        if (!activeSequence) return;
+    /**
+     * audioData with bass/mid/high/energy read from the sources chosen in bandSources
+     */
+    selectBandSources(audioData) {
+        const selected = { ...audioData };
+        for (const [band, source] of Object.entries(this.bandSources)) {
+            if (Number.isFinite(audioData[source])) selected[band] = audioData[source];
+        }
+        return selected;
+    }
 
-        const effects = activeSequence.effects;
+    setBandSource(band, source) {
+        this.bandSources[band] = source;
+        this.commitEdit(`Set ${band} source`);
+    }
 
-        const setParam = (param, value) => {
-            if (this.currentEngine.parameterManager) {
-                this.currentEngine.parameterManager.setParameter(param, value);
-            } else if (this.currentEngine.updateParameter) {
-                this.currentEngine.updateParameter(param, value);
-            } else if (this.currentEngine.updateParameters) {
-                this.currentEngine.updateParameters({ [param]: value });
-            }
-        };
+    setEnvelope(band, property, value) {
+        const number = parseFloat(value);
+        if (value !== '' && !Number.isFinite(number)) return;
+        this.envelopes.configure(band, { [property]: value === '' ? null : number });
+        this.commitEdit(`Set ${band} envelope ${property}`, `envelope:${band}:${property}`);
+    }
+
+    onBeat(beat, audioData) {
+        // Visual beat indicator
+        const indicator = document.getElementById('beatIndicator');
+        indicator.classList.add('active');
+        setTimeout(() => indicator.classList.remove('active'), 300);
+
+        // Trigger engine effects: always on downbeats, otherwise only on strong bass
+        if (this.currentEngine) {
+            if (beat.isDownbeat) {
+                this.currentEngine.triggerEvent('downbeat', { intensity: 1.0 });
+            } else if (audioData.bass > this.beatThreshold) {
+                this.currentEngine.triggerEvent('beat', { intensity: 0.6 });
+            }
+        }
+    }
+
+    /**
+     * Current musical position for choreography consumers
+     */
+    getBeatState() {
+        return this.beatState;
+    }
+
+    /**
+     * REACTIVE MODE: Built-in audio reactivity with direct parameter mapping
+     * audioData: every modulation source for this frame (see getModulationSources)
+     */
+    applyReactiveMode(audioData, currentTime = this.currentTime) {
+        const base = {
+            ...this.postProcessing.base,
+            ...layerParameterDefaults(),
+            ...REACTIVE_BASE,
+            hue: (currentTime * 5) % 360,
+            rot4dXW: Math.sin(currentTime * 0.5) * Math.PI,
+            rot4dYW: Math.cos(currentTime * 0.3) * Math.PI,
+            rot4dZW: Math.sin(currentTime * 0.7) * Math.PI
+        };
+
+        const values = this.modulation.process(audioData, base, currentTime);
+        for (const [param, value] of Object.entries(values)) {
+            this.setEngineParameter(param, value);
+        }
+        this.clearLayerOverrides(values);
+    }
+
+    /**
+     * Everything a modulation route can read this frame
+     */
+    getModulationSources(audioData, currentTime = this.currentTime) {
+        const beatsPerBar = this.quantizer.beatsPerBar;
+        const position = musicalPosition(this.beatState, currentTime, beatsPerBar);
+        return { ...audioData, ...this.midi.getSources(), ...this.modulators.process(position, beatsPerBar) };
+    }
+
+    /**
+     * Modulation routing (see ModulationMatrix)
+     * matrix: 'modulation' (reactive mode) or 'choreographyModulation' (choreographed mode)
+     */
+    addModulation(route, matrix = 'modulation') {
+        const added = this[matrix].addRoute(route);
+        this.renderModulationList();
+        this.commitEdit('Add modulation route');
+        return added;
+    }
+
+    updateModulation(id, property, value, matrix = 'modulation') {
+        let change;
+        if (property === 'amount' || property === 'attack' || property === 'release') {
+            change = parseFloat(value);
+            if (!Number.isFinite(change)) return;
+        } else if (property === 'rangeMin' || property === 'rangeMax') {
+            const bound = parseFloat(value);
+            const route = this[matrix].routes.find(r => r.id === id);
+            if (!route || !Number.isFinite(bound)) return;
+            const range = [...route.range];
+            range[property === 'rangeMin' ? 0 : 1] = bound;
+            property = 'range';
+            change = range;
+        } else if (property === 'enabled') {
+            change = Boolean(value);
+        } else {
+            change = value;
+        }
+
+        try {
+            this[matrix].updateRoute(id, { [property]: change });
+        } catch (error) {
+            this.updateStatus(`⚠️ ${error.message}`);
+        }
+        this.renderModulationList();
+        this.commitEdit(`Edit modulation ${property}`, `${matrix}:${id}:${property}`);
+    }
+
+    removeModulation(id, matrix = 'modulation') {
+        this[matrix].removeRoute(id);
+        this.renderModulationList();
+        this.commitEdit('Remove modulation route');
+    }
+
+    /**
+     * Tempo-synced sources (see TempoModulators); steps are edited as comma-separated text
+     */
+    addModulator(type) {
+        let index = 1;
+        while (this.modulators.get(`${type === 'steps' ? 'steps' : 'lfo'}${index}`)) index++;
+        const name = `${type === 'steps' ? 'steps' : 'lfo'}${index}`;
+        this.modulators.set(type === 'steps'
+            ? { type, name, steps: [1, 0, 0, 0], rate: '1/16' }
+            : { type: 'lfo', name, shape: 'sine', rate: '1 bar' });
+        this.renderModulationList();
+        this.commitEdit(`Add ${name}`);
+    }
+
+    updateModulator(name, property, value) {
+        const modulator = this.modulators.get(name);
+        if (!modulator) return;
+
+        let change = value;
+        if (property === 'steps') change = String(value).split(',').map(step => parseFloat(step));
+        else if (property === 'phase') change = parseFloat(value);
+        else if (property === 'glide') change = Boolean(value);
+
+        try {
+            this.modulators.set({ ...modulator.toJSON(), [property]: change });
+        } catch (error) {
+            this.updateStatus(`⚠️ ${error.message}`);
+        }
+        this.renderModulationList();
+        this.commitEdit(`Edit ${name} ${property}`, `modulator:${name}:${property}`);
+    }
+
+    removeModulator(name) {
+        this.modulators.remove(name);
+        this.renderModulationList();
+        this.commitEdit(`Remove ${name}`);
+    }
+
+    renderModulationList() {
+        const list = document.getElementById('modulation-list');
+        if (!list) return;
+
+        const options = (values, selected) => values.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`).join('');
+        const routes = [...this.modulation.routes, ...this.choreographyModulation.routes];
+        const sources = [...new Set([...MODULATION_SOURCES, ...this.frequencyBands.names, ...this.modulators.names, ...Object.keys(this.midi.getSources()), ...routes.map(route => route.source)])];
+        const params = Object.keys(this.modulation.parameterDefs);
+
+        const modulatorControls = this.modulators.toJSON().map(modulator => `
+            <div class="sequence-item">
+                <div class="sequence-controls">
+                    <label style="grid-column: span 2;">〰️ ${modulator.name} (${modulator.type === 'steps' ? 'step sequencer' : 'LFO'})</label>
+
+                    <label>Rate</label>
+                    <select onchange="choreographer.updateModulator('${modulator.name}', 'rate', this.value)">${options([...new Set([...MUSICAL_DIVISIONS, modulator.rate])], modulator.rate)}</select>
+                    ${modulator.type === 'steps' ? `
+                    <label>Steps</label>
+                    <input type="text" value="${modulator.steps.join(', ')}" onchange="choreographer.updateModulator('${modulator.name}', 'steps', this.value)">
+
+                    <label>Glide</label>
+                    <input type="checkbox" ${modulator.glide ? 'checked' : ''} onchange="choreographer.updateModulator('${modulator.name}', 'glide', this.checked)">
+                    ` : `
+                    <label>Shape</label>
+                    <select onchange="choreographer.updateModulator('${modulator.name}', 'shape', this.value)">${options(LFO_SHAPES, modulator.shape)}</select>
+
+                    <label>Phase</label>
+                    <input type="number" step="0.05" value="${modulator.phase}" onchange="choreographer.updateModulator('${modulator.name}', 'phase', this.value)">
+                    `}
+                </div>
+                <button onclick="choreographer.removeModulator('${modulator.name}')" style="margin-top: 10px; background: #f44; font-size: 10px; padding: 5px;">Remove</button>
+            </div>
+        `).join('') + `
+            <button onclick="choreographer.addModulator('lfo')" style="font-size: 10px; padding: 5px;">+ Add LFO</button>
+            <button onclick="choreographer.addModulator('steps')" style="font-size: 10px; padding: 5px; margin-bottom: 10px;">+ Add Step Sequencer</button>
+        `;
+
+        const envelopeControls = Object.entries(this.envelopes.toJSON()).map(([band, envelope]) => `
+            <div class="sequence-controls">
+                <label style="grid-column: span 2;">📈 ${band} envelope</label>
+                ${['attack', 'release', 'releaseBeats', 'hold', 'threshold'].map(key => `
+                    <label>${key}</label>
+                    <input type="number" step="0.01" min="0" value="${envelope[key] ?? ''}" onchange="choreographer.setEnvelope('${band}', '${key}', this.value)">
+                `).join('')}
+            </div>
+        `).join('');
+
+        const bandSplit = this.frequencyBands.toJSON();
+        const bandControls = `
+            <div class="sequence-controls" style="margin-bottom: 10px;">
+                <label>Frequency bands</label>
+                <select onchange="choreographer.setFrequencyBands({ bands: this.value })">${options(typeof bandSplit.bands === 'string' ? Object.keys(BAND_PRESETS) : ['custom', ...Object.keys(BAND_PRESETS)], typeof bandSplit.bands === 'string' ? bandSplit.bands : 'custom')}</select>
+
+                <label>Weighting</label>
+                <select onchange="choreographer.setFrequencyBands({ weighting: this.value })">${options(BAND_WEIGHTINGS, bandSplit.weighting)}</select>
+                ${Object.entries(this.bandSources).map(([band, source]) => `
+                    <label>Choreography ${band}</label>
+                    <select onchange="choreographer.setBandSource('${band}', this.value)">${options(sources, source)}</select>
+                `).join('')}
+            </div>
+        `;
+
+        const routeControls = (matrix, title) => `
+            <label style="display: block; margin: 10px 0 5px;">${title}</label>
+        ` + this[matrix].routes.map(route => `
+            <div class="sequence-item"${route.enabled ? '' : ' style="opacity: 0.5;"'}>
+                <div class="sequence-controls">
+                    <label>Source</label>
+                    <select onchange="choreographer.updateModulation(${route.id}, 'source', this.value, '${matrix}')">${options(sources, route.source)}</select>
+
+                    <label>Target</label>
+                    <select onchange="choreographer.updateModulation(${route.id}, 'target', this.value, '${matrix}')">${options(params, route.target)}</select>
+
+                    <label>Amount</label>
+                    <input type="number" step="0.1" value="${route.amount}" onchange="choreographer.updateModulation(${route.id}, 'amount', this.value, '${matrix}')">
+
+                    <label>Mode</label>
+                    <select onchange="choreographer.updateModulation(${route.id}, 'mode', this.value, '${matrix}')">${options(MODULATION_MODES, route.mode)}</select>
+
+                    <label>Curve</label>
+                    <select onchange="choreographer.updateModulation(${route.id}, 'curve', this.value, '${matrix}')">${options(Object.keys(MODULATION_CURVES), route.curve)}</select>
+
+                    <label>Polarity</label>
+                    <select onchange="choreographer.updateModulation(${route.id}, 'polarity', this.value, '${matrix}')">${options(MODULATION_POLARITIES, route.polarity)}</select>
+
+                    <label>Range Min</label>
+                    <input type="number" step="0.05" value="${route.range[0]}" onchange="choreographer.updateModulation(${route.id}, 'rangeMin', this.value, '${matrix}')">
+
+                    <label>Range Max</label>
+                    <input type="number" step="0.05" value="${route.range[1]}" onchange="choreographer.updateModulation(${route.id}, 'rangeMax', this.value, '${matrix}')">
+
+                    <label>Attack (s)</label>
+                    <input type="number" step="0.01" min="0" value="${route.attack}" onchange="choreographer.updateModulation(${route.id}, 'attack', this.value, '${matrix}')">
+
+                    <label>Release (s)</label>
+                    <input type="number" step="0.01" min="0" value="${route.release}" onchange="choreographer.updateModulation(${route.id}, 'release', this.value, '${matrix}')">
+                </div>
+                <label style="font-size: 10px;"><input type="checkbox" ${route.enabled ? 'checked' : ''} onchange="choreographer.updateModulation(${route.id}, 'enabled', this.checked, '${matrix}')"> Enabled</label>
+                <button onclick="choreographer.removeModulation(${route.id}, '${matrix}')" style="margin-top: 10px; background: #f44; font-size: 10px; padding: 5px;">Remove</button>
+            </div>
+        `).join('') + `
+            <button onclick="choreographer.addModulation({ source: 'lfo1', target: 'intensity', amount: 0.5 }, '${matrix}')" style="font-size: 10px; padding: 5px;">+ Add Route</button>
+        `;
+
+        list.innerHTML = modulatorControls + bandControls + envelopeControls +
+            routeControls('modulation', '🎛️ Reactive mode routes') +
+            routeControls('choreographyModulation', '🎬 Choreographed mode routes');
+    }
+
+    /**
+     * CHOREOGRAPHED MODE: Timeline-based choreography with FULL audio reactivity
+     * Choreography controls: system switching, geometry changes, base parameters
+     * Audio reactivity: ALWAYS active, overlays on choreographed parameters
+     */
+    applyChoreography(audioData, currentTime = this.currentTime) {
+        // Automation lanes give exact base values; sequences fill in everything else
+        const automated = this.automation.resolve(currentTime);
+
+        // Find active sequence
+        const activeSequence = this.getSequenceAt(currentTime);
+
+        if (!activeSequence) {
+            this.applyFrame(this.applyAutomation(automated, audioData), audioData, currentTime);
+            return;
+        }
+
+        const effects = activeSequence.effects;
+
+        // Collected first so choreographyModulation routes can layer on top
+        const frame = {};
+        const setParam = (param, value) => {
+            if (!(param in automated)) {
+                frame[param] = value;
+            }
+        };
 
         // CHECK FOR SYSTEM SWITCH (if sequence specifies a different system)
-        if (effects.system && effects.system !== this.currentSystem) {
+        if (effects.system && effects.system !== this.currentSystem && this.systemHold !== activeSequence) {
             console.log(`🎬 Choreography: Switching to ${effects.system} system at ${currentTime.toFixed(1)}s`);
-            this.switchSystem(effects.system);
+            this.switchSystem(effects.system, this.getTransition(activeSequence), currentTime);
         }
 
         // Geometry choreography
@@ -524,10 +1453,10 @@ export class MusicVideoChoreographer {
             const geomIndex = Math.floor((currentTime - activeSequence.time) / 2) % 9;
             setParam('geometry', geomIndex);
         } else if (effects.geometry === 'random' && audioData.energy > 0.6) {
-            const geomIndex = Math.floor(Math.random() * 9);
+            const geomIndex = Math.floor(this.random.next() * 9);
             setParam('geometry', geomIndex);
-        } else if (effects.geometry === 'explosive' && Math.random() < 0.1) {
-            const geomIndex = Math.floor(Math.random() * 9);
+        } else if (effects.geometry === 'explosive' && this.random.next() < 0.1) {
+            const geomIndex = Math.floor(this.random.next() * 9);
             setParam('geometry', geomIndex);
         }
 
@@ -594,10 +1523,63 @@ export class MusicVideoChoreographer {
         setParam('intensity', 0.5 + audioData.energy * 0.5);
         setParam('saturation', 0.7 + audioData.bass * 0.3);
 
-        // ENABLE BUILT-IN AUDIO REACTIVITY for engines that have it
-        if (this.currentEngine && this.currentEngine.audioEnabled !== undefined) {
-            this.currentEngine.audioEnabled = true;
+        this.applyFrame(this.applyAutomation(automated, audioData, frame), audioData, currentTime);
+    }
+
+    /**
+     * Add automated base values with their audio layer on top to `frame`
+     */
+    applyAutomation(automated, audioData, frame = {}) {
+        for (const [param, base] of Object.entries(automated)) {
+            const layer = AUTOMATION_AUDIO_LAYERS[param];
+            frame[param] = layer ? layer(base, audioData) : base;
+        }
+        return frame;
+    }
+
+    /**
+     * Run a choreographed frame through choreographyModulation and send it to the engine
+     */
+    applyFrame(frame, sources, currentTime) {
+        // Effects and layer compositing not automated this frame sit at their base values
+        const values = this.choreographyModulation.process(sources, { ...this.postProcessing.base, ...layerParameterDefaults(), ...frame }, currentTime);
+        for (const [param, value] of Object.entries(values)) {
+            this.setEngineParameter(param, value);
+        }
+        this.clearLayerOverrides(values);
+    }
+
+    /**
+     * Layer overrides (accent.hue ...) nothing set this frame go back to following the global value
+     */
+    clearLayerOverrides(values) {
+        for (const [param, value] of Object.entries(this.parameterValues)) {
+            if (value !== null && !(param in values) && parseLayerParameter(param)?.override) {
+                this.setEngineParameter(param, null);
+            }
+        }
+    }
+
+    /**
+     * Route a parameter to whichever API the current engine exposes (effect parameters go to the post-processing chain)
+     */
+    setEngineParameter(param, value) {
+        if (isPostParameter(param)) {
+            this.parameterValues[param] = value;
+            this.postProcessing.setParameters({ [param]: value });
+            return;
         }
+        if (!this.currentEngine) return;
+        this.parameterValues[param] = value;
+
+        this.currentEngine.setParameters({ [param]: value });
+    }
+
+    /**
+     * Sequence active at a time in seconds
+     */
+    getSequenceAt(time) {
+        return this.sequences.find(seq => time >= seq.time && time < seq.time + seq.duration) || null;
     }
 
     updateTimeline() {
@@ -606,16 +1588,671 @@ export class MusicVideoChoreographer {
     }
 
     updateInfoPanel(audioData) {
-        document.getElementById('beat-info').textContent = `BPM: ${this.detectedBPM} | Threshold: ${this.beatThreshold}`;
+        const { barIndex, beatInBar } = this.beatState;
+        const position = barIndex >= 0 ? `Bar ${barIndex + 1}.${beatInBar + 1}` : 'Bar --';
+        const drums = PERCUSSION_TYPES.map(type => `${type[0].toUpperCase()}${audioData[type] > 0.5 ? '●' : '○'}`).join(' ');
+        document.getElementById('beat-info').textContent = `BPM: ${this.detectedBPM || '--'} | ${position} | ${drums} | Threshold: ${this.beatThreshold}`;
         document.getElementById('energy-info').textContent = `Energy: ${(audioData.energy * 100).toFixed(0)}% | Bass: ${(audioData.bass * 100).toFixed(0)}%`;
     }
 
+    /**
+     * Import an LRC, SRT or WebVTT file into the text track called `name` (created if missing)
+     */
+    async loadLyrics(file, name = 'lyrics') {
+        try {
+            const cues = parseLyrics(await file.text(), file.name);
+            let track = this.textTracks.find(existing => existing.name === name);
+            if (!track) {
+                track = new TextTrack({ name });
+                this.textTracks.push(track);
+            }
+            track.setCues(cues);
+            this.commitEdit(`Import lyrics ${file.name}`);
+            this.updateStatus(`📝 ${cues.length} lyric lines from ${file.name}`);
+        } catch (error) {
+            this.updateStatus(`❌ ${file.name}: ${error.message}`);
+        }
+        this.renderTextTracks();
+    }
+
+    addTextTrack() {
+        let index = this.textTracks.length + 1;
+        while (this.textTracks.some(track => track.name === `text${index}`)) index++;
+        this.textTracks.push(new TextTrack({ name: `text${index}`, style: { position: 'center' } }));
+        this.renderTextTracks();
+        this.commitEdit('Add text track');
+    }
+
+    removeTextTrack(index) {
+        this.textTracks.splice(index, 1);
+        this.renderTextTracks();
+        this.commitEdit('Remove text track');
+    }
+
+    /**
+     * Edit a track: section 'style' | 'effects' | 'track'; effects are pulse/glow sources and amounts, hue offset or fade
+     */
+    updateTextTrack(index, section, property, value) {
+        const track = this.textTracks[index];
+        if (!track) return;
+
+        if (section === 'track') {
+            track[property] = property === 'visible' ? Boolean(value) : value;
+        } else if (section === 'style') {
+            track.style[property] = ['size', 'outline', 'margin', 'maxWidth', 'lineHeight'].includes(property) ? parseFloat(value) : value;
+        } else if (property === 'fade') {
+            track.effects.fade = Math.max(0, parseFloat(value) || 0);
+        } else if (property === 'hue') {
+            // Checkbox toggles following the hue parameter; a number sets its offset
+            track.effects.hue = value === false ? null : { ...(track.effects.hue || {}), offset: value === true ? 0 : parseFloat(value) || 0 };
+        } else {
+            // 'pulse.source', 'glow.amount'...
+            const [effect, key] = property.split('.');
+            const current = track.effects[effect] || { source: 'energy', amount: 0 };
+            track.effects[effect] = { ...current, [key]: key === 'amount' ? parseFloat(value) || 0 : value };
+        }
+        this.renderTextTracks();
+        this.commitEdit(`Edit ${track.name} ${property}`, `text:${index}:${section}:${property}`);
+    }
+
+    addCue(index, time = this.currentTime) {
+        const track = this.textTracks[index];
+        if (!track) return;
+        track.addCue({ start: time, end: time + 3, text: 'New line' });
+        this.renderTextTracks();
+        this.commitEdit('Add cue');
+    }
+
+    updateCue(index, cueIndex, property, value) {
+        const track = this.textTracks[index];
+        if (!track || !track.cues[cueIndex]) return;
+        const cue = { ...track.cues[cueIndex], [property]: property === 'text' ? value : parseFloat(value) };
+        if (!(cue.end > cue.start)) {
+            this.updateStatus('⚠️ A cue must end after it starts');
+        } else {
+            track.cues[cueIndex] = cue;
+            track.setCues(track.cues);
+        }
+        this.renderTextTracks();
+        this.commitEdit(`Edit cue ${property}`, `cue:${index}:${cueIndex}:${property}`);
+    }
+
+    removeCue(index, cueIndex) {
+        const track = this.textTracks[index];
+        if (!track) return;
+        track.removeCue(cueIndex);
+        this.renderTextTracks();
+        this.commitEdit('Remove cue');
+    }
+
+    /**
+     * Flatten the layer canvases in #vib34dLayers into a 2D context with their layer compositing, blending systems mid-transition
+     * Must run right after the engines draw - the WebGL canvases don't preserve their buffers
+     */
+    compositeLayers(ctx, time, width, height) {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        const container = document.getElementById('vib34dLayers');
+        if (!container) return;
+        const drawLayer = (target, element) => {
+            element.querySelectorAll('canvas').forEach(canvas => {
+                if (canvas.width && canvas.height) {
+                    drawLayerCanvas(target, canvas, width, height);
+                }
+            });
+        };
+
+        if (this.transition) {
+            this.transition.composite(ctx, time, width, height, drawLayer);
+        } else {
+            drawLayer(ctx, container);
+        }
+    }
+
+    /**
+     * Run the post-processing chain over a composited frame in place (no-op while every effect is off)
+     */
+    applyPostProcessing(ctx, time, width, height, key = 'frame') {
+        if (!this.postProcessing.isActive()) return;
+        ctx.drawImage(this.postProcessing.processCanvas(ctx.canvas, time, key), 0, 0, width, height);
+    }
+
+    /**
+     * Live preview of the effects: the layers are composited each frame and the chain's canvas covers them
+     * (under the text overlay). Hidden while every effect is off, so plain playback costs nothing extra.
+     */
+    drawPostOverlay(time) {
+        // OfflineRenderer composites its own frames after the engines draw
+        if (this.offlineRenderer && this.offlineRenderer.isRendering) return;
+
+        const active = this.postProcessing.isActive();
+        if (!this.postOverlay) {
+            if (!active) return;
+            const container = document.getElementById('vib34dLayers');
+            if (!container) return;
+            this.postSource = document.createElement('canvas');
+            this.postOverlay = document.createElement('div');
+            this.postOverlay.className = 'post-overlay';
+            this.postOverlay.style.cssText = 'position:absolute;inset:0;pointer-events:none;z-index:5;';
+            (container.parentElement || document.body).appendChild(this.postOverlay);
+        }
+
+        this.postOverlay.style.display = active ? '' : 'none';
+        if (!active) return;
+
+        const source = this.postSource;
+        if (source.width !== window.innerWidth || source.height !== window.innerHeight) {
+            source.width = window.innerWidth;
+            source.height = window.innerHeight;
+        }
+        // This tick runs outside the engines' draw pass, so draw them here for compositeLayers to read (as OfflineRenderer does)
+        this.getActiveEngines().forEach(system => system.render(time));
+        const ctx = source.getContext('2d');
+        this.compositeLayers(ctx, time, source.width, source.height);
+
+        // Its own trails history, apart from exported frames
+        const output = this.postProcessing.processCanvas(source, time, 'live');
+        if (output.parentElement !== this.postOverlay) {
+            output.style.cssText = 'width:100%;height:100%;display:block;';
+            this.postOverlay.appendChild(output);
+        }
+    }
+
+    /**
+     * Post-processing editing: effect order, toggles and base values (see PostProcessingChain)
+     */
+    setPostEffectEnabled(type, enabled) {
+        this.postProcessing.setEnabled(type, enabled);
+        this.renderPostProcessing();
+        this.commitEdit(`${enabled ? 'Enable' : 'Disable'} ${POST_EFFECTS[type].label}`);
+    }
+
+    movePostEffect(type, delta) {
+        this.postProcessing.move(type, delta);
+        this.renderPostProcessing();
+        this.commitEdit(`Move ${POST_EFFECTS[type].label}`);
+    }
+
+    setPostParameter(param, value) {
+        this.postProcessing.setBase(param, parseFloat(value));
+        this.commitEdit(`Set ${param}`, `post:${param}`);
+    }
+
+    /**
+     * Effect chain controls into #post-effects when the page has it
+     */
+    renderPostProcessing() {
+        const list = document.getElementById('post-effects');
+        if (!list) return;
+
+        const defs = this.postProcessing.parameterDefs;
+        const effects = this.postProcessing.effects;
+        list.innerHTML = effects.map(({ type, enabled }, i) => `
+            <div class="sequence-item"${enabled ? '' : ' style="opacity: 0.5;"'}>
+                <div class="sequence-controls">
+                    <label style="grid-column: span 2;">✨ ${POST_EFFECTS[type].label}</label>
+
+                    <label>Enabled</label>
+                    <input type="checkbox" ${enabled ? 'checked' : ''} onchange="choreographer.setPostEffectEnabled('${type}', this.checked)">
+                    ${POST_EFFECTS[type].parameters.map(param => `
+                    <label>${param}</label>
+                    <input type="range" min="${defs[param].min}" max="${defs[param].max}" step="${defs[param].step}" value="${this.postProcessing.base[param]}"
+                           oninput="choreographer.setPostParameter('${param}', this.value)">
+                    `).join('')}
+                </div>
+                <button onclick="choreographer.movePostEffect('${type}', -1)" ${i === 0 ? 'disabled' : ''} style="font-size: 10px; padding: 5px;">▲</button>
+                <button onclick="choreographer.movePostEffect('${type}', 1)" ${i === effects.length - 1 ? 'disabled' : ''} style="font-size: 10px; padding: 5px;">▼</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Draw every text track for `time` into a 2D context (live overlay and offline frames)
+     */
+    drawText(ctx, time, width, height) {
+        this.textTracks.forEach(track => track.draw(ctx, time, width, height, this.frameSources, this.parameterValues));
+    }
+
+    /**
+     * Live preview: a transparent canvas over the system layers (outside #vib34dLayers, which is cleared on system switches)
+     */
+    drawTextOverlay(time) {
+        if (!this.textCanvas) {
+            if (this.textTracks.length === 0) return;
+            const container = document.getElementById('vib34dLayers');
+            if (!container) return;
+            this.textCanvas = document.createElement('canvas');
+            this.textCanvas.className = 'text-overlay';
+            this.textCanvas.style.cssText = 'position:absolute;inset:0;width:100%;height:100%;pointer-events:none;z-index:10;';
+            (container.parentElement || document.body).appendChild(this.textCanvas);
+        }
+
+        const canvas = this.textCanvas;
+        if (canvas.width !== window.innerWidth || canvas.height !== window.innerHeight) {
+            canvas.width = window.innerWidth;
+            canvas.height = window.innerHeight;
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        this.drawText(ctx, time, canvas.width, canvas.height);
+    }
+
+    /**
+     * Lyrics import, text styles/effects and cue list into #text-tracks when the page has it
+     */
+    renderTextTracks() {
+        const list = document.getElementById('text-tracks');
+        if (!list) return;
+
+        const options = (values, selected) => values.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`).join('');
+        const sources = [...new Set([...MODULATION_SOURCES, ...this.frequencyBands.names, ...this.modulators.names, ...Object.keys(this.modulation.parameterDefs)])];
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        const format = seconds => seconds.toFixed(2);
+
+        list.innerHTML = this.textTracks.map((track, i) => `
+            <div class="sequence-item"${track.visible ? '' : ' style="opacity: 0.5;"'}>
+                <div class="sequence-controls">
+                    <label style="grid-column: span 2;">📝 ${escape(track.name)} (${track.cues.length} cues)</label>
+
+                    <label>Visible</label>
+                    <input type="checkbox" ${track.visible ? 'checked' : ''} onchange="choreographer.updateTextTrack(${i}, 'track', 'visible', this.checked)">
+
+                    <label>Position</label>
+                    <select onchange="choreographer.updateTextTrack(${i}, 'style', 'position', this.value)">${options(TEXT_POSITIONS, track.style.position)}</select>
+
+                    <label>Align</label>
+                    <select onchange="choreographer.updateTextTrack(${i}, 'style', 'align', this.value)">${options(TEXT_ALIGNS, track.style.align)}</select>
+
+                    <label>Size</label>
+                    <input type="number" step="0.01" min="0.01" value="${track.style.size}" onchange="choreographer.updateTextTrack(${i}, 'style', 'size', this.value)">
+
+                    <label>Font</label>
+                    <input type="text" value="${escape(track.style.font)}" onchange="choreographer.updateTextTrack(${i}, 'style', 'font', this.value)">
+
+                    <label>Color</label>
+                    <input type="color" value="${track.style.color}" onchange="choreographer.updateTextTrack(${i}, 'style', 'color', this.value)">
+
+                    <label>Hue from parameter</label>
+                    <input type="checkbox" ${track.effects.hue ? 'checked' : ''} onchange="choreographer.updateTextTrack(${i}, 'effects', 'hue', this.checked)">
+                    ${track.effects.hue ? `
+                    <label>Hue offset</label>
+                    <input type="number" step="10" value="${track.effects.hue.offset || 0}" onchange="choreographer.updateTextTrack(${i}, 'effects', 'hue', this.value)">
+                    ` : ''}
+                    ${['pulse', 'glow'].map(effect => `
+                    <label>${effect} source</label>
+                    <select onchange="choreographer.updateTextTrack(${i}, 'effects', '${effect}.source', this.value)">${options(sources, track.effects[effect] ? track.effects[effect].source : '')}</select>
+
+                    <label>${effect} amount</label>
+                    <input type="number" step="0.01" value="${track.effects[effect] ? track.effects[effect].amount : 0}" onchange="choreographer.updateTextTrack(${i}, 'effects', '${effect}.amount', this.value)">
+                    `).join('')}
+                    <label>Fade (s)</label>
+                    <input type="number" step="0.05" min="0" value="${track.effects.fade}" onchange="choreographer.updateTextTrack(${i}, 'effects', 'fade', this.value)">
+                </div>
+                ${track.cues.map((cue, c) => `
+                    <div class="sequence-controls">
+                        <input type="number" step="0.01" min="0" value="${format(cue.start)}" onchange="choreographer.updateCue(${i}, ${c}, 'start', this.value)">
+                        <input type="number" step="0.01" min="0" value="${format(cue.end)}" onchange="choreographer.updateCue(${i}, ${c}, 'end', this.value)">
+                        <input type="text" value="${escape(cue.text)}" style="grid-column: span 2;" onchange="choreographer.updateCue(${i}, ${c}, 'text', this.value)">
+                        <button onclick="choreographer.removeCue(${i}, ${c})" style="background: #f44; font-size: 10px; padding: 5px;">×</button>
+                    </div>
+                `).join('')}
+                <button onclick="choreographer.addCue(${i})" style="font-size: 10px; padding: 5px;">+ Cue at playhead</button>
+                <button onclick="choreographer.removeTextTrack(${i})" style="margin-top: 10px; background: #f44; font-size: 10px; padding: 5px;">Remove</button>
+            </div>
+        `).join('') + `
+            <label style="display: block; margin: 10px 0 5px;">Import lyrics (.lrc, .srt, .vtt)</label>
+            <input type="file" accept=".lrc,.srt,.vtt,text/vtt" onchange="this.files[0] && choreographer.loadLyrics(this.files[0])">
+            <button onclick="choreographer.addTextTrack()" style="font-size: 10px; padding: 5px;">+ Add Text Track</button>
+        `;
+    }
+
     updateStatus(message) {
         document.getElementById('status').textContent = message;
     }
 
+    /**
+     * Current project as a versioned choreography document (see ChoreographyDocument.js)
+     */
+    getChoreographyDocument() {
+        return createChoreographyDocument({
+            sequences: this.sequences,
+            automation: this.automation.toJSON(),
+            analysis: this.analysis,
+            settings: {
+                mode: this.mode,
+                style: this.choreographyStyle,
+                seed: this.choreographySeed,
+                defaultTransition: this.defaultTransition,
+                beatThreshold: this.beatThreshold,
+                snapResolution: this.snapResolution,
+                frequencyBands: this.frequencyBands.toJSON(),
+                envelopes: this.envelopes.toJSON(),
+                bandSources: { ...this.bandSources },
+                midi: this.midi.toJSON()
+            },
+            modulation: this.modulation.toJSON(),
+            choreographyModulation: this.choreographyModulation.toJSON(),
+            modulators: this.modulators.toJSON(),
+            text: this.textTracks.map(track => track.toJSON()),
+            postProcessing: this.postProcessing.toJSON()
+        });
+    }
+
+    /**
+     * Load a choreography file's text; rejects with field-level `errors` if it doesn't validate.
+     * Resolves once any re-analysis for changed frequency bands is done, so the audio check sees the new analysis.
+     */
+    async loadChoreographyDocument(text) {
+        const { document, migratedFrom } = parseChoreography(text, { systems: systemRegistry.names() });
+        const settings = document.settings || {};
+
+        // applyProjectState moves the snapshot on; the undo step starts from the state before the import
+        const before = this.projectSnapshot;
+        if (settings.beatThreshold !== undefined) this.beatThreshold = settings.beatThreshold;
+        if (settings.frequencyBands) await this.setFrequencyBands(settings.frequencyBands);
+        if (settings.midi) this.midi.load(settings.midi);
+        this.applyProjectState(document);
+        this.projectSnapshot = before;
+        this.commitEdit('Import choreography');
+
+        this.importedDocument = document;
+        return { document, migratedFrom, warning: checkAudioMatch(document, this.analysis) };
+    }
+
+    /**
+     * The editable choreography (what undo/redo restores): sequences, automation, modulation, modulators,
+     * text and the settings that shape them. A deep copy, so later in-place edits don't change it.
+     */
+    getProjectState() {
+        return JSON.parse(JSON.stringify({
+            sequences: this.sequences,
+            automation: this.automation.toJSON(),
+            modulation: this.modulation.toJSON(),
+            choreographyModulation: this.choreographyModulation.toJSON(),
+            modulators: this.modulators.toJSON(),
+            text: this.textTracks.map(track => track.toJSON()),
+            postProcessing: this.postProcessing.toJSON(),
+            settings: {
+                mode: this.mode,
+                style: this.choreographyStyle,
+                seed: this.choreographySeed,
+                defaultTransition: this.defaultTransition,
+                snapResolution: this.snapResolution,
+                envelopes: this.envelopes.toJSON(),
+                bandSources: { ...this.bandSources }
+            }
+        }));
+    }
+
+    /**
+     * Restore a project state (or the matching parts of a choreography document)
+     */
+    applyProjectState(state) {
+        const settings = state.settings || {};
+
+        this.sequences = JSON.parse(JSON.stringify(state.sequences));
+        this.sortSequences();
+        this.automation.load(state.automation);
+        if (settings.mode) this.mode = settings.mode;
+        if (settings.style) this.choreographyStyle = settings.style;
+        if (settings.seed !== undefined) this.choreographySeed = settings.seed;
+        if (settings.defaultTransition) this.defaultTransition = settings.defaultTransition;
+        if (settings.snapResolution) this.snapResolution = settings.snapResolution;
+        if (settings.envelopes) this.envelopes.load(settings.envelopes);
+        if (settings.bandSources) Object.assign(this.bandSources, settings.bandSources);
+        this.modulation.load(state.modulation);
+        this.choreographyModulation.load(state.choreographyModulation);
+        this.modulators.load(state.modulators || DEFAULT_MODULATORS);
+        this.textTracks = (state.text || []).map(track => new TextTrack(track));
+        this.postProcessing.load(state.postProcessing);
+        this.random = new SeededRandom(this.choreographySeed);
+
+        this.projectSnapshot = this.getProjectState();
+        this.renderSequenceList();
+        this.renderModulationList();
+        this.renderTextTracks();
+        this.renderPostProcessing();
+    }
+
+    /**
+     * Record the edit that just happened as one undo step (state before = the last snapshot)
+     * Edits sharing a coalesce key in quick succession become one step
+     */
+    commitEdit(label, coalesce = null) {
+        const after = this.getProjectState();
+        this.history.record({ type: 'project', label, before: this.projectSnapshot, after, coalesce });
+        this.projectSnapshot = after;
+    }
+
+    /**
+     * Autosave and projects (see ProjectStore)
+     */
+    markDirty() {
+        this.dirty = true;
+    }
+
+    /**
+     * Save the session every AUTOSAVE_INTERVAL while it has changes, and whenever the page is hidden
+     * (closing or crashing the tab loses at most one interval of work)
+     */
+    startAutosave() {
+        if (!ProjectStore.supported || this.autosaveTimer) return;
+        this.autosaveTimer = setInterval(() => this.autosave(), AUTOSAVE_INTERVAL);
+        this.onPageHidden = () => {
+            if (document.visibilityState === 'hidden') this.autosave();
+        };
+        document.addEventListener('visibilitychange', this.onPageHidden);
+        window.addEventListener('pagehide', this.onPageHidden);
+    }
+
+    stopAutosave() {
+        if (!this.autosaveTimer) return;
+        clearInterval(this.autosaveTimer);
+        document.removeEventListener('visibilitychange', this.onPageHidden);
+        window.removeEventListener('pagehide', this.onPageHidden);
+        this.autosaveTimer = null;
+    }
+
+    async autosave() {
+        // Until the user answers the recovery prompt, saving would overwrite the session they may want back
+        if (!this.dirty || this.autosaving || this.pendingSession) return false;
+        this.dirty = false;
+        this.autosaving = true;
+        try {
+            await this.projects.saveSession({
+                projectId: this.projectId,
+                projectName: this.projectName,
+                document: this.getChoreographyDocument(),
+                history: this.history.toJSON(),
+                audio: this.currentFile
+            });
+            return true;
+        } catch (error) {
+            this.dirty = true;
+            console.warn('⚠️ Autosave failed:', error);
+            return false;
+        } finally {
+            this.autosaving = false;
+        }
+    }
+
+    /**
+     * Offer the last autosaved session back (shown in #project-controls, or over the page)
+     */
+    async checkForRecovery() {
+        if (!ProjectStore.supported) return;
+
+        let session;
+        try {
+            session = await this.projects.loadSession();
+        } catch (error) {
+            console.warn('⚠️ Could not read the autosaved session:', error);
+            return;
+        }
+        if (!session) return;
+        this.pendingSession = session;
+
+        const banner = document.createElement('div');
+        banner.id = 'recovery-banner';
+        banner.className = 'sequence-item';
+        const container = document.getElementById('project-controls');
+        if (!container) {
+            banner.style.cssText = 'position: fixed; top: 10px; left: 50%; transform: translateX(-50%); z-index: 1000; background: rgba(0, 0, 0, 0.9); padding: 10px; font-size: 12px;';
+        }
+        const name = session.projectName ? ` "${session.projectName}"` : '';
+        const track = session.audio ? ` with ${session.audio.name}` : '';
+        banner.innerHTML = `
+            ♻️ Restore last session${name}${track}? (autosaved ${new Date(session.savedAt).toLocaleString()})
+            <button onclick="choreographer.restoreSession()" style="font-size: 10px; padding: 5px;">Restore</button>
+            <button onclick="choreographer.discardSession()" style="font-size: 10px; padding: 5px; background: #f44;">Discard</button>
+        `;
+        (container || document.body).prepend(banner);
+    }
+
+    async restoreSession() {
+        const session = this.pendingSession;
+        if (!session) return;
+        const banner = document.getElementById('recovery-banner');
+        if (banner) banner.remove();
+
+        try {
+            await this.openProjectRecord(session, session.projectId, session.projectName);
+            this.updateStatus(`♻️ Restored last session${session.audio ? `: ${session.audio.name}` : ''}`);
+        } catch (error) {
+            console.error('Failed to restore session:', error);
+            this.updateStatus(`❌ Could not restore last session: ${error.message}`);
+        } finally {
+            // Autosave resumes only once the restored state is complete
+            this.dismissRecovery();
+        }
+    }
+
+    async discardSession() {
+        this.dismissRecovery();
+        try {
+            await this.projects.clearSession();
+        } catch (error) {
+            console.warn('⚠️ Could not clear the autosaved session:', error);
+        }
+    }
+
+    dismissRecovery() {
+        this.pendingSession = null;
+        const banner = document.getElementById('recovery-banner');
+        if (banner) banner.remove();
+    }
+
+    /**
+     * Load a saved project/session record: audio first (so the choreography isn't regenerated over the
+     * saved one), then the document, then the undo history saved with it
+     */
+    async openProjectRecord(record, id, name) {
+        if (record.audio) await this.loadAudioFile(record.audio);
+        await this.loadChoreographyDocument(JSON.stringify(record.document));
+        this.history.load(record.history || {});
+        this.projectSnapshot = this.getProjectState();
+
+        this.projectId = id || null;
+        this.projectName = name || 'Untitled';
+        this.markDirty();
+        this.renderProjectList();
+    }
+
+    /**
+     * Save under `name` (default: the open project's), updating the open project unless asCopy
+     */
+    async saveProject(name = this.projectName, asCopy = false) {
+        try {
+            const summary = await this.projects.saveProject({
+                id: asCopy ? null : this.projectId,
+                name,
+                document: this.getChoreographyDocument(),
+                history: this.history.toJSON(),
+                audio: this.currentFile
+            });
+            this.projectId = summary.id;
+            this.projectName = summary.name;
+            this.markDirty(); // the session now belongs to this project
+            this.updateStatus(`💾 Saved project "${summary.name}"`);
+            this.renderProjectList();
+            return summary;
+        } catch (error) {
+            console.error('Failed to save project:', error);
+            this.updateStatus(`❌ Could not save project: ${error.message}`);
+            return null;
+        }
+    }
+
+    async openProject(id) {
+        try {
+            const project = await this.projects.loadProject(id);
+            this.dismissRecovery();
+            await this.openProjectRecord(project, project.id, project.name);
+            this.updateStatus(`📂 Opened project "${project.name}"`);
+        } catch (error) {
+            console.error('Failed to open project:', error);
+            this.updateStatus(`❌ Could not open project: ${error.message}`);
+        }
+    }
+
+    async duplicateProject(id) {
+        try {
+            const copy = await this.projects.duplicateProject(id);
+            this.updateStatus(`📄 Duplicated as "${copy.name}"`);
+            this.renderProjectList();
+        } catch (error) {
+            this.updateStatus(`❌ Could not duplicate project: ${error.message}`);
+        }
+    }
+
+    async deleteProject(id) {
+        try {
+            const project = (await this.projects.listProjects()).find(summary => summary.id === id);
+            if (!project || !confirm(`Delete project "${project.name}"?`)) return;
+            await this.projects.deleteProject(id);
+            // The open choreography stays; it is just no longer saved anywhere but the autosave
+            if (this.projectId === id) this.projectId = null;
+            this.updateStatus(`🗑️ Deleted project "${project.name}"`);
+            this.renderProjectList();
+        } catch (error) {
+            this.updateStatus(`❌ Could not delete project: ${error.message}`);
+        }
+    }
+
+    async renderProjectList() {
+        const list = document.getElementById('project-list');
+        if (!list || !ProjectStore.supported) return;
+
+        let projects = [];
+        try {
+            projects = await this.projects.listProjects();
+        } catch (error) {
+            console.warn('⚠️ Could not list projects:', error);
+        }
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+        list.innerHTML = `
+            <div class="sequence-controls">
+                <label>Project</label>
+                <input type="text" id="project-name" value="${escape(this.projectName)}">
+            </div>
+            <button onclick="choreographer.saveProject(document.getElementById('project-name').value)" style="font-size: 10px; padding: 5px;">💾 Save</button>
+            <button onclick="choreographer.saveProject(document.getElementById('project-name').value, true)" style="font-size: 10px; padding: 5px;">Save as Copy</button>
+            ${projects.map(project => `
+                <div class="sequence-item"${project.id === this.projectId ? ' style="border-color: #0ff;"' : ''}>
+                    <div style="font-size: 11px;">${escape(project.name)}</div>
+                    <div style="font-size: 10px; opacity: 0.7;">${project.audioName ? `${escape(project.audioName)} · ` : ''}${project.sequences} sequences · ${new Date(project.updatedAt).toLocaleString()}</div>
+                    <button onclick="choreographer.openProject('${project.id}')" style="font-size: 10px; padding: 5px;">Open</button>
+                    <button onclick="choreographer.duplicateProject('${project.id}')" style="font-size: 10px; padding: 5px;">Duplicate</button>
+                    <button onclick="choreographer.deleteProject('${project.id}')" style="font-size: 10px; padding: 5px; background: #f44;">Delete</button>
+                </div>
+            `).join('')}
+        `;
+    }
+
     exportChoreography() {
-        const data = JSON.stringify(this.sequences, null, 2);
+        const data = JSON.stringify(this.getChoreographyDocument(), null, 2);
         const blob = new Blob([data], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -633,17 +2270,19 @@ export class MusicVideoChoreographer {
         input.onchange = (e) => {
             const file = e.target.files[0];
             const reader = new FileReader();
-            reader.onload = (event) => {
+            reader.onload = async (event) => {
                 try {
-                    this.sequences = JSON.parse(event.target.result);
-                    this.renderSequenceList();
-                    console.log('📂 Imported choreography');
+                    const { migratedFrom, warning } = await this.loadChoreographyDocument(event.target.result);
+                    const note = migratedFrom !== null ? ` (upgraded from v${migratedFrom})` : '';
+                    this.updateStatus(warning ? `⚠️ ${warning}` : `Imported ${file.name}${note}`);
+                    console.log(`📂 Imported choreography${note}`);
                 } catch (error) {
-                    console.error('Failed to import choreography:', error);
+                    console.error('Failed to import choreography:', error.message, error.errors || []);
+                    this.updateStatus(`❌ ${file.name}: ${error.message}`);
                 }
             };
             reader.readAsText(file);
         };
         input.click();
     }
-}
\ No newline at end of file
+}
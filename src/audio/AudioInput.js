@@ -0,0 +1,197 @@
+/**
+ * VIB34D Audio Input
+ * One input layer for every analyzer: a file (through an <audio> element), a mic/line-in device picked
+ * by deviceId, or any MediaStream - alone or mixed (e.g. a backing track plus a live mic).
+ *
+ *   channel source -> channel level -> input gain -> analysers
+ *                                   -> monitor (on/off) -> speakers
+ *
+ * Input gain only changes what the analysers see, so a quiet line-in can be boosted without getting louder.
+ * Monitoring defaults to on for files and off for live input, which would otherwise feed back.
+ */
+
+export const INPUT_CHANNELS = ['file', 'live'];
+
+export class AudioInput {
+    constructor(context, { gain = 1 } = {}) {
+        this.context = context;
+        this.inputGain = context.createGain();
+        this.channels = new Map(); // 'file' | 'live' -> { kind, source, level, monitor, stream, ownsStream }
+        this.elementSources = new WeakMap(); // createMediaElementSource() only works once per element
+        this.setGain(gain);
+    }
+
+    /**
+     * Send the (gain-adjusted) input to an analyser or any other node
+     */
+    connect(node) {
+        this.inputGain.connect(node);
+    }
+
+    disconnect(node) {
+        this.inputGain.disconnect(node);
+    }
+
+    /**
+     * Audio input devices: [{ deviceId, label }] (labels are empty until mic permission is granted)
+     */
+    static async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Input ${i + 1}` }));
+    }
+
+    /**
+     * Play a File/Blob through `element`; options.mix keeps the live channel running alongside
+     */
+    useFile(file, element, options = {}) {
+        if (element.dataset && element.dataset.inputUrl) URL.revokeObjectURL(element.dataset.inputUrl);
+        const url = URL.createObjectURL(file);
+        element.src = url;
+        if (element.dataset) element.dataset.inputUrl = url;
+        return this.useElement(element, options);
+    }
+
+    /**
+     * Analyse an <audio>/<video> element that is already playing something
+     */
+    useElement(element, { mix = false } = {}) {
+        let source = this.elementSources.get(element);
+        if (!source) {
+            source = this.context.createMediaElementSource(element);
+            this.elementSources.set(element, source);
+        }
+        this.attach('file', { kind: 'file', source, element }, mix);
+        return source;
+    }
+
+    /**
+     * Open a mic/line-in device (default device when deviceId is null)
+     * Browser processing is turned off - echo cancellation and AGC flatten the dynamics the analysers need
+     */
+    async useDevice(deviceId = null, { mix = false } = {}) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Live audio input is not supported in this browser');
+        }
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+        const track = stream.getAudioTracks()[0];
+        this.attach('live', {
+            kind: 'device',
+            source: this.context.createMediaStreamSource(stream),
+            stream,
+            ownsStream: true,
+            deviceId: track && track.getSettings ? track.getSettings().deviceId || deviceId : deviceId,
+            label: track ? track.label : ''
+        }, mix);
+        return stream;
+    }
+
+    /**
+     * Analyse any MediaStream (WebRTC, a capture stream, another page's output...); the caller keeps ownership
+     */
+    useStream(stream, { mix = false } = {}) {
+        if (!stream || stream.getAudioTracks().length === 0) {
+            throw new Error('MediaStream has no audio tracks');
+        }
+        this.attach('live', {
+            kind: 'stream',
+            source: this.context.createMediaStreamSource(stream),
+            stream,
+            ownsStream: false,
+            label: stream.getAudioTracks()[0].label
+        }, mix);
+        return stream;
+    }
+
+    attach(name, channel, mix) {
+        if (!mix) {
+            INPUT_CHANNELS.forEach(other => this.remove(other));
+        } else {
+            this.remove(name);
+        }
+
+        channel.level = this.context.createGain();
+        channel.monitor = this.context.createGain();
+        channel.source.connect(channel.level);
+        channel.level.connect(this.inputGain);
+        channel.level.connect(channel.monitor);
+        channel.monitor.connect(this.context.destination);
+        this.channels.set(name, channel);
+        this.setMonitoring(name === 'file', name);
+
+        console.log(`🎙️ Audio input: ${channel.kind}${channel.label ? ` (${channel.label})` : ''}${mix ? ' mixed' : ''}`);
+    }
+
+    /**
+     * Disconnect a channel; device streams opened here are stopped
+     */
+    remove(name) {
+        const channel = this.channels.get(name);
+        if (!channel) return;
+
+        channel.source.disconnect();
+        channel.level.disconnect();
+        channel.monitor.disconnect();
+        if (channel.ownsStream) channel.stream.getTracks().forEach(track => track.stop());
+        this.channels.delete(name);
+    }
+
+    stop() {
+        INPUT_CHANNELS.forEach(name => this.remove(name));
+    }
+
+    /**
+     * Analysis input gain (linear, 1 = unchanged)
+     */
+    setGain(value) {
+        this.gain = Math.max(0, Number(value));
+        this.inputGain.gain.setTargetAtTime(this.gain, this.context.currentTime, 0.01);
+    }
+
+    /**
+     * Level of one channel in both the analysis and the monitor mix
+     */
+    setLevel(value, name) {
+        const channel = this.channels.get(name);
+        if (channel) channel.level.gain.setTargetAtTime(Math.max(0, Number(value)), this.context.currentTime, 0.01);
+    }
+
+    /**
+     * Hear a channel (or every channel when name is omitted) through the speakers
+     */
+    setMonitoring(enabled, name = null) {
+        for (const [channelName, channel] of this.channels) {
+            if (name && channelName !== name) continue;
+            channel.monitoring = Boolean(enabled);
+            channel.monitor.gain.setTargetAtTime(channel.monitoring ? 1 : 0, this.context.currentTime, 0.01);
+        }
+    }
+
+    has(name) {
+        return this.channels.has(name);
+    }
+
+    /**
+     * True when the input is live only - there is no file to take the playback time from
+     */
+    get isLive() {
+        return this.channels.has('live') && !this.channels.has('file');
+    }
+
+    getState() {
+        const channels = {};
+        for (const [name, { kind, label, deviceId, monitoring }] of this.channels) {
+            channels[name] = { kind, label: label || null, deviceId: deviceId || null, monitoring };
+        }
+        return { gain: this.gain, channels };
+    }
+}
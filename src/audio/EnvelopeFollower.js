@@ -0,0 +1,124 @@
+/**
+ * VIB34D Envelope Follower
+ * Per-band attack/release followers with peak-hold and a gate, replacing one fixed smoothing factor.
+ * A kick can jump to full level instantly and fall away over half a beat while pads glide slowly.
+ * Time-based (seconds, or beats via releaseBeats), so the result doesn't depend on the frame rate.
+ */
+
+/**
+ * Follower settings per band
+ * attack/release: time constants in seconds (0 = instant); releaseBeats overrides release when the tempo is known
+ * hold: seconds a peak is held before releasing; threshold: gate level below which the input counts as silence
+ */
+export const DEFAULT_ENVELOPES = {
+    bass: { attack: 0.01, release: 0.2, hold: 0, threshold: 0 },
+    mid: { attack: 0.02, release: 0.15, hold: 0, threshold: 0 },
+    high: { attack: 0.005, release: 0.1, hold: 0, threshold: 0 },
+    energy: { attack: 0.05, release: 0.3, hold: 0, threshold: 0 },
+    kick: { attack: 0, release: 0.25, releaseBeats: 0.5, hold: 0, threshold: 0.1 },
+    snare: { attack: 0, release: 0.15, releaseBeats: 0.25, hold: 0, threshold: 0.1 },
+    hihat: { attack: 0, release: 0.08, hold: 0, threshold: 0.1 }
+};
+
+export class EnvelopeFollower {
+    constructor(options = {}) {
+        this.configure(options);
+        this.reset();
+    }
+
+    configure({ attack = 0.01, release = 0.2, releaseBeats = null, hold = 0, threshold = 0 } = {}) {
+        this.attack = Math.max(0, Number(attack));
+        this.release = Math.max(0, Number(release));
+        this.releaseBeats = releaseBeats === null || releaseBeats === undefined ? null : Math.max(0, Number(releaseBeats));
+        this.hold = Math.max(0, Number(hold));
+        this.threshold = Math.max(0, Math.min(0.99, Number(threshold)));
+    }
+
+    reset() {
+        this.value = 0;
+        this.peakTime = -Infinity;
+        this.lastTime = null;
+    }
+
+    /**
+     * Advance to `time` with a new input level (0-1); bpm lets releaseBeats apply
+     */
+    process(input, time, bpm = 0) {
+        // Gate: below the threshold is silence, above it is rescaled back to 0-1
+        const gated = input > this.threshold ? (input - this.threshold) / (1 - this.threshold) : 0;
+
+        const dt = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+
+        // First frame, seeks and stalls jump straight to the input
+        if (dt <= 0 || dt > 0.5) {
+            this.value = gated;
+            this.peakTime = time;
+            return this.value;
+        }
+
+        if (gated >= this.value) {
+            this.value = this.attack > 0 ? this.value + (gated - this.value) * (1 - Math.exp(-dt / this.attack)) : gated;
+            this.peakTime = time;
+        } else if (time - this.peakTime >= this.hold) {
+            const release = this.releaseBeats !== null && bpm > 0 ? this.releaseBeats * 60 / bpm : this.release;
+            this.value = release > 0 ? this.value + (gated - this.value) * (1 - Math.exp(-dt / release)) : gated;
+        }
+        return this.value;
+    }
+}
+
+/**
+ * One follower per named band
+ */
+export class BandEnvelopes {
+    constructor(settings = DEFAULT_ENVELOPES) {
+        this.followers = {};
+        this.load(settings);
+    }
+
+    configure(band, settings) {
+        if (!this.followers[band]) {
+            this.followers[band] = new EnvelopeFollower(settings);
+        } else {
+            this.followers[band].configure({ ...this.getSettings(band), ...settings });
+        }
+    }
+
+    getSettings(band) {
+        const { attack, release, releaseBeats, hold, threshold } = this.followers[band];
+        return releaseBeats === null ? { attack, release, hold, threshold } : { attack, release, releaseBeats, hold, threshold };
+    }
+
+    reset() {
+        Object.values(this.followers).forEach(follower => follower.reset());
+    }
+
+    /**
+     * Follow every band present in `levels`; returns { [band]: envelope }
+     */
+    process(levels, time, bpm = 0) {
+        const envelopes = {};
+        for (const [band, follower] of Object.entries(this.followers)) {
+            if (Number.isFinite(levels[band])) {
+                envelopes[band] = follower.process(levels[band], time, bpm);
+            }
+        }
+        return envelopes;
+    }
+
+    toJSON() {
+        const settings = {};
+        for (const band of Object.keys(this.followers)) {
+            settings[band] = this.getSettings(band);
+        }
+        return settings;
+    }
+
+    load(settings = DEFAULT_ENVELOPES) {
+        this.followers = {};
+        for (const [band, options] of Object.entries(settings)) {
+            this.followers[band] = new EnvelopeFollower(options);
+        }
+    }
+}
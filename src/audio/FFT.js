@@ -0,0 +1,84 @@
+/**
+ * VIB34D FFT
+ * Radix-2 real-input FFT used by the offline analysis passes
+ * Mirrors AnalyserNode scaling (Blackman window, |X| / N) so offline and live values line up
+ */
+
+export class FFT {
+    constructor(size = 2048) {
+        if (size & (size - 1)) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+
+        this.size = size;
+        this.binCount = size / 2;
+
+        // Bit reversal table
+        this.reverse = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let r = 0;
+            for (let b = 0; b < bits; b++) {
+                r = (r << 1) | ((i >> b) & 1);
+            }
+            this.reverse[i] = r;
+        }
+
+        // Twiddle factors
+        this.cos = new Float32Array(size / 2);
+        this.sin = new Float32Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this.cos[i] = Math.cos(-2 * Math.PI * i / size);
+            this.sin[i] = Math.sin(-2 * Math.PI * i / size);
+        }
+
+        // Blackman window (same as the Web Audio AnalyserNode)
+        this.window = new Float32Array(size);
+        const a0 = 0.42, a1 = 0.5, a2 = 0.08;
+        for (let i = 0; i < size; i++) {
+            const x = i / size;
+            this.window[i] = a0 - a1 * Math.cos(2 * Math.PI * x) + a2 * Math.cos(4 * Math.PI * x);
+        }
+
+        this.real = new Float32Array(size);
+        this.imag = new Float32Array(size);
+    }
+
+    /**
+     * Compute linear magnitudes for `size` samples starting at `offset`
+     * Samples past the end of the input are treated as silence
+     */
+    magnitudes(samples, offset = 0, output = new Float32Array(this.binCount)) {
+        const { size, real, imag, reverse } = this;
+
+        for (let i = 0; i < size; i++) {
+            const index = offset + i;
+            const sample = index >= 0 && index < samples.length ? samples[index] : 0;
+            real[reverse[i]] = sample * this.window[i];
+            imag[reverse[i]] = 0;
+        }
+
+        for (let half = 1; half < size; half <<= 1) {
+            const step = size / (half * 2);
+            for (let start = 0; start < size; start += half * 2) {
+                for (let k = 0; k < half; k++) {
+                    const tr = this.cos[k * step];
+                    const ti = this.sin[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const xr = real[b] * tr - imag[b] * ti;
+                    const xi = real[b] * ti + imag[b] * tr;
+                    real[b] = real[a] - xr;
+                    imag[b] = imag[a] - xi;
+                    real[a] += xr;
+                    imag[a] += xi;
+                }
+            }
+        }
+
+        for (let i = 0; i < this.binCount; i++) {
+            output[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]) / size;
+        }
+        return output;
+    }
+}
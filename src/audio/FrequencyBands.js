@@ -0,0 +1,196 @@
+/**
+ * VIB34D Frequency Bands
+ * Band definitions in Hz, mapped onto whatever FFT an analyzer uses. The same "bass" means 20-250 Hz
+ * whether the analyser runs at 44.1 or 48 kHz with 256 or 2048 points, so mappings transfer between
+ * pages and machines. Values are the mean 0-1 level (analyser byte / 255) of the bins in each band.
+ */
+
+/**
+ * 1/3-octave bands on the ISO 266 centres (25 Hz - 20 kHz), named by nominal centre
+ */
+const THIRD_OCTAVE_CENTRES = [
+    25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800, 1000,
+    1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000
+];
+
+export function thirdOctaveBands() {
+    const bands = {};
+    THIRD_OCTAVE_CENTRES.forEach((nominal, i) => {
+        const centre = 1000 * Math.pow(2, (i - 16) / 3);
+        bands[`${nominal}Hz`] = [centre * Math.pow(2, -1 / 6), centre * Math.pow(2, 1 / 6)];
+    });
+    return bands;
+}
+
+/**
+ * `count` log-spaced bands between minHz and maxHz, named band1..bandN
+ */
+export function logBands(count, minHz = 20, maxHz = 20000) {
+    if (!(count >= 1) || !(maxHz > minHz) || !(minHz > 0)) {
+        throw new Error(`Log bands need count >= 1 and 0 < minHz < maxHz`);
+    }
+    const ratio = Math.pow(maxHz / minHz, 1 / count);
+    const bands = {};
+    for (let i = 0; i < count; i++) {
+        bands[`band${i + 1}`] = [minHz * Math.pow(ratio, i), minHz * Math.pow(ratio, i + 1)];
+    }
+    return bands;
+}
+
+/**
+ * Named band sets: { [band]: [lowHz, highHz] }
+ */
+export const BAND_PRESETS = {
+    '3-band': {
+        bass: [20, 250],
+        mid: [250, 4000],
+        high: [4000, 20000]
+    },
+    '7-band': {
+        subBass: [20, 60],
+        bass: [60, 250],
+        lowMid: [250, 500],
+        mid: [500, 2000],
+        highMid: [2000, 4000],
+        presence: [4000, 6000],
+        brilliance: [6000, 20000]
+    },
+    '1/3-octave': thirdOctaveBands()
+};
+
+export const BAND_WEIGHTINGS = ['none', 'A'];
+
+// bass/mid/high are always reported, averaged from the configured bands when a preset doesn't define them
+const SUMMARY_BANDS = BAND_PRESETS['3-band'];
+
+/**
+ * A-weighting in dB at a frequency (IEC 61672, 0 dB at 1 kHz)
+ */
+export function aWeighting(frequency) {
+    if (frequency <= 0) return -Infinity;
+    const f2 = frequency * frequency;
+    const ra = (12194 * 12194 * f2 * f2) /
+        ((f2 + 20.6 * 20.6) * Math.sqrt((f2 + 107.7 * 107.7) * (f2 + 737.9 * 737.9)) * (f2 + 12194 * 12194));
+    return 20 * Math.log10(ra) + 2.0;
+}
+
+/**
+ * Band map from a preset name, a { bands: n, spacing: 'log', minHz?, maxHz? } spec or a { [band]: [lowHz, highHz] } map
+ */
+export function resolveBands(definition = '3-band') {
+    if (typeof definition === 'string') {
+        if (!BAND_PRESETS[definition]) throw new Error(`Unknown band preset: ${definition}`);
+        return BAND_PRESETS[definition];
+    }
+    if (definition && definition.spacing === 'log') {
+        return logBands(definition.bands, definition.minHz, definition.maxHz);
+    }
+
+    if (!definition || Object.keys(definition).length === 0) throw new Error('Band definition has no bands');
+    for (const [name, range] of Object.entries(definition)) {
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite) || !(range[1] > range[0]) || range[0] < 0) {
+            throw new Error(`Band ${name} must be [lowHz, highHz] with highHz > lowHz`);
+        }
+    }
+    return definition;
+}
+
+export class FrequencyBands {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.minDecibels = options.minDecibels ?? -100;
+        this.maxDecibels = options.maxDecibels ?? -30;
+        this.configure(options);
+    }
+
+    /**
+     * Change the band set and/or weighting; options: { bands, weighting, sampleRate }
+     */
+    configure({ bands = this.definition || '3-band', weighting = this.weighting || 'none', sampleRate = this.sampleRate } = {}) {
+        if (!BAND_WEIGHTINGS.includes(weighting)) throw new Error(`Unknown band weighting: ${weighting}`);
+
+        this.bands = resolveBands(bands);
+        this.definition = bands;
+        this.weighting = weighting;
+        this.sampleRate = sampleRate;
+        this.binMap = null;
+    }
+
+    get names() {
+        return Object.keys(this.bands);
+    }
+
+    /**
+     * Bins and per-bin weighting offsets for each band at a spectrum size
+     * A band narrower than one bin reads the bin nearest its centre, so low bands never go silent on small FFTs
+     */
+    getBinMap(binCount) {
+        if (this.binMap && this.binMap.binCount === binCount) return this.binMap;
+
+        const binHz = this.sampleRate / (binCount * 2);
+        const dbRange = this.maxDecibels - this.minDecibels;
+        const map = { binCount, bands: {} };
+
+        for (const [name, [low, high]] of Object.entries(this.bands)) {
+            let start = Math.max(1, Math.ceil(low / binHz));
+            let end = Math.min(binCount, Math.ceil(high / binHz));
+            if (low >= this.sampleRate / 2) {
+                start = end = binCount; // above Nyquist: always 0
+            } else if (end <= start) {
+                start = Math.max(1, Math.min(binCount - 1, Math.round(Math.sqrt(low * high) / binHz)));
+                end = start + 1;
+            }
+
+            // Weighting shifts each bin's level by its dB offset on the analyser's decibel scale
+            const offsets = new Float32Array(Math.max(0, end - start));
+            if (this.weighting === 'A') {
+                for (let bin = start; bin < end; bin++) {
+                    offsets[bin - start] = aWeighting(bin * binHz) / dbRange;
+                }
+            }
+            map.bands[name] = { start, end, offsets };
+        }
+
+        this.binMap = map;
+        return map;
+    }
+
+    /**
+     * Band levels for one spectrum: Uint8Array from getByteFrequencyData() or 0-1 levels
+     * Returns every configured band plus bass/mid/high and energy (mean of the configured bands)
+     */
+    process(spectrum, output = {}) {
+        const scale = spectrum instanceof Uint8Array ? 1 / 255 : 1;
+        const map = this.getBinMap(spectrum.length);
+
+        let total = 0;
+        for (const [name, { start, end, offsets }] of Object.entries(map.bands)) {
+            let sum = 0;
+            for (let bin = start; bin < end; bin++) {
+                sum += Math.max(0, Math.min(1, spectrum[bin] * scale + offsets[bin - start]));
+            }
+            output[name] = end > start ? sum / (end - start) : 0;
+            total += output[name];
+        }
+
+        for (const [name, [low, high]] of Object.entries(SUMMARY_BANDS)) {
+            if (name in this.bands) continue;
+            let sum = 0, count = 0;
+            for (const [band, range] of Object.entries(this.bands)) {
+                const centre = Math.sqrt(Math.max(1, range[0]) * range[1]);
+                if (centre >= low && centre < high) {
+                    sum += output[band];
+                    count++;
+                }
+            }
+            output[name] = count ? sum / count : 0;
+        }
+
+        output.energy = total / this.names.length;
+        return output;
+    }
+
+    toJSON() {
+        return { bands: this.definition, weighting: this.weighting };
+    }
+}
@@ -0,0 +1,340 @@
+/**
+ * VIB34D Offline Audio Analyzer
+ * Decodes a whole track up front and produces a reusable analysis document:
+ * per-frame band (bass/mid/high plus any configured FrequencyBands)/energy envelopes, onsets, percussion hits, beat grid and section boundaries.
+ * Choreography, previews and export read from the document instead of re-listening live.
+ */
+
+import { FFT } from './FFT.js';
+import { TempoTracker } from './TempoTracker.js';
+import { StructureSegmenter } from './StructureSegmenter.js';
+import { PercussionDetector } from './PercussionDetector.js';
+import { FrequencyBands } from './FrequencyBands.js';
+
+/**
+ * Analysis document produced by OfflineAudioAnalyzer
+ * Envelopes are sampled at `frameRate` and normalized 0-1 like getByteFrequencyData() / 255
+ */
+export class AudioAnalysis {
+    constructor(data) {
+        this.version = data.version || 1;
+        this.source = data.source || null;
+        this.duration = data.duration;
+        this.sampleRate = data.sampleRate;
+        this.frameRate = data.frameRate;
+        this.envelopes = {};
+        for (const [name, values] of Object.entries(data.envelopes)) {
+            this.envelopes[name] = values instanceof Float32Array ? values : Float32Array.from(values);
+        }
+        this.onsets = data.onsets || [];
+        this.percussion = data.percussion || [];
+        this.beatGrid = data.beatGrid || { bpm: 0, confidence: 0, beats: [], downbeats: [], beatsPerBar: 4, firstDownbeat: 0 };
+        this.sections = data.sections || [];
+    }
+
+    get frameCount() {
+        return this.envelopes.energy.length;
+    }
+
+    /**
+     * Get interpolated band values at a time in seconds
+     */
+    getFeaturesAt(time) {
+        const position = Math.max(0, Math.min(this.frameCount - 1, time * this.frameRate));
+        const index = Math.floor(position);
+        const next = Math.min(this.frameCount - 1, index + 1);
+        const t = position - index;
+
+        const features = {};
+        for (const [name, values] of Object.entries(this.envelopes)) {
+            features[name] = values[index] + (values[next] - values[index]) * t;
+        }
+        return features;
+    }
+
+    /**
+     * Get the section containing a time in seconds
+     */
+    getSectionAt(time) {
+        return this.sections.find(section => time >= section.start && time < section.end) || null;
+    }
+
+    /**
+     * Get beat/bar position at a time in seconds
+     */
+    getBeatAt(time) {
+        return TempoTracker.getGridPosition(this.beatGrid, time);
+    }
+
+    /**
+     * Get onsets within [start, end)
+     */
+    getOnsetsBetween(start, end) {
+        return this.onsets.filter(onset => onset.time >= start && onset.time < end);
+    }
+
+    /**
+     * Get kick/snare/hi-hat hits within [start, end), optionally of one type
+     */
+    getHitsBetween(start, end, type = null) {
+        return this.percussion.filter(hit => hit.time >= start && hit.time < end && (!type || hit.type === type));
+    }
+
+    toJSON() {
+        const envelopes = {};
+        for (const [name, values] of Object.entries(this.envelopes)) {
+            envelopes[name] = Array.from(values);
+        }
+        return {
+            type: 'vib34d-audio-analysis',
+            version: this.version,
+            source: this.source,
+            duration: this.duration,
+            sampleRate: this.sampleRate,
+            frameRate: this.frameRate,
+            envelopes,
+            onsets: this.onsets,
+            percussion: this.percussion,
+            beatGrid: this.beatGrid,
+            sections: this.sections
+        };
+    }
+
+    static fromJSON(json) {
+        if (!json || json.type !== 'vib34d-audio-analysis') {
+            throw new Error('Invalid audio analysis document');
+        }
+        return new AudioAnalysis(json);
+    }
+}
+
+export class OfflineAudioAnalyzer {
+    constructor(options = {}) {
+        // Match the live choreographer analyser so offline values line up with playback
+        this.sampleRate = options.sampleRate || 44100;
+        this.fftSize = options.fftSize || 2048;
+        this.frameRate = options.frameRate || 60;
+        this.smoothingTimeConstant = options.smoothingTimeConstant ?? 0.8;
+        this.minDecibels = options.minDecibels ?? -100;
+        this.maxDecibels = options.maxDecibels ?? -30;
+
+        // Hz bands, the same definition the live analyser uses (options.bands: preset name or { [band]: [lowHz, highHz] })
+        this.frequencyBands = new FrequencyBands({
+            bands: options.bands,
+            weighting: options.weighting,
+            sampleRate: this.sampleRate,
+            minDecibels: this.minDecibels,
+            maxDecibels: this.maxDecibels
+        });
+
+        // Onset picking
+        this.onsetWindow = options.onsetWindow || 0.1;     // seconds either side for the median threshold
+        this.onsetDelta = options.onsetDelta ?? 0.05;      // threshold offset above the local median
+        this.minOnsetGap = options.minOnsetGap || 0.05;    // seconds
+
+        this.fft = new FFT(this.fftSize);
+        this.percussion = new PercussionDetector({
+            sampleRate: this.sampleRate,
+            fftSize: this.fftSize,
+            frameRate: this.frameRate,
+            minDecibels: this.minDecibels,
+            maxDecibels: this.maxDecibels,
+            ...options.percussion
+        });
+        this.tempoTracker = new TempoTracker({ frameRate: this.frameRate, ...options.tempo });
+        this.segmenter = new StructureSegmenter({
+            sampleRate: this.sampleRate,
+            fftSize: this.fftSize,
+            frameRate: this.frameRate,
+            ...options.structure
+        });
+        this.cache = new Map();
+    }
+
+    /**
+     * Analyze an audio File/Blob, reusing a cached document for the same file
+     */
+    async analyzeFile(file, onProgress = null) {
+        const cacheKey = `${file.name}:${file.size}:${file.lastModified}:${JSON.stringify(this.frequencyBands.toJSON())}`;
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const arrayBuffer = await file.arrayBuffer();
+        const analysis = await this.analyzeArrayBuffer(arrayBuffer, onProgress);
+        analysis.source = { name: file.name, size: file.size, lastModified: file.lastModified };
+
+        this.cache.set(cacheKey, analysis);
+        return analysis;
+    }
+
+    /**
+     * Analyze encoded audio data (mp3/wav/ogg/...)
+     */
+    async analyzeArrayBuffer(arrayBuffer, onProgress = null) {
+        const samples = await this.decode(arrayBuffer);
+        return this.analyzeSamples(samples, onProgress);
+    }
+
+    /**
+     * Decode and downmix to mono at the analysis sample rate
+     */
+    async decode(arrayBuffer) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const decoder = new OfflineContext(1, 1, this.sampleRate);
+        const audioBuffer = await decoder.decodeAudioData(arrayBuffer);
+        return this.downmix(audioBuffer);
+    }
+
+    /**
+     * Render an AudioBuffer through a mono OfflineAudioContext
+     */
+    async downmix(audioBuffer) {
+        if (audioBuffer.numberOfChannels === 1 && audioBuffer.sampleRate === this.sampleRate) {
+            return audioBuffer.getChannelData(0);
+        }
+
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const length = Math.ceil(audioBuffer.duration * this.sampleRate);
+        const context = new OfflineContext(1, length, this.sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(context.destination);
+        source.start(0);
+
+        const rendered = await context.startRendering();
+        return rendered.getChannelData(0);
+    }
+
+    /**
+     * Run the full analysis on mono samples at this.sampleRate
+     */
+    async analyzeSamples(samples, onProgress = null) {
+        const duration = samples.length / this.sampleRate;
+        const features = this.segmenter.createFeatureBuffer(Math.max(1, Math.ceil(samples.length * this.frameRate / this.sampleRate)));
+        const percussion = [];
+        const envelopes = await this.computeEnvelopes(samples, onProgress, features, percussion);
+        const onsets = this.detectOnsets(envelopes.flux);
+        const beatGrid = this.tempoTracker.trackBeats(envelopes.flux, envelopes.bass);
+        const sections = this.segmenter.segment(features, envelopes.energy, beatGrid, duration);
+
+        console.log(`🎼 Offline analysis: ${duration.toFixed(1)}s, ${onsets.length} onsets, ${percussion.length} drum hits, ~${beatGrid.bpm} BPM, ${sections.length} sections`);
+
+        return new AudioAnalysis({
+            duration,
+            sampleRate: this.sampleRate,
+            frameRate: this.frameRate,
+            envelopes,
+            onsets,
+            percussion,
+            beatGrid,
+            sections
+        });
+    }
+
+    /**
+     * Step through the track at frameRate and compute band envelopes plus spectral flux
+     * When a feature buffer is passed, chroma/MFCC frames for structure segmentation are filled in too;
+     * when a hits array is passed, percussion hits are collected into it
+     */
+    async computeEnvelopes(samples, onProgress = null, features = null, hits = null) {
+        const hopSize = this.sampleRate / this.frameRate;
+        const frameCount = Math.max(1, Math.ceil(samples.length / hopSize));
+        const binCount = this.fft.binCount;
+        const dbRange = this.maxDecibels - this.minDecibels;
+
+        const bandLevels = this.frequencyBands.process(new Float32Array(binCount));
+        const envelopes = {};
+        for (const name of [...Object.keys(bandLevels), 'flux']) {
+            envelopes[name] = new Float32Array(frameCount);
+        }
+
+        const magnitudes = new Float32Array(binCount);
+        const smoothed = new Float32Array(binCount);
+        const levels = new Float32Array(binCount);
+        const previousRaw = new Float32Array(binCount);
+        const rawLevels = new Float32Array(binCount);
+        if (hits) this.percussion.reset();
+
+        // Weight flux per bin by 1/f so low-frequency hits count as much as broadband hats
+        const fluxWeights = new Float32Array(binCount);
+        let weightSum = 0;
+        for (let bin = 0; bin < binCount; bin++) {
+            fluxWeights[bin] = 1 / (bin + 1);
+            weightSum += fluxWeights[bin];
+        }
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            // Window ends at the frame time, like an analyser read during playback
+            const end = Math.round(frame * hopSize);
+            this.fft.magnitudes(samples, end - this.fftSize, magnitudes);
+            if (features && frame < features.frameCount) {
+                this.segmenter.extractFrame(magnitudes, features, frame);
+            }
+
+            let flux = 0;
+            for (let bin = 0; bin < binCount; bin++) {
+                smoothed[bin] = this.smoothingTimeConstant * smoothed[bin] + (1 - this.smoothingTimeConstant) * magnitudes[bin];
+                levels[bin] = this.toLevel(smoothed[bin], dbRange);
+
+                // Flux uses the unsmoothed spectrum so transients stay sharp
+                const raw = this.toLevel(magnitudes[bin], dbRange);
+                flux += Math.max(0, raw - previousRaw[bin]) * fluxWeights[bin];
+                previousRaw[bin] = raw;
+                rawLevels[bin] = raw;
+            }
+            if (hits) hits.push(...this.percussion.process(rawLevels, frame / this.frameRate));
+
+            this.frequencyBands.process(levels, bandLevels);
+            for (const [name, value] of Object.entries(bandLevels)) {
+                envelopes[name][frame] = value;
+            }
+            envelopes.flux[frame] = flux / weightSum;
+
+            // Yield to the UI every few seconds of audio
+            if (frame % (this.frameRate * 5) === 0) {
+                if (onProgress) onProgress(frame / frameCount);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        if (onProgress) onProgress(1);
+        return envelopes;
+    }
+
+    toLevel(magnitude, dbRange) {
+        const db = magnitude > 0 ? 20 * Math.log10(magnitude) : this.minDecibels;
+        return Math.max(0, Math.min(1, (db - this.minDecibels) / dbRange));
+    }
+
+    /**
+     * Peak-pick spectral flux against a moving median threshold
+     */
+    detectOnsets(flux) {
+        let maxFlux = 0;
+        for (let i = 0; i < flux.length; i++) {
+            maxFlux = Math.max(maxFlux, flux[i]);
+        }
+        if (maxFlux === 0) return [];
+
+        const radius = Math.max(1, Math.round(this.onsetWindow * this.frameRate));
+        const minGap = this.minOnsetGap * this.frameRate;
+        const onsets = [];
+        let lastFrame = -Infinity;
+
+        for (let i = 1; i < flux.length - 1; i++) {
+            const value = flux[i] / maxFlux;
+            if (flux[i] < flux[i - 1] || flux[i] < flux[i + 1]) continue;
+
+            const window = Array.from(flux.subarray(Math.max(0, i - radius), Math.min(flux.length, i + radius + 1)));
+            window.sort((a, b) => a - b);
+            const median = window[Math.floor(window.length / 2)] / maxFlux;
+
+            if (value > median + this.onsetDelta && i - lastFrame >= minGap) {
+                onsets.push({ time: i / this.frameRate, strength: value });
+                lastFrame = i;
+            }
+        }
+        return onsets;
+    }
+}
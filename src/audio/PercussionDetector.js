@@ -0,0 +1,229 @@
+/**
+ * VIB34D Percussion Detector
+ * Kick/snare/hi-hat onsets from per-band spectral flux against an adaptive threshold
+ * (median + spread of the recent flux), so quiet intros and loud drops both trigger.
+ * Live: process() one analyser spectrum per frame. Offline: detectBuffer()/detectSamples() run the
+ * same detector over a decoded track, and OfflineAudioAnalyzer stores the hits in its analysis.
+ * Hits: { type: 'kick'|'snare'|'hihat', time (s), strength (band flux), confidence (0-1) }
+ * After each process(), onsetStrength is the mean band flux, ready for TempoTracker.push().
+ */
+
+import { FFT } from './FFT.js';
+
+export const PERCUSSION_TYPES = ['kick', 'snare', 'hihat'];
+
+/**
+ * Frequency range (Hz) and minimum gap between hits (s) per drum
+ */
+export const PERCUSSION_BANDS = {
+    kick: { range: [40, 120], minInterval: 0.15 },
+    snare: { range: [200, 3500], minInterval: 0.15 },
+    hihat: { range: [7000, 16000], minInterval: 0.08 }
+};
+
+export class PercussionDetector {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.fftSize = options.fftSize || 2048;
+        this.frameRate = options.frameRate || 60;
+        this.bands = options.bands || PERCUSSION_BANDS;
+
+        // Adaptive threshold: median + sensitivity * mean deviation + delta over the last windowSeconds
+        this.windowSeconds = options.windowSeconds || 0.75;
+        this.sensitivity = options.sensitivity ?? 1.5;
+        this.delta = options.delta ?? 0.01;
+
+        // Offline level scaling, matching AnalyserNode byte data
+        this.minDecibels = options.minDecibels ?? -100;
+        this.maxDecibels = options.maxDecibels ?? -30;
+
+        this.binRanges = null;
+        this.reset();
+    }
+
+    /**
+     * Forget the flux history and previous hits (new track, seek or offline pass)
+     */
+    reset() {
+        const windowFrames = Math.max(4, Math.round(this.windowSeconds * this.frameRate));
+        this.state = {};
+        for (const type of Object.keys(this.bands)) {
+            this.state[type] = {
+                previous: null,
+                history: new Float32Array(windowFrames),
+                historyIndex: 0,
+                historyFilled: 0,
+                lastHitTime: -Infinity,
+                armed: true
+            };
+        }
+        this.lastTime = null;
+        this.lastUpdateTime = null;
+        this.onsetStrength = 0;
+    }
+
+    /**
+     * Detect hits in one spectrum: Uint8Array from getByteFrequencyData() or 0-1 levels
+     * `time` is the playback position in seconds
+     */
+    process(spectrum, time) {
+        const scale = spectrum instanceof Uint8Array ? 1 / 255 : 1;
+        const ranges = this.getBinRanges(spectrum.length);
+        const hits = [];
+
+        // Playhead moved backwards: let hits fire again straight away
+        if (this.lastTime !== null && time < this.lastTime) {
+            Object.values(this.state).forEach(state => { state.lastHitTime = -Infinity; });
+        }
+        this.lastTime = time;
+        let onsetStrength = 0;
+
+        for (const [type, band] of Object.entries(this.bands)) {
+            const state = this.state[type];
+            const [start, end] = ranges[type];
+
+            // Half-wave rectified level change across the band's bins
+            if (!state.previous) state.previous = new Float32Array(end - start);
+            let flux = 0;
+            for (let bin = start; bin < end; bin++) {
+                const level = spectrum[bin] * scale;
+                flux += Math.max(0, level - state.previous[bin - start]);
+                state.previous[bin - start] = level;
+            }
+            flux /= end - start;
+            onsetStrength += flux;
+
+            const { threshold, spread } = this.threshold(state);
+            if (flux < threshold) {
+                state.armed = true;
+            } else if (state.armed && state.historyFilled >= state.history.length / 4 && time - state.lastHitTime >= band.minInterval) {
+                state.armed = false;
+                state.lastHitTime = time;
+                hits.push({
+                    type,
+                    time,
+                    strength: flux,
+                    confidence: 1 - Math.exp(-(flux - threshold) / spread)
+                });
+            }
+
+            state.history[state.historyIndex] = flux;
+            state.historyIndex = (state.historyIndex + 1) % state.history.length;
+            state.historyFilled = Math.min(state.history.length, state.historyFilled + 1);
+        }
+
+        this.onsetStrength = onsetStrength / Object.keys(this.bands).length;
+        return hits;
+    }
+
+    /**
+     * Hits since the last update: read from an analysis document when it has them, else detected live
+     */
+    update(spectrum, time, analysis = null) {
+        if (analysis && analysis.percussion) {
+            const last = this.lastUpdateTime;
+            this.lastUpdateTime = time;
+
+            // Don't replay everything skipped over by a seek
+            if (last === null || time < last || time - last > 0.25) return [];
+            return analysis.getHitsBetween(last, time);
+        }
+        return this.process(spectrum, time);
+    }
+
+    /**
+     * Median and mean deviation of the recent flux for one band
+     */
+    threshold(state) {
+        const count = state.historyFilled;
+        if (count === 0) return { threshold: Infinity, spread: 1 };
+
+        const values = Array.from(state.history.subarray(0, count)).sort((a, b) => a - b);
+        const median = values[Math.floor(count / 2)];
+        let deviation = 0;
+        for (let i = 0; i < count; i++) deviation += Math.abs(values[i] - median);
+        deviation /= count;
+
+        return {
+            threshold: median + this.sensitivity * deviation + this.delta,
+            spread: deviation + this.delta
+        };
+    }
+
+    /**
+     * Bin index ranges per band for a spectrum of `binCount` bins
+     */
+    getBinRanges(binCount) {
+        if (this.binRanges && this.binRanges.binCount === binCount && this.binRanges.sampleRate === this.sampleRate) {
+            return this.binRanges;
+        }
+
+        const nyquist = this.sampleRate / 2;
+        const ranges = { binCount, sampleRate: this.sampleRate };
+        for (const [type, band] of Object.entries(this.bands)) {
+            const start = Math.min(binCount - 1, Math.floor(band.range[0] / nyquist * binCount));
+            const end = Math.min(binCount, Math.max(start + 1, Math.ceil(band.range[1] / nyquist * binCount)));
+            ranges[type] = [start, end];
+        }
+        this.binRanges = ranges;
+        return ranges;
+    }
+
+    /**
+     * Detect hits across a decoded AudioBuffer (channels are averaged)
+     */
+    async detectBuffer(audioBuffer, onProgress = null) {
+        const samples = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        return this.detectSamples(samples, audioBuffer.sampleRate, onProgress);
+    }
+
+    /**
+     * Detect hits in mono samples, stepping through at frameRate
+     */
+    async detectSamples(samples, sampleRate = this.sampleRate, onProgress = null) {
+        this.sampleRate = sampleRate;
+        this.reset();
+
+        const fft = new FFT(this.fftSize);
+        const magnitudes = new Float32Array(fft.binCount);
+        const levels = new Float32Array(fft.binCount);
+        const hopSize = sampleRate / this.frameRate;
+        const frameCount = Math.max(1, Math.ceil(samples.length / hopSize));
+        const hits = [];
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            const end = Math.round(frame * hopSize);
+            fft.magnitudes(samples, end - this.fftSize, magnitudes);
+            this.toLevels(magnitudes, levels);
+            hits.push(...this.process(levels, frame / this.frameRate));
+
+            // Yield to the UI every few seconds of audio
+            if (frame % (this.frameRate * 5) === 0) {
+                if (onProgress) onProgress(frame / frameCount);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        if (onProgress) onProgress(1);
+        console.log(`🥁 Percussion: ${PERCUSSION_TYPES.map(type => `${hits.filter(hit => hit.type === type).length} ${type}`).join(', ')}`);
+        return hits;
+    }
+
+    /**
+     * Linear FFT magnitudes to 0-1 levels on the analyser's decibel scale
+     */
+    toLevels(magnitudes, output = new Float32Array(magnitudes.length)) {
+        const dbRange = this.maxDecibels - this.minDecibels;
+        for (let i = 0; i < magnitudes.length; i++) {
+            const db = magnitudes[i] > 0 ? 20 * Math.log10(magnitudes[i]) : this.minDecibels;
+            output[i] = Math.max(0, Math.min(1, (db - this.minDecibels) / dbRange));
+        }
+        return output;
+    }
+}
@@ -0,0 +1,425 @@
+/**
+ * VIB34D Structure Segmenter
+ * Song-structure segmentation from chroma/MFCC self-similarity plus energy novelty.
+ * Produces labelled sections (intro/verse/chorus/bridge/build/drop/outro) with confidence values.
+ */
+
+const PITCH_CLASSES = 12;
+const MEL_BANDS = 26;
+const MFCC_COEFFS = 12;
+
+export class StructureSegmenter {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.fftSize = options.fftSize || 2048;
+        this.frameRate = options.frameRate || 60;
+        this.minSectionLength = options.minSectionLength || 8; // seconds
+        this.kernelSize = options.kernelSize || 16;             // analysis steps (beats) per kernel side
+        this.stepSeconds = options.stepSeconds || 0.5;          // step size when there is no beat grid
+        this.groupThreshold = options.groupThreshold || 0.9;    // cosine similarity for "same section"
+
+        this.buildChromaMap();
+        this.buildMelFilters();
+    }
+
+    /**
+     * Map FFT bins to pitch classes (55 Hz - 5 kHz)
+     */
+    buildChromaMap() {
+        const binCount = this.fftSize / 2;
+        this.chromaMap = new Int8Array(binCount).fill(-1);
+        for (let bin = 1; bin < binCount; bin++) {
+            const frequency = bin * this.sampleRate / this.fftSize;
+            if (frequency < 55 || frequency > 5000) continue;
+            const midi = Math.round(12 * Math.log2(frequency / 440) + 69);
+            this.chromaMap[bin] = ((midi % PITCH_CLASSES) + PITCH_CLASSES) % PITCH_CLASSES;
+        }
+    }
+
+    /**
+     * Triangular mel filterbank up to 8 kHz
+     */
+    buildMelFilters() {
+        const toMel = hz => 2595 * Math.log10(1 + hz / 700);
+        const fromMel = mel => 700 * (10 ** (mel / 2595) - 1);
+        const maxMel = toMel(Math.min(8000, this.sampleRate / 2));
+        const binWidth = this.sampleRate / this.fftSize;
+
+        const edges = [];
+        for (let i = 0; i < MEL_BANDS + 2; i++) {
+            edges.push(fromMel(maxMel * i / (MEL_BANDS + 1)) / binWidth);
+        }
+
+        this.melFilters = [];
+        for (let band = 0; band < MEL_BANDS; band++) {
+            const [low, center, high] = [edges[band], edges[band + 1], edges[band + 2]];
+            const weights = [];
+            for (let bin = Math.floor(low); bin <= Math.ceil(high); bin++) {
+                const weight = bin < center ? (bin - low) / (center - low) : (high - bin) / (high - center);
+                if (weight > 0) weights.push([bin, weight]);
+            }
+            this.melFilters.push(weights);
+        }
+
+        // DCT-II basis, skipping coefficient 0 (overall loudness is handled by energy novelty)
+        this.dct = [];
+        for (let k = 1; k <= MFCC_COEFFS; k++) {
+            const row = new Float32Array(MEL_BANDS);
+            for (let n = 0; n < MEL_BANDS; n++) {
+                row[n] = Math.cos(Math.PI * k * (n + 0.5) / MEL_BANDS);
+            }
+            this.dct.push(row);
+        }
+    }
+
+    /**
+     * Allocate per-frame feature storage
+     */
+    createFeatureBuffer(frameCount) {
+        return {
+            frameCount,
+            chroma: new Float32Array(frameCount * PITCH_CLASSES),
+            mfcc: new Float32Array(frameCount * MFCC_COEFFS)
+        };
+    }
+
+    /**
+     * Extract chroma and MFCC for one frame of linear FFT magnitudes
+     */
+    extractFrame(magnitudes, buffer, frame) {
+        const chroma = buffer.chroma.subarray(frame * PITCH_CLASSES, (frame + 1) * PITCH_CLASSES);
+        for (let bin = 0; bin < magnitudes.length; bin++) {
+            const pitchClass = this.chromaMap[bin];
+            if (pitchClass >= 0) chroma[pitchClass] += magnitudes[bin] * magnitudes[bin];
+        }
+
+        const mel = new Float32Array(MEL_BANDS);
+        this.melFilters.forEach((weights, band) => {
+            let sum = 0;
+            for (const [bin, weight] of weights) {
+                if (bin < magnitudes.length) sum += magnitudes[bin] * magnitudes[bin] * weight;
+            }
+            mel[band] = Math.log(sum + 1e-10);
+        });
+
+        const mfcc = buffer.mfcc.subarray(frame * MFCC_COEFFS, (frame + 1) * MFCC_COEFFS);
+        this.dct.forEach((row, k) => {
+            let sum = 0;
+            for (let n = 0; n < MEL_BANDS; n++) sum += row[n] * mel[n];
+            mfcc[k] = sum;
+        });
+    }
+
+    /**
+     * Segment the track into labelled sections
+     * beatGrid is optional; with one, analysis steps and boundaries follow the beats/downbeats
+     */
+    segment(buffer, energy, beatGrid, duration) {
+        const steps = this.buildSteps(beatGrid, duration);
+        if (steps.length < 4) {
+            return [{ start: 0, end: duration, label: 'verse', group: 0, energy: this.mean(energy, 0, energy.length), confidence: 0 }];
+        }
+
+        const vectors = steps.map(step => this.stepVector(buffer, step));
+        const stepEnergy = steps.map(step => this.mean(energy, step.startFrame, step.endFrame));
+
+        // Timbre/harmony novelty from the self-similarity matrix plus loudness novelty
+        const similarity = this.selfSimilarity(vectors);
+        const timbreNovelty = this.normalize(this.checkerboardNovelty(similarity));
+        const energyNovelty = this.normalize(this.energyNovelty(stepEnergy));
+        const novelty = timbreNovelty.map((value, i) => 0.65 * value + 0.35 * energyNovelty[i]);
+
+        const boundaries = this.pickBoundaries(novelty, steps, beatGrid);
+        const sections = boundaries.map((boundary, index) => {
+            const next = boundaries[index + 1];
+            const startStep = boundary.step;
+            const endStep = next ? next.step : steps.length;
+            return {
+                start: index === 0 ? 0 : steps[startStep].start,
+                end: next ? steps[endStep].start : duration,
+                startStep,
+                endStep,
+                boundaryStrength: index === 0 ? 1 : boundary.strength,
+                energy: this.mean(stepEnergy, startStep, endStep),
+                rise: this.rise(stepEnergy, startStep, endStep),
+                vector: this.averageVectors(vectors, startStep, endStep)
+            };
+        });
+
+        this.groupSections(sections);
+        this.labelSections(sections);
+
+        return sections.map(({ start, end, label, group, energy: sectionEnergy, confidence }) => ({
+            start: Number(start.toFixed(3)),
+            end: Number(end.toFixed(3)),
+            label,
+            group,
+            energy: sectionEnergy,
+            confidence: Number(confidence.toFixed(2))
+        }));
+    }
+
+    /**
+     * Analysis steps: one per beat when a grid exists, otherwise fixed-length windows
+     */
+    buildSteps(beatGrid, duration) {
+        const times = beatGrid && beatGrid.beats && beatGrid.beats.length > 8
+            ? beatGrid.beats.slice()
+            : Array.from({ length: Math.floor(duration / this.stepSeconds) }, (_, i) => i * this.stepSeconds);
+
+        return times.map((start, index) => {
+            const end = index + 1 < times.length ? times[index + 1] : duration;
+            return {
+                start,
+                end,
+                startFrame: Math.floor(start * this.frameRate),
+                endFrame: Math.max(Math.floor(start * this.frameRate) + 1, Math.floor(end * this.frameRate))
+            };
+        });
+    }
+
+    /**
+     * Average normalized chroma + MFCC over a step into one unit vector
+     */
+    stepVector(buffer, step) {
+        const chroma = new Float32Array(PITCH_CLASSES);
+        const mfcc = new Float32Array(MFCC_COEFFS);
+        const endFrame = Math.min(step.endFrame, buffer.frameCount);
+
+        for (let frame = step.startFrame; frame < endFrame; frame++) {
+            for (let i = 0; i < PITCH_CLASSES; i++) chroma[i] += buffer.chroma[frame * PITCH_CLASSES + i];
+            for (let i = 0; i < MFCC_COEFFS; i++) mfcc[i] += buffer.mfcc[frame * MFCC_COEFFS + i];
+        }
+
+        // Weight both feature groups equally
+        const vector = new Float32Array(PITCH_CLASSES + MFCC_COEFFS);
+        const chromaNorm = Math.hypot(...chroma) || 1;
+        const mfccNorm = Math.hypot(...mfcc) || 1;
+        for (let i = 0; i < PITCH_CLASSES; i++) vector[i] = chroma[i] / chromaNorm;
+        for (let i = 0; i < MFCC_COEFFS; i++) vector[PITCH_CLASSES + i] = mfcc[i] / mfccNorm;
+        return this.unit(vector);
+    }
+
+    selfSimilarity(vectors) {
+        const size = vectors.length;
+        const matrix = new Float32Array(size * size);
+        for (let i = 0; i < size; i++) {
+            for (let j = i; j < size; j++) {
+                const value = this.dot(vectors[i], vectors[j]);
+                matrix[i * size + j] = value;
+                matrix[j * size + i] = value;
+            }
+        }
+        return { size, matrix };
+    }
+
+    /**
+     * Foote novelty: correlate a Gaussian-tapered checkerboard kernel along the diagonal
+     */
+    checkerboardNovelty({ size, matrix }) {
+        const half = Math.min(this.kernelSize, Math.floor(size / 4)) || 1;
+        const novelty = new Float32Array(size);
+
+        for (let center = 0; center < size; center++) {
+            let sum = 0;
+            for (let i = -half; i < half; i++) {
+                for (let j = -half; j < half; j++) {
+                    const row = center + i;
+                    const col = center + j;
+                    if (row < 0 || col < 0 || row >= size || col >= size) continue;
+
+                    const sign = (i < 0) === (j < 0) ? 1 : -1;
+                    const taper = Math.exp(-((i + 0.5) ** 2 + (j + 0.5) ** 2) / (2 * (half / 2) ** 2));
+                    sum += sign * taper * matrix[row * size + col];
+                }
+            }
+            novelty[center] = Math.max(0, sum);
+        }
+        return novelty;
+    }
+
+    energyNovelty(stepEnergy) {
+        const span = Math.max(2, Math.floor(this.kernelSize / 2));
+        const novelty = new Float32Array(stepEnergy.length);
+        for (let i = 0; i < stepEnergy.length; i++) {
+            let before = 0, after = 0, countBefore = 0, countAfter = 0;
+            for (let j = 1; j <= span; j++) {
+                if (i - j >= 0) { before += stepEnergy[i - j]; countBefore++; }
+                if (i + j - 1 < stepEnergy.length) { after += stepEnergy[i + j - 1]; countAfter++; }
+            }
+            if (countBefore && countAfter) {
+                novelty[i] = Math.abs(after / countAfter - before / countBefore);
+            }
+        }
+        return novelty;
+    }
+
+    /**
+     * Peak-pick novelty with a minimum section length, snapping to downbeats when available
+     */
+    pickBoundaries(novelty, steps, beatGrid) {
+        let mean = 0;
+        for (const value of novelty) mean += value;
+        mean /= novelty.length;
+        let variance = 0;
+        for (const value of novelty) variance += (value - mean) ** 2;
+        const threshold = mean + 0.5 * Math.sqrt(variance / novelty.length);
+
+        const downbeats = beatGrid && beatGrid.downbeats ? new Set(beatGrid.downbeats) : null;
+        const candidates = [];
+        for (let i = 1; i < novelty.length - 1; i++) {
+            if (novelty[i] >= novelty[i - 1] && novelty[i] > novelty[i + 1] && novelty[i] > threshold) {
+                candidates.push({ step: this.snapToDownbeat(i, steps, downbeats), strength: novelty[i] });
+            }
+        }
+
+        // Strongest candidates first, rejecting ones too close to an accepted boundary
+        candidates.sort((a, b) => b.strength - a.strength);
+        const accepted = [{ step: 0, strength: 1 }];
+        const endTime = steps[steps.length - 1].end;
+        for (const candidate of candidates) {
+            const time = steps[candidate.step].start;
+            const tooClose = accepted.some(b => Math.abs(steps[b.step].start - time) < this.minSectionLength) ||
+                endTime - time < this.minSectionLength;
+            if (!tooClose) accepted.push(candidate);
+        }
+
+        return accepted.sort((a, b) => a.step - b.step);
+    }
+
+    snapToDownbeat(step, steps, downbeats) {
+        if (!downbeats || downbeats.size === 0) return step;
+        for (let offset = 0; offset <= 2; offset++) {
+            if (steps[step - offset] && downbeats.has(steps[step - offset].start)) return step - offset;
+            if (steps[step + offset] && downbeats.has(steps[step + offset].start)) return step + offset;
+        }
+        return step;
+    }
+
+    /**
+     * Cluster sections that sound alike (repeats share a group id)
+     */
+    groupSections(sections) {
+        const groups = [];
+        sections.forEach(section => {
+            let best = -1;
+            let bestSimilarity = this.groupThreshold;
+            groups.forEach((group, index) => {
+                const similarity = this.dot(section.vector, group.vector);
+                if (similarity > bestSimilarity) {
+                    bestSimilarity = similarity;
+                    best = index;
+                }
+            });
+
+            if (best === -1) {
+                groups.push({ vector: section.vector, members: [section] });
+                section.group = groups.length - 1;
+                section.groupSimilarity = 1;
+            } else {
+                groups[best].members.push(section);
+                section.group = best;
+                section.groupSimilarity = bestSimilarity;
+            }
+        });
+        this.groups = groups;
+    }
+
+    /**
+     * Heuristic labels from position, repetition and energy
+     */
+    labelSections(sections) {
+        const energies = sections.map(s => s.energy);
+        const maxEnergy = Math.max(...energies);
+        const minEnergy = Math.min(...energies);
+        const range = maxEnergy - minEnergy || 1;
+        const relative = section => (section.energy - minEnergy) / range;
+
+        // Highest-energy repeating group is the chorus
+        const groupEnergy = this.groups.map(group => group.members.reduce((sum, s) => sum + s.energy, 0) / group.members.length);
+        let chorusGroup = -1;
+        this.groups.forEach((group, index) => {
+            if (group.members.length > 1 && (chorusGroup === -1 || groupEnergy[index] > groupEnergy[chorusGroup])) {
+                chorusGroup = index;
+            }
+        });
+
+        sections.forEach((section, index) => {
+            const level = relative(section);
+            const previous = sections[index - 1];
+            const next = sections[index + 1];
+            const repeats = this.groups[section.group].members.length > 1;
+            let label;
+            let margin;
+
+            if (index === 0 && level < 0.5 && sections.length > 2) {
+                label = 'intro';
+                margin = 0.5 - level;
+            } else if (index === sections.length - 1 && level < 0.5 && sections.length > 2) {
+                label = 'outro';
+                margin = 0.5 - level;
+            } else if (section.group === chorusGroup) {
+                label = 'chorus';
+                margin = level;
+            } else if (previous && level > 0.8 && relative(previous) < level - 0.4) {
+                // Sudden jump to near-peak energy that isn't a repeated chorus
+                label = 'drop';
+                margin = level - relative(previous) - 0.4;
+            } else if (next && relative(next) > 0.8 && relative(next) - level > 0.4 && section.rise / range > 0.15) {
+                // Energy climbing into a high-energy section
+                label = 'build';
+                margin = section.rise / range - 0.15;
+            } else if (!repeats && index > 0 && index < sections.length - 1) {
+                label = 'bridge';
+                margin = 1 - section.groupSimilarity;
+            } else {
+                label = 'verse';
+                margin = 1 - level;
+            }
+
+            // Confidence mixes how clear the boundary was with how clear the label decision was
+            section.label = label;
+            section.confidence = Math.max(0, Math.min(1, 0.5 * section.boundaryStrength + 0.5 * Math.min(1, 0.5 + margin)));
+        });
+    }
+
+    /**
+     * Energy change between the first and last quarter of a section
+     */
+    rise(stepEnergy, start, end) {
+        const quarter = Math.max(1, Math.floor((end - start) / 4));
+        return this.mean(stepEnergy, end - quarter, end) - this.mean(stepEnergy, start, start + quarter);
+    }
+
+    averageVectors(vectors, start, end) {
+        const result = new Float32Array(vectors[0].length);
+        for (let i = start; i < end; i++) {
+            for (let j = 0; j < result.length; j++) result[j] += vectors[i][j];
+        }
+        return this.unit(result);
+    }
+
+    unit(vector) {
+        const norm = Math.hypot(...vector) || 1;
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+        return vector;
+    }
+
+    dot(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+        return sum;
+    }
+
+    normalize(values) {
+        const max = Math.max(...values) || 1;
+        return Array.from(values, value => value / max);
+    }
+
+    mean(values, start, end) {
+        let sum = 0;
+        const stop = Math.min(end, values.length);
+        for (let i = start; i < stop; i++) sum += values[i];
+        return stop > start ? sum / (stop - start) : 0;
+    }
+}
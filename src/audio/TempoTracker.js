@@ -0,0 +1,375 @@
+/**
+ * VIB34D Tempo Tracker
+ * Onset-strength autocorrelation tempo estimation with beat phase tracking.
+ * Offline: trackBeats() builds a full beat/bar grid for an analyzed track.
+ * Live: push() one onset-strength value per frame and read getState() for BPM, beat, bar and downbeats.
+ */
+
+export class TempoTracker {
+    constructor(options = {}) {
+        this.frameRate = options.frameRate || 60;
+        this.minBPM = options.minBPM || 70;
+        this.maxBPM = options.maxBPM || 180;
+        this.preferredBPM = options.preferredBPM || 120;
+        this.beatsPerBar = options.beatsPerBar || 4;
+
+        // Tightness of the beat tracker: higher values hold the tempo more rigidly
+        this.tightness = options.tightness || 100;
+
+        // Live tracking state
+        this.historySeconds = options.historySeconds || 8;
+        this.history = new Float32Array(Math.round(this.historySeconds * this.frameRate));
+        this.bassHistory = new Float32Array(this.history.length);
+        this.historyIndex = 0;
+        this.historyFilled = 0;
+        this.lastSlot = null;
+        this.framesSinceEstimate = 0;
+        this.reset();
+    }
+
+    /**
+     * Reset live tracking (e.g. after a seek)
+     */
+    reset() {
+        this.history.fill(0);
+        this.bassHistory.fill(0);
+        this.historyIndex = 0;
+        this.historyFilled = 0;
+        this.lastSlot = null;
+        this.framesSinceEstimate = 0;
+
+        this.bpm = 0;
+        this.confidence = 0;
+        this.nextBeatTime = null;
+        this.lastBeatTime = null;
+        this.beatIndex = -1;
+        this.barAccents = new Float32Array(this.beatsPerBar);
+        this.downbeatPhase = 0;
+    }
+
+    /**
+     * Estimate tempo from an onset-strength envelope sampled at frameRate
+     * Returns { bpm, period (frames), confidence }
+     */
+    estimateTempo(onsetEnvelope, length = onsetEnvelope.length) {
+        const minLag = Math.floor(this.frameRate * 60 / this.maxBPM);
+        const maxLag = Math.ceil(this.frameRate * 60 / this.minBPM);
+        if (length < maxLag * 2) {
+            return { bpm: 0, period: 0, confidence: 0 };
+        }
+
+        // Light smoothing so fractional periods still correlate at integer lags
+        const envelope = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            const previous = onsetEnvelope[Math.max(0, i - 1)];
+            const next = onsetEnvelope[Math.min(length - 1, i + 1)];
+            envelope[i] = 0.25 * previous + 0.5 * onsetEnvelope[i] + 0.25 * next;
+        }
+
+        let mean = 0;
+        for (let i = 0; i < length; i++) mean += envelope[i];
+        mean /= length;
+
+        let energy = 0;
+        for (let i = 0; i < length; i++) energy += (envelope[i] - mean) ** 2;
+        if (energy === 0) {
+            return { bpm: 0, period: 0, confidence: 0 };
+        }
+
+        // Autocorrelation weighted by a log-Gaussian prior around the preferred tempo
+        const preferredLag = this.frameRate * 60 / this.preferredBPM;
+        const scores = new Float32Array(maxLag + 2);
+        let bestLag = minLag;
+        let bestScore = -Infinity;
+
+        for (let lag = minLag; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = lag; i < length; i++) {
+                sum += (envelope[i] - mean) * (envelope[i - lag] - mean);
+            }
+            const correlation = sum / energy;
+            const weight = Math.exp(-0.5 * Math.log2(lag / preferredLag) ** 2);
+            scores[lag] = correlation * weight;
+
+            if (lag <= maxLag && scores[lag] > bestScore) {
+                bestScore = scores[lag];
+                bestLag = lag;
+            }
+        }
+
+        // Parabolic interpolation for a fractional period
+        let period = bestLag;
+        if (bestLag > minLag && bestLag < maxLag) {
+            const a = scores[bestLag - 1], b = scores[bestLag], c = scores[bestLag + 1];
+            const denominator = a - 2 * b + c;
+            if (denominator !== 0) {
+                period += 0.5 * (a - c) / denominator;
+            }
+        }
+
+        return {
+            bpm: Math.round(60 * this.frameRate / period * 10) / 10,
+            period,
+            confidence: Math.max(0, Math.min(1, bestScore))
+        };
+    }
+
+    /**
+     * Offline beat tracking by dynamic programming over the onset envelope
+     * Returns { bpm, confidence, beats, downbeats, beatsPerBar, firstDownbeat }
+     */
+    trackBeats(onsetEnvelope, bassEnvelope = null) {
+        const empty = { bpm: 0, confidence: 0, beats: [], downbeats: [], beatsPerBar: this.beatsPerBar, firstDownbeat: 0 };
+        const tempo = this.estimateTempo(onsetEnvelope);
+        if (!tempo.period) return empty;
+
+        const length = onsetEnvelope.length;
+        const period = tempo.period;
+
+        // Normalize onset strength to unit standard deviation
+        let mean = 0;
+        for (let i = 0; i < length; i++) mean += onsetEnvelope[i];
+        mean /= length;
+        let variance = 0;
+        for (let i = 0; i < length; i++) variance += (onsetEnvelope[i] - mean) ** 2;
+        const deviation = Math.sqrt(variance / length) || 1;
+        const onset = new Float32Array(length);
+        for (let i = 0; i < length; i++) onset[i] = onsetEnvelope[i] / deviation;
+
+        // score[t] = onset[t] + best previous beat penalized for deviating from the period
+        const score = new Float32Array(length);
+        const backlink = new Int32Array(length).fill(-1);
+        const minStep = Math.round(period / 2);
+        const maxStep = Math.round(period * 2);
+
+        for (let t = 0; t < length; t++) {
+            let best = 0;
+            let bestPrev = -1;
+            for (let prev = t - maxStep; prev <= t - minStep; prev++) {
+                if (prev < 0) continue;
+                const stretch = Math.log((t - prev) / period);
+                const candidate = score[prev] - this.tightness * stretch * stretch;
+                if (bestPrev === -1 || candidate > best) {
+                    best = candidate;
+                    bestPrev = prev;
+                }
+            }
+            score[t] = onset[t] + (bestPrev === -1 ? 0 : Math.max(0, best));
+            backlink[t] = best > 0 ? bestPrev : -1;
+        }
+
+        // Start from the best-scoring frame in the final period and walk back
+        let end = length - 1;
+        for (let t = Math.max(0, length - Math.round(period)); t < length; t++) {
+            if (score[t] > score[end]) end = t;
+        }
+
+        const frames = [];
+        for (let t = end; t >= 0; t = backlink[t]) {
+            frames.unshift(t);
+        }
+        if (frames.length < 2) return { ...empty, bpm: tempo.bpm, confidence: tempo.confidence };
+
+        // Extend the grid back to the start of the track at the detected tempo
+        while (frames[0] - period >= 0) {
+            frames.unshift(Math.round(frames[0] - period));
+        }
+
+        const beats = frames.map(frame => Number((frame / this.frameRate).toFixed(3)));
+        const firstDownbeat = this.findDownbeatPhase(frames, bassEnvelope || onsetEnvelope);
+        const downbeats = beats.filter((_, index) => index >= firstDownbeat && (index - firstDownbeat) % this.beatsPerBar === 0);
+
+        return {
+            bpm: tempo.bpm,
+            confidence: tempo.confidence,
+            beats,
+            downbeats,
+            beatsPerBar: this.beatsPerBar,
+            firstDownbeat
+        };
+    }
+
+    /**
+     * Pick the bar phase whose beats carry the most low-end energy
+     */
+    findDownbeatPhase(frames, accentEnvelope) {
+        // Look a little past each beat since smoothed envelopes peak after the onset
+        const span = Math.max(1, Math.round(this.frameRate * 0.1));
+        const accents = new Float32Array(this.beatsPerBar);
+        frames.forEach((frame, index) => {
+            let peak = 0;
+            for (let i = frame; i < Math.min(accentEnvelope.length, frame + span); i++) {
+                peak = Math.max(peak, accentEnvelope[i]);
+            }
+            accents[index % this.beatsPerBar] += peak;
+        });
+
+        let phase = 0;
+        for (let i = 1; i < this.beatsPerBar; i++) {
+            if (accents[i] > accents[phase]) phase = i;
+        }
+        return phase;
+    }
+
+    /**
+     * Live tracking: feed one onset-strength value (e.g. spectral flux) at `time` seconds
+     * Returns a beat event { beatIndex, barIndex, beatInBar, isDownbeat, bpm } when a beat falls in this frame
+     */
+    push(onsetStrength, time, bassLevel = 0) {
+        // Resample irregular animation frames onto fixed frameRate slots
+        const slot = Math.floor(time * this.frameRate);
+        if (this.lastSlot !== null && slot < this.lastSlot) {
+            this.reset();
+        }
+        const steps = this.lastSlot === null ? 1 : Math.min(slot - this.lastSlot, this.history.length);
+        for (let i = 0; i < steps; i++) {
+            this.history[this.historyIndex] = onsetStrength;
+            this.bassHistory[this.historyIndex] = bassLevel;
+            this.historyIndex = (this.historyIndex + 1) % this.history.length;
+            this.historyFilled = Math.min(this.history.length, this.historyFilled + 1);
+        }
+        this.lastSlot = slot;
+        this.framesSinceEstimate += steps;
+
+        // Re-estimate tempo twice a second once there is enough history
+        if (this.framesSinceEstimate >= this.frameRate / 2 && this.historyFilled >= this.history.length / 2) {
+            this.framesSinceEstimate = 0;
+            this.updateLiveTempo();
+        }
+
+        if (!this.bpm) return null;
+        return this.updateLivePhase(onsetStrength, time, bassLevel);
+    }
+
+    updateLiveTempo() {
+        const ordered = this.getOrderedHistory(this.history);
+        const tempo = this.estimateTempo(ordered.subarray(ordered.length - this.historyFilled));
+        if (!tempo.bpm) return;
+
+        // Smooth tempo changes so a single noisy estimate doesn't jolt the grid
+        this.bpm = this.bpm ? this.bpm * 0.8 + tempo.bpm * 0.2 : tempo.bpm;
+        this.confidence = tempo.confidence;
+
+        if (this.nextBeatTime === null) {
+            this.nextBeatTime = this.estimateLivePhase(ordered, tempo.period);
+        }
+    }
+
+    /**
+     * Find when the next beat should land from the comb-filtered recent history
+     */
+    estimateLivePhase(ordered, period) {
+        const length = ordered.length;
+        let bestOffset = 0;
+        let bestSum = -Infinity;
+        for (let offset = 0; offset < Math.round(period); offset++) {
+            let sum = 0;
+            for (let frame = length - 1 - offset; frame >= 0; frame -= period) {
+                sum += ordered[Math.round(frame)];
+            }
+            if (sum > bestSum) {
+                bestSum = sum;
+                bestOffset = offset;
+            }
+        }
+
+        // bestOffset frames ago was a beat; project forward
+        const lastBeat = (this.lastSlot - bestOffset) / this.frameRate;
+        return lastBeat + period / this.frameRate;
+    }
+
+    updateLivePhase(onsetStrength, time, bassLevel) {
+        const beatPeriod = 60 / this.bpm;
+
+        // Phase-locked loop: pull the prediction toward strong onsets near it
+        const error = time - this.nextBeatTime;
+        if (Math.abs(error) < beatPeriod * 0.15 && onsetStrength > this.getHistoryMean() * 1.5) {
+            this.nextBeatTime += error * 0.2;
+        }
+
+        if (time < this.nextBeatTime) return null;
+
+        // Beat reached
+        this.lastBeatTime = this.nextBeatTime;
+        while (this.nextBeatTime <= time) {
+            this.nextBeatTime += beatPeriod;
+        }
+        this.beatIndex++;
+
+        // Downbeat estimate: the bar position with the strongest decaying bass accent
+        const position = this.beatIndex % this.beatsPerBar;
+        for (let i = 0; i < this.beatsPerBar; i++) this.barAccents[i] *= 0.95;
+        this.barAccents[position] += bassLevel;
+        for (let i = 0; i < this.beatsPerBar; i++) {
+            if (this.barAccents[i] > this.barAccents[this.downbeatPhase] * 1.1) this.downbeatPhase = i;
+        }
+
+        return this.getState(time);
+    }
+
+    /**
+     * Current musical position
+     */
+    getState(time = this.lastBeatTime) {
+        if (!this.bpm || this.beatIndex < 0) {
+            return { bpm: Math.round(this.bpm), confidence: this.confidence, beatIndex: -1, barIndex: -1, beatInBar: 0, isDownbeat: false, phase: 0 };
+        }
+
+        const beatPeriod = 60 / this.bpm;
+        const relative = this.beatIndex - this.downbeatPhase;
+        const beatInBar = ((relative % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar;
+        return {
+            bpm: Math.round(this.bpm),
+            confidence: this.confidence,
+            beatIndex: this.beatIndex,
+            barIndex: Math.floor(relative / this.beatsPerBar),
+            beatInBar,
+            isDownbeat: beatInBar === 0,
+            phase: Math.max(0, Math.min(1, (time - this.lastBeatTime) / beatPeriod))
+        };
+    }
+
+    getOrderedHistory(buffer) {
+        const ordered = new Float32Array(buffer.length);
+        for (let i = 0; i < buffer.length; i++) {
+            ordered[i] = buffer[(this.historyIndex + i) % buffer.length];
+        }
+        return ordered;
+    }
+
+    getHistoryMean() {
+        let sum = 0;
+        for (let i = 0; i < this.history.length; i++) sum += this.history[i];
+        return sum / Math.max(1, this.historyFilled);
+    }
+
+    /**
+     * Musical position at `time` within an offline beat grid (see trackBeats)
+     */
+    static getGridPosition(beatGrid, time) {
+        const beats = beatGrid ? beatGrid.beats : null;
+        if (!beats || beats.length === 0 || time < beats[0]) {
+            return { bpm: beatGrid ? Math.round(beatGrid.bpm) : 0, beatIndex: -1, barIndex: -1, beatInBar: 0, isDownbeat: false, phase: 0 };
+        }
+
+        // Binary search for the last beat at or before time
+        let low = 0, high = beats.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (beats[mid] <= time) low = mid; else high = mid - 1;
+        }
+
+        const beatsPerBar = beatGrid.beatsPerBar || 4;
+        const relative = low - (beatGrid.firstDownbeat || 0);
+        const beatInBar = ((relative % beatsPerBar) + beatsPerBar) % beatsPerBar;
+        const next = low + 1 < beats.length ? beats[low + 1] : beats[low] + 60 / beatGrid.bpm;
+        return {
+            bpm: Math.round(beatGrid.bpm),
+            beatIndex: low,
+            barIndex: Math.floor(relative / beatsPerBar),
+            beatInBar,
+            isDownbeat: beatInBar === 0,
+            phase: Math.max(0, Math.min(1, (time - beats[low]) / (next - beats[low])))
+        };
+    }
+}
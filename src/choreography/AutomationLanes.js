@@ -0,0 +1,196 @@
+/**
+ * VIB34D Automation Lanes
+ * Per-parameter keyframe lanes for art-directed choreography.
+ * Each keyframe's curve shapes the segment from it to the next keyframe; the resolver returns the
+ * base value of every automated parameter at a time, which audio modulation then layers on top of.
+ */
+
+import { ParameterManager } from '../core/Parameters.js';
+
+/**
+ * Easing curves over t in [0, 1]
+ */
+export const AUTOMATION_CURVES = {
+    linear: t => t,
+    step: () => 0,
+    'ease-in': t => t * t * t,
+    'ease-out': t => 1 - Math.pow(1 - t, 3),
+    'ease-in-out': t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+// CSS-style cubic-bezier(x1, y1, x2, y2) handles used when a keyframe has curve 'bezier' and no handles
+const DEFAULT_BEZIER = [0.42, 0, 0.58, 1];
+
+/**
+ * Evaluate a cubic-bezier easing at x (same semantics as CSS cubic-bezier)
+ */
+export function cubicBezier([x1, y1, x2, y2], x) {
+    const sample = (a, b, t) => ((1 - 3 * b + 3 * a) * t + (3 * b - 6 * a)) * t * t + 3 * a * t;
+    const slope = (a, b, t) => 3 * (1 - 3 * b + 3 * a) * t * t + 2 * (3 * b - 6 * a) * t + 3 * a;
+
+    // Newton-Raphson for the curve parameter, bisection if the slope flattens out
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+        const error = sample(x1, x2, t) - x;
+        if (Math.abs(error) < 1e-6) return sample(y1, y2, t);
+        const d = slope(x1, x2, t);
+        if (Math.abs(d) < 1e-6) break;
+        t -= error / d;
+    }
+
+    let low = 0, high = 1;
+    t = x;
+    for (let i = 0; i < 30; i++) {
+        const value = sample(x1, x2, t);
+        if (Math.abs(value - x) < 1e-6) break;
+        if (value < x) low = t; else high = t;
+        t = (low + high) / 2;
+    }
+    return sample(y1, y2, t);
+}
+
+export class AutomationLane {
+    constructor(param, keyframes = []) {
+        this.param = param;
+        this.keyframes = [];
+        keyframes.forEach(keyframe => this.addKeyframe(keyframe));
+    }
+
+    /**
+     * Add or replace the keyframe at keyframe.time
+     * keyframe: { time, value, curve?: 'linear'|'step'|'ease-in'|'ease-out'|'ease-in-out'|'bezier', handles?: [x1, y1, x2, y2] }
+     */
+    addKeyframe({ time, value, curve = 'linear', handles = null }) {
+        if (curve !== 'bezier' && !AUTOMATION_CURVES[curve]) {
+            throw new Error(`Unknown automation curve: ${curve}`);
+        }
+
+        const keyframe = { time: Number(time), value: Number(value), curve };
+        if (curve === 'bezier') {
+            keyframe.handles = handles ? handles.map(Number) : DEFAULT_BEZIER.slice();
+        }
+
+        const existing = this.keyframes.findIndex(k => k.time === keyframe.time);
+        if (existing >= 0) {
+            this.keyframes[existing] = keyframe;
+        } else {
+            this.keyframes.push(keyframe);
+            this.keyframes.sort((a, b) => a.time - b.time);
+        }
+        return keyframe;
+    }
+
+    removeKeyframe(index) {
+        this.keyframes.splice(index, 1);
+    }
+
+    get isEmpty() {
+        return this.keyframes.length === 0;
+    }
+
+    /**
+     * Base value at a time in seconds; holds the first/last value outside the keyframe range
+     */
+    valueAt(time) {
+        const keyframes = this.keyframes;
+        if (!keyframes.length) return null;
+        if (time <= keyframes[0].time) return keyframes[0].value;
+
+        const lastIndex = keyframes.length - 1;
+        if (time >= keyframes[lastIndex].time) return keyframes[lastIndex].value;
+
+        // Binary search for the segment containing `time`
+        let low = 0, high = lastIndex;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (keyframes[mid].time <= time) low = mid; else high = mid;
+        }
+
+        const from = keyframes[low];
+        const to = keyframes[high];
+        const t = (time - from.time) / (to.time - from.time);
+        const eased = from.curve === 'bezier' ? cubicBezier(from.handles, t) : AUTOMATION_CURVES[from.curve](t);
+        return from.value + (to.value - from.value) * eased;
+    }
+
+    toJSON() {
+        return this.keyframes.map(keyframe => ({ ...keyframe }));
+    }
+}
+
+export class AutomationResolver {
+    constructor(parameterDefs = new ParameterManager().parameterDefs) {
+        this.parameterDefs = parameterDefs;
+        this.lanes = new Map();
+    }
+
+    /**
+     * Get the lane for a parameter, creating it on first use
+     */
+    getLane(param) {
+        if (!this.parameterDefs[param]) {
+            throw new Error(`Cannot automate unknown parameter: ${param}`);
+        }
+        if (!this.lanes.has(param)) {
+            this.lanes.set(param, new AutomationLane(param));
+        }
+        return this.lanes.get(param);
+    }
+
+    addKeyframe(param, time, value, curve = 'linear', handles = null) {
+        return this.getLane(param).addKeyframe({ time, value, curve, handles });
+    }
+
+    removeKeyframe(param, index) {
+        const lane = this.lanes.get(param);
+        if (!lane) return;
+        lane.removeKeyframe(index);
+        if (lane.isEmpty) this.lanes.delete(param);
+    }
+
+    clearLane(param) {
+        this.lanes.delete(param);
+    }
+
+    clear() {
+        this.lanes.clear();
+    }
+
+    has(param) {
+        return this.lanes.has(param) && !this.lanes.get(param).isEmpty;
+    }
+
+    /**
+     * Base values for every automated parameter at a time, clamped and typed per ParameterManager.parameterDefs
+     */
+    resolve(time) {
+        const values = {};
+        for (const [param, lane] of this.lanes) {
+            const value = lane.valueAt(time);
+            if (value === null) continue;
+
+            const def = this.parameterDefs[param];
+            const clamped = Math.max(def.min, Math.min(def.max, value));
+            values[param] = def.type === 'int' ? Math.round(clamped) : clamped;
+        }
+        return values;
+    }
+
+    /**
+     * { param: [keyframes] }
+     */
+    toJSON() {
+        const lanes = {};
+        for (const [param, lane] of this.lanes) {
+            if (!lane.isEmpty) lanes[param] = lane.toJSON();
+        }
+        return lanes;
+    }
+
+    load(json = {}) {
+        this.clear();
+        for (const [param, keyframes] of Object.entries(json)) {
+            keyframes.forEach(keyframe => this.getLane(param).addKeyframe(keyframe));
+        }
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * VIB34D Beat Quantizer
+ * Snaps timeline times to the detected beat grid: beats, bars or phrases.
+ * Past the analyzed grid (or with no grid) it extrapolates from the tempo, falling back to 120 BPM.
+ */
+
+export const SNAP_RESOLUTIONS = ['off', 'beat', 'bar', 'phrase'];
+
+export class BeatQuantizer {
+    constructor(beatGrid = null, options = {}) {
+        this.phraseBars = options.phraseBars || 8;
+        this.setGrid(beatGrid);
+    }
+
+    /**
+     * Use a beat grid from OfflineAudioAnalyzer ({ bpm, beats, downbeats, beatsPerBar })
+     */
+    setGrid(beatGrid) {
+        this.beatGrid = beatGrid && beatGrid.bpm ? beatGrid : null;
+        this.cache = {};
+    }
+
+    get beatPeriod() {
+        return 60 / (this.beatGrid ? this.beatGrid.bpm : 120);
+    }
+
+    get beatsPerBar() {
+        return this.beatGrid ? this.beatGrid.beatsPerBar : 4;
+    }
+
+    /**
+     * Length of one grid step in seconds (approximate where the tempo drifts)
+     */
+    stepLength(resolution) {
+        if (resolution === 'beat') return this.beatPeriod;
+        if (resolution === 'bar') return this.beatPeriod * this.beatsPerBar;
+        if (resolution === 'phrase') return this.beatPeriod * this.beatsPerBar * this.phraseBars;
+        return 0;
+    }
+
+    /**
+     * Grid times for a resolution, from the analysis where available
+     */
+    gridTimes(resolution) {
+        if (this.cache[resolution]) return this.cache[resolution];
+
+        let times = [];
+        if (this.beatGrid) {
+            if (resolution === 'beat') {
+                times = this.beatGrid.beats;
+            } else if (resolution === 'bar') {
+                times = this.beatGrid.downbeats;
+            } else if (resolution === 'phrase') {
+                times = this.beatGrid.downbeats.filter((_, i) => i % this.phraseBars === 0);
+            }
+        }
+        this.cache[resolution] = times;
+        return times;
+    }
+
+    /**
+     * Nearest grid time to `time`
+     */
+    snap(time, resolution) {
+        if (!SNAP_RESOLUTIONS.includes(resolution) || resolution === 'off') {
+            return Math.max(0, Math.round(time * 100) / 100);
+        }
+
+        const times = this.gridTimes(resolution);
+        const step = this.stepLength(resolution);
+
+        // No grid: a regular grid from zero
+        if (!times.length) {
+            return round(Math.max(0, Math.round(time / step) * step));
+        }
+
+        const first = times[0];
+        const last = times[times.length - 1];
+        if (time < first) {
+            const snapped = first - Math.round((first - time) / step) * step;
+            return round(snapped < 0 ? first : snapped);
+        }
+        if (time > last) {
+            return round(last + Math.round((time - last) / step) * step);
+        }
+
+        // Binary search for the closest analyzed grid time
+        let low = 0, high = times.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (times[mid] <= time) low = mid; else high = mid;
+        }
+        return round(time - times[low] <= times[high] - time ? times[low] : times[high]);
+    }
+
+    /**
+     * Snap a start/duration pair: the start and the end both land on the grid, at least one step apart
+     */
+    snapRange(start, duration, resolution) {
+        const snappedStart = this.snap(start, resolution);
+        if (resolution === 'off') {
+            return { time: snappedStart, duration: Math.max(0.01, Math.round(duration * 100) / 100) };
+        }
+
+        let end = this.snap(start + duration, resolution);
+        if (end <= snappedStart) {
+            end = this.snap(snappedStart + this.stepLength(resolution), resolution);
+            if (end <= snappedStart) end = snappedStart + this.stepLength(resolution);
+        }
+        return { time: round(snappedStart), duration: round(end - snappedStart) };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,574 @@
+/**
+ * VIB34D Choreography Document
+ * The on-disk format for MusicVideoChoreographer projects, its validator and migrations.
+ *
+ * Format (version 3):
+ * {
+ *   type: 'vib34d-choreography',
+ *   version: 3,
+ *   createdAt: ISO string,
+ *   audio: { name, size, duration, fingerprint } | null     - the track the choreography was made for
+ *   beatGrid: { bpm, beatsPerBar, firstDownbeat, downbeats[] } | null
+ *   settings: { mode, style, seed, defaultTransition: { type, duration }, beatThreshold, snapResolution,
+ *               frequencyBands: { bands: preset | { [band]: [lowHz, highHz] } | { bands, spacing: 'log' }, weighting },
+ *               envelopes: { [band]: { attack, release, releaseBeats?, hold, threshold } }, bandSources: { [band]: source },
+ *               midi: { notes: { [note]: { type: 'click' | 'sequence' | 'system', index?, system? } }, controls: { [cc]: { param, range } } } }
+ *   sequences: [{ time, duration, section?, effects: { system, geometry, rotation, chaos, speed, colorShift,
+ *                 densityBoost?, baseHue?, transition?: { type, duration, direction? } } }]
+ *   automation: { [param]: [{ time, value, curve, handles? }] }
+ *   modulation: [{ id, enabled, source, target, amount, curve, range: [min, max], attack, release, polarity, mode }]
+ *   choreographyModulation?: [route]                       - same routes, applied over choreographed mode
+ *   modulators?: [{ type: 'lfo', name, shape, rate, phase, seed } | { type: 'steps', name, steps[], rate, glide }]
+ *   text?: [{ name, visible, style: { font, size, color, position, align, ... }, effects: { pulse, glow, hue, fade },
+ *             cues: [{ start, end, text }] }]                 - lyric/title layers drawn over the video
+ *   postProcessing?: { effects: [{ type, enabled }], parameters: { fxBloom, fxTrails, ... } }
+ *                                                          - effect chain order and base values (see PostProcessingChain)
+ * }
+ *
+ * Older files are migrated on load:
+ *   version 0 - a bare sequences array
+ *   version 1 - { sequences, automation } without type/version
+ *   version 2 - reactive mode mappings as settings.reactivity multipliers instead of modulation routes
+ */
+
+import { ParameterManager } from '../core/Parameters.js';
+import { TRANSITION_TYPES } from './SystemTransition.js';
+import { AUTOMATION_CURVES } from './AutomationLanes.js';
+import { SNAP_RESOLUTIONS } from './BeatQuantizer.js';
+import { MODULATION_CURVES, MODULATION_POLARITIES, MODULATION_MODES, routesFromReactivity } from '../core/ModulationMatrix.js';
+import { LFO_SHAPES, parseDivision } from '../core/TempoModulators.js';
+import { BAND_WEIGHTINGS, resolveBands } from '../audio/FrequencyBands.js';
+import { MIDI_TRIGGER_TYPES } from '../core/MidiController.js';
+import { TEXT_POSITIONS, TEXT_ALIGNS } from './TextTrack.js';
+import { POST_EFFECTS, isPostParameter } from '../core/PostProcessingChain.js';
+
+export const CHOREOGRAPHY_TYPE = 'vib34d-choreography';
+export const CHOREOGRAPHY_VERSION = 3;
+
+const GEOMETRY_MODES = ['hold', 'cycle', 'morph', 'random', 'explosive'];
+const ROTATION_MODES = ['minimal', 'smooth', 'accelerate', 'chaos', 'extreme'];
+const COLOR_MODES = ['freeze', 'slow', 'medium', 'fast', 'rainbow'];
+export const CHOREOGRAPHY_MODES = ['reactive', 'choreographed'];
+const CURVES = [...Object.keys(AUTOMATION_CURVES), 'bezier'];
+
+/**
+ * Build a document from the choreographer's current state
+ */
+export function createChoreographyDocument({ sequences, automation = {}, modulation = [], choreographyModulation = [], modulators = [], text = [], postProcessing = null, analysis = null, settings = {} }) {
+    return {
+        type: CHOREOGRAPHY_TYPE,
+        version: CHOREOGRAPHY_VERSION,
+        createdAt: new Date().toISOString(),
+        audio: analysis ? {
+            name: analysis.source ? analysis.source.name : null,
+            size: analysis.source ? analysis.source.size : null,
+            duration: Number(analysis.duration.toFixed(3)),
+            fingerprint: fingerprintAnalysis(analysis)
+        } : null,
+        beatGrid: analysis && analysis.beatGrid.bpm ? {
+            bpm: analysis.beatGrid.bpm,
+            beatsPerBar: analysis.beatGrid.beatsPerBar,
+            firstDownbeat: analysis.beatGrid.firstDownbeat,
+            downbeats: analysis.beatGrid.downbeats.map(time => Number(time.toFixed(3)))
+        } : null,
+        settings,
+        sequences,
+        automation,
+        modulation,
+        choreographyModulation,
+        modulators,
+        text,
+        ...(postProcessing ? { postProcessing } : {})
+    };
+}
+
+/**
+ * Parse, migrate and validate a choreography file
+ * Throws an Error whose `errors` lists every field problem as { path, message }
+ * systems: valid system names (e.g. systemRegistry.names()); without it any system name string passes
+ */
+export function parseChoreography(text, { systems } = {}) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw Object.assign(new Error(`Not valid JSON: ${error.message}`), { errors: [{ path: '', message: error.message }] });
+    }
+
+    const { document, migratedFrom } = migrateChoreography(data);
+    const errors = validateChoreography(document, { systems });
+    if (errors.length) {
+        const summary = errors.slice(0, 3).map(error => `${error.path}: ${error.message}`).join('; ');
+        const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+        throw Object.assign(new Error(`Invalid choreography - ${summary}${more}`), { errors });
+    }
+    return { document, migratedFrom };
+}
+
+/**
+ * Bring any known older format up to CHOREOGRAPHY_VERSION
+ */
+export function migrateChoreography(data) {
+    const migratedFrom = detectVersion(data);
+    if (migratedFrom > CHOREOGRAPHY_VERSION) {
+        throw Object.assign(new Error(`Choreography version ${migratedFrom} is newer than this app supports (${CHOREOGRAPHY_VERSION})`), {
+            errors: [{ path: 'version', message: `unsupported version ${migratedFrom}` }]
+        });
+    }
+
+    let document = data;
+    if (migratedFrom === 0) {
+        document = { sequences: data };
+    }
+    if (migratedFrom <= 1) {
+        document = {
+            type: CHOREOGRAPHY_TYPE,
+            version: 2,
+            createdAt: null,
+            audio: null,
+            beatGrid: null,
+            settings: {},
+            sequences: document.sequences,
+            automation: document.automation || {}
+        };
+    }
+    if (migratedFrom <= 2) {
+        const { reactivity, ...settings } = isObject(document.settings) ? document.settings : {};
+        document = {
+            ...document,
+            version: 3,
+            settings,
+            modulation: routesFromReactivity(isObject(reactivity) ? reactivity : undefined)
+        };
+    }
+
+    return { document, migratedFrom: migratedFrom === CHOREOGRAPHY_VERSION ? null : migratedFrom };
+}
+
+function detectVersion(data) {
+    if (Array.isArray(data)) return 0;
+    if (data && typeof data === 'object') {
+        if (data.type === CHOREOGRAPHY_TYPE) return Number(data.version) || 0;
+        if (Array.isArray(data.sequences)) return 1;
+    }
+    throw Object.assign(new Error('Not a VIB34D choreography file'), { errors: [{ path: 'type', message: `expected "${CHOREOGRAPHY_TYPE}"` }] });
+}
+
+/**
+ * Validate a current-version document; returns [{ path, message }] (empty when valid)
+ */
+export function validateChoreography(document, { systems } = {}) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+    const parameterDefs = new ParameterManager().parameterDefs;
+
+    if (document.type !== CHOREOGRAPHY_TYPE) error('type', `expected "${CHOREOGRAPHY_TYPE}"`);
+    if (document.version !== CHOREOGRAPHY_VERSION) error('version', `expected ${CHOREOGRAPHY_VERSION}`);
+
+    if (document.audio !== null && document.audio !== undefined) {
+        if (!isObject(document.audio)) error('audio', 'must be an object or null');
+        else {
+            checkNumber(document.audio.duration, 'audio.duration', error, { min: 0 });
+            if (document.audio.fingerprint !== undefined && typeof document.audio.fingerprint !== 'string') {
+                error('audio.fingerprint', 'must be a string');
+            }
+        }
+    }
+
+    if (document.beatGrid !== null && document.beatGrid !== undefined) {
+        const grid = document.beatGrid;
+        if (!isObject(grid)) error('beatGrid', 'must be an object or null');
+        else {
+            checkNumber(grid.bpm, 'beatGrid.bpm', error, { min: 0, max: 400 });
+            checkNumber(grid.beatsPerBar, 'beatGrid.beatsPerBar', error, { min: 1, max: 16, integer: true });
+            if (grid.downbeats !== undefined && !(Array.isArray(grid.downbeats) && grid.downbeats.every(Number.isFinite))) {
+                error('beatGrid.downbeats', 'must be an array of times in seconds');
+            }
+        }
+    }
+
+    if (document.settings !== undefined && !isObject(document.settings)) {
+        error('settings', 'must be an object');
+    } else if (document.settings) {
+        const settings = document.settings;
+        if (settings.mode !== undefined) checkEnum(settings.mode, 'settings.mode', CHOREOGRAPHY_MODES, error);
+        if (settings.defaultTransition !== undefined) checkTransition(settings.defaultTransition, 'settings.defaultTransition', error);
+        if (settings.snapResolution !== undefined) checkEnum(settings.snapResolution, 'settings.snapResolution', SNAP_RESOLUTIONS, error);
+        if (settings.frequencyBands !== undefined) validateFrequencyBands(settings.frequencyBands, 'settings.frequencyBands', error);
+        if (settings.envelopes !== undefined) validateEnvelopes(settings.envelopes, 'settings.envelopes', error);
+        if (settings.midi !== undefined) validateMidi(settings.midi, 'settings.midi', parameterDefs, systems, error);
+        if (settings.bandSources !== undefined) {
+            if (!isObject(settings.bandSources)) error('settings.bandSources', 'must be an object');
+            else {
+                for (const [band, source] of Object.entries(settings.bandSources)) {
+                    if (typeof source !== 'string' || !source) error(`settings.bandSources.${band}`, 'must be a source name');
+                }
+            }
+        }
+    }
+
+    if (!Array.isArray(document.sequences)) {
+        error('sequences', 'must be an array');
+    } else {
+        document.sequences.forEach((seq, i) => validateSequence(seq, `sequences[${i}]`, systems, error));
+    }
+
+    if (document.automation !== undefined) {
+        if (!isObject(document.automation)) {
+            error('automation', 'must be an object of parameter lanes');
+        } else {
+            for (const [param, keyframes] of Object.entries(document.automation)) {
+                const path = `automation.${param}`;
+                if (!parameterDefs[param]) {
+                    error(path, 'unknown parameter');
+                } else if (!Array.isArray(keyframes)) {
+                    error(path, 'must be an array of keyframes');
+                } else {
+                    keyframes.forEach((keyframe, k) => validateKeyframe(keyframe, `${path}[${k}]`, error));
+                }
+            }
+        }
+    }
+
+    if (document.modulation !== undefined) {
+        if (!Array.isArray(document.modulation)) {
+            error('modulation', 'must be an array of routes');
+        } else {
+            document.modulation.forEach((route, i) => validateRoute(route, `modulation[${i}]`, parameterDefs, error));
+        }
+    }
+
+    if (document.choreographyModulation !== undefined) {
+        if (!Array.isArray(document.choreographyModulation)) {
+            error('choreographyModulation', 'must be an array of routes');
+        } else {
+            document.choreographyModulation.forEach((route, i) => validateRoute(route, `choreographyModulation[${i}]`, parameterDefs, error));
+        }
+    }
+
+    if (document.modulators !== undefined) {
+        if (!Array.isArray(document.modulators)) {
+            error('modulators', 'must be an array of LFOs and step sequencers');
+        } else {
+            document.modulators.forEach((modulator, i) => validateModulator(modulator, `modulators[${i}]`, error));
+        }
+    }
+
+    if (document.text !== undefined) {
+        if (!Array.isArray(document.text)) {
+            error('text', 'must be an array of text tracks');
+        } else {
+            document.text.forEach((track, i) => validateTextTrack(track, `text[${i}]`, error));
+        }
+    }
+
+    if (document.postProcessing !== undefined) validatePostProcessing(document.postProcessing, 'postProcessing', parameterDefs, error);
+
+    return errors;
+}
+
+function validatePostProcessing(postProcessing, path, parameterDefs, error) {
+    if (!isObject(postProcessing)) {
+        error(path, 'must be an object');
+        return;
+    }
+    if (postProcessing.effects !== undefined) {
+        if (!Array.isArray(postProcessing.effects)) {
+            error(`${path}.effects`, 'must be an array of { type, enabled }');
+        } else {
+            const seen = new Set();
+            postProcessing.effects.forEach((effect, i) => {
+                const effectPath = `${path}.effects[${i}]`;
+                if (!isObject(effect)) {
+                    error(effectPath, 'must be an object');
+                    return;
+                }
+                checkEnum(effect.type, `${effectPath}.type`, Object.keys(POST_EFFECTS), error);
+                if (seen.has(effect.type)) error(`${effectPath}.type`, `${effect.type} is listed twice`);
+                seen.add(effect.type);
+                if (effect.enabled !== undefined && typeof effect.enabled !== 'boolean') error(`${effectPath}.enabled`, 'must be true or false');
+            });
+        }
+    }
+    if (postProcessing.parameters !== undefined) {
+        if (!isObject(postProcessing.parameters)) {
+            error(`${path}.parameters`, 'must be an object of effect parameters');
+        } else {
+            for (const [param, value] of Object.entries(postProcessing.parameters)) {
+                if (!isPostParameter(param)) error(`${path}.parameters.${param}`, 'unknown effect parameter');
+                else checkNumber(value, `${path}.parameters.${param}`, error, { min: parameterDefs[param].min, max: parameterDefs[param].max });
+            }
+        }
+    }
+}
+
+function validateFrequencyBands(frequencyBands, path, error) {
+    if (!isObject(frequencyBands)) {
+        error(path, 'must be an object');
+        return;
+    }
+    if (frequencyBands.bands !== undefined) {
+        try {
+            resolveBands(frequencyBands.bands);
+        } catch (e) {
+            error(`${path}.bands`, e.message);
+        }
+    }
+    if (frequencyBands.weighting !== undefined) checkEnum(frequencyBands.weighting, `${path}.weighting`, BAND_WEIGHTINGS, error);
+}
+
+function validateMidi(midi, path, parameterDefs, systems, error) {
+    if (!isObject(midi)) {
+        error(path, 'must be an object');
+        return;
+    }
+    if (midi.notes !== undefined) {
+        if (!isObject(midi.notes)) error(`${path}.notes`, 'must be an object of note bindings');
+        else {
+            for (const [note, action] of Object.entries(midi.notes)) {
+                const actionPath = `${path}.notes.${note}`;
+                if (!/^\d+$/.test(note) || Number(note) > 127) error(actionPath, 'note must be 0-127');
+                if (!isObject(action)) {
+                    error(actionPath, 'must be an object');
+                    continue;
+                }
+                checkEnum(action.type, `${actionPath}.type`, MIDI_TRIGGER_TYPES, error);
+                if (action.type === 'system') checkSystem(action.system, `${actionPath}.system`, systems, error);
+                if (action.type === 'sequence') checkNumber(action.index, `${actionPath}.index`, error, { min: 0, integer: true });
+            }
+        }
+    }
+    if (midi.controls !== undefined) {
+        if (!isObject(midi.controls)) error(`${path}.controls`, 'must be an object of CC mappings');
+        else {
+            for (const [cc, mapping] of Object.entries(midi.controls)) {
+                const mappingPath = `${path}.controls.${cc}`;
+                if (!/^\d+$/.test(cc) || Number(cc) > 127) error(mappingPath, 'CC must be 0-127');
+                if (!isObject(mapping)) {
+                    error(mappingPath, 'must be an object');
+                    continue;
+                }
+                if (!parameterDefs[mapping.param]) error(`${mappingPath}.param`, `unknown parameter ${JSON.stringify(mapping.param)}`);
+                if (mapping.range !== undefined && !(Array.isArray(mapping.range) && mapping.range.length === 2 && mapping.range.every(Number.isFinite))) {
+                    error(`${mappingPath}.range`, 'must be [min, max]');
+                }
+            }
+        }
+    }
+}
+
+function validateEnvelopes(envelopes, path, error) {
+    if (!isObject(envelopes)) {
+        error(path, 'must be an object of band settings');
+        return;
+    }
+    for (const [band, envelope] of Object.entries(envelopes)) {
+        if (!isObject(envelope)) {
+            error(`${path}.${band}`, 'must be an object');
+            continue;
+        }
+        for (const key of ['attack', 'release', 'releaseBeats', 'hold']) {
+            if (envelope[key] !== undefined && envelope[key] !== null) checkNumber(envelope[key], `${path}.${band}.${key}`, error, { min: 0 });
+        }
+        if (envelope.threshold !== undefined) checkNumber(envelope.threshold, `${path}.${band}.threshold`, error, { min: 0, max: 0.99 });
+    }
+}
+
+function validateRoute(route, path, parameterDefs, error) {
+    if (!isObject(route)) {
+        error(path, 'must be an object');
+        return;
+    }
+    if (typeof route.source !== 'string' || !route.source) error(`${path}.source`, 'must be a source name');
+    if (!parameterDefs[route.target]) error(`${path}.target`, `unknown parameter ${JSON.stringify(route.target)}`);
+    if (route.amount !== undefined) checkNumber(route.amount, `${path}.amount`, error);
+    if (route.curve !== undefined) checkEnum(route.curve, `${path}.curve`, Object.keys(MODULATION_CURVES), error);
+    if (route.polarity !== undefined) checkEnum(route.polarity, `${path}.polarity`, MODULATION_POLARITIES, error);
+    if (route.mode !== undefined) checkEnum(route.mode, `${path}.mode`, MODULATION_MODES, error);
+    if (route.attack !== undefined) checkNumber(route.attack, `${path}.attack`, error, { min: 0 });
+    if (route.release !== undefined) checkNumber(route.release, `${path}.release`, error, { min: 0 });
+    if (route.range !== undefined && !(Array.isArray(route.range) && route.range.length === 2 && route.range.every(Number.isFinite) && route.range[1] > route.range[0])) {
+        error(`${path}.range`, 'must be [min, max] with max > min');
+    }
+}
+
+function validateModulator(modulator, path, error) {
+    if (!isObject(modulator)) {
+        error(path, 'must be an object');
+        return;
+    }
+    if (typeof modulator.name !== 'string' || !modulator.name) error(`${path}.name`, 'must be a source name');
+    checkEnum(modulator.type, `${path}.type`, ['lfo', 'steps'], error);
+    try {
+        parseDivision(modulator.rate);
+    } catch (e) {
+        error(`${path}.rate`, `must be a musical division like 1/4, 1/8T or 2 bars, got ${JSON.stringify(modulator.rate)}`);
+    }
+    if (modulator.type === 'lfo') {
+        checkEnum(modulator.shape, `${path}.shape`, LFO_SHAPES, error);
+        if (modulator.phase !== undefined) checkNumber(modulator.phase, `${path}.phase`, error);
+    } else if (modulator.type === 'steps' && !(Array.isArray(modulator.steps) && modulator.steps.length > 0 && modulator.steps.every(Number.isFinite))) {
+        error(`${path}.steps`, 'must be a non-empty array of numbers');
+    }
+}
+
+function validateTextTrack(track, path, error) {
+    if (!isObject(track)) {
+        error(path, 'must be an object');
+        return;
+    }
+    if (typeof track.name !== 'string' || !track.name) error(`${path}.name`, 'must be a name');
+
+    if (!Array.isArray(track.cues)) {
+        error(`${path}.cues`, 'must be an array of cues');
+    } else {
+        track.cues.forEach((cue, i) => {
+            const cuePath = `${path}.cues[${i}]`;
+            if (!isObject(cue)) {
+                error(cuePath, 'must be an object');
+                return;
+            }
+            checkNumber(cue.start, `${cuePath}.start`, error, { min: 0 });
+            checkNumber(cue.end, `${cuePath}.end`, error, { min: 0 });
+            if (cue.end <= cue.start) error(`${cuePath}.end`, 'must be after start');
+            if (typeof cue.text !== 'string') error(`${cuePath}.text`, 'must be a string');
+        });
+    }
+
+    if (track.style !== undefined) {
+        if (!isObject(track.style)) error(`${path}.style`, 'must be an object');
+        else {
+            const style = track.style;
+            if (style.position !== undefined) checkEnum(style.position, `${path}.style.position`, TEXT_POSITIONS, error);
+            if (style.align !== undefined) checkEnum(style.align, `${path}.style.align`, TEXT_ALIGNS, error);
+            for (const key of ['size', 'outline', 'margin', 'maxWidth', 'lineHeight']) {
+                if (style[key] !== undefined) checkNumber(style[key], `${path}.style.${key}`, error, { min: 0 });
+            }
+        }
+    }
+
+    if (track.effects !== undefined) {
+        if (!isObject(track.effects)) error(`${path}.effects`, 'must be an object');
+        else {
+            for (const key of ['pulse', 'glow']) {
+                const effect = track.effects[key];
+                if (effect === undefined || effect === null) continue;
+                if (!isObject(effect) || typeof effect.source !== 'string') error(`${path}.effects.${key}`, 'must be { source, amount } or null');
+                else checkNumber(effect.amount, `${path}.effects.${key}.amount`, error);
+            }
+            const hue = track.effects.hue;
+            if (hue !== undefined && hue !== null && !isObject(hue)) error(`${path}.effects.hue`, 'must be { offset, saturation, lightness } or null');
+            if (track.effects.fade !== undefined) checkNumber(track.effects.fade, `${path}.effects.fade`, error, { min: 0 });
+        }
+    }
+}
+
+function validateSequence(seq, path, systems, error) {
+    if (!isObject(seq)) {
+        error(path, 'must be an object');
+        return;
+    }
+    checkNumber(seq.time, `${path}.time`, error, { min: 0 });
+    checkNumber(seq.duration, `${path}.duration`, error, { min: 0, exclusiveMin: true });
+
+    const effects = seq.effects;
+    if (!isObject(effects)) {
+        error(`${path}.effects`, 'must be an object');
+        return;
+    }
+    if (effects.system !== undefined) checkSystem(effects.system, `${path}.effects.system`, systems, error);
+    if (effects.geometry !== undefined) checkEnum(effects.geometry, `${path}.effects.geometry`, GEOMETRY_MODES, error);
+    if (effects.rotation !== undefined) checkEnum(effects.rotation, `${path}.effects.rotation`, ROTATION_MODES, error);
+    if (effects.colorShift !== undefined) checkEnum(effects.colorShift, `${path}.effects.colorShift`, COLOR_MODES, error);
+    if (effects.chaos !== undefined) checkNumber(effects.chaos, `${path}.effects.chaos`, error, { min: 0, max: 1 });
+    if (effects.speed !== undefined) checkNumber(effects.speed, `${path}.effects.speed`, error, { min: 0.1, max: 3 });
+    if (effects.densityBoost !== undefined) checkNumber(effects.densityBoost, `${path}.effects.densityBoost`, error, { min: -100, max: 100 });
+    if (effects.baseHue !== undefined) checkNumber(effects.baseHue, `${path}.effects.baseHue`, error, { min: 0, max: 360 });
+    if (effects.transition !== undefined) checkTransition(effects.transition, `${path}.effects.transition`, error);
+}
+
+function validateKeyframe(keyframe, path, error) {
+    if (!isObject(keyframe)) {
+        error(path, 'must be an object');
+        return;
+    }
+    checkNumber(keyframe.time, `${path}.time`, error, { min: 0 });
+    checkNumber(keyframe.value, `${path}.value`, error);
+    if (keyframe.curve !== undefined) checkEnum(keyframe.curve, `${path}.curve`, CURVES, error);
+    if (keyframe.handles !== undefined && !(Array.isArray(keyframe.handles) && keyframe.handles.length === 4 && keyframe.handles.every(Number.isFinite))) {
+        error(`${path}.handles`, 'must be [x1, y1, x2, y2]');
+    }
+}
+
+function checkTransition(transition, path, error) {
+    if (!isObject(transition)) {
+        error(path, 'must be an object');
+        return;
+    }
+    checkEnum(transition.type, `${path}.type`, TRANSITION_TYPES, error);
+    checkNumber(transition.duration, `${path}.duration`, error, { min: 0, max: 30 });
+}
+
+function checkNumber(value, path, error, { min = -Infinity, max = Infinity, integer = false, exclusiveMin = false } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        error(path, `must be a number, got ${JSON.stringify(value)}`);
+    } else if (exclusiveMin ? value <= min : value < min) {
+        error(path, `must be ${exclusiveMin ? 'greater than' : 'at least'} ${min}, got ${value}`);
+    } else if (value > max) {
+        error(path, `must be at most ${max}, got ${value}`);
+    } else if (integer && !Number.isInteger(value)) {
+        error(path, `must be a whole number, got ${value}`);
+    }
+}
+
+function checkEnum(value, path, allowed, error) {
+    if (!allowed.includes(value)) {
+        error(path, `must be one of ${allowed.join(', ')}, got ${JSON.stringify(value)}`);
+    }
+}
+
+function checkSystem(value, path, systems, error) {
+    if (systems) checkEnum(value, path, systems, error);
+    else if (typeof value !== 'string' || !value) error(path, 'must be a system name');
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Coarse fingerprint of a track from its analysis: one energy level per second, FNV-1a hashed
+ * Stable across re-analysis of the same file; different tracks almost never collide
+ */
+export function fingerprintAnalysis(analysis) {
+    const energy = analysis.envelopes.energy;
+    const perSecond = Math.max(1, Math.round(analysis.frameRate));
+    let hash = 0x811c9dc5;
+    for (let start = 0; start < energy.length; start += perSecond) {
+        let sum = 0;
+        const end = Math.min(energy.length, start + perSecond);
+        for (let i = start; i < end; i++) sum += energy[i];
+        const level = Math.round(sum / (end - start) * 32);
+        hash ^= level;
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `${Math.round(analysis.duration)}s-${hash.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Compare a document's audio reference with the loaded track; returns a warning string or null
+ */
+export function checkAudioMatch(document, analysis) {
+    if (!document.audio || !analysis) return null;
+
+    if (document.audio.fingerprint && document.audio.fingerprint === fingerprintAnalysis(analysis)) {
+        return null;
+    }
+    if (Math.abs(document.audio.duration - analysis.duration) > 0.5) {
+        return `Choreography was made for ${document.audio.name || 'another track'} (${document.audio.duration.toFixed(1)}s), loaded track is ${analysis.duration.toFixed(1)}s`;
+    }
+    if (document.audio.fingerprint) {
+        return `Choreography was made for ${document.audio.name || 'a different track'} - timings may not line up`;
+    }
+    return null;
+}
@@ -0,0 +1,194 @@
+/**
+ * VIB34D Choreography Generator
+ * Builds a MusicVideoChoreographer `sequences` array from an AudioAnalysis:
+ * sections set the arc, the energy curve sets intensity, the beat grid sets phrase cuts.
+ * The same seed + style + analysis always produces the same choreography.
+ */
+
+import { SeededRandom } from './SeededRandom.js';
+
+/**
+ * Style presets
+ * Per-tier option lists are [low, mid, high] energy; ranges are [at lowest energy, at highest energy]
+ */
+export const CHOREOGRAPHY_STYLES = {
+    minimal: {
+        name: 'Minimal',
+        phraseBars: 16,
+        systems: { intro: 'faceted', verse: 'faceted', build: 'faceted', chorus: 'quantum', drop: 'quantum', bridge: 'holographic', outro: 'faceted' },
+        alternateSystems: false,
+        geometry: [['hold'], ['hold', 'cycle'], ['cycle', 'morph']],
+        rotation: [['minimal'], ['minimal', 'smooth'], ['smooth']],
+        colorShift: [['freeze'], ['freeze', 'slow'], ['slow', 'medium']],
+        chaos: [0.05, 0.35],
+        speed: [0.3, 1.2],
+        densityBoost: [-5, 10],
+        transitions: ['crossfade'],
+        transitionDuration: 3,
+        jitter: 0.05
+    },
+    cinematic: {
+        name: 'Cinematic',
+        phraseBars: 8,
+        systems: { intro: 'faceted', verse: 'faceted', build: 'holographic', chorus: 'quantum', drop: 'quantum', bridge: 'holographic', outro: 'faceted' },
+        alternateSystems: false,
+        geometry: [['hold', 'cycle'], ['cycle', 'morph'], ['morph', 'random']],
+        rotation: [['minimal', 'smooth'], ['smooth', 'accelerate'], ['chaos', 'extreme']],
+        colorShift: [['freeze', 'slow'], ['slow', 'medium'], ['medium', 'fast']],
+        chaos: [0.05, 0.8],
+        speed: [0.3, 2.2],
+        densityBoost: [-5, 25],
+        transitions: ['crossfade', 'dissolve'],
+        transitionDuration: 1.5,
+        jitter: 0.1
+    },
+    rave: {
+        name: 'Rave',
+        phraseBars: 4,
+        systems: { intro: 'faceted', verse: 'quantum', build: 'holographic', chorus: 'quantum', drop: 'holographic', bridge: 'faceted', outro: 'faceted' },
+        alternateSystems: true,
+        geometry: [['cycle', 'morph'], ['random', 'morph'], ['explosive', 'random']],
+        rotation: [['smooth', 'accelerate'], ['chaos', 'accelerate'], ['extreme', 'chaos']],
+        colorShift: [['slow', 'medium'], ['fast', 'medium'], ['rainbow', 'fast']],
+        chaos: [0.2, 1.0],
+        speed: [0.6, 3.0],
+        densityBoost: [0, 40],
+        transitions: ['flash', 'wipe'],
+        transitionDuration: 0.5,
+        jitter: 0.15
+    }
+};
+
+// Fixed rather than read from systemRegistry, so a seed gives the same choreography whatever plugins are loaded
+const SYSTEMS = ['faceted', 'quantum', 'holographic'];
+
+export class ChoreographyGenerator {
+    constructor(options = {}) {
+        this.style = options.style || 'cinematic';
+        this.seed = options.seed ?? Date.now();
+    }
+
+    /**
+     * Generate sequences for an AudioAnalysis (see OfflineAudioAnalyzer)
+     */
+    generate(analysis, options = {}) {
+        const styleName = options.style || this.style;
+        const style = CHOREOGRAPHY_STYLES[styleName];
+        if (!style) {
+            throw new Error(`Unknown choreography style: ${styleName}`);
+        }
+
+        const seed = options.seed ?? this.seed;
+        const random = new SeededRandom(seed);
+        const sections = analysis.sections && analysis.sections.length
+            ? analysis.sections
+            : [{ start: 0, end: analysis.duration, label: 'verse', group: 0, energy: 0.5 }];
+
+        // Energy relative to the rest of the track, so quiet masters still get a full arc
+        const energies = sections.map(section => section.energy);
+        const minEnergy = Math.min(...energies);
+        const energyRange = (Math.max(...energies) - minEnergy) || 1;
+
+        // One base hue per repeated-section group so repeats look related
+        const groupHues = new Map();
+        const hueFor = group => {
+            if (!groupHues.has(group)) groupHues.set(group, Math.round(random.range(0, 360)));
+            return groupHues.get(group);
+        };
+
+        const sequences = [];
+        let previousSystem = null;
+
+        sections.forEach((section, sectionIndex) => {
+            const sectionLevel = (section.energy - minEnergy) / energyRange;
+
+            this.splitIntoPhrases(section, analysis, style).forEach((phrase, phraseIndex) => {
+                // Follow the energy curve inside long sections
+                const level = this.phraseLevel(analysis, phrase, sectionLevel, minEnergy, energyRange);
+                const tier = level < 0.34 ? 0 : level < 0.67 ? 1 : 2;
+
+                let system = style.systems[section.label] || 'faceted';
+                if (style.alternateSystems && phraseIndex > 0 && tier === 2) {
+                    system = random.pick(SYSTEMS.filter(name => name !== previousSystem));
+                }
+                const transition = previousSystem && system !== previousSystem
+                    ? { type: random.pick(style.transitions), duration: style.transitionDuration }
+                    : null;
+                previousSystem = system;
+
+                const effects = {
+                    system,
+                    geometry: random.pick(style.geometry[tier]),
+                    rotation: section.label === 'build' ? 'accelerate' : random.pick(style.rotation[tier]),
+                    chaos: this.round(this.lerp(style.chaos, level) + random.range(-style.jitter, style.jitter), 0, 1),
+                    speed: this.round(this.lerp(style.speed, level) * (1 + random.range(-style.jitter, style.jitter)), 0.1, 3),
+                    colorShift: random.pick(style.colorShift[tier]),
+                    densityBoost: Math.round(this.lerp(style.densityBoost, level))
+                };
+                if (effects.colorShift === 'freeze') {
+                    effects.baseHue = hueFor(section.group ?? sectionIndex);
+                }
+                if (transition) {
+                    effects.transition = transition;
+                }
+
+                sequences.push({
+                    time: Number(phrase.start.toFixed(3)),
+                    duration: Number((phrase.end - phrase.start).toFixed(3)),
+                    section: section.label,
+                    effects
+                });
+            });
+        });
+
+        console.log(`🎬 Generated ${style.name} choreography: ${sequences.length} sequences (seed ${seed})`);
+        return sequences;
+    }
+
+    /**
+     * Cut a section into phrases of style.phraseBars bars on the downbeat grid
+     */
+    splitIntoPhrases(section, analysis, style) {
+        const downbeats = (analysis.beatGrid && analysis.beatGrid.downbeats) || [];
+        const inside = downbeats.filter(time => time > section.start && time < section.end);
+        if (inside.length < style.phraseBars * 1.5) {
+            return [{ start: section.start, end: section.end }];
+        }
+
+        // inside[n - 1] is the downbeat that ends the n-th bar of the section
+        const phrases = [];
+        let start = section.start;
+        for (let bar = style.phraseBars; bar <= inside.length; bar += style.phraseBars) {
+            // Don't leave a runt phrase shorter than half a phrase at the end
+            if (inside.length + 1 - bar < style.phraseBars / 2) break;
+            phrases.push({ start, end: inside[bar - 1] });
+            start = inside[bar - 1];
+        }
+        phrases.push({ start, end: section.end });
+        return phrases;
+    }
+
+    phraseLevel(analysis, phrase, sectionLevel, minEnergy, energyRange) {
+        if (!analysis.envelopes || !analysis.envelopes.energy) return sectionLevel;
+
+        const energy = analysis.envelopes.energy;
+        const startFrame = Math.floor(phrase.start * analysis.frameRate);
+        const endFrame = Math.min(energy.length, Math.floor(phrase.end * analysis.frameRate));
+        if (endFrame <= startFrame) return sectionLevel;
+
+        let sum = 0;
+        for (let i = startFrame; i < endFrame; i++) sum += energy[i];
+        const phraseLevel = (sum / (endFrame - startFrame) - minEnergy) / energyRange;
+
+        // Section label dominates; the phrase curve adds movement within it
+        return Math.max(0, Math.min(1, 0.7 * sectionLevel + 0.3 * phraseLevel));
+    }
+
+    lerp([from, to], t) {
+        return from + (to - from) * t;
+    }
+
+    round(value, min, max) {
+        return Math.round(Math.max(min, Math.min(max, value)) * 100) / 100;
+    }
+}
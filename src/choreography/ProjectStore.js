@@ -0,0 +1,245 @@
+/**
+ * VIB34D Project Store
+ * IndexedDB persistence for MusicVideoChoreographer: named projects, the audio they use, and an
+ * autosaved session for crash recovery.
+ *
+ *   projects: { id, name, createdAt, updatedAt, document, history, audioId }
+ *   audio:    { id, blob, name, type, size, lastModified }   - shared by every project using the same file
+ *   session:  { id: 'last', projectId, projectName, document, history, audioId, savedAt }
+ *
+ * `document` is a choreography document (see ChoreographyDocument.js), `history` a CommandHistory.toJSON().
+ */
+
+const DB_NAME = 'vib34d-choreographer';
+const DB_VERSION = 1;
+const SESSION_KEY = 'last';
+
+/**
+ * Promise for one IDBRequest
+ */
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Promise that settles when a transaction commits
+ */
+function complete(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Stable id for an audio file, the same one OfflineAudioAnalyzer caches by
+ */
+export function audioId(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+export class ProjectStore {
+    constructor({ name = DB_NAME } = {}) {
+        this.name = name;
+        this.db = null;
+    }
+
+    static get supported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!ProjectStore.supported) {
+            throw new Error('Projects need IndexedDB, which this browser does not provide');
+        }
+
+        const req = indexedDB.open(this.name, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains('projects')) {
+                db.createObjectStore('projects', { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+            }
+            if (!db.objectStoreNames.contains('audio')) db.createObjectStore('audio', { keyPath: 'id' });
+            if (!db.objectStoreNames.contains('session')) db.createObjectStore('session', { keyPath: 'id' });
+        };
+        this.db = await request(req);
+        return this.db;
+    }
+
+    /**
+     * Store an audio File/Blob once and return its id (null for no audio)
+     */
+    async putAudio(file) {
+        if (!file) return null;
+        const db = await this.open();
+        const id = audioId(file);
+
+        const transaction = db.transaction('audio', 'readwrite');
+        const store = transaction.objectStore('audio');
+        const existing = await request(store.getKey(id));
+        if (existing === undefined) {
+            store.put({ id, blob: file, name: file.name, type: file.type, size: file.size, lastModified: file.lastModified });
+        }
+        await complete(transaction);
+        return id;
+    }
+
+    /**
+     * Stored audio as a File with its original name and date (so analysis caches and fingerprints still match)
+     */
+    async getAudio(id) {
+        if (!id) return null;
+        const db = await this.open();
+        const record = await request(db.transaction('audio').objectStore('audio').get(id));
+        if (!record) return null;
+        return new File([record.blob], record.name, { type: record.type, lastModified: record.lastModified });
+    }
+
+    /**
+     * Create or update a named project; returns the stored record without its document
+     */
+    async saveProject({ id = null, name, document, history = null, audio = null, audioId: storedAudioId = null }) {
+        const db = await this.open();
+        const audioRef = audio ? await this.putAudio(audio) : storedAudioId;
+        const now = new Date().toISOString();
+
+        const transaction = db.transaction('projects', 'readwrite');
+        const store = transaction.objectStore('projects');
+        const existing = id ? await request(store.get(id)) : null;
+        const record = {
+            id: id || `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name || (existing && existing.name) || 'Untitled',
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            document,
+            history,
+            audioId: audioRef
+        };
+        store.put(record);
+        await complete(transaction);
+
+        console.log(`💾 Saved project "${record.name}"`);
+        return ProjectStore.summary(record);
+    }
+
+    /**
+     * Every project, most recently saved first: [{ id, name, createdAt, updatedAt, audioName, sequences }]
+     */
+    async listProjects() {
+        const db = await this.open();
+        const records = await request(db.transaction('projects').objectStore('projects').getAll());
+        return records.map(ProjectStore.summary).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * A project with its audio as a File: { ...record, audio }
+     */
+    async loadProject(id) {
+        const db = await this.open();
+        const record = await request(db.transaction('projects').objectStore('projects').get(id));
+        if (!record) {
+            throw new Error(`Project not found: ${id}`);
+        }
+        return { ...record, audio: await this.getAudio(record.audioId) };
+    }
+
+    async duplicateProject(id, name = null) {
+        const { document, history, audioId: storedAudioId, name: original } = await this.loadProject(id);
+        return this.saveProject({ name: name || `${original} copy`, document, history, audioId: storedAudioId });
+    }
+
+    async renameProject(id, name) {
+        const project = await this.loadProject(id);
+        return this.saveProject({ ...project, audio: null, name });
+    }
+
+    /**
+     * Delete a project, and its audio when nothing else uses it
+     */
+    async deleteProject(id) {
+        const db = await this.open();
+        const transaction = db.transaction(['projects', 'audio', 'session'], 'readwrite');
+        const projects = transaction.objectStore('projects');
+        const record = await request(projects.get(id));
+        if (record) {
+            projects.delete(id);
+            if (record.audioId) {
+                const others = (await request(projects.getAll())).some(other => other.id !== id && other.audioId === record.audioId);
+                const session = await request(transaction.objectStore('session').get(SESSION_KEY));
+                if (!others && !(session && session.audioId === record.audioId)) {
+                    transaction.objectStore('audio').delete(record.audioId);
+                }
+            }
+        }
+        await complete(transaction);
+        console.log(`🗑️ Deleted project "${record ? record.name : id}"`);
+    }
+
+    /**
+     * Autosave: { projectId, projectName, document, history, audio (File) | audioId }
+     */
+    async saveSession({ projectId = null, projectName = null, document, history = null, audio = null, audioId: storedAudioId = null }) {
+        const db = await this.open();
+        const audioRef = audio ? await this.putAudio(audio) : storedAudioId;
+        const transaction = db.transaction(['projects', 'audio', 'session'], 'readwrite');
+        const sessions = transaction.objectStore('session');
+        const previous = await request(sessions.get(SESSION_KEY));
+        sessions.put({
+            id: SESSION_KEY,
+            projectId,
+            projectName,
+            document,
+            history,
+            audioId: audioRef,
+            savedAt: new Date().toISOString()
+        });
+        // A replaced track nothing else uses would otherwise stay in the database forever
+        if (previous && previous.audioId && previous.audioId !== audioRef) {
+            const used = (await request(transaction.objectStore('projects').getAll())).some(project => project.audioId === previous.audioId);
+            if (!used) transaction.objectStore('audio').delete(previous.audioId);
+        }
+        await complete(transaction);
+    }
+
+    /**
+     * The last autosaved session with its audio as a File, or null
+     */
+    async loadSession() {
+        const db = await this.open();
+        const session = await request(db.transaction('session').objectStore('session').get(SESSION_KEY));
+        if (!session) return null;
+        return { ...session, audio: await this.getAudio(session.audioId) };
+    }
+
+    /**
+     * Forget the autosave, and its audio when no project uses it
+     */
+    async clearSession() {
+        const db = await this.open();
+        const transaction = db.transaction(['projects', 'audio', 'session'], 'readwrite');
+        const sessions = transaction.objectStore('session');
+        const session = await request(sessions.get(SESSION_KEY));
+        sessions.delete(SESSION_KEY);
+        if (session && session.audioId) {
+            const used = (await request(transaction.objectStore('projects').getAll())).some(project => project.audioId === session.audioId);
+            if (!used) transaction.objectStore('audio').delete(session.audioId);
+        }
+        await complete(transaction);
+    }
+
+    static summary(record) {
+        return {
+            id: record.id,
+            name: record.name,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt,
+            audioName: record.audioId ? record.audioId.split(':').slice(0, -2).join(':') : null,
+            sequences: record.document && Array.isArray(record.document.sequences) ? record.document.sequences.length : 0
+        };
+    }
+}
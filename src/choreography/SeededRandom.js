@@ -0,0 +1,55 @@
+/**
+ * VIB34D Seeded Random
+ * Small deterministic PRNG (mulberry32) so generated choreography and renders can be reproduced
+ */
+
+export class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.seed = SeededRandom.hashSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Accept numbers or strings ("my-video-v2") as seeds
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'number') {
+            return seed >>> 0;
+        }
+
+        let hash = 2166136261;
+        const text = String(seed);
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    reset() {
+        this.state = this.seed;
+    }
+}
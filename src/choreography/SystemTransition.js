@@ -0,0 +1,205 @@
+/**
+ * VIB34D System Transition
+ * Blends two visualization systems while both keep rendering: crossfade, noise-mask dissolve,
+ * wipe, or flash-to-white. Progress comes from choreography time (not wall-clock), so live
+ * playback and OfflineRenderer produce the same transition.
+ */
+
+import { SeededRandom } from './SeededRandom.js';
+
+export const TRANSITION_TYPES = ['cut', 'crossfade', 'dissolve', 'wipe', 'flash'];
+
+const MASK_WIDTH = 96;
+const MASK_HEIGHT = 54;
+const MASK_SOFTNESS = 0.08; // Width of the dissolve edge in noise units
+
+export class SystemTransition {
+    /**
+     * from/to: { system, engine, element } - element is the layer container holding that system's canvases
+     * options: { type, duration (s), direction: 'left'|'right'|'up'|'down', seed }
+     * startTime: choreography time the transition was requested
+     * peakTime: for 'flash', when the screen is fully white and the systems swap (e.g. the next downbeat)
+     */
+    constructor({ from, to, type = 'crossfade', duration = 1, direction = 'left', seed = 1, startTime = 0, peakTime = null }) {
+        if (!TRANSITION_TYPES.includes(type)) {
+            throw new Error(`Unknown transition type: ${type}`);
+        }
+
+        this.from = from;
+        this.to = to;
+        this.type = type;
+        this.duration = Math.max(0.01, duration);
+        this.direction = direction;
+        this.requestTime = startTime;
+
+        // Flash is centred on its peak; the others start right away
+        this.startTime = type === 'flash' && peakTime !== null
+            ? Math.max(startTime, peakTime - this.duration / 2)
+            : startTime;
+        this.endTime = this.startTime + this.duration;
+
+        if (type === 'dissolve') {
+            this.createNoise(seed);
+        }
+        if (type === 'flash') {
+            this.flashElement = document.createElement('div');
+            this.flashElement.style.cssText = 'position:absolute;inset:0;background:#fff;opacity:0;pointer-events:none;';
+            (to.element.parentElement || document.body).appendChild(this.flashElement);
+        }
+    }
+
+    progress(time) {
+        return Math.max(0, Math.min(1, (time - this.startTime) / this.duration));
+    }
+
+    /**
+     * Done when it has run its course, or the playhead jumped back before it started
+     */
+    isComplete(time) {
+        return time >= this.endTime || time < this.requestTime;
+    }
+
+    /**
+     * Style the two live layer containers for `time`
+     */
+    apply(time) {
+        const p = this.progress(time);
+        const eased = easeInOutCubic(p);
+        const from = this.from.element.style;
+        const to = this.to.element.style;
+
+        if (this.type === 'crossfade') {
+            from.opacity = 1 - eased;
+            to.opacity = eased;
+        } else if (this.type === 'wipe') {
+            to.clipPath = this.wipeInset(eased);
+        } else if (this.type === 'dissolve') {
+            this.updateMask(eased);
+            const mask = `url(${this.maskCanvas.toDataURL()})`;
+            to.maskImage = to.webkitMaskImage = mask;
+            to.maskSize = to.webkitMaskSize = '100% 100%';
+        } else if (this.type === 'flash') {
+            from.visibility = p < 0.5 ? 'visible' : 'hidden';
+            to.visibility = p < 0.5 ? 'hidden' : 'visible';
+            this.flashElement.style.opacity = this.flashLevel(p);
+        }
+    }
+
+    /**
+     * Draw the blended frame into a 2D context (offline rendering)
+     * drawLayer(ctx, element) draws one system's canvases at full size
+     */
+    composite(ctx, time, width, height, drawLayer) {
+        const p = this.progress(time);
+        const eased = easeInOutCubic(p);
+
+        if (this.type === 'flash') {
+            drawLayer(ctx, p < 0.5 ? this.from.element : this.to.element);
+            ctx.save();
+            ctx.globalAlpha = this.flashLevel(p);
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, width, height);
+            ctx.restore();
+            return;
+        }
+
+        if (this.type === 'crossfade') {
+            ctx.save();
+            ctx.globalAlpha = 1 - eased;
+            drawLayer(ctx, this.from.element);
+            ctx.globalAlpha = eased;
+            drawLayer(ctx, this.to.element);
+            ctx.restore();
+            return;
+        }
+
+        drawLayer(ctx, this.from.element);
+
+        if (this.type === 'wipe') {
+            const [x, y, w, h] = this.wipeRect(eased, width, height);
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(x, y, w, h);
+            ctx.clip();
+            drawLayer(ctx, this.to.element);
+            ctx.restore();
+        } else if (this.type === 'dissolve') {
+            // Incoming system masked by the thresholded noise, then laid over the outgoing one
+            if (!this.scratch) this.scratch = document.createElement('canvas');
+            this.scratch.width = width;
+            this.scratch.height = height;
+            const scratch = this.scratch.getContext('2d');
+            drawLayer(scratch, this.to.element);
+            this.updateMask(eased);
+            scratch.globalCompositeOperation = 'destination-in';
+            scratch.drawImage(this.maskCanvas, 0, 0, width, height);
+            ctx.drawImage(this.scratch, 0, 0);
+        }
+    }
+
+    /**
+     * Clear transition styling from the surviving layer
+     */
+    cleanup() {
+        const to = this.to.element.style;
+        to.opacity = '';
+        to.clipPath = '';
+        to.visibility = '';
+        to.maskImage = to.webkitMaskImage = '';
+        if (this.flashElement) this.flashElement.remove();
+    }
+
+    flashLevel(p) {
+        return 1 - Math.abs(2 * p - 1);
+    }
+
+    wipeInset(p) {
+        const hidden = `${((1 - p) * 100).toFixed(2)}%`;
+        switch (this.direction) {
+            case 'right': return `inset(0 0 0 ${hidden})`;
+            case 'up': return `inset(${hidden} 0 0 0)`;
+            case 'down': return `inset(0 0 ${hidden} 0)`;
+            default: return `inset(0 ${hidden} 0 0)`;
+        }
+    }
+
+    wipeRect(p, width, height) {
+        switch (this.direction) {
+            case 'right': return [width * (1 - p), 0, width * p, height];
+            case 'up': return [0, height * (1 - p), width, height * p];
+            case 'down': return [0, 0, width, height * p];
+            default: return [0, 0, width * p, height];
+        }
+    }
+
+    createNoise(seed) {
+        const random = new SeededRandom(seed);
+        this.noise = new Float32Array(MASK_WIDTH * MASK_HEIGHT);
+        for (let i = 0; i < this.noise.length; i++) {
+            this.noise[i] = random.next();
+        }
+        this.maskCanvas = document.createElement('canvas');
+        this.maskCanvas.width = MASK_WIDTH;
+        this.maskCanvas.height = MASK_HEIGHT;
+        this.maskContext = this.maskCanvas.getContext('2d');
+        this.maskImage = this.maskContext.createImageData(MASK_WIDTH, MASK_HEIGHT);
+    }
+
+    /**
+     * Cells whose noise value is below the progress become opaque
+     */
+    updateMask(p) {
+        const data = this.maskImage.data;
+        const threshold = p * (1 + MASK_SOFTNESS);
+        for (let i = 0; i < this.noise.length; i++) {
+            const alpha = Math.max(0, Math.min(1, (threshold - this.noise[i]) / MASK_SOFTNESS));
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = 255;
+            data[i * 4 + 3] = Math.round(alpha * 255);
+        }
+        this.maskContext.putImageData(this.maskImage, 0, 0);
+    }
+}
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
@@ -0,0 +1,286 @@
+/**
+ * VIB34D Text Track
+ * Lyric and title layers drawn over the visualization. Cues come from LRC, SRT or WebVTT files (or are
+ * typed in); each layer has a style and audio-reactive effects that read the same modulation sources and
+ * parameter values as the shaders. Drawing only depends on (time, sources, parameters), so the live
+ * overlay and OfflineRenderer frames show identical text.
+ */
+
+export const TEXT_POSITIONS = ['top', 'center', 'bottom'];
+export const TEXT_ALIGNS = ['left', 'center', 'right'];
+export const LYRIC_FORMATS = ['lrc', 'srt', 'vtt'];
+
+// Sizes are fractions of the frame height so text looks the same at every export resolution
+export const DEFAULT_TEXT_STYLE = {
+    font: 'Orbitron, sans-serif',
+    weight: 700,
+    size: 0.07,
+    color: '#ffffff',
+    outline: 0.004,
+    outlineColor: '#000000',
+    position: 'bottom',
+    align: 'center',
+    margin: 0.08,
+    maxWidth: 0.9,
+    lineHeight: 1.2
+};
+
+/**
+ * pulse: scale by 1 + amount * source (e.g. grow on kicks)
+ * glow: shadow blur of amount * source, in frame heights
+ * hue: { offset, saturation, lightness } colours the text from the `hue` parameter; null keeps style.color
+ * fade: seconds faded in/out at each cue's edges
+ */
+export const DEFAULT_TEXT_EFFECTS = {
+    pulse: { source: 'kick', amount: 0.15 },
+    glow: { source: 'energy', amount: 0.03 },
+    hue: null,
+    fade: 0.15
+};
+
+// Last LRC line (which has no end time) stays up this long
+const LRC_LAST_LINE_DURATION = 5;
+
+/**
+ * '00:01:02.500', '01:02,5', '62.5' -> seconds
+ */
+function parseTimestamp(text) {
+    const parts = String(text).trim().replace(',', '.').split(':').map(Number);
+    if (parts.length === 0 || parts.length > 3 || !parts.every(Number.isFinite)) {
+        throw new Error(`Invalid timestamp: ${text}`);
+    }
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * LRC: [mm:ss.xx] lines, several stamps per line allowed, [offset:ms] honoured
+ * Enhanced-LRC word stamps (<mm:ss.xx>) are dropped; each line ends when the next one starts
+ */
+export function parseLRC(text) {
+    let offset = 0;
+    const lines = [];
+
+    for (const raw of text.split(/\r?\n/)) {
+        const offsetTag = raw.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+        if (offsetTag) {
+            // Positive offsets make lyrics appear sooner
+            offset = -Number(offsetTag[1]) / 1000;
+            continue;
+        }
+
+        const stamps = [];
+        let rest = raw.trim();
+        let stamp;
+        while ((stamp = rest.match(/^\[(\d+):(\d+(?:\.\d+)?)\]/))) {
+            stamps.push(Number(stamp[1]) * 60 + Number(stamp[2]));
+            rest = rest.slice(stamp[0].length).trimStart();
+        }
+        const lyric = rest.replace(/<\d+:\d+(?:\.\d+)?>/g, '').trim();
+        stamps.forEach(time => lines.push({ time, text: lyric }));
+    }
+
+    lines.sort((a, b) => a.time - b.time);
+    const cues = [];
+    lines.forEach((line, i) => {
+        // Empty lines only end the previous lyric
+        if (!line.text) return;
+        const next = lines[i + 1];
+        const start = Math.max(0, line.time + offset);
+        const end = next ? next.time + offset : start + LRC_LAST_LINE_DURATION;
+        if (end > start) cues.push({ start, end, text: line.text });
+    });
+    return cues;
+}
+
+/**
+ * SRT and WebVTT share the "start --> end" cue block; VTT adds a header, cue settings and NOTE/STYLE blocks
+ */
+function parseCueBlocks(text) {
+    const cues = [];
+    const blocks = text.replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/);
+
+    for (const block of blocks) {
+        const lines = block.split(/\r?\n/).filter(line => line.trim() !== '');
+        const timing = lines.findIndex(line => line.includes('-->'));
+        if (timing < 0) continue; // header, NOTE, STYLE, REGION
+
+        const [startText, endText] = lines[timing].split('-->');
+        const start = parseTimestamp(startText);
+        const end = parseTimestamp(endText.trim().split(/\s+/)[0]);
+        const cueText = lines.slice(timing + 1).join('\n')
+            .replace(/<[^>]+>/g, '')   // <i>, <b>, <c.class>, <v Speaker>, karaoke stamps
+            .replace(/\{\\[^}]*\}/g, '') // SSA-style {\an8} tags some SRT files carry
+            .trim();
+        if (cueText && end > start) cues.push({ start, end, text: cueText });
+    }
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+export function parseSRT(text) {
+    return parseCueBlocks(text);
+}
+
+export function parseVTT(text) {
+    if (!/^\uFEFF?WEBVTT/.test(text)) {
+        throw new Error('Not a WebVTT file (missing WEBVTT header)');
+    }
+    return parseCueBlocks(text);
+}
+
+/**
+ * Guess the format from the file name, falling back to the content
+ */
+export function detectLyricFormat(text, filename = '') {
+    const extension = filename.split('.').pop().toLowerCase();
+    if (LYRIC_FORMATS.includes(extension)) return extension;
+    if (/^\uFEFF?WEBVTT/.test(text)) return 'vtt';
+    if (/^\s*\[\d+:\d+/m.test(text)) return 'lrc';
+    if (/-->/.test(text)) return 'srt';
+    throw new Error(`Unrecognised lyrics format${filename ? `: ${filename}` : ''}`);
+}
+
+/**
+ * Cues [{ start, end, text }] from an LRC, SRT or WebVTT file's contents
+ */
+export function parseLyrics(text, filename = '') {
+    const format = detectLyricFormat(text, filename);
+    const cues = format === 'lrc' ? parseLRC(text) : format === 'vtt' ? parseVTT(text) : parseSRT(text);
+    if (cues.length === 0) {
+        throw new Error(`No timed lines found in ${filename || `${format.toUpperCase()} text`}`);
+    }
+    return cues;
+}
+
+/**
+ * One text layer: timed cues with a shared style and effects
+ */
+export class TextTrack {
+    constructor({ name = 'lyrics', cues = [], style = {}, effects = {}, visible = true } = {}) {
+        this.name = name;
+        this.style = { ...DEFAULT_TEXT_STYLE, ...style };
+        this.effects = { ...DEFAULT_TEXT_EFFECTS, ...effects };
+        this.visible = visible;
+        this.setCues(cues);
+    }
+
+    setCues(cues) {
+        this.cues = cues
+            .map(cue => ({ start: Number(cue.start), end: Number(cue.end), text: String(cue.text) }))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Add or replace the cue starting at cue.start
+     */
+    addCue(cue) {
+        this.cues = this.cues.filter(existing => existing.start !== cue.start);
+        this.setCues([...this.cues, cue]);
+    }
+
+    removeCue(index) {
+        this.cues.splice(index, 1);
+    }
+
+    /**
+     * Cues showing at `time` (overlapping cues stack)
+     */
+    getActiveCues(time) {
+        return this.cues.filter(cue => time >= cue.start && time < cue.end);
+    }
+
+    /**
+     * Draw the cues active at `time` into a 2D context of width x height
+     * sources: modulation sources for this frame; parameters: current engine parameter values
+     */
+    draw(ctx, time, width, height, sources = {}, parameters = {}) {
+        if (!this.visible) return;
+        const active = this.getActiveCues(time);
+        if (active.length === 0) return;
+
+        const style = this.style;
+        const effects = this.effects;
+        const read = (effect) => effect && effect.source ? (sources[effect.source] ?? parameters[effect.source] ?? 0) * effect.amount : 0;
+
+        const scale = 1 + read(effects.pulse);
+        const fontSize = style.size * height;
+        const lineHeight = fontSize * style.lineHeight;
+        const maxWidth = style.maxWidth * width;
+        const margin = style.margin * height;
+
+        ctx.save();
+        ctx.font = `${style.weight} ${fontSize}px ${style.font}`;
+        ctx.textAlign = style.align;
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+
+        // Text is laid out unscaled, then the block is scaled around its anchor so pulses don't reflow lines
+        const lines = active.flatMap(cue => cue.text.split('\n').flatMap(line => this.wrap(ctx, line, maxWidth)));
+        const x = style.align === 'left' ? (width - maxWidth) / 2 : style.align === 'right' ? (width + maxWidth) / 2 : width / 2;
+        const blockHeight = lines.length * lineHeight;
+        const y = style.position === 'top' ? margin + blockHeight / 2
+            : style.position === 'center' ? height / 2
+            : height - margin - blockHeight / 2;
+
+        ctx.translate(x, y);
+        ctx.scale(scale, scale);
+        ctx.globalAlpha = Math.min(...active.map(cue => this.fadeLevel(cue, time)));
+
+        const color = effects.hue
+            ? `hsl(${(((parameters.hue ?? 0) + (effects.hue.offset || 0)) % 360 + 360) % 360}, ${effects.hue.saturation ?? 80}%, ${effects.hue.lightness ?? 70}%)`
+            : style.color;
+        const glow = read(effects.glow) * height;
+
+        lines.forEach((line, i) => {
+            const lineY = (i - (lines.length - 1) / 2) * lineHeight;
+            if (style.outline > 0) {
+                ctx.lineWidth = style.outline * height * 2;
+                ctx.strokeStyle = style.outlineColor;
+                ctx.strokeText(line, 0, lineY);
+            }
+            if (glow > 0) {
+                ctx.shadowColor = color;
+                ctx.shadowBlur = glow;
+            }
+            ctx.fillStyle = color;
+            ctx.fillText(line, 0, lineY);
+            ctx.shadowBlur = 0;
+        });
+        ctx.restore();
+    }
+
+    fadeLevel(cue, time) {
+        const fade = Math.min(this.effects.fade || 0, (cue.end - cue.start) / 2);
+        if (fade <= 0) return 1;
+        return Math.max(0, Math.min(1, (time - cue.start) / fade, (cue.end - time) / fade));
+    }
+
+    /**
+     * Greedy word wrap to maxWidth pixels
+     */
+    wrap(ctx, text, maxWidth) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const lines = [];
+        let line = '';
+        for (const word of words) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            visible: this.visible,
+            style: { ...this.style },
+            effects: JSON.parse(JSON.stringify(this.effects)),
+            cues: this.cues.map(cue => ({ ...cue }))
+        };
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * VIB34D Command History
+ * Undo/redo stack of data-only commands: { type, label, before, after }. Each type registers an
+ * apply(state) that puts that state back, so entries are plain JSON and the whole history can be
+ * saved with a project and restored later.
+ *
+ * Edits that share a coalesce key within COALESCE_WINDOW merge into one entry - a slider drag undoes
+ * in one step. seal() ends merging (e.g. on slider release).
+ */
+
+const DEFAULT_LIMIT = 200;
+const COALESCE_WINDOW = 1000; // ms between edits that still merge
+
+export class CommandHistory {
+    /**
+     * options.limit: entries kept; options.onChange(history): after every record/undo/redo/load
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || DEFAULT_LIMIT;
+        this.onChange = options.onChange || null;
+        this.appliers = new Map();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.sealed = true;
+        this.lastRecordTime = 0;
+        this.applying = false;
+        this.onKeyDown = null;
+    }
+
+    /**
+     * apply(state, entry, direction 'undo' | 'redo') restores one side of an entry of this type
+     */
+    register(type, apply) {
+        this.appliers.set(type, apply);
+    }
+
+    /**
+     * Record an edit that has already happened
+     * Returns the entry, or null while undo/redo is applying (restores are not edits)
+     */
+    record({ type, label = type, before, after, coalesce = null }) {
+        if (this.applying) return null;
+        if (!this.appliers.has(type)) {
+            throw new Error(`No history handler registered for ${type}`);
+        }
+        if (JSON.stringify(before) === JSON.stringify(after)) return null;
+
+        const now = Date.now();
+        const top = this.undoStack[this.undoStack.length - 1];
+        const entry = { type, label, before: clone(before), after: clone(after), coalesce };
+
+        if (coalesce && !this.sealed && top && top.type === type && top.coalesce === coalesce && now - this.lastRecordTime < COALESCE_WINDOW) {
+            // Keep the oldest "before" of every key and the newest "after"
+            top.before = isPlainObject(top.before) && isPlainObject(entry.before) ? { ...entry.before, ...top.before } : top.before;
+            top.after = isPlainObject(top.after) && isPlainObject(entry.after) ? { ...top.after, ...entry.after } : entry.after;
+        } else {
+            this.undoStack.push(entry);
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.sealed = !coalesce;
+        this.lastRecordTime = now;
+        this.changed();
+        return entry;
+    }
+
+    /**
+     * Stop the next edit from merging into the current one
+     */
+    seal() {
+        this.sealed = true;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.apply(entry, entry.before, 'undo');
+        this.redoStack.push(entry);
+        this.changed();
+        console.log(`↩️ Undo: ${entry.label}`);
+        return entry;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.apply(entry, entry.after, 'redo');
+        this.undoStack.push(entry);
+        this.changed();
+        console.log(`↪️ Redo: ${entry.label}`);
+        return entry;
+    }
+
+    apply(entry, state, direction) {
+        this.sealed = true;
+        this.applying = true;
+        try {
+            this.appliers.get(entry.type)(clone(state), entry, direction);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.sealed = true;
+        this.changed();
+    }
+
+    /**
+     * Labels for menus: { undo: 'Delete sequence 3' | null, redo: ... }
+     */
+    getLabels() {
+        const last = stack => stack.length ? stack[stack.length - 1].label : null;
+        return { undo: last(this.undoStack), redo: last(this.redoStack) };
+    }
+
+    /**
+     * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo
+     * Text fields keep their own undo
+     */
+    bindKeys(target = window) {
+        this.unbindKeys();
+        this.keyTarget = target;
+        this.onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+
+            const field = e.target;
+            if (field && (field.isContentEditable || field.tagName === 'TEXTAREA' ||
+                (field.tagName === 'INPUT' && ['text', 'search', 'url', 'email', 'password'].includes(field.type)))) {
+                return;
+            }
+
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) this.redo();
+            else this.undo();
+        };
+        target.addEventListener('keydown', this.onKeyDown);
+    }
+
+    unbindKeys() {
+        if (!this.onKeyDown) return;
+        this.keyTarget.removeEventListener('keydown', this.onKeyDown);
+        this.onKeyDown = null;
+    }
+
+    toJSON() {
+        const strip = ({ type, label, before, after }) => ({ type, label, before, after });
+        return { undo: this.undoStack.map(strip), redo: this.redoStack.map(strip) };
+    }
+
+    /**
+     * Restore a saved history; entries of unregistered types are dropped
+     */
+    load({ undo = [], redo = [] } = {}) {
+        const known = entry => entry && this.appliers.has(entry.type);
+        this.undoStack = undo.filter(known).slice(-this.limit).map(entry => ({ ...entry, coalesce: null }));
+        this.redoStack = redo.filter(known).map(entry => ({ ...entry, coalesce: null }));
+        this.sealed = true;
+        this.changed();
+    }
+
+    changed() {
+        if (this.onChange) this.onChange(this);
+    }
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -6,11 +6,13 @@
 
 import { IntegratedHolographicVisualizer } from './Visualizer.js';
 import { ParameterManager } from './Parameters.js';
+import { applyLayerComposites, layerParameters } from './LayerCompositing.js';
 import { VariationManager } from '../variations/VariationManager.js';
 import { GallerySystem } from '../gallery/GallerySystem.js';
 import { ExportManager } from '../export/ExportManager.js';
 // InteractionHandler removed - each system handles its own interactions
 import { StatusManager } from '../ui/StatusManager.js';
+import { CommandHistory } from './CommandHistory.js';
 
 export class VIB34DIntegratedEngine {
     constructor() {
@@ -23,6 +25,14 @@ export class VIB34DIntegratedEngine {
         // Each system handles its own interactions - no central handler needed
         this.statusManager = new StatusManager();
         
+        // Undo/redo for slider edits, presets, variations, randomize/reset and imports
+        this.history = new CommandHistory();
+        this.parameterManager.attachHistory(this.history, () => {
+            this.currentVariation = this.parameterManager.getParameter('variation');
+            this.updateDisplayValues();
+            this.updateVisualizers();
+        });
+        
         // Active state for reactivity
         this.isActive = false;
         
@@ -125,9 +135,13 @@ export class VIB34DIntegratedEngine {
         controls.forEach(id => {
             const element = document.getElementById(id);
             if (element) {
-                element.addEventListener('input', () => this.updateFromControls());
+                // A drag coalesces into one undo step; releasing the slider ends it
+                element.addEventListener('input', () => this.updateFromControls(id));
+                element.addEventListener('change', () => this.history.seal());
             }
         });
+        
+        this.history.bindKeys();
     }
     
     setupGeometryPresets() {
@@ -135,7 +149,7 @@ export class VIB34DIntegratedEngine {
             btn.addEventListener('click', () => {
                 document.querySelectorAll('[data-geometry]').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
-                this.parameterManager.setGeometry(parseInt(btn.dataset.geometry));
+                this.parameterManager.edit('Select geometry', () => this.parameterManager.setGeometry(parseInt(btn.dataset.geometry)));
                 this.updateVisualizers();
                 this.updateDisplayValues();
             });
@@ -205,8 +219,10 @@ export class VIB34DIntegratedEngine {
         params.clickIntensity = this.clickIntensity;
         params.time = this.time;
         
+        // Each layer draws with its own overrides and is composited with its own opacity/blend/transform
+        applyLayerComposites(params, this.visualizers);
         this.visualizers.forEach(visualizer => {
-            visualizer.updateParameters(params);
+            visualizer.updateParameters(layerParameters(params, visualizer.role));
             visualizer.render();
         });
         
@@ -218,8 +234,8 @@ export class VIB34DIntegratedEngine {
     /**
      * Update parameters from UI controls
      */
-    updateFromControls() {
-        this.parameterManager.updateFromControls();
+    updateFromControls(controlId = null) {
+        this.parameterManager.edit('Adjust parameters', () => this.parameterManager.updateFromControls(), controlId && `control:${controlId}`);
         this.updateDisplayValues();
     }
     
@@ -236,7 +252,7 @@ export class VIB34DIntegratedEngine {
     setVariation(index) {
         if (index >= 0 && index < this.totalVariations) {
             this.currentVariation = index;
-            this.variationManager.applyVariation(index);
+            this.parameterManager.edit(`Variation ${index + 1}`, () => this.variationManager.applyVariation(index));
             this.updateDisplayValues();
             this.updateVisualizers();
             
@@ -270,7 +286,7 @@ export class VIB34DIntegratedEngine {
      * Randomize all parameters
      */
     randomizeAll() {
-        this.parameterManager.randomizeAll();
+        this.parameterManager.edit('Randomize all', () => this.parameterManager.randomizeAll());
         this.updateDisplayValues();
         this.updateVisualizers();
         this.statusManager.setStatus('All parameters randomized', 'info');
@@ -280,7 +296,7 @@ export class VIB34DIntegratedEngine {
      * Reset to default parameters
      */
     resetToDefaults() {
-        this.parameterManager.resetToDefaults();
+        this.parameterManager.edit('Reset to defaults', () => this.parameterManager.resetToDefaults());
         this.updateDisplayValues();
         this.updateVisualizers();
         this.statusManager.setStatus('Reset to default parameters', 'info');
@@ -514,6 +530,8 @@ export class VIB34DIntegratedEngine {
             cancelAnimationFrame(this.animationId);
         }
         
+        this.history.unbindKeys();
+        
         this.visualizers.forEach(visualizer => {
             if (visualizer.destroy) {
                 visualizer.destroy();
@@ -0,0 +1,163 @@
+/**
+ * VIB34D Layer Compositing
+ * Faceted, quantum and holographic draw five stacked canvases (background, shadow, content, highlight,
+ * accent). Each layer gets its own opacity, blend mode, offset and scale, plus overrides of the shared
+ * parameters, all as ordinary ParameterManager parameters so they automate, modulate and save in
+ * variations like the rest:
+ *
+ *   accentOpacity, accentBlend (index into LAYER_BLEND_MODES), accentOffsetX/Y (fractions of the frame), accentScale
+ *   accent.hue, accent.intensity ...   - the accent layer's own value; unset (or null) follows the global one
+ *
+ * Live layers are styled with CSS; OfflineRenderer draws them with drawLayerCanvas() so exports match.
+ */
+
+export const LAYER_ROLES = ['background', 'shadow', 'content', 'highlight', 'accent'];
+
+export const LAYER_BLEND_MODES = ['normal', 'add', 'screen', 'multiply', 'difference'];
+
+// Shared parameters a layer can override
+export const LAYER_OVERRIDE_PARAMETERS = ['geometry', 'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue', 'intensity', 'saturation'];
+
+const CSS_BLEND = { normal: '', add: 'plus-lighter', screen: 'screen', multiply: 'multiply', difference: 'difference' };
+const CANVAS_BLEND = { normal: 'source-over', add: 'lighter', screen: 'screen', multiply: 'multiply', difference: 'difference' };
+
+const COMPOSITE_DEFS = {
+    Opacity: { min: 0, max: 1, step: 0.01, type: 'float', default: 1 },
+    Blend: { min: 0, max: LAYER_BLEND_MODES.length - 1, step: 1, type: 'int', default: 0 },
+    OffsetX: { min: -1, max: 1, step: 0.01, type: 'float', default: 0 },
+    OffsetY: { min: -1, max: 1, step: 0.01, type: 'float', default: 0 },
+    Scale: { min: 0.25, max: 4, step: 0.01, type: 'float', default: 1 }
+};
+
+const COMPOSITE_NAME = new RegExp(`^(${LAYER_ROLES.join('|')})(${Object.keys(COMPOSITE_DEFS).join('|')})$`);
+
+// Last composite applied to each live canvas, read back when OfflineRenderer flattens the layers
+const appliedComposites = new WeakMap();
+
+/**
+ * Compositing defaults for every layer: { backgroundOpacity: 1, backgroundBlend: 0, ... }
+ */
+export function layerParameterDefaults() {
+    const values = {};
+    LAYER_ROLES.forEach(role => {
+        for (const [property, def] of Object.entries(COMPOSITE_DEFS)) values[role + property] = def.default;
+    });
+    return values;
+}
+
+/**
+ * Definitions for every layer parameter; overrides reuse the definition of the parameter they override
+ */
+export function layerParameterDefs(parameterDefs) {
+    const defs = {};
+    LAYER_ROLES.forEach(role => {
+        for (const [property, { default: _, ...def }] of Object.entries(COMPOSITE_DEFS)) defs[role + property] = def;
+        LAYER_OVERRIDE_PARAMETERS.forEach(param => {
+            defs[`${role}.${param}`] = { ...parameterDefs[param] };
+        });
+    });
+    return defs;
+}
+
+/**
+ * 'accentOpacity' -> { role: 'accent', property: 'Opacity' }, 'accent.hue' -> { role: 'accent', override: 'hue' }, else null
+ */
+export function parseLayerParameter(name) {
+    const [role, override] = String(name).split('.');
+    if (override !== undefined) {
+        return LAYER_ROLES.includes(role) && LAYER_OVERRIDE_PARAMETERS.includes(override) ? { role, override } : null;
+    }
+    const match = String(name).match(COMPOSITE_NAME);
+    return match ? { role: match[1], property: match[2] } : null;
+}
+
+export function isLayerParameter(name) {
+    return parseLayerParameter(name) !== null;
+}
+
+/**
+ * A layer's composite from a flat parameter object: { opacity, blend: 'screen', offsetX, offsetY, scale }
+ */
+export function getLayerComposite(params, role) {
+    const read = property => params[role + property] ?? COMPOSITE_DEFS[property].default;
+    return {
+        opacity: read('Opacity'),
+        blend: LAYER_BLEND_MODES[Math.round(read('Blend'))] || 'normal',
+        offsetX: read('OffsetX'),
+        offsetY: read('OffsetY'),
+        scale: read('Scale')
+    };
+}
+
+/**
+ * A layer's parameter overrides: { hue: 120 } for accent.hue = 120
+ */
+export function getLayerOverrides(params, role) {
+    const overrides = {};
+    LAYER_OVERRIDE_PARAMETERS.forEach(param => {
+        const value = params[`${role}.${param}`];
+        if (value !== undefined && value !== null) overrides[param] = value;
+    });
+    return overrides;
+}
+
+/**
+ * `params` without any layer parameters (what every layer shares)
+ */
+export function globalParameters(params) {
+    return Object.fromEntries(Object.entries(params).filter(([name]) => !isLayerParameter(name)));
+}
+
+/**
+ * Parameters one visualizer should draw with: the shared ones plus its layer's overrides
+ */
+export function layerParameters(params, role) {
+    return { ...params, ...getLayerOverrides(params, role) };
+}
+
+/**
+ * Style one live canvas; defaults clear the inline style so page CSS (some pages blend layers) still applies
+ */
+export function applyLayerComposite(canvas, composite) {
+    if (!canvas) return;
+    const previous = appliedComposites.get(canvas);
+    if (previous && JSON.stringify(previous) === JSON.stringify(composite)) return;
+    appliedComposites.set(canvas, composite);
+
+    const { opacity, blend, offsetX, offsetY, scale } = composite;
+    canvas.style.opacity = opacity === 1 ? '' : String(opacity);
+    canvas.style.mixBlendMode = CSS_BLEND[blend];
+    canvas.style.transform = offsetX === 0 && offsetY === 0 && scale === 1
+        ? ''
+        : `translate(${offsetX * 100}%, ${offsetY * 100}%) scale(${scale})`;
+}
+
+/**
+ * Style every visualizer's canvas from a flat parameter object (visualizers carry .role and .canvas)
+ */
+export function applyLayerComposites(params, visualizers) {
+    visualizers.forEach(visualizer => {
+        if (LAYER_ROLES.includes(visualizer.role)) {
+            applyLayerComposite(visualizer.canvas, getLayerComposite(params, visualizer.role));
+        }
+    });
+}
+
+/**
+ * Draw a layer canvas into a 2D frame the way its CSS shows it live (opacity multiplies ctx.globalAlpha)
+ */
+export function drawLayerCanvas(ctx, canvas, width, height) {
+    const composite = appliedComposites.get(canvas);
+    if (!composite) {
+        ctx.drawImage(canvas, 0, 0, width, height);
+        return;
+    }
+
+    ctx.save();
+    ctx.globalAlpha *= composite.opacity;
+    ctx.globalCompositeOperation = CANVAS_BLEND[composite.blend];
+    ctx.translate(width / 2 + composite.offsetX * width, height / 2 + composite.offsetY * height);
+    ctx.scale(composite.scale, composite.scale);
+    ctx.drawImage(canvas, -width / 2, -height / 2, width, height);
+    ctx.restore();
+}
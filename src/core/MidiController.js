@@ -0,0 +1,307 @@
+/**
+ * VIB34D MIDI Controller
+ * Web MIDI input for performing the visuals from a controller:
+ *   - note-on: triggers bound per note ({ type: 'click' | 'sequence' | 'system', ... })
+ *   - CC: mapped to any parameter through learn mode, and exposed as cc<number> modulation sources
+ *   - clock: 24 ppqn MIDI clock with start/stop/continue drives tempo and beat position
+ * Messages from every connected input are merged; channels are ignored unless a binding names one.
+ */
+
+import { ParameterManager } from './Parameters.js';
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+const CLOCK = 0xF8;
+const START = 0xFA;
+const CONTINUE = 0xFB;
+const STOP = 0xFC;
+
+// Clock ticks per quarter note
+const PPQN = 24;
+
+export const MIDI_TRIGGER_TYPES = ['click', 'sequence', 'system'];
+
+/**
+ * Default pads: C1 fires a click, C2-D2 switch systems, C3 upward jump to sequences 1, 2, 3...
+ */
+export const DEFAULT_NOTE_BINDINGS = {
+    36: { type: 'click' },
+    48: { type: 'system', system: 'faceted' },
+    49: { type: 'system', system: 'quantum' },
+    50: { type: 'system', system: 'holographic' },
+    ...Object.fromEntries(Array.from({ length: 12 }, (_, i) => [60 + i, { type: 'sequence', index: i }]))
+};
+
+export class MidiController {
+    /**
+     * options.onTrigger(action, velocity 0-1, note): bound note pressed
+     * options.onLearn({ kind: 'cc' | 'note', ... }): learn mode captured a control
+     */
+    constructor(options = {}) {
+        this.onTrigger = options.onTrigger || null;
+        this.onLearn = options.onLearn || null;
+        this.parameterDefs = new ParameterManager().parameterDefs;
+
+        this.access = null;
+        this.inputs = [];
+        this.enabled = false;
+
+        this.noteBindings = { ...DEFAULT_NOTE_BINDINGS };
+        this.ccMappings = {};   // cc number -> { param, range: [min, max] }
+        this.ccValues = {};     // cc number -> 0-1
+        this.learning = null;   // { kind: 'cc', param } | { kind: 'note', action }
+        this.lastNote = null;
+
+        this.resetClock();
+    }
+
+    /**
+     * Ask for MIDI access and listen to every input (hot-plugged ones too)
+     */
+    async enable() {
+        if (this.enabled) return true;
+        if (!navigator.requestMIDIAccess) {
+            throw new Error('Web MIDI is not supported in this browser');
+        }
+
+        this.access = await navigator.requestMIDIAccess();
+        this.onMessage = (event) => this.handleMessage(event.data, event.timeStamp / 1000);
+        this.onStateChange = () => this.bindInputs();
+        this.access.addEventListener('statechange', this.onStateChange);
+        this.bindInputs();
+        this.enabled = true;
+
+        console.log(`🎹 MIDI: ${this.inputs.length} input${this.inputs.length === 1 ? '' : 's'} (${this.inputs.map(input => input.name).join(', ') || 'none yet'})`);
+        return true;
+    }
+
+    disable() {
+        if (!this.enabled) return;
+        this.inputs.forEach(input => input.removeEventListener('midimessage', this.onMessage));
+        this.access.removeEventListener('statechange', this.onStateChange);
+        this.inputs = [];
+        this.enabled = false;
+        this.resetClock();
+    }
+
+    bindInputs() {
+        this.inputs.forEach(input => input.removeEventListener('midimessage', this.onMessage));
+        this.inputs = Array.from(this.access.inputs.values()).filter(input => input.state !== 'disconnected');
+        this.inputs.forEach(input => input.addEventListener('midimessage', this.onMessage));
+    }
+
+    /**
+     * Handle one raw MIDI message; `time` in seconds (performance.now() clock)
+     */
+    handleMessage(data, time = performance.now() / 1000) {
+        const status = data[0];
+
+        if (status >= 0xF8) {
+            this.handleRealtime(status, time);
+            return;
+        }
+
+        const type = status & 0xF0;
+        const channel = (status & 0x0F) + 1;
+
+        if (type === NOTE_ON && data[2] > 0) {
+            this.handleNote(data[1], data[2] / 127, channel);
+        } else if (type === NOTE_ON || type === NOTE_OFF) {
+            if (this.lastNote && this.lastNote.note === data[1]) this.lastNote = { ...this.lastNote, velocity: 0 };
+        } else if (type === CONTROL_CHANGE) {
+            this.handleControl(data[1], data[2] / 127, channel);
+        }
+    }
+
+    handleNote(note, velocity, channel) {
+        this.lastNote = { note, velocity, channel };
+
+        if (this.learning && this.learning.kind === 'note') {
+            this.bindNote(note, this.learning.action);
+            this.finishLearn({ kind: 'note', note, action: this.learning.action });
+            return;
+        }
+
+        const action = this.noteBindings[note];
+        if (action && this.onTrigger) this.onTrigger(action, velocity, note);
+    }
+
+    handleControl(cc, value, channel) {
+        this.ccValues[cc] = value;
+
+        if (this.learning && this.learning.kind === 'cc') {
+            this.mapControl(cc, this.learning.param);
+            this.finishLearn({ kind: 'cc', cc, channel, param: this.learning.param });
+        }
+    }
+
+    /**
+     * Note bindings
+     */
+    bindNote(note, action) {
+        if (!MIDI_TRIGGER_TYPES.includes(action.type)) {
+            throw new Error(`Unknown MIDI trigger: ${action.type}`);
+        }
+        this.noteBindings[note] = { ...action };
+    }
+
+    unbindNote(note) {
+        delete this.noteBindings[note];
+    }
+
+    /**
+     * CC -> parameter mappings; range defaults to the parameter's full range
+     */
+    mapControl(cc, param, range = null) {
+        const def = this.parameterDefs[param];
+        if (!def) {
+            throw new Error(`Cannot map CC ${cc} to unknown parameter: ${param}`);
+        }
+
+        // One control per parameter
+        for (const [other, mapping] of Object.entries(this.ccMappings)) {
+            if (mapping.param === param) delete this.ccMappings[other];
+        }
+        this.ccMappings[cc] = { param, range: range ? range.map(Number) : [def.min, def.max] };
+    }
+
+    unmapControl(cc) {
+        delete this.ccMappings[cc];
+    }
+
+    /**
+     * Learn mode: the next CC moved is mapped to `param`
+     */
+    learnControl(param) {
+        if (!this.parameterDefs[param]) {
+            throw new Error(`Cannot learn unknown parameter: ${param}`);
+        }
+        this.learning = { kind: 'cc', param };
+    }
+
+    /**
+     * Learn mode: the next note played is bound to `action`
+     */
+    learnNote(action) {
+        this.learning = { kind: 'note', action: { ...action } };
+    }
+
+    cancelLearn() {
+        this.learning = null;
+    }
+
+    finishLearn(result) {
+        this.learning = null;
+        console.log(`🎹 MIDI learned: ${result.kind === 'cc' ? `CC ${result.cc} -> ${result.param}` : `note ${result.note} -> ${result.action.type}`}`);
+        if (this.onLearn) this.onLearn(result);
+    }
+
+    /**
+     * Values of every mapped parameter from the last CC positions: { [param]: value }
+     */
+    getParameterValues() {
+        const values = {};
+        for (const [cc, { param, range }] of Object.entries(this.ccMappings)) {
+            if (!(cc in this.ccValues)) continue; // not moved yet: leave the parameter alone
+            let value = range[0] + (range[1] - range[0]) * this.ccValues[cc];
+            if (this.parameterDefs[param].type === 'int') value = Math.round(value);
+            values[param] = value;
+        }
+        return values;
+    }
+
+    /**
+     * Modulation sources: cc<number> (0-1) for every CC seen, plus the last note's velocity
+     */
+    getSources() {
+        const sources = {};
+        for (const [cc, value] of Object.entries(this.ccValues)) {
+            sources[`cc${cc}`] = value;
+        }
+        sources.noteVelocity = this.lastNote ? this.lastNote.velocity : 0;
+        return sources;
+    }
+
+    /**
+     * MIDI clock
+     */
+    resetClock() {
+        this.clock = {
+            running: false,
+            ticks: 0,
+            lastTickTime: null,
+            tickInterval: 0 // smoothed seconds per tick
+        };
+    }
+
+    handleRealtime(status, time) {
+        const clock = this.clock;
+
+        if (status === START) {
+            clock.running = true;
+            clock.ticks = 0;
+            clock.lastTickTime = null;
+        } else if (status === CONTINUE) {
+            clock.running = true;
+            clock.lastTickTime = null;
+        } else if (status === STOP) {
+            clock.running = false;
+        } else if (status === CLOCK) {
+            if (clock.lastTickTime !== null) {
+                const interval = time - clock.lastTickTime;
+                // Ignore gaps (e.g. a stalled tab); otherwise smooth over about a beat of ticks
+                if (interval > 0 && interval < 0.25) {
+                    clock.tickInterval = clock.tickInterval ? clock.tickInterval + (interval - clock.tickInterval) / PPQN : interval;
+                }
+            }
+            clock.lastTickTime = time;
+            if (clock.running) clock.ticks++;
+        }
+    }
+
+    get clockBPM() {
+        return this.clock.tickInterval > 0 ? 60 / (this.clock.tickInterval * PPQN) : 0;
+    }
+
+    /**
+     * Beat position from the clock, in the same shape as TempoTracker.getState()
+     * Between ticks the phase is extrapolated from the tick rate; `time` in seconds (performance.now() clock)
+     */
+    getClockState(time = performance.now() / 1000, beatsPerBar = 4) {
+        const clock = this.clock;
+        const bpm = this.clockBPM;
+        if (!clock.running || clock.ticks === 0 || !bpm) {
+            return { bpm: Math.round(bpm), confidence: 0, beatIndex: -1, barIndex: -1, beatInBar: 0, isDownbeat: false, phase: 0 };
+        }
+
+        // The first tick after Start is beat 0
+        const sinceTick = clock.lastTickTime === null ? 0 : Math.min(1, (time - clock.lastTickTime) / clock.tickInterval);
+        const position = (clock.ticks - 1 + sinceTick) / PPQN;
+        const beatIndex = Math.floor(position);
+        const beatInBar = beatIndex % beatsPerBar;
+        return {
+            bpm: Math.round(bpm),
+            confidence: 1,
+            beatIndex,
+            barIndex: Math.floor(beatIndex / beatsPerBar),
+            beatInBar,
+            isDownbeat: beatInBar === 0,
+            phase: position - beatIndex
+        };
+    }
+
+    toJSON() {
+        return {
+            notes: Object.fromEntries(Object.entries(this.noteBindings).map(([note, action]) => [note, { ...action }])),
+            controls: Object.fromEntries(Object.entries(this.ccMappings).map(([cc, mapping]) => [cc, { param: mapping.param, range: [...mapping.range] }]))
+        };
+    }
+
+    load({ notes = DEFAULT_NOTE_BINDINGS, controls = {} } = {}) {
+        this.noteBindings = {};
+        this.ccMappings = {};
+        for (const [note, action] of Object.entries(notes)) this.bindNote(Number(note), action);
+        for (const [cc, mapping] of Object.entries(controls)) this.mapControl(Number(cc), mapping.param, mapping.range);
+    }
+}
@@ -0,0 +1,239 @@
+/**
+ * VIB34D Modulation Matrix
+ * Routes any named source (audio bands, drum hits, LFOs, MIDI CCs...) to any ParameterManager parameter.
+ * Each route shapes its source with an input range, curve, attack/release smoothing and polarity, then
+ * adds `amount` to (or scales by) the parameter's base value. Smoothing is driven by the times passed
+ * to process(), so offline renders at a fixed step give the same result every time.
+ */
+
+import { ParameterManager, ROTATION_PARAMETERS } from './Parameters.js';
+import { parseLayerParameter } from './LayerCompositing.js';
+
+/**
+ * Response curves over x in [0, 1]
+ */
+export const MODULATION_CURVES = {
+    linear: x => x,
+    exponential: x => x * x,
+    logarithmic: x => Math.sqrt(x),
+    's-curve': x => x * x * (3 - 2 * x),
+    step: x => x >= 0.5 ? 1 : 0
+};
+
+// unipolar: 0..1, bipolar: -1..1 around the middle of the range, inverted: 1..0
+export const MODULATION_POLARITIES = ['unipolar', 'bipolar', 'inverted'];
+
+// add: base + amount * x, multiply: base * (1 + amount * x)
+export const MODULATION_MODES = ['add', 'multiply'];
+
+// Sources MusicVideoChoreographer provides every frame; routes may name any other source too
+export const MODULATION_SOURCES = [
+    'bass', 'mid', 'high', 'energy', 'flux', 'kick', 'snare', 'hihat',
+    'bassEnv', 'midEnv', 'highEnv', 'energyEnv', 'kickEnv', 'snareEnv', 'hihatEnv'
+];
+
+// Parameters that wrap around instead of clamping
+const CYCLIC_PARAMETERS = ['hue', ...ROTATION_PARAMETERS];
+
+// The old MusicVideoChoreographer.reactivitySettings defaults
+export const DEFAULT_REACTIVITY = {
+    bassToGridDensity: 30,
+    midToMorph: 0.5,
+    highToChaos: 0.6,
+    energyToIntensity: 0.5,
+    energyToSpeed: 0.5
+};
+
+/**
+ * Reactive-mode routes equivalent to a legacy reactivitySettings object
+ */
+export function routesFromReactivity(reactivity = DEFAULT_REACTIVITY) {
+    const settings = { ...DEFAULT_REACTIVITY, ...reactivity };
+    return [
+        { source: 'bass', target: 'gridDensity', amount: settings.bassToGridDensity },
+        { source: 'mid', target: 'morphFactor', amount: settings.midToMorph },
+        { source: 'high', target: 'chaos', amount: settings.highToChaos },
+        { source: 'energy', target: 'speed', amount: settings.energyToSpeed },
+        { source: 'energy', target: 'intensity', amount: settings.energyToIntensity },
+        { source: 'bass', target: 'saturation', amount: 0.3 },
+        { source: 'mid', target: 'hue', amount: 60 },
+        { source: 'high', target: 'hue', amount: 30 },
+        { source: 'bass', target: 'rot4dXW', amount: 0.5 },
+        { source: 'mid', target: 'rot4dYW', amount: 0.5 },
+        { source: 'high', target: 'rot4dZW', amount: 0.5 }
+    ];
+}
+
+export class ModulationMatrix {
+    constructor(routes = []) {
+        const parameters = new ParameterManager();
+        this.parameterDefs = parameters.parameterDefs;
+        this.defaults = parameters.defaults;
+
+        this.routes = [];
+        this.nextId = 1;
+        this.state = new Map(); // route id -> smoothed value
+        this.lastTime = null;
+
+        routes.forEach(route => this.addRoute(route));
+    }
+
+    /**
+     * Add a route; returns the stored route (with its id)
+     * route: { source, target, amount?, curve?, range?: [min, max], attack? (s), release? (s), polarity?, mode?, enabled? }
+     */
+    addRoute(route) {
+        const stored = this.normalizeRoute({ ...route, id: route.id || this.nextId });
+        this.nextId = Math.max(this.nextId, stored.id + 1);
+        this.routes.push(stored);
+        return stored;
+    }
+
+    updateRoute(id, changes) {
+        const index = this.routes.findIndex(route => route.id === id);
+        if (index < 0) return null;
+
+        this.routes[index] = this.normalizeRoute({ ...this.routes[index], ...changes, id });
+        this.state.delete(id);
+        return this.routes[index];
+    }
+
+    removeRoute(id) {
+        this.routes = this.routes.filter(route => route.id !== id);
+        this.state.delete(id);
+    }
+
+    clear() {
+        this.routes = [];
+        this.state.clear();
+    }
+
+    /**
+     * Drop smoothing state (seek, new track, start of an offline render)
+     */
+    reset() {
+        this.state.clear();
+        this.lastTime = null;
+    }
+
+    normalizeRoute(route) {
+        if (!this.parameterDefs[route.target]) {
+            throw new Error(`Cannot modulate unknown parameter: ${route.target}`);
+        }
+        if (!route.source) {
+            throw new Error(`Modulation route to ${route.target} has no source`);
+        }
+
+        const normalized = {
+            id: Number(route.id),
+            enabled: route.enabled !== false,
+            source: String(route.source),
+            target: route.target,
+            amount: Number(route.amount ?? 1),
+            curve: route.curve || 'linear',
+            range: route.range ? route.range.map(Number) : [0, 1],
+            attack: Math.max(0, Number(route.attack || 0)),
+            release: Math.max(0, Number(route.release || 0)),
+            polarity: route.polarity || 'unipolar',
+            mode: route.mode || 'add'
+        };
+
+        if (!MODULATION_CURVES[normalized.curve]) throw new Error(`Unknown modulation curve: ${normalized.curve}`);
+        if (!MODULATION_POLARITIES.includes(normalized.polarity)) throw new Error(`Unknown modulation polarity: ${normalized.polarity}`);
+        if (!MODULATION_MODES.includes(normalized.mode)) throw new Error(`Unknown modulation mode: ${normalized.mode}`);
+        if (!(normalized.range[1] > normalized.range[0])) throw new Error(`Modulation range must be [min, max] with max > min`);
+        return normalized;
+    }
+
+    /**
+     * Modulated values at `time` for every parameter in `base` plus every routed target
+     * sources: { [name]: number } for this frame; base: { [param]: value } before modulation
+     * Only modulated parameters are clamped; the rest of `base` passes through untouched
+     */
+    process(sources, base = {}, time = 0) {
+        const dt = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+
+        // Seeks and long stalls jump straight to the new value instead of gliding
+        const jump = dt <= 0 || dt > 0.5;
+
+        const values = { ...base };
+        const scales = {};
+        const modulated = new Set();
+
+        for (const route of this.routes) {
+            if (!route.enabled) continue;
+            const input = sources[route.source];
+            if (!Number.isFinite(input)) continue;
+
+            const [min, max] = route.range;
+            const shaped = MODULATION_CURVES[route.curve](Math.max(0, Math.min(1, (input - min) / (max - min))));
+            const smoothed = this.smooth(route, shaped, jump ? 0 : dt);
+
+            let signal = smoothed;
+            if (route.polarity === 'bipolar') signal = smoothed * 2 - 1;
+            else if (route.polarity === 'inverted') signal = 1 - smoothed;
+
+            if (!(route.target in values)) values[route.target] = this.baseValue(route.target, values);
+            modulated.add(route.target);
+            if (route.mode === 'multiply') {
+                scales[route.target] = (scales[route.target] ?? 1) * (1 + route.amount * signal);
+            } else {
+                values[route.target] += route.amount * signal;
+            }
+        }
+
+        for (const param of modulated) {
+            values[param] = this.constrain(param, values[param] * (scales[param] ?? 1));
+        }
+        return values;
+    }
+
+    /**
+     * Unset target's starting value: a layer override starts from the global value it overrides
+     */
+    baseValue(param, values) {
+        const layer = parseLayerParameter(param);
+        if (layer && layer.override) return values[layer.override] ?? this.defaults[layer.override];
+        return this.defaults[param];
+    }
+
+    /**
+     * One-pole follower: attack time while rising, release time while falling (0 = instant)
+     */
+    smooth(route, value, dt) {
+        const previous = this.state.get(route.id);
+        let next = value;
+        if (previous !== undefined && dt > 0) {
+            const time = value > previous ? route.attack : route.release;
+            if (time > 0) {
+                next = previous + (value - previous) * (1 - Math.exp(-dt / time));
+            }
+        }
+        this.state.set(route.id, next);
+        return next;
+    }
+
+    constrain(param, value) {
+        const def = this.parameterDefs[param];
+        if (!def) return value;
+
+        if (CYCLIC_PARAMETERS.includes(param)) {
+            const span = def.max - def.min;
+            value = def.min + (((value - def.min) % span) + span) % span;
+        } else {
+            value = Math.max(def.min, Math.min(def.max, value));
+        }
+        return def.type === 'int' ? Math.round(value) : value;
+    }
+
+    toJSON() {
+        return this.routes.map(route => ({ ...route, range: [...route.range] }));
+    }
+
+    load(routes = []) {
+        this.clear();
+        this.nextId = 1;
+        routes.forEach(route => this.addRoute(route));
+    }
+}
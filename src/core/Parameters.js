@@ -3,6 +3,12 @@
  * Unified parameter control for both holographic and polytopal systems
  */
 
+import { layerParameterDefaults, layerParameterDefs, parseLayerParameter } from './LayerCompositing.js';
+import { projectionDefaults, projectionParameterDefs } from './Projection.js';
+
+// The six planes of 4D rotation, in the order every shader applies them. Angles wrap around instead of clamping
+export const ROTATION_PARAMETERS = ['rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW'];
+
 export class ParameterManager {
     constructor() {
         // Default parameter set combining both systems
@@ -11,11 +17,17 @@ export class ParameterManager {
             variation: 0,
             
             // 4D Polytopal Mathematics
-            rot4dXW: 0.0,      // X-W plane rotation (-2 to 2)
-            rot4dYW: 0.0,      // Y-W plane rotation (-2 to 2) 
-            rot4dZW: 0.0,      // Z-W plane rotation (-2 to 2)
+            rot4dXY: 0.0,      // X-Y plane rotation (-2π to 2π)
+            rot4dXZ: 0.0,      // X-Z plane rotation (-2π to 2π)
+            rot4dYZ: 0.0,      // Y-Z plane rotation (-2π to 2π)
+            rot4dXW: 0.0,      // X-W plane rotation (-2π to 2π)
+            rot4dYW: 0.0,      // Y-W plane rotation (-2π to 2π)
+            rot4dZW: 0.0,      // Z-W plane rotation (-2π to 2π)
             dimension: 3.5,    // Dimensional level (3.0 to 4.5)
             
+            // 4D -> 3D projection: projection (mode index), projectionDistance, sliceDepth, sliceThickness (see Projection.js)
+            ...projectionDefaults(),
+            
             // Holographic Visualization
             gridDensity: 15,   // Geometric detail (4 to 30)
             morphFactor: 1.0,  // Shape transformation (0 to 2)
@@ -26,16 +38,29 @@ export class ParameterManager {
             saturation: 0.8,   // Color saturation (0 to 1)
             
             // Geometry selection
-            geometry: 0        // Current geometry type (0-7)
+            geometry: 0,       // Current geometry type (0-7)
+            
+            // Post-processing (see PostProcessingChain) - 0 turns an effect off
+            fxBloom: 0,        // Glow around bright areas (0 to 2)
+            fxBloomThreshold: 0.6, // Brightness that starts glowing (0 to 1)
+            fxTrails: 0,       // Feedback persistence (0 to 0.98)
+            fxKaleidoscope: 0, // Mirror segments (0, or 2 to 16)
+            fxRgbSplit: 0,     // Chromatic offset (0 to 1)
+            fxGrain: 0,        // Film grain (0 to 1)
+            fxVignette: 0,     // Edge darkening (0 to 1)
+            fxGlitch: 0,       // Pixel-sort glitch rows (0 to 1)
+            
+            // Per-layer opacity, blend, offset and scale (see LayerCompositing); layer overrides like
+            // accent.hue are only present while set
+            ...layerParameterDefaults()
         };
         
         // Parameter definitions for validation and UI
         this.parameterDefs = {
             variation: { min: 0, max: 99, step: 1, type: 'int' },
-            rot4dXW: { min: -2, max: 2, step: 0.01, type: 'float' },
-            rot4dYW: { min: -2, max: 2, step: 0.01, type: 'float' },
-            rot4dZW: { min: -2, max: 2, step: 0.01, type: 'float' },
+            ...Object.fromEntries(ROTATION_PARAMETERS.map(name => [name, { min: -2 * Math.PI, max: 2 * Math.PI, step: 0.01, type: 'float' }])),
             dimension: { min: 3.0, max: 4.5, step: 0.01, type: 'float' },
+            ...projectionParameterDefs(),
             gridDensity: { min: 4, max: 100, step: 0.1, type: 'float' },
             morphFactor: { min: 0, max: 2, step: 0.01, type: 'float' },
             chaos: { min: 0, max: 1, step: 0.01, type: 'float' },
@@ -43,11 +68,73 @@ export class ParameterManager {
             hue: { min: 0, max: 360, step: 1, type: 'int' },
             intensity: { min: 0, max: 1, step: 0.01, type: 'float' },
             saturation: { min: 0, max: 1, step: 0.01, type: 'float' },
-            geometry: { min: 0, max: 7, step: 1, type: 'int' }
+            geometry: { min: 0, max: 7, step: 1, type: 'int' },
+            fxBloom: { min: 0, max: 2, step: 0.01, type: 'float' },
+            fxBloomThreshold: { min: 0, max: 1, step: 0.01, type: 'float' },
+            fxTrails: { min: 0, max: 0.98, step: 0.01, type: 'float' },
+            fxKaleidoscope: { min: 0, max: 16, step: 1, type: 'int' },
+            fxRgbSplit: { min: 0, max: 1, step: 0.01, type: 'float' },
+            fxGrain: { min: 0, max: 1, step: 0.01, type: 'float' },
+            fxVignette: { min: 0, max: 1, step: 0.01, type: 'float' },
+            fxGlitch: { min: 0, max: 1, step: 0.01, type: 'float' }
         };
+        Object.assign(this.parameterDefs, layerParameterDefs(this.parameterDefs));
         
         // Default parameter backup for reset
         this.defaults = { ...this.params };
+        
+        // Undo history for user edits (see attachHistory); audio/choreography updates use setParameter and aren't recorded
+        this.history = null;
+        this.editDepth = 0;
+    }
+    
+    /**
+     * Record user edits in a CommandHistory; onApply(values) refreshes UI/visualizers after undo/redo
+     */
+    attachHistory(history, onApply = null) {
+        this.history = history;
+        history.register('parameters', (values) => {
+            this.setParameters(values); // null values delete layer overrides the edit added
+            if (onApply) onApply(values);
+        });
+    }
+    
+    /**
+     * Run `change` as one undoable edit; only the parameters it changed are stored
+     * Edits with the same coalesce key in quick succession (slider drags) merge into one step
+     */
+    edit(label, change, coalesce = null) {
+        const before = this.getAllParameters();
+        this.editDepth++;
+        try {
+            change();
+        } finally {
+            this.editDepth--;
+        }
+        
+        // Nested edits (e.g. an import that applies a variation) are part of the outer one
+        if (!this.history || this.editDepth > 0) return;
+        
+        // Layer overrides come and go, so compare both sides; a missing value is stored as null, which
+        // setParameter() treats as "remove the override"
+        const changedBefore = {};
+        const changedAfter = {};
+        for (const name of new Set([...Object.keys(before), ...Object.keys(this.params)])) {
+            if (before[name] !== this.params[name]) {
+                changedBefore[name] = before[name] ?? null;
+                changedAfter[name] = this.params[name] ?? null;
+            }
+        }
+        if (Object.keys(changedAfter).length) {
+            this.history.record({ type: 'parameters', label, before: changedBefore, after: changedAfter, coalesce });
+        }
+    }
+    
+    /**
+     * Set a parameter as an undoable user edit
+     */
+    editParameter(name, value) {
+        this.edit(`Set ${name}`, () => this.setParameter(name, value), `parameter:${name}`);
     }
     
     /**
@@ -61,11 +148,22 @@ export class ParameterManager {
      * Set a specific parameter with validation
      */
     setParameter(name, value) {
+        // null clears a layer override so the layer follows the global value again
+        if (value === null && this.parameterDefs[name] && parseLayerParameter(name)?.override) {
+            delete this.params[name];
+            return true;
+        }
+        
         if (this.parameterDefs[name]) {
             const def = this.parameterDefs[name];
             
-            // Clamp value to valid range
-            value = Math.max(def.min, Math.min(def.max, value));
+            // Clamp value to valid range (rotations wrap: a full turn either way lands on the same angle)
+            if (ROTATION_PARAMETERS.includes(name)) {
+                const span = def.max - def.min;
+                value = def.min + (((value - def.min) % span) + span) % span;
+            } else {
+                value = Math.max(def.min, Math.min(def.max, value));
+            }
             
             // Apply type conversion
             if (def.type === 'int') {
@@ -108,7 +206,7 @@ export class ParameterManager {
      */
     updateFromControls() {
         const controlIds = [
-            'variationSlider', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'dimension',
+            'variationSlider', ...ROTATION_PARAMETERS, 'dimension',
             'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue'
         ];
         
@@ -134,9 +232,7 @@ export class ParameterManager {
     updateDisplayValues() {
         // Update slider values
         this.updateSliderValue('variationSlider', this.params.variation);
-        this.updateSliderValue('rot4dXW', this.params.rot4dXW);
-        this.updateSliderValue('rot4dYW', this.params.rot4dYW);
-        this.updateSliderValue('rot4dZW', this.params.rot4dZW);
+        ROTATION_PARAMETERS.forEach(name => this.updateSliderValue(name, this.params[name]));
         this.updateSliderValue('dimension', this.params.dimension);
         this.updateSliderValue('gridDensity', this.params.gridDensity);
         this.updateSliderValue('morphFactor', this.params.morphFactor);
@@ -145,9 +241,7 @@ export class ParameterManager {
         this.updateSliderValue('hue', this.params.hue);
         
         // Update display texts
-        this.updateDisplayText('rot4dXWDisplay', this.params.rot4dXW.toFixed(2));
-        this.updateDisplayText('rot4dYWDisplay', this.params.rot4dYW.toFixed(2));
-        this.updateDisplayText('rot4dZWDisplay', this.params.rot4dZW.toFixed(2));
+        ROTATION_PARAMETERS.forEach(name => this.updateDisplayText(`${name}Display`, this.params[name].toFixed(2)));
         this.updateDisplayText('dimensionDisplay', this.params.dimension.toFixed(2));
         this.updateDisplayText('gridDensityDisplay', this.params.gridDensity.toFixed(1));
         this.updateDisplayText('morphFactorDisplay', this.params.morphFactor.toFixed(2));
@@ -206,9 +300,10 @@ export class ParameterManager {
      * Randomize all parameters
      */
     randomizeAll() {
-        this.params.rot4dXW = Math.random() * 4 - 2;
-        this.params.rot4dYW = Math.random() * 4 - 2;
-        this.params.rot4dZW = Math.random() * 4 - 2;
+        ROTATION_PARAMETERS.forEach(name => {
+            const { min, max } = this.parameterDefs[name];
+            this.params[name] = min + Math.random() * (max - min);
+        });
         this.params.dimension = 3.0 + Math.random() * 1.5;
         this.params.gridDensity = 4 + Math.random() * 26;
         this.params.morphFactor = Math.random() * 2;
@@ -218,6 +313,16 @@ export class ParameterManager {
         this.params.geometry = Math.floor(Math.random() * 8);
     }
     
+    /**
+     * Back to default compositing with no overrides on every layer
+     */
+    resetLayers() {
+        for (const name of Object.keys(this.params)) {
+            if (parseLayerParameter(name)) delete this.params[name];
+        }
+        Object.assign(this.params, layerParameterDefaults());
+    }
+    
     /**
      * Reset to default parameters
      */
@@ -270,6 +375,9 @@ export class ParameterManager {
                 chaos: level * 0.15,
                 speed: 0.8 + (level * 0.2),
                 hue: (geometryType * 45 + level * 15) % 360,
+                rot4dXY: 0,
+                rot4dXZ: 0,
+                rot4dYZ: 0,
                 rot4dXW: (level - 1.5) * 0.5,
                 rot4dYW: (geometryType % 2) * 0.3,
                 rot4dZW: ((geometryType + level) % 3) * 0.2,
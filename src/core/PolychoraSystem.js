@@ -9,6 +9,9 @@
  * - Unique color magnetism and glass effects
  */
 
+import { projectionGLSL, projectionDefaults, PROJECTION_PARAMETERS } from './Projection.js';
+import { ROTATION_PARAMETERS } from './Parameters.js';
+
 /**
  * PolychoraVisualizer - Individual layer renderer for 4D polytopes
  * Renders glassmorphic line-based effects with WebGL
@@ -117,7 +120,11 @@ class PolychoraVisualizer {
             uniform float u_flowDirection;
             uniform float u_faceTransparency;
             uniform float u_edgeThickness;
-            uniform float u_projectionDistance;
+            
+            uniform float u_polytopeDepth;
+            
+            // Shared 4D -> 3D projection (u_projection, u_projectionDistance, u_sliceDepth, u_sliceThickness)
+            ${projectionGLSL('none')}
             
             // COMPLETE 4D rotation matrices - All 6 possible rotations
             mat4 rotateXW(float angle) {
@@ -271,14 +278,14 @@ class PolychoraVisualizer {
                 // Create 4D point with enhanced projection distance
                 vec4 pos = vec4(uv, 
                     sin(u_time * 0.3) * 0.5, 
-                    cos(u_time * 0.2) * 0.5 * u_projectionDistance * 0.1
+                    cos(u_time * 0.2) * 0.5 * u_polytopeDepth * 0.1
                 );
                 
                 // Apply complete 6D 4D rotation
                 pos = apply6DRotation(pos);
                 
-                // Get polytope distance
-                float dist = polytope4D(pos, u_polytope);
+                // Get polytope distance at the projected point
+                float dist = polytope4D(vec4(project4Dto3D(pos), pos.w), u_polytope);
                 
                 // Enhanced glassmorphic line rendering
                 float edgeCore = u_edgeThickness * 0.01;
@@ -291,7 +298,7 @@ class PolychoraVisualizer {
                 
                 // Combine multiple line effects
                 float alpha = (1.0 - lineCore) * 0.6 + (1.0 - lineOutline) * 0.3 + (1.0 - lineFine) * 0.1;
-                alpha *= u_layerOpacity;
+                alpha *= u_layerOpacity * projectionMask(pos);
                 
                 // Add face transparency effect
                 if (abs(dist) > edgeCore * 2.0) {
@@ -432,7 +439,10 @@ class PolychoraVisualizer {
             u_flowDirection: parameters.flowDirection || 180,
             u_faceTransparency: parameters.faceTransparency || 0.7,
             u_edgeThickness: parameters.edgeThickness || 2.0,
-            u_projectionDistance: parameters.projectionDistance || 5.0
+            u_polytopeDepth: parameters.projectionDistance || 5.0,
+            
+            // Shared projection; 'native' samples the polytope in 4D as before
+            ...Object.fromEntries(Object.entries({ ...projectionDefaults(), ...parameters.projectionModel }).map(([name, value]) => [`u_${name}`, value]))
         };
         
         // Safely set uniforms with error checking
@@ -572,6 +582,7 @@ export class PolychoraSystem {
             faceTransparency: 0.7,     // 0-1 Face vs edge visibility
             edgeThickness: 2.0,        // 0.1-3.0 Variable edge rendering
             projectionDistance: 5.0,   // 1-10 4D→3D projection depth
+            projectionModel: projectionDefaults(), // Shared projection parameters (see Projection.js)
             
             // 4D PHYSICS PARAMETERS (NEW)
             physicsEnabled: false,     // Enable/disable physics simulation
@@ -954,9 +965,9 @@ export class PolychoraSystem {
      */
     updateParameters(newParams) {
         // Map standard VIB34D parameters to Polychora parameters
-        if (newParams.rot4dXW !== undefined) this.parameters.rot4dXW = newParams.rot4dXW;
-        if (newParams.rot4dYW !== undefined) this.parameters.rot4dYW = newParams.rot4dYW;
-        if (newParams.rot4dZW !== undefined) this.parameters.rot4dZW = newParams.rot4dZW;
+        ROTATION_PARAMETERS.forEach(plane => {
+            if (newParams[plane] !== undefined) this.parameters[plane] = newParams[plane];
+        });
         if (newParams.hue !== undefined) this.parameters.hue = newParams.hue;
         
         // Map grid density to Polychora line thickness (missing connection!)
@@ -979,6 +990,11 @@ export class PolychoraSystem {
             this.parameters.projectionDistance = 1.0 + (newParams.intensity * 4.0); // Scale 0-1 to 1-5
         }
         
+        // Shared projection parameters; kept apart from projectionDistance above, which sets the polytope's own depth
+        Object.keys(PROJECTION_PARAMETERS).forEach(name => {
+            if (newParams[name] !== undefined) this.parameters.projectionModel[name] = newParams[name];
+        });
+        
         // Update all visualizers with new parameters
         this.visualizers.forEach(visualizer => {
             if (visualizer.updateParameters) {
@@ -0,0 +1,541 @@
+/**
+ * VIB34D Post-Processing Chain
+ * Ordered full-screen shader passes over a rendered frame: bloom, trails (feedback), kaleidoscope mirror,
+ * RGB split, film grain, vignette and a pixel-sort style glitch. Effect strengths are ordinary parameters
+ * (fxBloom, fxTrails...) defined in ParameterManager, so automation lanes, modulation routes and MIDI CCs
+ * drive them like any other parameter.
+ *
+ * Runs on a shared context (UnifiedCanvasManager framebuffers) or, without one, on its own canvas for
+ * 2D composites (MusicVideoChoreographer live overlay and OfflineRenderer frames).
+ * Everything depends on (input, time, parameters) plus the trails history, so reset() before an offline
+ * render makes frames reproducible.
+ */
+
+import { ParameterManager } from './Parameters.js';
+
+const VERTEX_SHADER = `
+attribute vec2 aPosition;
+varying vec2 vUv;
+void main() {
+    vUv = aPosition * 0.5 + 0.5;
+    gl_Position = vec4(aPosition, 0.0, 1.0);
+}`;
+
+const FRAGMENT_HEADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+uniform sampler2D uInput;
+uniform sampler2D uPrevious;
+uniform vec2 uResolution;
+uniform float uTime;
+varying vec2 vUv;
+
+float luma(vec3 color) {
+    return dot(color, vec3(0.299, 0.587, 0.114));
+}
+
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+`;
+
+/**
+ * type -> { label, amount: parameter that turns it on, parameters: uniforms it reads, feedback?, shader }
+ * An effect is skipped while its amount is 0 (kaleidoscope: fewer than 2 segments)
+ */
+export const POST_EFFECTS = {
+    trails: {
+        label: 'Trails',
+        amount: 'fxTrails',
+        parameters: ['fxTrails'],
+        feedback: true,
+        shader: `
+uniform float fxTrails;
+void main() {
+    vec4 color = texture2D(uInput, vUv);
+    gl_FragColor = max(color, texture2D(uPrevious, vUv) * fxTrails);
+}`
+    },
+    kaleidoscope: {
+        label: 'Kaleidoscope',
+        amount: 'fxKaleidoscope',
+        parameters: ['fxKaleidoscope'],
+        shader: `
+uniform float fxKaleidoscope;
+void main() {
+    float aspect = uResolution.x / uResolution.y;
+    vec2 p = vUv - 0.5;
+    p.x *= aspect;
+    float segment = 6.2831853 / fxKaleidoscope;
+    float angle = mod(atan(p.y, p.x), segment);
+    angle = abs(angle - segment * 0.5);
+    p = vec2(cos(angle), sin(angle)) * length(p);
+    p.x /= aspect;
+    // Mirror rather than clamp where the wedge reaches past the frame edge
+    vec2 uv = 1.0 - abs(1.0 - mod(p + 0.5, 2.0));
+    gl_FragColor = texture2D(uInput, uv);
+}`
+    },
+    glitch: {
+        label: 'Pixel sort',
+        amount: 'fxGlitch',
+        parameters: ['fxGlitch'],
+        shader: `
+uniform float fxGlitch;
+void main() {
+    vec4 color = texture2D(uInput, vUv);
+    float band = floor(vUv.y * 48.0);
+    float frame = floor(uTime * 12.0);
+    if (hash(vec2(band, frame)) > fxGlitch * 0.6) {
+        gl_FragColor = color;
+        return;
+    }
+    // Smear the brightest pixel of the run behind each pixel, like a row span sorted by brightness
+    float span = (0.05 + hash(vec2(frame, band)) * 0.25) * fxGlitch;
+    vec4 brightest = color;
+    float brightestLuma = luma(color.rgb);
+    for (int i = 1; i <= 16; i++) {
+        vec4 tap = texture2D(uInput, vec2(vUv.x - span * float(i) / 16.0, vUv.y));
+        float l = luma(tap.rgb);
+        if (l > brightestLuma) {
+            brightest = tap;
+            brightestLuma = l;
+        }
+    }
+    gl_FragColor = brightest;
+}`
+    },
+    rgbSplit: {
+        label: 'RGB split',
+        amount: 'fxRgbSplit',
+        parameters: ['fxRgbSplit'],
+        shader: `
+uniform float fxRgbSplit;
+void main() {
+    vec2 offset = (vUv - 0.5) * fxRgbSplit * 0.04;
+    vec4 color = texture2D(uInput, vUv);
+    gl_FragColor = vec4(texture2D(uInput, vUv + offset).r, color.g, texture2D(uInput, vUv - offset).b, color.a);
+}`
+    },
+    bloom: {
+        label: 'Bloom',
+        amount: 'fxBloom',
+        parameters: ['fxBloom', 'fxBloomThreshold'],
+        shader: `
+uniform float fxBloom;
+uniform float fxBloomThreshold;
+vec3 bright(vec2 uv) {
+    vec3 color = texture2D(uInput, uv).rgb;
+    return color * smoothstep(fxBloomThreshold, fxBloomThreshold + 0.2, luma(color));
+}
+void main() {
+    vec4 color = texture2D(uInput, vUv);
+    vec2 radius = vec2(uResolution.y / uResolution.x, 1.0) * 0.008;
+    vec3 glow = bright(vUv);
+    float total = 1.0;
+    for (int ring = 1; ring <= 3; ring++) {
+        for (int i = 0; i < 8; i++) {
+            float angle = float(i) * 0.7853982 + float(ring) * 0.3926991;
+            float weight = 1.0 / float(ring);
+            glow += bright(vUv + vec2(cos(angle), sin(angle)) * radius * float(ring)) * weight;
+            total += weight;
+        }
+    }
+    gl_FragColor = vec4(color.rgb + glow / total * fxBloom * 2.0, color.a);
+}`
+    },
+    vignette: {
+        label: 'Vignette',
+        amount: 'fxVignette',
+        parameters: ['fxVignette'],
+        shader: `
+uniform float fxVignette;
+void main() {
+    vec4 color = texture2D(uInput, vUv);
+    float falloff = smoothstep(0.8, 0.2, length(vUv - 0.5) * (0.6 + fxVignette));
+    gl_FragColor = vec4(color.rgb * mix(1.0, falloff, fxVignette), color.a);
+}`
+    },
+    grain: {
+        label: 'Film grain',
+        amount: 'fxGrain',
+        parameters: ['fxGrain'],
+        shader: `
+uniform float fxGrain;
+void main() {
+    vec4 color = texture2D(uInput, vUv);
+    float noise = hash(floor(vUv * uResolution) + fract(uTime * 13.7) * 100.0) - 0.5;
+    gl_FragColor = vec4(color.rgb + noise * fxGrain * 0.35, color.a);
+}`
+    }
+};
+
+// Puts a texture on the canvas unchanged, for chains that end on trails or run no passes
+const COPY_SHADER = `
+void main() {
+    gl_FragColor = texture2D(uInput, vUv);
+}`;
+
+export const DEFAULT_POST_ORDER = ['trails', 'kaleidoscope', 'glitch', 'rgbSplit', 'bloom', 'vignette', 'grain'];
+
+export const POST_PARAMETERS = [...new Set(Object.values(POST_EFFECTS).flatMap(effect => effect.parameters))];
+
+export function isPostParameter(name) {
+    return POST_PARAMETERS.includes(name);
+}
+
+function passParameters(type) {
+    return type === 'copy' ? [] : POST_EFFECTS[type].parameters;
+}
+
+export class PostProcessingChain {
+    /**
+     * gl: a shared context to render into its framebuffers; null gives the chain its own canvas (see processCanvas)
+     */
+    constructor(gl = null) {
+        this.gl = gl;
+        this.canvas = null;
+        this.inputTexture = null;
+        this.quad = null;
+        this.programs = new Map();
+        this.states = new Map(); // key -> { width, height, targets, feedback } per output (viewport, live overlay...)
+
+        const parameters = new ParameterManager();
+        this.parameterDefs = parameters.parameterDefs;
+
+        // Saved settings: pass order and toggles, plus the base value of every effect parameter
+        this.effects = DEFAULT_POST_ORDER.map(type => ({ type, enabled: true }));
+        this.base = Object.fromEntries(POST_PARAMETERS.map(name => [name, parameters.defaults[name]]));
+
+        // Values drawn this frame: the base, then whatever automation/modulation sent through setParameters
+        this.parameters = { ...this.base };
+    }
+
+    /**
+     * Set a saved base value (clamped to its ParameterManager range)
+     */
+    setBase(name, value) {
+        if (!isPostParameter(name)) {
+            throw new Error(`Unknown post-processing parameter: ${name}`);
+        }
+        this.base[name] = this.constrain(name, value);
+        this.parameters[name] = this.base[name];
+    }
+
+    /**
+     * This frame's values for any effect parameters; the base is unchanged
+     */
+    setParameters(params) {
+        for (const [name, value] of Object.entries(params)) {
+            if (isPostParameter(name)) this.parameters[name] = this.constrain(name, value);
+        }
+    }
+
+    getParameters() {
+        return { ...this.parameters };
+    }
+
+    constrain(name, value) {
+        const def = this.parameterDefs[name];
+        const clamped = Math.max(def.min, Math.min(def.max, Number(value) || 0));
+        return def.type === 'int' ? Math.round(clamped) : clamped;
+    }
+
+    setEnabled(type, enabled) {
+        const effect = this.effects.find(effect => effect.type === type);
+        if (effect) effect.enabled = Boolean(enabled);
+    }
+
+    /**
+     * Move an effect `delta` places along the chain
+     */
+    move(type, delta) {
+        const index = this.effects.findIndex(effect => effect.type === type);
+        const target = Math.max(0, Math.min(this.effects.length - 1, index + delta));
+        if (index < 0 || target === index) return;
+        const [effect] = this.effects.splice(index, 1);
+        this.effects.splice(target, 0, effect);
+    }
+
+    /**
+     * Effects that draw this frame, in order
+     */
+    getActiveEffects() {
+        return this.effects.filter(({ type, enabled }) => {
+            const amount = this.parameters[POST_EFFECTS[type].amount];
+            return enabled && (type === 'kaleidoscope' ? amount >= 2 : amount > 0);
+        });
+    }
+
+    isActive() {
+        return this.getActiveEffects().length > 0;
+    }
+
+    /**
+     * Run the chain over a texture on the shared context
+     * source: { texture, width, height } (e.g. a UnifiedCanvasManager framebuffer); key: whose trails history to use
+     * Returns the framebuffer holding the result ({ fbo, texture, width, height }), or `source` when nothing is active
+     */
+    process(source, time, key = 'default') {
+        const active = this.getActiveEffects();
+        if (active.length === 0) {
+            this.releaseFeedback(key);
+            return source;
+        }
+        return this.run(active, source, time, key, false);
+    }
+
+    /**
+     * Run the chain over a canvas or image and return this chain's own canvas holding the result
+     * (draw it with drawImage straight away - the canvas doesn't preserve its buffer)
+     */
+    processCanvas(image, time, key = 'canvas') {
+        const gl = this.getContext();
+        const width = image.width;
+        const height = image.height;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        if (!this.inputTexture) this.inputTexture = this.createTexture(width, height, false);
+        gl.bindTexture(gl.TEXTURE_2D, this.inputTexture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+        this.run(this.getActiveEffects(), { texture: this.inputTexture, width, height }, time, key, true);
+        return this.canvas;
+    }
+
+    /**
+     * Forget trails history (seek, start of an offline render)
+     */
+    reset() {
+        for (const key of this.states.keys()) this.releaseFeedback(key);
+    }
+
+    run(active, source, time, key, toCanvas) {
+        const gl = this.getContext();
+        const state = this.getState(key, source.width, source.height);
+        // Trails switched off start from a clean history when they come back
+        if (!active.some(({ type }) => POST_EFFECTS[type].feedback)) this.releaseFeedback(key);
+
+        const blend = gl.isEnabled(gl.BLEND);
+        const depth = gl.isEnabled(gl.DEPTH_TEST);
+        gl.disable(gl.BLEND);
+        gl.disable(gl.DEPTH_TEST);
+        gl.viewport(0, 0, source.width, source.height);
+
+        let input = source;
+        active.forEach(({ type }, i) => {
+            let previous = input;
+            let output;
+            if (POST_EFFECTS[type].feedback) {
+                // Trails write into their own history pair so the result is next frame's uPrevious
+                if (!state.feedback) state.feedback = [this.createTarget(source.width, source.height), this.createTarget(source.width, source.height)];
+                [previous, output] = state.feedback;
+                state.feedback.reverse();
+            } else if (toCanvas && i === active.length - 1) {
+                output = null;
+            } else {
+                output = state.targets[i % 2] === input ? state.targets[(i + 1) % 2] : state.targets[i % 2];
+            }
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, output ? output.fbo : null);
+            this.drawPass(type, input.texture, previous.texture, source, time);
+            input = output;
+        });
+
+        // A chain that ended on trails (or ran no passes) still has to reach the canvas
+        if (toCanvas && input) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            this.drawPass('copy', input.texture, input.texture, source, time);
+            input = null;
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (blend) gl.enable(gl.BLEND);
+        if (depth) gl.enable(gl.DEPTH_TEST);
+        return input;
+    }
+
+    drawPass(type, inputTexture, previousTexture, size, time) {
+        const gl = this.gl;
+        const { program, uniforms } = this.getProgram(type);
+        gl.useProgram(program);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        const position = gl.getAttribLocation(program, 'aPosition');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, inputTexture);
+        gl.uniform1i(uniforms.uInput, 0);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, previousTexture);
+        gl.uniform1i(uniforms.uPrevious, 1);
+        gl.activeTexture(gl.TEXTURE0);
+
+        gl.uniform2f(uniforms.uResolution, size.width, size.height);
+        gl.uniform1f(uniforms.uTime, time);
+        passParameters(type).forEach(name => gl.uniform1f(uniforms[name], this.parameters[name]));
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    getContext() {
+        if (this.gl) {
+            if (!this.quad) this.createQuad();
+            return this.gl;
+        }
+
+        this.canvas = document.createElement('canvas');
+        this.gl = this.canvas.getContext('webgl', { alpha: true, premultipliedAlpha: false, preserveDrawingBuffer: false });
+        if (!this.gl) {
+            throw new Error('Post-processing needs WebGL, which this browser does not provide');
+        }
+        this.createQuad();
+        return this.gl;
+    }
+
+    createQuad() {
+        const gl = this.gl;
+        this.quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    }
+
+    getProgram(type) {
+        if (this.programs.has(type)) return this.programs.get(type);
+
+        const gl = this.gl;
+        const compile = (kind, source) => {
+            const shader = gl.createShader(kind);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`${type} shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, VERTEX_SHADER));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, FRAGMENT_HEADER + (type === 'copy' ? COPY_SHADER : POST_EFFECTS[type].shader)));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`${type} shader failed to link: ${gl.getProgramInfoLog(program)}`);
+        }
+
+        const uniforms = {};
+        ['uInput', 'uPrevious', 'uResolution', 'uTime', ...passParameters(type)].forEach(name => {
+            uniforms[name] = gl.getUniformLocation(program, name);
+        });
+
+        const compiled = { program, uniforms };
+        this.programs.set(type, compiled);
+        return compiled;
+    }
+
+    /**
+     * Ping-pong targets for one output, rebuilt when its size changes
+     */
+    getState(key, width, height) {
+        let state = this.states.get(key);
+        if (state && (state.width !== width || state.height !== height)) {
+            this.releaseState(key);
+            state = null;
+        }
+        if (!state) {
+            state = { width, height, targets: [this.createTarget(width, height), this.createTarget(width, height)], feedback: null };
+            this.states.set(key, state);
+        }
+        return state;
+    }
+
+    createTexture(width, height, allocate = true) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        if (allocate) gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        // Frames are rarely powers of two, which WebGL1 only samples with clamped, unmipmapped textures
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    createTarget(width, height) {
+        const gl = this.gl;
+        const texture = this.createTexture(width, height);
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return { fbo, texture, width, height };
+    }
+
+    deleteTarget(target) {
+        this.gl.deleteFramebuffer(target.fbo);
+        this.gl.deleteTexture(target.texture);
+    }
+
+    releaseFeedback(key) {
+        const state = this.states.get(key);
+        if (state && state.feedback) {
+            state.feedback.forEach(target => this.deleteTarget(target));
+            state.feedback = null;
+        }
+    }
+
+    releaseState(key) {
+        const state = this.states.get(key);
+        if (!state) return;
+        this.releaseFeedback(key);
+        state.targets.forEach(target => this.deleteTarget(target));
+        this.states.delete(key);
+    }
+
+    /**
+     * Saved with the project: { effects: [{ type, enabled }], parameters: { fxBloom, ... } }
+     */
+    toJSON() {
+        return { effects: this.effects.map(effect => ({ ...effect })), parameters: { ...this.base } };
+    }
+
+    /**
+     * Restore saved settings; effects missing from `effects` keep their default place at the end, disabled
+     */
+    load({ effects = null, parameters = {} } = {}) {
+        const listed = (effects || DEFAULT_POST_ORDER.map(type => ({ type, enabled: true })))
+            .filter(effect => POST_EFFECTS[effect.type])
+            .map(effect => ({ type: effect.type, enabled: effect.enabled !== false }));
+        const missing = DEFAULT_POST_ORDER
+            .filter(type => !listed.some(effect => effect.type === type))
+            .map(type => ({ type, enabled: false }));
+        this.effects = [...listed, ...missing];
+
+        const defaults = new ParameterManager().defaults;
+        POST_PARAMETERS.forEach(name => {
+            this.base[name] = this.constrain(name, parameters[name] ?? defaults[name]);
+        });
+        this.parameters = { ...this.base };
+    }
+
+    dispose() {
+        if (!this.gl) return;
+        for (const key of [...this.states.keys()]) this.releaseState(key);
+        this.programs.forEach(({ program }) => this.gl.deleteProgram(program));
+        this.programs.clear();
+        if (this.inputTexture) this.gl.deleteTexture(this.inputTexture);
+        if (this.quad) this.gl.deleteBuffer(this.quad);
+        this.inputTexture = null;
+        this.quad = null;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * VIB34D 4D -> 3D Projection
+ * One projection model shared by the faceted, quantum and holographic shaders (and the polychora engine),
+ * chosen by ordinary parameters so it automates like the rest:
+ *
+ *   projection          index into PROJECTION_MODES; 'native' keeps each system's own look (quantum and
+ *                       holographic project in perspective, faceted and polychora sample 4D directly)
+ *   projectionDistance  W distance of the perspective viewer (smaller = stronger foreshortening)
+ *   sliceDepth          W of the cross-section hyperplane in 'slice' mode
+ *   sliceThickness      how far either side of sliceDepth still shows, fading out
+ *
+ * Shaders interpolate projectionGLSL(native), then call project4Dto3D(p) and scale their output by projectionMask(p).
+ */
+
+export const PROJECTION_MODES = ['native', 'perspective', 'orthographic', 'stereographic', 'slice'];
+
+export const PROJECTION_PARAMETERS = {
+    projection: { min: 0, max: PROJECTION_MODES.length - 1, step: 1, type: 'int', default: 0 },
+    projectionDistance: { min: 1, max: 10, step: 0.01, type: 'float', default: 2.5 },
+    sliceDepth: { min: -3, max: 3, step: 0.01, type: 'float', default: 0 },
+    sliceThickness: { min: 0.05, max: 2, step: 0.01, type: 'float', default: 0.5 }
+};
+
+/**
+ * GLSL for a shader's uniforms, project4Dto3D() and projectionMask()
+ * native: what 'native' mode does in this shader - 'perspective' or 'none' (x, y, z unchanged)
+ */
+export function projectionGLSL(native = 'perspective') {
+    return `
+uniform float u_projection;
+uniform float u_projectionDistance;
+uniform float u_sliceDepth;
+uniform float u_sliceThickness;
+
+vec3 project4Dto3D(vec4 p) {
+    int mode = int(u_projection + 0.5);${native === 'none' ? `
+    if (mode == 0) return p.xyz;` : ''}
+    if (mode == 2 || mode == 4) {
+        // Orthographic drops W; the slice does too and masks by W instead
+        return p.xyz;
+    }
+    if (mode == 3) {
+        // Stereographic from the W pole of the 3-sphere through p
+        float r = length(p);
+        if (r < 0.0001) return p.xyz;
+        return p.xyz / max(1.0 - p.w / r, 0.1);
+    }
+    float w = u_projectionDistance / (u_projectionDistance + p.w);
+    return vec3(p.x * w, p.y * w, p.z * w);
+}
+
+// 1 on the slice hyperplane fading to 0 at sliceThickness away; always 1 outside slice mode
+float projectionMask(vec4 p) {
+    if (int(u_projection + 0.5) != 4) return 1.0;
+    return 1.0 - smoothstep(0.0, u_sliceThickness, abs(p.w - u_sliceDepth));
+}
+`;
+}
+
+/**
+ * Parameter defaults: { projection: 0, projectionDistance: 2.5, ... }
+ */
+export function projectionDefaults() {
+    return Object.fromEntries(Object.entries(PROJECTION_PARAMETERS).map(([name, def]) => [name, def.default]));
+}
+
+/**
+ * Parameter definitions for ParameterManager.parameterDefs
+ */
+export function projectionParameterDefs() {
+    return Object.fromEntries(Object.entries(PROJECTION_PARAMETERS).map(([name, { default: _, ...def }]) => [name, def]));
+}
+
+/**
+ * Uniform locations for a linked program: { projection, projectionDistance, sliceDepth, sliceThickness }
+ */
+export function getProjectionUniforms(gl, program) {
+    return Object.fromEntries(Object.keys(PROJECTION_PARAMETERS).map(name => [name, gl.getUniformLocation(program, `u_${name}`)]));
+}
+
+/**
+ * Upload the projection from a parameter object, falling back to defaults for anything unset
+ */
+export function setProjectionUniforms(gl, locations, params) {
+    for (const [name, def] of Object.entries(PROJECTION_PARAMETERS)) {
+        const value = params[name] ?? def.default;
+        gl.uniform1f(locations[name], Number.isFinite(value) ? value : def.default);
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * VIB34D Render Clock
+ * Shared time source for visualizer shaders.
+ * Live it follows Date.now(); offline rendering freezes it to the exact frame time.
+ */
+
+export class RenderClock {
+    constructor() {
+        this.fixedTime = null; // ms, set while rendering offline
+    }
+
+    /**
+     * Shader time in ms for a visualizer created at `startTime`
+     */
+    elapsed(startTime) {
+        return this.fixedTime !== null ? this.fixedTime : Date.now() - startTime;
+    }
+
+    /**
+     * Pin the clock to a frame time (ms)
+     */
+    setFixedTime(ms) {
+        this.fixedTime = ms;
+    }
+
+    /**
+     * Return to wall-clock time
+     */
+    release() {
+        this.fixedTime = null;
+    }
+
+    get isFixed() {
+        return this.fixedTime !== null;
+    }
+}
+
+// One clock shared by every system on the page
+export const renderClock = window.vib34dRenderClock || (window.vib34dRenderClock = new RenderClock());
@@ -0,0 +1,188 @@
+/**
+ * VIB34D Tempo Modulators
+ * Beat-locked LFOs and step sequencers used as ModulationMatrix sources.
+ * Everything is a function of the musical position (beats since the first downbeat), so modulators
+ * follow the detected tempo and phase, stay in time after seeks, and render identically offline.
+ */
+
+export const LFO_SHAPES = ['sine', 'triangle', 'square', 'saw', 'random'];
+
+// Rates offered in the UI; parseDivision() accepts any n/d, n/dT, n/dD or 'n bars'
+export const MUSICAL_DIVISIONS = ['1/16', '1/8T', '1/8', '1/4T', '1/4', '1/4D', '1/2', '1 bar', '2 bars', '4 bars'];
+
+// Sources every project starts with
+export const DEFAULT_MODULATORS = [
+    { type: 'lfo', name: 'lfo1', shape: 'sine', rate: '1 bar' },
+    { type: 'lfo', name: 'lfo2', shape: 'triangle', rate: '1/4' },
+    { type: 'lfo', name: 'sh1', shape: 'random', rate: '1/8' },
+    { type: 'steps', name: 'steps1', steps: [3, -2, 3, -2], rate: '1/4' }
+];
+
+/**
+ * Length of a musical division in beats
+ * '1/4' = 1 beat, '1/8' = 0.5, '1/8T' = triplet (1/3), '1/4D' = dotted (1.5), '2 bars' = 2 * beatsPerBar
+ */
+export function parseDivision(division, beatsPerBar = 4) {
+    const text = String(division).trim();
+
+    const bars = text.match(/^(\d+(?:\.\d+)?)\s*bars?$/i);
+    if (bars) return Number(bars[1]) * beatsPerBar;
+
+    const note = text.match(/^(\d+)\/(\d+)([TD]?)$/i);
+    if (note && Number(note[2]) > 0) {
+        let beats = 4 * Number(note[1]) / Number(note[2]);
+        const modifier = note[3].toUpperCase();
+        if (modifier === 'T') beats *= 2 / 3;
+        if (modifier === 'D') beats *= 1.5;
+        return beats;
+    }
+
+    throw new Error(`Unknown musical division: ${division}`);
+}
+
+/**
+ * Continuous beat count from the first downbeat for a beat state ({ bpm, barIndex, beatInBar, phase })
+ * Before any beat is known it free-runs from zero at the state's tempo (120 BPM if none)
+ */
+export function musicalPosition(beatState, time, beatsPerBar = 4) {
+    if (beatState && beatState.barIndex >= 0) {
+        return beatState.barIndex * beatsPerBar + beatState.beatInBar + beatState.phase;
+    }
+    const bpm = beatState && beatState.bpm ? beatState.bpm : 120;
+    return time * bpm / 60;
+}
+
+/**
+ * Deterministic 0-1 value for an integer (sample & hold steps)
+ */
+function hash(index, seed) {
+    let h = (Math.imul(index | 0, 0x9E3779B1) ^ Math.imul(seed | 0, 0x85EBCA77)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x7FEB352D) >>> 0;
+    h = Math.imul(h ^ (h >>> 15), 0x846CA68B) >>> 0;
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Low-frequency oscillator locked to the beat, output 0-1
+ */
+export class TempoLFO {
+    constructor({ name, shape = 'sine', rate = '1 bar', phase = 0, seed = 1 }) {
+        if (!LFO_SHAPES.includes(shape)) {
+            throw new Error(`Unknown LFO shape: ${shape}`);
+        }
+        parseDivision(rate);
+
+        this.type = 'lfo';
+        this.name = name;
+        this.shape = shape;
+        this.rate = rate;
+        this.phase = Number(phase) || 0;
+        this.seed = seed;
+    }
+
+    valueAt(position, beatsPerBar = 4) {
+        const cycles = position / parseDivision(this.rate, beatsPerBar) + this.phase;
+        const t = cycles - Math.floor(cycles);
+
+        switch (this.shape) {
+            case 'sine': return 0.5 - 0.5 * Math.cos(2 * Math.PI * t);
+            case 'triangle': return 1 - Math.abs(2 * t - 1);
+            case 'square': return t < 0.5 ? 1 : 0;
+            case 'saw': return t;
+            case 'random': return hash(Math.floor(cycles), this.seed);
+        }
+        return 0;
+    }
+
+    toJSON() {
+        return { type: this.type, name: this.name, shape: this.shape, rate: this.rate, phase: this.phase, seed: this.seed };
+    }
+}
+
+/**
+ * Step sequencer: one value per division, looping
+ * Steps are raw numbers (e.g. [3, -2, 3, -2]); a route's range maps them onto its amount
+ */
+export class StepSequencer {
+    constructor({ name, steps = [1, 0, 0, 0], rate = '1/16', glide = false }) {
+        if (!Array.isArray(steps) || steps.length === 0 || !steps.every(Number.isFinite)) {
+            throw new Error(`Step sequencer ${name} needs at least one numeric step`);
+        }
+        parseDivision(rate);
+
+        this.type = 'steps';
+        this.name = name;
+        this.steps = steps.slice();
+        this.rate = rate;
+        this.glide = Boolean(glide);
+    }
+
+    valueAt(position, beatsPerBar = 4) {
+        const count = this.steps.length;
+        const stepPosition = position / parseDivision(this.rate, beatsPerBar);
+        const index = ((Math.floor(stepPosition) % count) + count) % count;
+        if (!this.glide) return this.steps[index];
+
+        // Glide: ramp linearly toward the next step
+        const t = stepPosition - Math.floor(stepPosition);
+        return this.steps[index] + (this.steps[(index + 1) % count] - this.steps[index]) * t;
+    }
+
+    toJSON() {
+        return { type: this.type, name: this.name, steps: this.steps.slice(), rate: this.rate, glide: this.glide };
+    }
+}
+
+/**
+ * Named collection of LFOs and step sequencers
+ */
+export class TempoModulators {
+    constructor(definitions = []) {
+        this.load(definitions);
+    }
+
+    /**
+     * Add or replace a modulator by name
+     * definition: { type: 'lfo', name, shape, rate, phase?, seed? } | { type: 'steps', name, steps, rate, glide? }
+     */
+    set(definition) {
+        if (!definition.name) {
+            throw new Error('Modulators need a name to be used as a source');
+        }
+        const modulator = definition.type === 'steps' ? new StepSequencer(definition) : new TempoLFO(definition);
+        this.modulators.set(modulator.name, modulator);
+        return modulator;
+    }
+
+    remove(name) {
+        this.modulators.delete(name);
+    }
+
+    get(name) {
+        return this.modulators.get(name) || null;
+    }
+
+    get names() {
+        return Array.from(this.modulators.keys());
+    }
+
+    /**
+     * Every modulator's value at a musical position (see musicalPosition)
+     */
+    process(position, beatsPerBar = 4) {
+        const values = {};
+        for (const [name, modulator] of this.modulators) {
+            values[name] = modulator.valueAt(position, beatsPerBar);
+        }
+        return values;
+    }
+
+    toJSON() {
+        return Array.from(this.modulators.values()).map(modulator => modulator.toJSON());
+    }
+
+    load(definitions = []) {
+        this.modulators = new Map();
+        definitions.forEach(definition => this.set(definition));
+    }
+}
@@ -4,6 +4,8 @@
  * Based on compass artifact specifications
  */
 
+import { PostProcessingChain } from './PostProcessingChain.js';
+
 export class UnifiedCanvasManager {
   constructor() {
     this.masterCanvas = document.createElement('canvas');
@@ -36,6 +38,10 @@ export class UnifiedCanvasManager {
     this.activeSystem = null;
     this.frameBuffers = new Map();
     
+    // Effects applied to every system framebuffer before it is shown (fxBloom, fxTrails... parameters)
+    this.postProcessing = new PostProcessingChain(this.gl);
+    this.startTime = performance.now();
+    
     console.log('🎯 UnifiedCanvasManager: Single WebGL context created');
     this.resizeCanvas();
     window.addEventListener('resize', () => this.resizeCanvas());
@@ -118,8 +124,11 @@ export class UnifiedCanvasManager {
       this.activeSystem = systemId;
       viewport.renderCallback(this.gl, systemId);
       
+      // Post-process into the chain's targets (trails history is kept per system)
+      const output = this.postProcessing.process(viewport.framebuffer, (performance.now() - this.startTime) / 1000, systemId);
+      
       // Copy to 2D canvas for display
-      this.copyToCanvas2D(viewport);
+      this.copyToCanvas2D(viewport, output);
       viewport.dirty = false;
     }
     
@@ -127,8 +136,8 @@ export class UnifiedCanvasManager {
     requestAnimationFrame(() => this.render());
   }
 
-  copyToCanvas2D(viewport) {
-    const { canvas2d, framebuffer } = viewport;
+  copyToCanvas2D(viewport, framebuffer = viewport.framebuffer) {
+    const { canvas2d } = viewport;
     const ctx = canvas2d.getContext('2d');
     
     if (!ctx) return;
@@ -186,6 +195,13 @@ export class UnifiedCanvasManager {
     }
   }
 
+  /**
+   * Post-processing parameters for this frame, e.g. { fxBloom: 0.8, fxTrails: 0.9 }
+   */
+  setPostParameters(params) {
+    this.postProcessing.setParameters(params);
+  }
+
   markDirty(systemId) {
     const viewport = this.viewports.get(systemId);
     if (viewport) {
@@ -199,6 +215,7 @@ export class UnifiedCanvasManager {
       this.gl.deleteFramebuffer(viewport.framebuffer.fbo);
       this.gl.deleteTexture(viewport.framebuffer.texture);
     }
+    this.postProcessing.dispose();
     
     // Remove master canvas
     if (this.masterCanvas.parentNode) {
@@ -207,4 +224,6 @@ export class UnifiedCanvasManager {
     
     console.log('🧹 UnifiedCanvasManager disposed');
   }
-}
\ No newline at end of file
+}
+
+export default UnifiedCanvasManager;
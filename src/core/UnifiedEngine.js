@@ -493,15 +493,24 @@ export class VIB34DUnifiedEngine {
     }
     
     markSystemsDirty() {
-        if (this.canvasManager.markSystemDirty) {
+        if (this.canvasManager.markDirty) {
             this.systems.forEach((system, name) => {
                 if (system.active) {
-                    this.canvasManager.markSystemDirty(name);
+                    this.canvasManager.markDirty(name);
                 }
             });
         }
     }
     
+    /**
+     * POST-PROCESSING: effect parameters (fxBloom, fxTrails...) applied to every system framebuffer
+     */
+    setPostParameters(params) {
+        if (this.canvasManager.setPostParameters) {
+            this.canvasManager.setPostParameters(params);
+        }
+    }
+    
     /**
      * SYSTEM CONTROL: Switch between visualization systems
      */
@@ -4,6 +4,8 @@
  */
 
 import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+import { renderClock } from './RenderClock.js';
+import { projectionGLSL, getProjectionUniforms, setProjectionUniforms } from './Projection.js';
 
 export class IntegratedHolographicVisualizer {
     constructor(canvasId, role, reactivity, variant) {
@@ -51,6 +53,9 @@ export class IntegratedHolographicVisualizer {
             intensity: 0.5,
             saturation: 0.8,
             dimension: 3.5,
+            rot4dXY: 0.0,
+            rot4dXZ: 0.0,
+            rot4dYZ: 0.0,
             rot4dXW: 0.0,
             rot4dYW: 0.0,
             rot4dZW: 0.0
@@ -177,6 +182,9 @@ uniform float u_hue;
 uniform float u_intensity;
 uniform float u_saturation;
 uniform float u_dimension;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
 uniform float u_rot4dXW;
 uniform float u_rot4dYW;
 uniform float u_rot4dZW;
@@ -185,6 +193,24 @@ uniform float u_clickIntensity;
 uniform float u_roleIntensity;
 
 // 4D rotation matrices
+mat4 rotateXY(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateXZ(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateYZ(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
 mat4 rotateXW(float theta) {
     float c = cos(theta);
     float s = sin(theta);
@@ -203,10 +229,7 @@ mat4 rotateZW(float theta) {
     return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
 }
 
-vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
-}
+${projectionGLSL('none')}
 
 // Simplified geometry functions for WebGL 1.0 compatibility (ORIGINAL FACETED)
 float geometryFunction(vec4 p) {
@@ -289,12 +312,15 @@ void main() {
     pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
     
     // Apply 4D rotations
+    pos = rotateXY(u_rot4dXY) * pos;
+    pos = rotateXZ(u_rot4dXZ) * pos;
+    pos = rotateYZ(u_rot4dYZ) * pos;
     pos = rotateXW(u_rot4dXW) * pos;
     pos = rotateYW(u_rot4dYW) * pos;
     pos = rotateZW(u_rot4dZW) * pos;
     
-    // Calculate geometry value
-    float value = geometryFunction(pos);
+    // Calculate geometry value on the projected point (the lattices still read W)
+    float value = geometryFunction(vec4(project4Dto3D(pos), pos.w));
     
     // Apply chaos
     float noise = sin(pos.x * 7.0) * cos(pos.y * 11.0) * sin(pos.z * 13.0);
@@ -305,7 +331,7 @@ void main() {
     geometryIntensity += u_clickIntensity * 0.3;
     
     // Apply user intensity control
-    float finalIntensity = geometryIntensity * u_intensity;
+    float finalIntensity = geometryIntensity * u_intensity * projectionMask(pos);
     
     float hue = u_hue / 360.0 + value * 0.1;
     
@@ -337,6 +363,9 @@ void main() {
             intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
             saturation: this.gl.getUniformLocation(this.program, 'u_saturation'),
             dimension: this.gl.getUniformLocation(this.program, 'u_dimension'),
+            rot4dXY: this.gl.getUniformLocation(this.program, 'u_rot4dXY'),
+            rot4dXZ: this.gl.getUniformLocation(this.program, 'u_rot4dXZ'),
+            rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
             rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
             rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
             rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
@@ -344,6 +373,7 @@ void main() {
             clickIntensity: this.gl.getUniformLocation(this.program, 'u_clickIntensity'),
             roleIntensity: this.gl.getUniformLocation(this.program, 'u_roleIntensity')
         };
+        this.projectionUniforms = getProjectionUniforms(this.gl, this.program);
     }
     
     /**
@@ -584,7 +614,7 @@ void main() {
             'accent': 1.2
         };
         
-        const time = Date.now() - this.startTime;
+        const time = renderClock.elapsed(this.startTime);
         
         // Set uniforms
         this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
@@ -611,9 +641,13 @@ void main() {
         this.gl.uniform1f(this.uniforms.intensity, Math.min(1, intensity));
         this.gl.uniform1f(this.uniforms.saturation, this.params.saturation);
         this.gl.uniform1f(this.uniforms.dimension, this.params.dimension);
+        this.gl.uniform1f(this.uniforms.rot4dXY, this.params.rot4dXY || 0);
+        this.gl.uniform1f(this.uniforms.rot4dXZ, this.params.rot4dXZ || 0);
+        this.gl.uniform1f(this.uniforms.rot4dYZ, this.params.rot4dYZ || 0);
         this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW);
         this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW);
         this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW);
+        setProjectionUniforms(this.gl, this.projectionUniforms, this.params);
         this.gl.uniform1f(this.uniforms.mouseIntensity, this.mouseIntensity);
         this.gl.uniform1f(this.uniforms.clickIntensity, this.clickIntensity);
         this.gl.uniform1f(this.uniforms.roleIntensity, roleIntensities[this.role] || 1.0);
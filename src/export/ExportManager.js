@@ -536,11 +536,14 @@ window.addEventListener('load', () => {
      */
     loadConfiguration(config) {
         if (config.parameters) {
-            this.engine.parameterManager.setParameters(config.parameters);
-            
-            if (typeof config.variation === 'number') {
-                this.engine.setVariation(config.variation);
-            }
+            // One undo step for the whole import, including its variation
+            this.engine.parameterManager.edit(`Import ${config.name || 'configuration'}`, () => {
+                this.engine.parameterManager.setParameters(config.parameters);
+                
+                if (typeof config.variation === 'number') {
+                    this.engine.setVariation(config.variation);
+                }
+            });
             
             this.engine.updateDisplayValues();
             this.engine.updateVisualizers();
@@ -0,0 +1,320 @@
+/**
+ * VIB34D MP4 Muxer
+ * Minimal ISO BMFF writer for WebCodecs output: one H.264 track and an optional AAC or Opus track.
+ * Samples are buffered in memory; finalize() writes ftyp + moov + mdat (moov first, so the file streams).
+ */
+
+const VIDEO_TIMESCALE = 90000;
+const MOVIE_TIMESCALE = 1000;
+
+export class MP4Muxer {
+    /**
+     * video: { codec: 'avc1.*', width, height, fps }, audio: { codec: 'mp4a.40.2' | 'opus', sampleRate, numberOfChannels } or null
+     */
+    constructor({ video, audio = null }) {
+        this.video = video;
+        this.audio = audio;
+        this.tracks = [
+            { id: 1, kind: 'video', timescale: VIDEO_TIMESCALE, samples: [], description: null }
+        ];
+        if (audio) {
+            this.tracks.push({ id: 2, kind: 'audio', timescale: audio.sampleRate, samples: [], description: null });
+        }
+    }
+
+    /**
+     * Add an EncodedVideoChunk; the first chunk's metadata must carry the avcC description
+     */
+    addVideoChunk(chunk, metadata) {
+        this.addSample(this.tracks[0], chunk, metadata);
+    }
+
+    addAudioChunk(chunk, metadata) {
+        this.addSample(this.tracks[1], chunk, metadata);
+    }
+
+    addSample(track, chunk, metadata) {
+        if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !track.description) {
+            track.description = toBytes(metadata.decoderConfig.description);
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        track.samples.push({
+            time: Math.round(chunk.timestamp * track.timescale / 1e6),
+            duration: chunk.duration ? Math.round(chunk.duration * track.timescale / 1e6) : 0,
+            keyFrame: chunk.type === 'key',
+            data
+        });
+    }
+
+    /**
+     * Write the file and return it as a Blob
+     */
+    finalize() {
+        if (!this.tracks[0].description) {
+            throw new Error('MP4 export needs an avcC description from the H.264 encoder');
+        }
+        this.tracks.forEach(track => {
+            track.samples.sort((a, b) => a.time - b.time);
+            track.duration = this.fillDurations(track);
+        });
+
+        // mdat layout: all video samples, then all audio samples
+        const ftyp = box('ftyp', [ascii('isom'), u32(0x200), ascii('isom'), ascii('iso2'), ascii('avc1'), ascii('mp41')]);
+        const mdatSize = this.tracks.reduce((sum, track) => sum + track.samples.reduce((s, sample) => s + sample.data.length, 0), 0);
+        const largeMdat = mdatSize + 8 > 0xFFFFFFFF;
+        const mdatHeaderSize = largeMdat ? 16 : 8;
+
+        // moov size doesn't depend on the offsets' values, only on whether they need 64 bits
+        const useCo64 = largeMdat;
+        const moovSize = this.moov(useCo64).length;
+        let offset = ftyp.length + moovSize + mdatHeaderSize;
+        this.tracks.forEach(track => {
+            track.samples.forEach(sample => {
+                sample.offset = offset;
+                offset += sample.data.length;
+            });
+        });
+
+        const moov = this.moov(useCo64, true);
+        const mdatHeader = largeMdat
+            ? concat([u32(1), ascii('mdat'), u64(mdatSize + 16)])
+            : concat([u32(mdatSize + 8), ascii('mdat')]);
+
+        const parts = [ftyp, moov, mdatHeader];
+        this.tracks.forEach(track => track.samples.forEach(sample => parts.push(sample.data)));
+        return new Blob(parts, { type: 'video/mp4' });
+    }
+
+    /**
+     * Chunk durations are optional in WebCodecs; derive missing ones from the next timestamp
+     */
+    fillDurations(track) {
+        const samples = track.samples;
+        const fallback = track.kind === 'video'
+            ? Math.round(track.timescale / (this.video.fps || 30))
+            : 1024;
+        samples.forEach((sample, i) => {
+            if (!sample.duration) {
+                sample.duration = i + 1 < samples.length ? samples[i + 1].time - sample.time : fallback;
+            }
+        });
+        const last = samples[samples.length - 1];
+        return last ? last.time + last.duration - samples[0].time : 0;
+    }
+
+    moov(useCo64, withOffsets = false) {
+        const movieDuration = Math.max(...this.tracks.map(track => Math.round(track.duration * MOVIE_TIMESCALE / track.timescale)));
+        return box('moov', [
+            fullBox('mvhd', 0, 0, [
+                u32(0), u32(0),                  // creation / modification time
+                u32(MOVIE_TIMESCALE),
+                u32(movieDuration),
+                u32(0x00010000),                 // rate 1.0
+                u16(0x0100), u16(0),             // volume 1.0, reserved
+                u32(0), u32(0),
+                matrix(),
+                zeros(24),                       // pre_defined
+                u32(this.tracks.length + 1)      // next_track_ID
+            ]),
+            ...this.tracks.map(track => this.trak(track, movieDuration, useCo64, withOffsets))
+        ]);
+    }
+
+    trak(track, movieDuration, useCo64, withOffsets) {
+        const isVideo = track.kind === 'video';
+        const trackDuration = Math.round(track.duration * MOVIE_TIMESCALE / track.timescale);
+
+        return box('trak', [
+            fullBox('tkhd', 0, 3, [
+                u32(0), u32(0),
+                u32(track.id),
+                u32(0),
+                u32(trackDuration || movieDuration),
+                u32(0), u32(0),
+                u16(0), u16(isVideo ? 0 : 1),    // layer, alternate_group
+                u16(isVideo ? 0 : 0x0100), u16(0),
+                matrix(),
+                u32(isVideo ? this.video.width << 16 : 0),
+                u32(isVideo ? this.video.height << 16 : 0)
+            ]),
+            box('mdia', [
+                fullBox('mdhd', 0, 0, [
+                    u32(0), u32(0),
+                    u32(track.timescale),
+                    u32(track.duration),
+                    u16(0x55C4), u16(0)          // language 'und'
+                ]),
+                fullBox('hdlr', 0, 0, [
+                    u32(0),
+                    ascii(isVideo ? 'vide' : 'soun'),
+                    zeros(12),
+                    ascii(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+                ]),
+                box('minf', [
+                    isVideo ? fullBox('vmhd', 0, 1, [zeros(8)]) : fullBox('smhd', 0, 0, [zeros(4)]),
+                    box('dinf', [fullBox('dref', 0, 0, [u32(1), fullBox('url ', 0, 1, [])])]),
+                    this.stbl(track, useCo64, withOffsets)
+                ])
+            ])
+        ]);
+    }
+
+    stbl(track, useCo64, withOffsets) {
+        const samples = track.samples;
+
+        // Run-length sample durations
+        const deltas = [];
+        samples.forEach(sample => {
+            const last = deltas[deltas.length - 1];
+            if (last && last.duration === sample.duration) last.count++;
+            else deltas.push({ count: 1, duration: sample.duration });
+        });
+
+        const children = [
+            fullBox('stsd', 0, 0, [u32(1), track.kind === 'video' ? this.videoSampleEntry(track) : this.audioSampleEntry(track)]),
+            fullBox('stts', 0, 0, [u32(deltas.length), ...deltas.map(d => concat([u32(d.count), u32(d.duration)]))])
+        ];
+
+        if (track.kind === 'video') {
+            const keyFrames = [];
+            samples.forEach((sample, i) => { if (sample.keyFrame) keyFrames.push(u32(i + 1)); });
+            children.push(fullBox('stss', 0, 0, [u32(keyFrames.length), ...keyFrames]));
+        }
+
+        // One sample per chunk keeps stsc trivial
+        children.push(fullBox('stsc', 0, 0, [u32(1), u32(1), u32(1), u32(1)]));
+        children.push(fullBox('stsz', 0, 0, [u32(0), u32(samples.length), ...samples.map(sample => u32(sample.data.length))]));
+        const offsets = samples.map(sample => {
+            const value = withOffsets ? sample.offset : 0;
+            return useCo64 ? u64(value) : u32(value);
+        });
+        children.push(fullBox(useCo64 ? 'co64' : 'stco', 0, 0, [u32(samples.length), ...offsets]));
+
+        return box('stbl', children);
+    }
+
+    videoSampleEntry(track) {
+        return box('avc1', [
+            zeros(6), u16(1),                    // reserved, data_reference_index
+            zeros(16),                           // pre_defined / reserved
+            u16(this.video.width), u16(this.video.height),
+            u32(0x00480000), u32(0x00480000),    // 72 dpi
+            u32(0),
+            u16(1),                              // frame_count
+            zeros(32),                           // compressorname
+            u16(0x0018), u16(0xFFFF),            // depth, pre_defined = -1
+            box('avcC', [track.description])
+        ]);
+    }
+
+    audioSampleEntry(track) {
+        const { sampleRate, numberOfChannels, codec } = this.audio;
+        const header = [
+            zeros(6), u16(1),
+            zeros(8),
+            u16(numberOfChannels), u16(16),
+            u32(0),
+            u32(sampleRate << 16 >>> 0)
+        ];
+
+        if (codec === 'opus') {
+            return box('Opus', [...header, box('dOps', [dOps(this.audio)])]);
+        }
+        return box('mp4a', [...header, esds(track.description || audioSpecificConfig(this.audio), this.audio)]);
+    }
+}
+
+function esds(config, audio) {
+    const decoderSpecificInfo = descriptor(0x05, [config]);
+    const decoderConfig = descriptor(0x04, [
+        Uint8Array.of(0x40, 0x15),           // MPEG-4 audio, audio stream
+        Uint8Array.of(0, 0, 0),              // bufferSizeDB
+        u32(audio.bitrate || 0), u32(audio.bitrate || 0),
+        decoderSpecificInfo
+    ]);
+    const es = descriptor(0x03, [u16(0), Uint8Array.of(0), decoderConfig, descriptor(0x06, [Uint8Array.of(0x02)])]);
+    return fullBox('esds', 0, 0, [es]);
+}
+
+function audioSpecificConfig({ sampleRate, numberOfChannels }) {
+    const rates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+    const index = Math.max(0, rates.indexOf(sampleRate));
+    // AAC-LC (2), 4-bit frequency index, 4-bit channel config
+    return Uint8Array.of((2 << 3) | (index >> 1), ((index & 1) << 7) | (numberOfChannels << 3));
+}
+
+function dOps({ sampleRate, numberOfChannels }) {
+    const bytes = new Uint8Array(11);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = 0;                        // Version
+    bytes[1] = numberOfChannels;
+    view.setUint16(2, 0);                // PreSkip
+    view.setUint32(4, sampleRate);
+    view.setInt16(8, 0);                 // OutputGain
+    bytes[10] = 0;                       // ChannelMappingFamily
+    return bytes;
+}
+
+function descriptor(tag, parts) {
+    const body = concat(parts);
+    return concat([Uint8Array.of(tag, 0x80, 0x80, 0x80, body.length), body]);
+}
+
+function toBytes(source) {
+    if (source instanceof Uint8Array) return source;
+    if (ArrayBuffer.isView(source)) return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    return new Uint8Array(source);
+}
+
+// Box helpers
+
+function box(type, parts) {
+    const body = concat(parts);
+    return concat([u32(body.length + 8), ascii(type), body]);
+}
+
+function fullBox(type, version, flags, parts) {
+    return box(type, [Uint8Array.of(version, (flags >> 16) & 0xFF, (flags >> 8) & 0xFF, flags & 0xFF), ...parts]);
+}
+
+function matrix() {
+    return concat([u32(0x00010000), u32(0), u32(0), u32(0), u32(0x00010000), u32(0), u32(0), u32(0), u32(0x40000000)]);
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+function u16(value) {
+    return Uint8Array.of((value >> 8) & 0xFF, value & 0xFF);
+}
+
+function u32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value >>> 0);
+    return bytes;
+}
+
+function u64(value) {
+    const bytes = new Uint8Array(8);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, Math.floor(value / 0x100000000));
+    view.setUint32(4, value >>> 0);
+    return bytes;
+}
+
+function ascii(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+function zeros(length) {
+    return new Uint8Array(length);
+}
@@ -0,0 +1,211 @@
+/**
+ * VIB34D Offline Renderer
+ * Steps a MusicVideoChoreographer through a track at a fixed frame rate instead of requestAnimationFrame.
+ * Audio features come from the offline analysis, randomness from the choreography seed and shader time
+ * from the shared RenderClock, so the same song + choreography + seed always renders the same frames.
+ * Post-processing effects and text tracks are drawn over each composited frame.
+ */
+
+import { renderClock } from '../core/RenderClock.js';
+import { SeededRandom } from '../choreography/SeededRandom.js';
+
+export class OfflineRenderer {
+    constructor(choreographer, options = {}) {
+        this.choreographer = choreographer;
+        this.fps = options.fps || 30;
+        this.width = options.width || null;   // Defaults to the layer canvas size
+        this.height = options.height || null;
+        this.mimeType = options.mimeType || 'image/png';
+        this.quality = options.quality ?? 0.95;
+
+        this.isRendering = false;
+        this.cancelled = false;
+
+        // Composite target for the stacked layer canvases
+        this.frameCanvas = document.createElement('canvas');
+        this.frameContext = this.frameCanvas.getContext('2d');
+    }
+
+    /**
+     * Render frames for [start, end) seconds
+     * onFrame({ index, time, name, blob, canvas }) is awaited before the next frame is drawn
+     */
+    async render(options = {}) {
+        const choreographer = this.choreographer;
+        const analysis = choreographer.analysis;
+        if (!analysis) {
+            throw new Error('Offline rendering needs an analyzed track - load audio and wait for analysis first');
+        }
+        if (this.isRendering) {
+            throw new Error('Offline render already in progress');
+        }
+
+        const fps = options.fps || this.fps;
+        const start = Math.max(0, options.start || 0);
+        const end = Math.min(analysis.duration, options.end ?? analysis.duration);
+        const seed = options.seed ?? choreographer.choreographySeed;
+        const firstFrame = Math.round(start * fps);
+        const lastFrame = Math.ceil(end * fps);
+        const frameCount = Math.max(0, lastFrame - firstFrame);
+
+        const wasPlaying = choreographer.isPlaying;
+        const previousAudioEnabled = window.audioEnabled;
+        const previousAudioReactive = window.audioReactive;
+
+        this.isRendering = true;
+        this.cancelled = false;
+        choreographer.pause();
+
+        console.log(`🎞️ Offline render: ${frameCount} frames at ${fps}fps (${start.toFixed(2)}s-${end.toFixed(2)}s, seed ${seed})`);
+
+        try {
+            // Fresh engine and seeded state so nothing carries over from live playback or a previous render
+            choreographer.random = new SeededRandom(seed);
+            choreographer.tempoTracker.reset();
+            choreographer.beatState = choreographer.tempoTracker.getState();
+            choreographer.percussion.reset();
+            choreographer.lastHits = {};
+            choreographer.modulation.reset();
+            choreographer.choreographyModulation.reset();
+            choreographer.envelopes.reset();
+            choreographer.postProcessing.reset();
+            const firstSequence = choreographer.mode === 'choreographed' ? choreographer.getSequenceAt(firstFrame / fps) : null;
+            await choreographer.switchSystem((firstSequence && firstSequence.effects.system) || choreographer.currentSystem);
+
+            window.audioEnabled = true;
+
+            for (let i = 0; i < frameCount; i++) {
+                if (this.cancelled) {
+                    console.log('⏹️ Offline render cancelled');
+                    break;
+                }
+
+                const index = firstFrame + i;
+                const time = index / fps;
+                const blob = await this.renderFrame(time);
+                const frame = { index: i, time, name: OfflineRenderer.frameName(i, this.mimeType.split('/')[1]), blob, canvas: this.frameCanvas };
+
+                if (options.onFrame) await options.onFrame(frame);
+                if (options.onProgress) options.onProgress((i + 1) / frameCount, frame);
+            }
+        } finally {
+            renderClock.release();
+            window.audioEnabled = previousAudioEnabled;
+            window.audioReactive = previousAudioReactive;
+            if (choreographer.currentEngine) this.releaseEngine(choreographer.currentEngine.engine);
+            this.isRendering = false;
+            if (wasPlaying) choreographer.play();
+        }
+
+        return { frameCount, fps, start, end, seed, cancelled: this.cancelled };
+    }
+
+    /**
+     * Render frames straight into a user-picked folder (File System Access API)
+     */
+    async renderToDirectory(options = {}) {
+        if (!window.showDirectoryPicker) {
+            throw new Error('Saving frames to a folder is not supported in this browser');
+        }
+
+        const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        return this.render({
+            ...options,
+            onFrame: async (frame) => {
+                const handle = await directory.getFileHandle(frame.name, { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(frame.blob);
+                await writable.close();
+                if (options.onFrame) await options.onFrame(frame);
+            }
+        });
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Draw one frame at `time` seconds and return it as an image blob
+     */
+    async renderFrame(time) {
+        const choreographer = this.choreographer;
+        const audioData = choreographer.getAudioData(time);
+
+        renderClock.setFixedTime(time * 1000);
+        window.audioReactive = { bass: audioData.bass, mid: audioData.mid, high: audioData.high, energy: audioData.energy };
+
+        // Choreography may swap the system; a new engine starts its own loop, so hold them every frame
+        choreographer.renderFrame(time, audioData);
+        await choreographer.systemReady;
+        choreographer.getActiveEngines().forEach(system => {
+            this.holdEngine(system.engine);
+            system.render(time);
+        });
+
+        this.composite(time);
+        return new Promise((resolve, reject) => {
+            this.frameCanvas.toBlob(blob => {
+                blob ? resolve(blob) : reject(new Error(`Failed to encode frame at ${time.toFixed(3)}s`));
+            }, this.mimeType, this.quality);
+        });
+    }
+
+    /**
+     * Stop the engine's own animation loop so only the renderer draws
+     */
+    holdEngine(engine) {
+        if (!engine || engine._offlineHeld) return;
+
+        engine._offlineHadLoop = !!engine.animationId;
+        if (engine.animationId) {
+            cancelAnimationFrame(engine.animationId);
+            engine.animationId = null;
+        }
+        engine._offlineWasActive = engine.isActive;
+        engine.isActive = false;
+        engine._offlineHeld = true;
+    }
+
+    releaseEngine(engine) {
+        if (!engine || !engine._offlineHeld) return;
+
+        engine._offlineHeld = false;
+        engine.isActive = engine._offlineWasActive;
+
+        // Faceted and polychora loops were cancelled outright, the others just idle while inactive
+        if (engine._offlineHadLoop && !engine.animationId) {
+            engine.startRenderLoop();
+        }
+    }
+
+    /**
+     * Flatten the layer canvases into one frame, then add post-processing and text
+     * Must run right after drawing - the WebGL canvases don't preserve their buffers
+     */
+    composite(time) {
+        const container = document.getElementById('vib34dLayers');
+        const base = container.querySelector('canvas');
+        const width = this.width || (base ? base.width : 1920);
+        const height = this.height || (base ? base.height : 1080);
+
+        if (this.frameCanvas.width !== width || this.frameCanvas.height !== height) {
+            this.frameCanvas.width = width;
+            this.frameCanvas.height = height;
+        }
+
+        const ctx = this.frameContext;
+        this.choreographer.compositeLayers(ctx, time, width, height);
+        this.choreographer.applyPostProcessing(ctx, time, width, height);
+
+        // Lyrics and titles go over the finished picture
+        this.choreographer.drawText(ctx, time, width, height);
+    }
+
+    /**
+     * frame_000001.png style names, 1-based for ffmpeg -start_number 1
+     */
+    static frameName(index, extension = 'png') {
+        return `frame_${String(index + 1).padStart(6, '0')}.${extension}`;
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * VIB34D Video Exporter
+ * Turns a frame callback plus a decoded soundtrack into a finished video file.
+ * With WebCodecs, frames are rendered at a fixed timestep (faster or slower than real time, never dropped)
+ * and muxed with the audio into WebM (VP9/VP8 + Opus) or MP4 (H.264 + AAC/Opus).
+ * Without WebCodecs it falls back to a real-time MediaRecorder capture of the canvas and audio.
+ */
+
+import { WebMMuxer } from './WebMMuxer.js';
+import { MP4Muxer } from './MP4Muxer.js';
+
+export const VIDEO_RESOLUTIONS = {
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 },
+    'vertical-720': { width: 720, height: 1280 },
+    'vertical-1080': { width: 1080, height: 1920 },
+    'square-1080': { width: 1080, height: 1080 }
+};
+
+const CODECS = {
+    webm: { video: ['vp09.00.40.08', 'vp09.00.10.08', 'vp8'], audio: ['opus'] },
+    mp4: { video: ['avc1.640033', 'avc1.64002A', 'avc1.4D0033', 'avc1.42003E'], audio: ['mp4a.40.2', 'opus'] }
+};
+
+const AUDIO_SAMPLE_RATE = 48000;
+const AUDIO_CHUNK_FRAMES = 4800; // 100ms
+
+export class VideoExporter {
+    constructor(options = {}) {
+        this.format = options.format || 'webm';
+        this.width = options.width || 1280;
+        this.height = options.height || 720;
+        this.fps = options.fps || 30;
+        this.videoBitrate = options.videoBitrate || 8000000;
+        this.audioBitrate = options.audioBitrate || 192000;
+        this.keyFrameInterval = options.keyFrameInterval || 2; // seconds
+
+        this.cancelled = false;
+    }
+
+    static get supportsWebCodecs() {
+        return typeof window.VideoEncoder === 'function' && typeof window.AudioEncoder === 'function';
+    }
+
+    static async findVideoCodec(format, { width, height, fps, videoBitrate }) {
+        for (const codec of CODECS[format].video) {
+            const config = { codec, width, height, framerate: fps, bitrate: videoBitrate };
+            if (codec.startsWith('avc1')) config.avc = { format: 'avc' };
+            try {
+                const { supported } = await VideoEncoder.isConfigSupported(config);
+                if (supported) return config;
+            } catch (error) {
+                // Malformed or unknown codec string in this browser - try the next one
+            }
+        }
+        return null;
+    }
+
+    static async findAudioCodec(format, { sampleRate, numberOfChannels, bitrate }) {
+        for (const codec of CODECS[format].audio) {
+            const config = { codec, sampleRate, numberOfChannels, bitrate };
+            try {
+                const { supported } = await AudioEncoder.isConfigSupported(config);
+                if (supported) return config;
+            } catch (error) {
+                // Try the next codec
+            }
+        }
+        return null;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Export a video
+     * renderFrame(time, canvas) must draw the frame for `time` seconds onto `canvas` synchronously or return a promise
+     * audioBuffer is an optional decoded AudioBuffer laid under the video from time 0
+     */
+    async export({ canvas, renderFrame, duration, audioBuffer = null, onProgress = null }) {
+        this.cancelled = false;
+        canvas.width = this.width;
+        canvas.height = this.height;
+
+        if (VideoExporter.supportsWebCodecs) {
+            const settings = { width: this.width, height: this.height, fps: this.fps, videoBitrate: this.videoBitrate };
+            const videoConfig = await VideoExporter.findVideoCodec(this.format, settings);
+            if (videoConfig) {
+                return this.encode({ canvas, renderFrame, duration, audioBuffer, onProgress, videoConfig });
+            }
+            console.warn(`⚠️ No WebCodecs ${this.format} encoder for ${this.width}x${this.height}, using MediaRecorder`);
+        }
+        return this.record({ canvas, renderFrame, duration, audioBuffer, onProgress });
+    }
+
+    /**
+     * Offline WebCodecs path: fixed timestep, every frame encoded
+     */
+    async encode({ canvas, renderFrame, duration, audioBuffer, onProgress, videoConfig }) {
+        const audio = audioBuffer ? await this.prepareAudio(audioBuffer, duration) : null;
+        const audioConfig = audio
+            ? await VideoExporter.findAudioCodec(this.format, { sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: audio.numberOfChannels, bitrate: this.audioBitrate })
+            : null;
+        if (audio && !audioConfig) {
+            console.warn(`⚠️ No ${this.format} audio encoder available - exporting without sound`);
+        }
+
+        const Muxer = this.format === 'mp4' ? MP4Muxer : WebMMuxer;
+        const muxer = new Muxer({
+            video: { codec: videoConfig.codec, width: this.width, height: this.height, fps: this.fps },
+            audio: audioConfig ? { codec: audioConfig.codec, sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: audio.numberOfChannels, bitrate: this.audioBitrate } : null
+        });
+
+        let encoderError = null;
+        const videoEncoder = new VideoEncoder({
+            output: (chunk, metadata) => muxer.addVideoChunk(chunk, metadata),
+            error: error => { encoderError = error; }
+        });
+        videoEncoder.configure(videoConfig);
+
+        const frameCount = Math.ceil(duration * this.fps);
+        const keyFrameEvery = Math.max(1, Math.round(this.keyFrameInterval * this.fps));
+        const frameDuration = 1e6 / this.fps;
+
+        console.log(`🎬 Encoding ${frameCount} frames ${this.width}x${this.height}@${this.fps} as ${videoConfig.codec}${audioConfig ? ` + ${audioConfig.codec}` : ''}`);
+
+        try {
+            for (let i = 0; i < frameCount; i++) {
+                if (this.cancelled) throw new Error('Export cancelled');
+                if (encoderError) throw encoderError;
+
+                const time = i / this.fps;
+                await renderFrame(time, canvas);
+
+                const frame = new VideoFrame(canvas, { timestamp: Math.round(i * frameDuration), duration: Math.round(frameDuration) });
+                videoEncoder.encode(frame, { keyFrame: i % keyFrameEvery === 0 });
+                frame.close();
+
+                // Keep the encoder queue short so memory stays flat on long tracks
+                while (videoEncoder.encodeQueueSize > 4) {
+                    await new Promise(resolve => setTimeout(resolve, 1));
+                }
+                if (onProgress) onProgress(0.9 * (i + 1) / frameCount);
+            }
+            await videoEncoder.flush();
+
+            if (audioConfig) {
+                await this.encodeAudio(audio, audioConfig, muxer);
+            }
+            if (encoderError) throw encoderError;
+        } finally {
+            if (videoEncoder.state !== 'closed') videoEncoder.close();
+        }
+
+        const blob = muxer.finalize();
+        if (onProgress) onProgress(1);
+        console.log(`✅ Video export complete: ${(blob.size / 1048576).toFixed(1)} MB ${this.format.toUpperCase()}`);
+        return blob;
+    }
+
+    /**
+     * Resample the soundtrack to 48kHz and trim it to the video length
+     */
+    async prepareAudio(audioBuffer, duration) {
+        const numberOfChannels = Math.min(2, audioBuffer.numberOfChannels);
+        const length = Math.ceil(Math.min(duration, audioBuffer.duration) * AUDIO_SAMPLE_RATE);
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new OfflineContext(numberOfChannels, length, AUDIO_SAMPLE_RATE);
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(context.destination);
+        source.start(0);
+
+        const rendered = await context.startRendering();
+        const channels = [];
+        for (let c = 0; c < numberOfChannels; c++) {
+            channels.push(rendered.getChannelData(c));
+        }
+        return { numberOfChannels, length, channels };
+    }
+
+    async encodeAudio(audio, audioConfig, muxer) {
+        let encoderError = null;
+        const audioEncoder = new AudioEncoder({
+            output: (chunk, metadata) => muxer.addAudioChunk(chunk, metadata),
+            error: error => { encoderError = error; }
+        });
+        audioEncoder.configure(audioConfig);
+
+        try {
+            for (let start = 0; start < audio.length; start += AUDIO_CHUNK_FRAMES) {
+                if (this.cancelled) throw new Error('Export cancelled');
+                if (encoderError) throw encoderError;
+
+                const frames = Math.min(AUDIO_CHUNK_FRAMES, audio.length - start);
+                const planar = new Float32Array(frames * audio.numberOfChannels);
+                audio.channels.forEach((channel, c) => planar.set(channel.subarray(start, start + frames), c * frames));
+
+                const data = new AudioData({
+                    format: 'f32-planar',
+                    sampleRate: AUDIO_SAMPLE_RATE,
+                    numberOfFrames: frames,
+                    numberOfChannels: audio.numberOfChannels,
+                    timestamp: Math.round(start * 1e6 / AUDIO_SAMPLE_RATE),
+                    data: planar
+                });
+                audioEncoder.encode(data);
+                data.close();
+            }
+            await audioEncoder.flush();
+        } finally {
+            if (audioEncoder.state !== 'closed') audioEncoder.close();
+        }
+    }
+
+    /**
+     * Real-time MediaRecorder fallback: frames are drawn on a fixed-rate clock while the audio plays
+     */
+    async record({ canvas, renderFrame, duration, audioBuffer, onProgress }) {
+        const mimeType = [`video/${this.format};codecs=vp9,opus`, `video/${this.format};codecs=vp8,opus`, `video/${this.format}`, 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('This browser cannot record video');
+        }
+
+        const stream = canvas.captureStream(0);
+        const [videoTrack] = stream.getVideoTracks();
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        let source = null;
+        if (audioBuffer) {
+            const destination = audioContext.createMediaStreamDestination();
+            source = audioContext.createBufferSource();
+            source.buffer = audioBuffer;
+            source.connect(destination);
+            destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+        }
+
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: this.videoBitrate,
+            audioBitsPerSecond: this.audioBitrate
+        });
+        const parts = [];
+        recorder.ondataavailable = event => { if (event.data.size) parts.push(event.data); };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        console.log(`🎥 Recording ${duration.toFixed(1)}s in real time as ${mimeType}`);
+        await audioContext.resume();
+        recorder.start(1000);
+        const startTime = audioContext.currentTime;
+        if (source) source.start();
+
+        // Audio clock drives the frame times, so the picture stays in sync with the recorded sound
+        let frameIndex = 0;
+        await new Promise((resolve, reject) => {
+            const tick = async () => {
+                try {
+                    const elapsed = audioContext.currentTime - startTime;
+                    if (this.cancelled || elapsed >= duration) return resolve();
+
+                    const due = Math.floor(elapsed * this.fps);
+                    if (due >= frameIndex) {
+                        frameIndex = due + 1;
+                        await renderFrame(due / this.fps, canvas);
+                        videoTrack.requestFrame();
+                        if (onProgress) onProgress(elapsed / duration);
+                    }
+                    requestAnimationFrame(tick);
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            tick();
+        });
+
+        recorder.stop();
+        if (source) source.stop();
+        await stopped;
+        await audioContext.close();
+        stream.getTracks().forEach(track => track.stop());
+
+        if (this.cancelled) throw new Error('Export cancelled');
+        if (onProgress) onProgress(1);
+        return new Blob(parts, { type: mimeType.split(';')[0] });
+    }
+
+    /**
+     * Save a finished export
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
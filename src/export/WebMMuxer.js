@@ -0,0 +1,294 @@
+/**
+ * VIB34D WebM Muxer
+ * Minimal Matroska/WebM writer for WebCodecs output: one video track (VP8/VP9) and an optional Opus track.
+ * Chunks are collected in memory and written out in one pass by finalize(), with cues on video keyframes.
+ */
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+
+// Matroska element IDs
+const ID = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+const VIDEO_CODECS = { vp8: 'V_VP8', vp09: 'V_VP9', vp9: 'V_VP9', av01: 'V_AV1' };
+
+export class WebMMuxer {
+    /**
+     * video: { codec, width, height }, audio: { codec: 'opus', sampleRate, numberOfChannels } or null
+     */
+    constructor({ video, audio = null }) {
+        this.video = video;
+        this.audio = audio;
+        this.chunks = [];
+        this.audioDescription = null;
+    }
+
+    /**
+     * Add an EncodedVideoChunk from a VideoEncoder output callback
+     */
+    addVideoChunk(chunk) {
+        this.addChunk(VIDEO_TRACK, chunk);
+    }
+
+    /**
+     * Add an EncodedAudioChunk from an AudioEncoder output callback
+     */
+    addAudioChunk(chunk, metadata) {
+        if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !this.audioDescription) {
+            this.audioDescription = toBytes(metadata.decoderConfig.description);
+        }
+        this.addChunk(AUDIO_TRACK, chunk);
+    }
+
+    addChunk(track, chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.chunks.push({
+            track,
+            timestamp: chunk.timestamp / 1000, // µs -> ms
+            keyFrame: chunk.type === 'key',
+            data
+        });
+    }
+
+    /**
+     * Write the file and return it as a Blob
+     */
+    finalize() {
+        const chunks = this.chunks.slice().sort((a, b) => a.timestamp - b.timestamp || a.track - b.track);
+        const duration = chunks.length ? chunks[chunks.length - 1].timestamp : 0;
+
+        const header = element(ID.EBML, [
+            uintElement(ID.EBMLVersion, 1),
+            uintElement(ID.EBMLReadVersion, 1),
+            uintElement(ID.EBMLMaxIDLength, 4),
+            uintElement(ID.EBMLMaxSizeLength, 8),
+            stringElement(ID.DocType, 'webm'),
+            uintElement(ID.DocTypeVersion, 4),
+            uintElement(ID.DocTypeReadVersion, 2)
+        ]);
+
+        const info = element(ID.Info, [
+            uintElement(ID.TimecodeScale, 1000000), // Block timecodes in ms
+            floatElement(ID.Duration, duration),
+            stringElement(ID.MuxingApp, 'VIB34D'),
+            stringElement(ID.WritingApp, 'VIB34D Video Exporter')
+        ]);
+
+        const tracks = element(ID.Tracks, this.trackEntries());
+
+        // Cluster positions are relative to the start of the Segment payload
+        let position = info.length + tracks.length;
+        const clusters = [];
+        const cues = [];
+        for (const cluster of this.buildClusters(chunks)) {
+            if (cluster.keyTime !== null) {
+                cues.push(element(ID.CuePoint, [
+                    uintElement(ID.CueTime, cluster.keyTime),
+                    element(ID.CueTrackPositions, [
+                        uintElement(ID.CueTrack, VIDEO_TRACK),
+                        uintElement(ID.CueClusterPosition, position)
+                    ])
+                ]));
+            }
+            clusters.push(cluster.bytes);
+            position += cluster.bytes.length;
+        }
+
+        // Segment payload stays as separate parts so a long video isn't copied into one buffer again
+        const parts = [info, tracks, ...clusters, element(ID.Cues, cues)];
+        const segmentSize = parts.reduce((sum, part) => sum + part.length, 0);
+        return new Blob([header, idToBytes(ID.Segment), vint(segmentSize), ...parts], { type: 'video/webm' });
+    }
+
+    trackEntries() {
+        const prefix = this.video.codec.split('.')[0];
+        const entries = [element(ID.TrackEntry, [
+            uintElement(ID.TrackNumber, VIDEO_TRACK),
+            uintElement(ID.TrackUID, VIDEO_TRACK),
+            uintElement(ID.TrackType, 1),
+            stringElement(ID.CodecID, VIDEO_CODECS[prefix] || 'V_VP9'),
+            element(ID.Video, [
+                uintElement(ID.PixelWidth, this.video.width),
+                uintElement(ID.PixelHeight, this.video.height)
+            ])
+        ])];
+
+        if (this.audio) {
+            entries.push(element(ID.TrackEntry, [
+                uintElement(ID.TrackNumber, AUDIO_TRACK),
+                uintElement(ID.TrackUID, AUDIO_TRACK),
+                uintElement(ID.TrackType, 2),
+                stringElement(ID.CodecID, 'A_OPUS'),
+                bytesElement(ID.CodecPrivate, this.audioDescription || opusHead(this.audio)),
+                uintElement(ID.CodecDelay, 0),
+                uintElement(ID.SeekPreRoll, 80000000), // 80ms in ns, per the Opus-in-Matroska spec
+                element(ID.Audio, [
+                    floatElement(ID.SamplingFrequency, this.audio.sampleRate),
+                    uintElement(ID.Channels, this.audio.numberOfChannels)
+                ])
+            ]));
+        }
+        return entries;
+    }
+
+    /**
+     * Start a cluster on every video keyframe, and before block timecodes overflow int16
+     */
+    *buildClusters(chunks) {
+        let blocks = [];
+        let clusterTime = 0;
+        let keyTime = null;
+
+        const flush = () => {
+            const bytes = element(ID.Cluster, [uintElement(ID.Timecode, clusterTime), ...blocks]);
+            blocks = [];
+            return { bytes, keyTime };
+        };
+
+        for (const chunk of chunks) {
+            const time = Math.round(chunk.timestamp);
+            const videoKey = chunk.track === VIDEO_TRACK && chunk.keyFrame;
+            if (blocks.length && (videoKey || time - clusterTime > 30000)) {
+                yield flush();
+                keyTime = null;
+            }
+            if (!blocks.length) {
+                clusterTime = time;
+                keyTime = videoKey ? time : null;
+            }
+            blocks.push(simpleBlock(chunk, time - clusterTime));
+        }
+        if (blocks.length) yield flush();
+    }
+}
+
+function simpleBlock(chunk, relativeTime) {
+    const header = new Uint8Array(4);
+    header[0] = 0x80 | chunk.track; // Track number as a 1-byte vint
+    header[1] = (relativeTime >> 8) & 0xFF;
+    header[2] = relativeTime & 0xFF;
+    header[3] = chunk.keyFrame ? 0x80 : 0;
+    return element(ID.SimpleBlock, [header, chunk.data]);
+}
+
+function opusHead({ sampleRate, numberOfChannels }) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set([0x4F, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64]); // "OpusHead"
+    head[8] = 1;
+    head[9] = numberOfChannels;
+    view.setUint16(10, 0, true);              // Pre-skip
+    view.setUint32(12, sampleRate, true);
+    view.setInt16(16, 0, true);               // Output gain
+    head[18] = 0;                             // Mapping family (mono/stereo)
+    return head;
+}
+
+function toBytes(source) {
+    if (source instanceof Uint8Array) return source;
+    if (ArrayBuffer.isView(source)) return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    return new Uint8Array(source);
+}
+
+// EBML encoding
+
+function element(id, children) {
+    const size = children.reduce((sum, child) => sum + child.length, 0);
+    const idBytes = idToBytes(id);
+    const sizeBytes = vint(size);
+    const out = new Uint8Array(idBytes.length + sizeBytes.length + size);
+    out.set(idBytes, 0);
+    out.set(sizeBytes, idBytes.length);
+    let offset = idBytes.length + sizeBytes.length;
+    for (const child of children) {
+        out.set(child, offset);
+        offset += child.length;
+    }
+    return out;
+}
+
+function uintElement(id, value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return element(id, [Uint8Array.from(bytes)]);
+}
+
+function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, [bytes]);
+}
+
+function stringElement(id, value) {
+    return element(id, [new TextEncoder().encode(value)]);
+}
+
+function bytesElement(id, bytes) {
+    return element(id, [bytes]);
+}
+
+function idToBytes(id) {
+    const bytes = [];
+    while (id > 0) {
+        bytes.unshift(id & 0xFF);
+        id = Math.floor(id / 256);
+    }
+    return Uint8Array.from(bytes);
+}
+
+function vint(value) {
+    let width = 1;
+    while (width < 8 && value >= Math.pow(2, 7 * width) - 1) width++;
+
+    const bytes = new Uint8Array(width);
+    let remaining = value;
+    for (let i = width - 1; i >= 0; i--) {
+        bytes[i] = remaining % 256;
+        remaining = Math.floor(remaining / 256);
+    }
+    bytes[0] |= 0x80 >> (width - 1);
+    return bytes;
+}
@@ -2,6 +2,10 @@
  * Core Holographic Visualizer - Clean WebGL rendering engine
  * Extracted from working system, no debugging mess
  */
+
+import { renderClock } from '../core/RenderClock.js';
+import { projectionGLSL, getProjectionUniforms, setProjectionUniforms } from '../core/Projection.js';
+
 export class HolographicVisualizer {
     constructor(canvasId, role = 'content', reactivity = 1.0, variant = 0) {
         this.canvas = document.getElementById(canvasId);
@@ -207,11 +211,32 @@ export class HolographicVisualizer {
             uniform float u_audioSpeedBoost;
             uniform float u_audioChaosBoost;
             uniform float u_audioColorShift;
+            uniform float u_rot4dXY;
+            uniform float u_rot4dXZ;
+            uniform float u_rot4dYZ;
             uniform float u_rot4dXW;
             uniform float u_rot4dYW;
             uniform float u_rot4dZW;
             
             // 4D rotation matrices
+            mat4 rotateXY(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(c, -s, 0, 0, s, c, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+            }
+            
+            mat4 rotateXZ(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(c, 0, -s, 0, 0, 1, 0, 0, s, 0, c, 0, 0, 0, 0, 1);
+            }
+            
+            mat4 rotateYZ(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(1, 0, 0, 0, 0, c, -s, 0, 0, s, c, 0, 0, 0, 0, 1);
+            }
+            
             mat4 rotateXW(float theta) {
                 float c = cos(theta);
                 float s = sin(theta);
@@ -231,10 +256,7 @@ export class HolographicVisualizer {
             }
             
             // 4D to 3D projection
-            vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
-            }
+            ${projectionGLSL('perspective')}
             
             // Enhanced VIB3 Geometry Library - Higher Fidelity
             float tetrahedronLattice(vec3 p, float gridSize) {
@@ -416,11 +438,15 @@ export class HolographicVisualizer {
                 float touchRotation = u_touchMorph * 0.2;
                 
                 // Combine manual rotation with automatic/interactive rotation
+                p4d = rotateXY(u_rot4dXY) * p4d;
+                p4d = rotateXZ(u_rot4dXZ) * p4d;
+                p4d = rotateYZ(u_rot4dYZ) * p4d;
                 p4d = rotateXW(u_rot4dXW + time * 0.2 + mouseOffset.y * 0.5 + scrollRotation) * p4d;
                 p4d = rotateYW(u_rot4dYW + time * 0.15 + mouseOffset.x * 0.5 + touchRotation) * p4d;
                 p4d = rotateZW(u_rot4dZW + time * 0.25 + u_clickIntensity * 0.3 + u_touchChaos * 0.4) * p4d;
                 
                 vec3 p = project4Dto3D(p4d);
+                float sliceMask = projectionMask(p4d);
                 
                 float scrollDensityMod = 1.0 + u_gridDensityShift * 0.3;
                 float audioDensityMod = 1.0 + u_audioDensityBoost * 0.5;
@@ -481,7 +507,7 @@ export class HolographicVisualizer {
                 float interference = sin(mouseDist * 25.0 + u_time * 0.002) * u_mouseIntensity * 0.05;
                 color += vec3(interference) * baseColor;
                 
-                gl_FragColor = vec4(color, 0.95);
+                gl_FragColor = vec4(color * sliceMask, 0.95 * sliceMask);
             }
         `;
         
@@ -515,10 +541,14 @@ export class HolographicVisualizer {
             audioSpeedBoost: this.gl.getUniformLocation(this.program, 'u_audioSpeedBoost'),
             audioChaosBoost: this.gl.getUniformLocation(this.program, 'u_audioChaosBoost'),
             audioColorShift: this.gl.getUniformLocation(this.program, 'u_audioColorShift'),
+            rot4dXY: this.gl.getUniformLocation(this.program, 'u_rot4dXY'),
+            rot4dXZ: this.gl.getUniformLocation(this.program, 'u_rot4dXZ'),
+            rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
             rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
             rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
             rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW')
         };
+        this.projectionUniforms = getProjectionUniforms(this.gl, this.program);
     }
     
     createProgram(vertexSource, fragmentSource) {
@@ -720,7 +750,7 @@ export class HolographicVisualizer {
         this.clickIntensity *= this.clickDecay;
         this.updateScrollPhysics();
         
-        const time = Date.now() - this.startTime;
+        const time = renderClock.elapsed(this.startTime);
         
         // Convert HSL to RGB for color uniform
         const hue = (this.variantParams.hue || 0) / 360; // Convert to 0-1 range
@@ -806,9 +836,13 @@ export class HolographicVisualizer {
         this.gl.uniform1f(this.uniforms.audioColorShift, audioColor);
         
         // 4D rotation uniforms
+        this.gl.uniform1f(this.uniforms.rot4dXY, this.variantParams.rot4dXY || 0.0);
+        this.gl.uniform1f(this.uniforms.rot4dXZ, this.variantParams.rot4dXZ || 0.0);
+        this.gl.uniform1f(this.uniforms.rot4dYZ, this.variantParams.rot4dYZ || 0.0);
         this.gl.uniform1f(this.uniforms.rot4dXW, this.variantParams.rot4dXW || 0.0);
         this.gl.uniform1f(this.uniforms.rot4dYW, this.variantParams.rot4dYW || 0.0);
         this.gl.uniform1f(this.uniforms.rot4dZW, this.variantParams.rot4dZW || 0.0);
+        setProjectionUniforms(this.gl, this.projectionUniforms, this.variantParams);
         
         this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
     }
@@ -896,6 +930,9 @@ export class HolographicVisualizer {
         const paramMap = {
             'gridDensity': 'density',
             'morphFactor': 'morph',
+            'rot4dXY': 'rot4dXY',
+            'rot4dXZ': 'rot4dXZ',
+            'rot4dYZ': 'rot4dYZ',
             'rot4dXW': 'rot4dXW',
             'rot4dYW': 'rot4dYW', 
             'rot4dZW': 'rot4dZW',
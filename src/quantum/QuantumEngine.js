@@ -5,6 +5,7 @@
 
 import { QuantumHolographicVisualizer } from './QuantumVisualizer.js';
 import { ParameterManager } from '../core/Parameters.js';
+import { applyLayerComposites, layerParameters } from '../core/LayerCompositing.js';
 import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
 
 export class QuantumEngine {
@@ -238,9 +239,10 @@ export class QuantumEngine {
                 // CRITICAL FIX: Update visualizer parameters before rendering
                 const currentParams = this.parameters.getAllParameters();
                 
+                applyLayerComposites(currentParams, this.visualizers);
                 this.visualizers.forEach(visualizer => {
                     if (visualizer.updateParameters && visualizer.render) {
-                        visualizer.updateParameters(currentParams);
+                        visualizer.updateParameters(layerParameters(currentParams, visualizer.role));
                         visualizer.render();
                     }
                 });
@@ -4,12 +4,24 @@
  * Shows real-time input data and parameter mappings
  */
 
+// Note actions offered by Learn Note (see MidiController.bindNote)
+const MIDI_NOTE_ACTIONS = [
+    { label: 'click', action: { type: 'click' } },
+    ...['faceted', 'quantum', 'holographic'].map(system => ({ label: `system: ${system}`, action: { type: 'system', system } })),
+    ...Array.from({ length: 12 }, (_, index) => ({ label: `sequence #${index + 1}`, action: { type: 'sequence', index } }))
+];
+
 export class InteractivityMenu {
-    constructor(interactivityEngine) {
+    /**
+     * midiController: optional MidiController shown as a source with note/CC learn controls
+     */
+    constructor(interactivityEngine, midiController = null) {
         this.engine = interactivityEngine;
+        this.midi = midiController;
         this.isVisible = false;
         this.menuContainer = null;
         this.updateInterval = null;
+        this.midiSignature = null;
         
         this.createMenu();
         this.bindEvents();
@@ -182,6 +194,22 @@ export class InteractivityMenu {
                     background: #ff00ff;
                     color: #000;
                 }
+                
+                .midi-row {
+                    display: flex;
+                    gap: 5px;
+                    align-items: center;
+                    margin-bottom: 5px;
+                    font-size: 0.7rem;
+                }
+                
+                .midi-row select {
+                    flex: 1;
+                    background: #000;
+                    color: #00ffff;
+                    border: 1px solid rgba(0, 255, 255, 0.3);
+                    font-size: 0.7rem;
+                }
             </style>
             
             <div class="interactivity-header">
@@ -192,6 +220,13 @@ export class InteractivityMenu {
                 <!-- Input sources will be dynamically populated -->
             </div>
             
+            <div class="parameter-mappings" id="midi-section" style="display: none;">
+                <div class="mapping-header">🎹 MIDI</div>
+                <div id="midi-mappings">
+                    <!-- MIDI learn controls are rendered when the mappings change -->
+                </div>
+            </div>
+            
             <div class="parameter-mappings">
                 <div class="mapping-header">📊 PARAMETER MAPPINGS</div>
                 <div id="parameter-values">
@@ -208,6 +243,11 @@ export class InteractivityMenu {
         `;
         
         document.body.appendChild(this.menuContainer);
+        
+        if (this.midi) {
+            this.menuContainer.querySelector('#midi-section').style.display = 'block';
+            this.menuContainer.querySelector('#midi-mappings').addEventListener('click', (e) => this.handleMidiAction(e));
+        }
     }
     
     /**
@@ -264,6 +304,7 @@ export class InteractivityMenu {
         
         this.updateInterval = setInterval(() => {
             this.updateInputSources();
+            this.updateMidiMappings();
             this.updateParameterMappings();
             this.updatePerformanceStats();
         }, 100); // Update 10 times per second
@@ -344,9 +385,110 @@ export class InteractivityMenu {
             });
         }
         
+        // MIDI controller: last note, clock and mapped CCs
+        if (this.midi && this.midi.enabled) {
+            const bands = {
+                'Note Velocity': this.midi.lastNote ? this.midi.lastNote.velocity : 0,
+                [`Clock ${Math.round(this.midi.clockBPM) || '--'} BPM`]: this.midi.clock.running ? (this.midi.clock.ticks % 24) / 24 : 0
+            };
+            for (const [cc, { param }] of Object.entries(this.midi.ccMappings)) {
+                bands[`CC ${cc} → ${param}`] = this.midi.ccValues[cc] || 0;
+            }
+            sourcesHTML += this.createSourceHTML('midi', '🎹 MIDI', true, bands);
+        }
+        
         sourcesContainer.innerHTML = sourcesHTML;
     }
     
+    /**
+     * Rebuild the MIDI learn controls when mappings or learn state change
+     */
+    updateMidiMappings() {
+        if (!this.midi) return;
+        
+        const signature = JSON.stringify([this.midi.enabled, this.midi.learning, this.midi.toJSON()]);
+        if (signature === this.midiSignature) return;
+        this.midiSignature = signature;
+        
+        const container = document.getElementById('midi-mappings');
+        if (!this.midi.enabled) {
+            container.innerHTML = `<button class="toggle-btn" data-midi-action="enable">Enable MIDI</button>`;
+            return;
+        }
+        
+        const learning = this.midi.learning;
+        const params = Object.keys(this.midi.parameterDefs);
+        const options = (values) => values.map(value => `<option value="${value}">${value}</option>`).join('');
+        
+        const controls = Object.entries(this.midi.ccMappings).map(([cc, { param, range }]) => `
+            <div class="midi-row">
+                <span class="param-name">CC ${cc} → ${param}</span>
+                <span class="param-value">${range[0]}–${range[1]}</span>
+                <button class="toggle-btn" data-midi-action="unmap" data-cc="${cc}">✕</button>
+            </div>
+        `).join('');
+        
+        const notes = Object.entries(this.midi.noteBindings).map(([note, action]) => `
+            <div class="midi-row">
+                <span class="param-name">Note ${note}</span>
+                <span class="param-value">${action.type}${action.system ? ` ${action.system}` : ''}${action.index !== undefined ? ` #${action.index + 1}` : ''}</span>
+                <button class="toggle-btn" data-midi-action="unbind" data-note="${note}">✕</button>
+            </div>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="midi-row">
+                <select id="midi-learn-param">${options(params)}</select>
+                <button class="toggle-btn ${learning && learning.kind === 'cc' ? 'active' : ''}" data-midi-action="learn-cc">
+                    ${learning && learning.kind === 'cc' ? `Move a knob for ${learning.param}...` : 'Learn CC'}
+                </button>
+            </div>
+            <div class="midi-row">
+                <select id="midi-learn-trigger">${MIDI_NOTE_ACTIONS.map(({ label }, i) => `<option value="${i}">${label}</option>`).join('')}</select>
+                <button class="toggle-btn ${learning && learning.kind === 'note' ? 'active' : ''}" data-midi-action="learn-note">
+                    ${learning && learning.kind === 'note' ? 'Play a note...' : 'Learn Note'}
+                </button>
+            </div>
+            ${learning ? `<button class="toggle-btn" data-midi-action="cancel">Cancel learn</button>` : ''}
+            ${controls}
+            ${notes}
+        `;
+    }
+    
+    /**
+     * Clicks inside the MIDI section (delegated, since the controls are re-rendered)
+     */
+    async handleMidiAction(e) {
+        const button = e.target.closest('[data-midi-action]');
+        if (!button) return;
+        
+        try {
+            switch (button.dataset.midiAction) {
+                case 'enable':
+                    await this.midi.enable();
+                    break;
+                case 'learn-cc':
+                    this.midi.learnControl(document.getElementById('midi-learn-param').value);
+                    break;
+                case 'learn-note':
+                    this.midi.learnNote(MIDI_NOTE_ACTIONS[Number(document.getElementById('midi-learn-trigger').value)].action);
+                    break;
+                case 'cancel':
+                    this.midi.cancelLearn();
+                    break;
+                case 'unmap':
+                    this.midi.unmapControl(Number(button.dataset.cc));
+                    break;
+                case 'unbind':
+                    this.midi.unbindNote(Number(button.dataset.note));
+                    break;
+            }
+        } catch (error) {
+            console.error('🎹 MIDI:', error);
+        }
+        this.updateMidiMappings();
+    }
+    
     /**
      * Create HTML for an input source
      */
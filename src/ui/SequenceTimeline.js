@@ -0,0 +1,174 @@
+/**
+ * VIB34D Sequence Timeline
+ * Draws choreography sequences as blocks on the #timeline bar with drag-to-move and edge handles
+ * to resize. Drags snap through the choreographer's BeatQuantizer; overlapping blocks are flagged.
+ */
+
+export class SequenceTimeline {
+    constructor(choreographer, timelineId = 'timeline') {
+        this.choreographer = choreographer;
+        this.timeline = document.getElementById(timelineId);
+        this.drag = null;
+
+        if (!this.timeline) return;
+
+        this.injectStyles();
+        this.track = document.createElement('div');
+        this.track.className = 'timeline-sequences';
+        this.timeline.appendChild(this.track);
+
+        this.onPointerMove = (e) => this.updateDrag(e);
+        this.onPointerUp = (e) => this.endDrag(e);
+    }
+
+    injectStyles() {
+        if (document.getElementById('sequence-timeline-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'sequence-timeline-styles';
+        style.textContent = `
+            #timeline { position: relative; height: 28px; }
+            #timeline #timeline-progress { position: absolute; top: 0; left: 0; height: 4px; }
+            .timeline-sequences { position: absolute; top: 6px; left: 0; right: 0; bottom: 0; }
+            .timeline-sequence {
+                position: absolute;
+                top: 0;
+                bottom: 0;
+                border: 1px solid rgba(0, 255, 255, 0.6);
+                background: rgba(0, 255, 255, 0.15);
+                border-radius: 3px;
+                font-size: 9px;
+                color: #0ff;
+                overflow: hidden;
+                white-space: nowrap;
+                cursor: grab;
+                box-sizing: border-box;
+                padding: 0 6px;
+                line-height: 20px;
+                user-select: none;
+            }
+            .timeline-sequence.quantum { border-color: rgba(255, 0, 255, 0.6); background: rgba(255, 0, 255, 0.15); color: #f0f; }
+            .timeline-sequence.holographic { border-color: rgba(255, 200, 0, 0.6); background: rgba(255, 200, 0, 0.15); color: #fc0; }
+            .timeline-sequence.overlap { border-color: #f44; box-shadow: inset 0 0 0 1px #f44; }
+            .timeline-sequence.dragging { cursor: grabbing; opacity: 0.8; }
+            .timeline-handle { position: absolute; top: 0; bottom: 0; width: 5px; cursor: ew-resize; background: rgba(255, 255, 255, 0.25); }
+            .timeline-handle.start { left: 0; }
+            .timeline-handle.end { right: 0; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Timeline length: the track if loaded, otherwise the end of the last sequence
+     */
+    get duration() {
+        const choreographer = this.choreographer;
+        if (choreographer.analysis) return choreographer.analysis.duration;
+        if (Number.isFinite(choreographer.audio.duration)) return choreographer.audio.duration;
+
+        // The default choreography ends with an open-ended 999s sequence; don't let it flatten the view
+        const ends = choreographer.sequences.map(seq => Math.min(seq.time + seq.duration, seq.time + 30));
+        return Math.max(60, ...ends);
+    }
+
+    render() {
+        if (!this.track || this.drag) return;
+
+        const duration = this.duration;
+        const overlaps = new Set(this.choreographer.findOverlaps().flat());
+
+        this.track.innerHTML = '';
+        this.choreographer.sequences.forEach((seq, index) => {
+            const start = Math.min(seq.time, duration);
+            const end = Math.min(seq.time + seq.duration, duration);
+
+            const block = document.createElement('div');
+            block.className = `timeline-sequence ${seq.effects.system || ''}${overlaps.has(index) ? ' overlap' : ''}`;
+            block.style.left = `${(start / duration) * 100}%`;
+            block.style.width = `${Math.max(0, (end - start) / duration) * 100}%`;
+            block.title = `${seq.section ? seq.section + ' · ' : ''}${seq.time.toFixed(2)}s - ${(seq.time + seq.duration).toFixed(2)}s`;
+            block.textContent = seq.section || `#${index + 1}`;
+            block.dataset.index = index;
+
+            ['start', 'end'].forEach(edge => {
+                const handle = document.createElement('div');
+                handle.className = `timeline-handle ${edge}`;
+                handle.dataset.edge = edge;
+                block.appendChild(handle);
+            });
+
+            block.addEventListener('pointerdown', (e) => this.startDrag(e, index, e.target.dataset.edge || 'move'));
+            this.track.appendChild(block);
+        });
+    }
+
+    startDrag(e, index, mode) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const seq = this.choreographer.sequences[index];
+        this.drag = {
+            index,
+            mode,
+            block: e.currentTarget,
+            originX: e.clientX,
+            originTime: seq.time,
+            originDuration: seq.duration,
+            time: seq.time,
+            duration: seq.duration
+        };
+        this.drag.block.classList.add('dragging');
+        this.drag.block.setPointerCapture(e.pointerId);
+        this.drag.block.addEventListener('pointermove', this.onPointerMove);
+        this.drag.block.addEventListener('pointerup', this.onPointerUp);
+        this.drag.block.addEventListener('pointercancel', this.onPointerUp);
+    }
+
+    updateDrag(e) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        const rect = this.timeline.getBoundingClientRect();
+        const delta = ((e.clientX - drag.originX) / rect.width) * this.duration;
+        const quantizer = this.choreographer.quantizer;
+        const resolution = this.choreographer.snapResolution;
+        const originEnd = drag.originTime + drag.originDuration;
+
+        if (drag.mode === 'move') {
+            const time = quantizer.snap(Math.max(0, drag.originTime + delta), resolution);
+            drag.time = time;
+            drag.duration = drag.originDuration;
+        } else if (drag.mode === 'start') {
+            const range = quantizer.snapRange(Math.max(0, drag.originTime + delta), 0, resolution);
+            drag.time = Math.min(range.time, originEnd - 0.01);
+            drag.duration = originEnd - drag.time;
+        } else {
+            const range = quantizer.snapRange(drag.originTime, Math.max(0.01, drag.originDuration + delta), resolution);
+            drag.time = range.time;
+            drag.duration = range.duration;
+        }
+
+        const duration = this.duration;
+        drag.block.style.left = `${(drag.time / duration) * 100}%`;
+        drag.block.style.width = `${(Math.min(drag.duration, duration - drag.time) / duration) * 100}%`;
+        drag.block.title = `${drag.time.toFixed(2)}s - ${(drag.time + drag.duration).toFixed(2)}s`;
+    }
+
+    endDrag(e) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        drag.block.releasePointerCapture(e.pointerId);
+        drag.block.removeEventListener('pointermove', this.onPointerMove);
+        drag.block.removeEventListener('pointerup', this.onPointerUp);
+        drag.block.removeEventListener('pointercancel', this.onPointerUp);
+        this.drag = null;
+
+        if (drag.time !== drag.originTime || drag.duration !== drag.originDuration) {
+            // Already snapped while dragging
+            this.choreographer.setSequenceRange(drag.index, drag.time, drag.duration, false);
+        } else {
+            this.render();
+        }
+    }
+}
@@ -84,6 +84,9 @@ export class VariationManager {
             chaos: level * 0.2,
             speed: 0.8 + level * 0.2,
             hue: (index * 12.27) % 360,
+            rot4dXY: 0,
+            rot4dXZ: 0,
+            rot4dYZ: 0,
             rot4dXW: (level - 1.5) * 0.3,
             rot4dYW: (adjustedGeometryType % 2) * 0.2,
             rot4dZW: ((adjustedGeometryType + level) % 3) * 0.15,
@@ -116,6 +119,8 @@ export class VariationManager {
         }
         
         if (params) {
+            // Variations carry their own layer compositing; an empty slot keeps the current one
+            if (index < 30 || this.customVariations[index - 30]) this.engine.parameterManager.resetLayers();
             this.engine.parameterManager.setParameters(params);
             this.engine.currentVariation = index;
             return true;
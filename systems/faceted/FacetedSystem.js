@@ -3,20 +3,17 @@
  * Preserves ALL functionality from original index.html
  */
 
-export class FacetedSystem {
-    constructor() {
+import { VisualizationSystem } from '../../core/VisualizationSystem.js';
+
+export class FacetedSystem extends VisualizationSystem {
+    constructor(options = {}) {
+        super(options);
         this.name = 'faceted';
         this.isActive = false;
         this.isInitialized = false;
         
         // Canvas management
-        this.canvasIds = [
-            'background-canvas',
-            'shadow-canvas', 
-            'content-canvas',
-            'highlight-canvas',
-            'accent-canvas'
-        ];
+        this.canvasIds = [...FacetedSystem.capabilities.layers];
         
         // Engine and UI components
         this.engine = null;
@@ -24,15 +21,23 @@ export class FacetedSystem {
         this.parameters = new Map();
         
         // Geometry configuration exactly like index.html
-        this.geometries = [
-            'Tetra', 'Cube', 'Sphere',
-            'Torus', 'Klein', 'Fractal', 
-            'Wave', 'Crystal'
-        ];
+        this.geometries = [...FacetedSystem.capabilities.geometries];
         
         console.log('🔷 FacetedSystem: Initialized');
     }
 
+    static get capabilities() {
+        return {
+            label: 'Faceted',
+            icon: '🔷',
+            layers: ['background-canvas', 'shadow-canvas', 'content-canvas', 'highlight-canvas', 'accent-canvas'],
+            container: 'vib34dLayers',
+            geometries: ['Tetra', 'Cube', 'Sphere', 'Torus', 'Klein', 'Fractal', 'Wave', 'Crystal'],
+            audio: false,
+            offline: true
+        };
+    }
+
     /**
      * Initialize the Faceted system
      */
@@ -81,8 +86,8 @@ export class FacetedSystem {
             if (this.engine) {
                 this.engine.isActive = true;
                 
-                // Start render loop exactly like index.html
-                if (this.engine.startRenderLoop) {
+                // The engine starts its loop when constructed; a second loop would double its time step
+                if (this.engine.startRenderLoop && !this.engine.animationId) {
                     this.engine.startRenderLoop();
                 }
                 
@@ -141,8 +146,8 @@ export class FacetedSystem {
             // Create engine with exact parameters from index.html
             this.engine = new this.VIB34DIntegratedEngine();
             
-            // Initialize with default parameters
-            const success = await this.engine.initialize();
+            // VIB34DIntegratedEngine sets itself up in its constructor
+            const success = this.engine.initialize ? await this.engine.initialize() : true;
             
             if (success) {
                 // Make visualizers accessible
@@ -222,6 +227,9 @@ export class FacetedSystem {
     initializeParameters() {
         const defaultParams = {
             geometry: 0,
+            rot4dXY: 0,
+            rot4dXZ: 0,
+            rot4dYZ: 0,
             rot4dXW: 0,
             rot4dYW: 0, 
             rot4dZW: 0,
@@ -279,13 +287,42 @@ export class FacetedSystem {
         // Update engine if active
         if (this.engine && this.isActive) {
             try {
-                this.engine.updateParameter(param, value);
+                this.applyParameters({ [param]: value });
             } catch (error) {
                 console.warn(`🔷 FacetedSystem: Parameter update failed for ${param}:`, error);
             }
         }
     }
 
+    /**
+     * Contract: the engine's render loop reads the parameter manager every frame
+     */
+    applyParameters(params) {
+        Object.entries(params).forEach(([param, value]) => this.engine.parameterManager.setParameter(param, value));
+    }
+
+    /**
+     * Contract: one frame at `time` seconds instead of the loop's fixed 0.016 step
+     */
+    drawFrame(time) {
+        this.engine.time = time;
+        this.engine.updateVisualizers();
+    }
+
+    triggerEvent(name, data = {}) {
+        if (!this.engine) return false;
+        if (name === 'click' || name === 'beat' || name === 'downbeat') {
+            this.engine.triggerClick(data.intensity ?? 1.0);
+        } else if (name === 'interaction') {
+            this.engine.updateInteraction(data.x, data.y, data.intensity);
+        } else if (name === 'scroll') {
+            this.engine.updateScroll(data.velocity);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Update parameter display exactly like index.html
      */
@@ -298,6 +335,9 @@ export class FacetedSystem {
         
         // Update value display
         const displays = {
+            rot4dXY: 'xyValue',
+            rot4dXZ: 'xzValue',
+            rot4dYZ: 'yzValue',
             rot4dXW: 'xwValue',
             rot4dYW: 'ywValue', 
             rot4dZW: 'zwValue',
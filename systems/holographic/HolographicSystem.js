@@ -3,20 +3,18 @@
  * ULTRA PRESERVATION: Every visual effect, audio reactivity, pink/magenta theme, and interaction preserved EXACTLY
  */
 
-export class HolographicSystem {
-    constructor() {
+import { VisualizationSystem } from '../../core/VisualizationSystem.js';
+import { applyLayerComposites, getLayerOverrides, globalParameters, parseLayerParameter } from '../../src/core/LayerCompositing.js';
+
+export class HolographicSystem extends VisualizationSystem {
+    constructor(options = {}) {
+        super(options);
         this.name = 'holographic';
         this.isActive = false;
         this.isInitialized = false;
         
         // Canvas management - EXACT same IDs as index.html
-        this.canvasIds = [
-            'holo-background-canvas',
-            'holo-shadow-canvas', 
-            'holo-content-canvas',
-            'holo-highlight-canvas',
-            'holo-accent-canvas'
-        ];
+        this.canvasIds = [...HolographicSystem.capabilities.layers];
         
         // Engine and UI components
         this.engine = null;
@@ -53,6 +51,18 @@ export class HolographicSystem {
         console.log('✨ HolographicSystem: Initialized with REAL audio-reactive holographic effects');
     }
 
+    static get capabilities() {
+        return {
+            label: 'Holographic',
+            icon: '✨',
+            layers: ['holo-background-canvas', 'holo-shadow-canvas', 'holo-content-canvas', 'holo-highlight-canvas', 'holo-accent-canvas'],
+            container: 'holographicLayers',
+            geometries: ['Tetrahedron', 'Hypercube', 'Sphere', 'Torus', 'Klein Bottle', 'Fractal', 'Wave', 'Crystal'],
+            audio: true,
+            offline: true
+        };
+    }
+
     /**
      * Initialize the Holographic system - PRESERVE ALL AUDIO REACTIVITY
      */
@@ -100,7 +110,10 @@ export class HolographicSystem {
             // Activate engine with EXACT parameters from original
             if (this.engine) {
                 this.engine.isActive = true;
-                this.engine.setActive(true); // Holographic engine specific activation
+                // setActive() also opens the engine's own audio input; hosts that feed audio pass { audio: false }
+                if (this.options.audio !== false) {
+                    this.engine.setActive(true); // Holographic engine specific activation
+                }
                 
                 // CRITICAL: Start audio system if available
                 if (this.engine.setupAudio) {
@@ -112,10 +125,7 @@ export class HolographicSystem {
                     }
                 }
                 
-                // Start render loop exactly like index.html
-                if (this.engine.startRenderLoop) {
-                    this.engine.startRenderLoop();
-                }
+                // RealHolographicSystem starts its render loop when constructed (it idles while inactive); a second loop would draw every frame twice
                 
                 // Force all visualizers to start rendering - CRITICAL for gallery preview
                 if (this.engine.visualizers) {
@@ -272,6 +282,9 @@ export class HolographicSystem {
         // HOLOGRAPHIC specific parameters - rich pink/magenta theme
         const defaultParams = {
             geometry: 0,        // Actually variant index for holographic
+            rot4dXY: 0,
+            rot4dXZ: 0,
+            rot4dYZ: 0,
             rot4dXW: 0,
             rot4dYW: 0, 
             rot4dZW: 0,
@@ -359,6 +372,33 @@ export class HolographicSystem {
         }
     }
 
+    /**
+     * Contract: the same per-layer update as engine.updateParameter without its per-layer logging
+     */
+    applyParameters(params) {
+        const all = this.engine.customParams = { ...this.engine.customParams, ...params };
+
+        // Layers keep their overrides over global changes; an override change resends everything so a cleared one falls back
+        const changes = globalParameters(Object.keys(params).some(name => parseLayerParameter(name)?.override) ? all : params);
+        this.visualizers.forEach(visualizer => {
+            if (visualizer.updateParameters) visualizer.updateParameters({ ...changes, ...getLayerOverrides(all, visualizer.role) });
+        });
+        applyLayerComposites(all, this.visualizers);
+    }
+
+    triggerEvent(name, data = {}) {
+        if (!this.engine) return false;
+        if (name === 'click') {
+            // Holographic clicks are full colour bursts, so beats don't fire them
+            this.engine.triggerHolographicColorBurst(data.x ?? 0.5, data.y ?? 0.5);
+        } else if (name === 'interaction') {
+            this.engine.updateHolographicShimmer(data.x, data.y);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Update parameter display exactly like index.html
      */
@@ -371,6 +411,9 @@ export class HolographicSystem {
         
         // Update value display
         const displays = {
+            rot4dXY: 'xyValue',
+            rot4dXZ: 'xzValue',
+            rot4dYZ: 'yzValue',
             rot4dXW: 'xwValue',
             rot4dYW: 'ywValue', 
             rot4dZW: 'zwValue',
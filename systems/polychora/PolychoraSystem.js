@@ -3,35 +3,43 @@
  * ULTRA PRESERVATION: Every 4D polytope, glassmorphic effect, mathematical function preserved EXACTLY
  */
 
-export class PolychoraSystem {
-    constructor() {
+import { VisualizationSystem } from '../../core/VisualizationSystem.js';
+
+export class PolychoraSystem extends VisualizationSystem {
+    constructor(options = {}) {
+        super(options);
         this.name = 'polychora';
         this.isActive = false;
         this.isInitialized = false;
         
         // Canvas management - EXACT same IDs as index.html
-        this.canvasIds = [
-            'polychora-background-canvas',
-            'polychora-shadow-canvas', 
-            'polychora-content-canvas',
-            'polychora-highlight-canvas',
-            'polychora-accent-canvas'
-        ];
+        this.canvasIds = [...PolychoraSystem.capabilities.layers];
         
         // Engine and UI components
         this.engine = null;
         this.visualizers = [];
         this.parameters = new Map();
+        this.pendingParameters = null; // batched for the engine, see applyParameters
+        this.parameterFlush = null;
         
         // 4D Polytope configuration exactly like index.html
-        this.polytopes = [
-            '5-Cell', 'Tesseract', '16-Cell',
-            '24-Cell', '600-Cell', '120-Cell'
-        ];
+        this.polytopes = [...PolychoraSystem.capabilities.geometries];
         
         console.log('🔮 PolychoraSystem: Initialized with true 4D polytope mathematics');
     }
 
+    static get capabilities() {
+        return {
+            label: 'Polychora',
+            icon: '🔮',
+            layers: ['polychora-background-canvas', 'polychora-shadow-canvas', 'polychora-content-canvas', 'polychora-highlight-canvas', 'polychora-accent-canvas'],
+            container: 'polychoraLayers',
+            geometries: ['5-Cell', 'Tesseract', '16-Cell', '24-Cell', '600-Cell', '120-Cell'],
+            audio: false,
+            offline: true
+        };
+    }
+
     /**
      * Initialize the Polychora system - PRESERVE ALL 4D MATHEMATICS
      */
@@ -276,6 +284,9 @@ export class PolychoraSystem {
         // 4D POLYTOPE specific parameters - glassmorphic theme
         const defaultParams = {
             geometry: 0,        // Actually polytope index for polychora
+            rot4dXY: 0,
+            rot4dXZ: 0,
+            rot4dYZ: 0,
             rot4dXW: 0,         // CRITICAL: 4D rotations are key for polytopes
             rot4dYW: 0, 
             rot4dZW: 0,
@@ -379,6 +390,49 @@ export class PolychoraSystem {
         }
     }
 
+    /**
+     * Contract: the engine maps VIB34D parameters onto polytope settings in updateParameters(), which logs
+     * every call - batch per animation frame so per-frame choreography costs one update
+     */
+    applyParameters(params) {
+        this.pendingParameters = { ...this.pendingParameters, ...params };
+        if (this.parameterFlush) return;
+        this.parameterFlush = requestAnimationFrame(() => this.flushParameters());
+    }
+
+    flushParameters() {
+        if (this.parameterFlush) cancelAnimationFrame(this.parameterFlush);
+        this.parameterFlush = null;
+        if (this.engine && this.pendingParameters) this.engine.updateParameters(this.pendingParameters);
+        this.pendingParameters = null;
+    }
+
+    async destroy() {
+        if (this.parameterFlush) cancelAnimationFrame(this.parameterFlush);
+        this.parameterFlush = null;
+        this.pendingParameters = null;
+        await super.destroy();
+    }
+
+    drawFrame(time) {
+        this.flushParameters();
+        this.visualizers.forEach(visualizer => visualizer.render(this.engine.parameters));
+    }
+
+    triggerEvent(name, data = {}) {
+        if (!this.engine) return false;
+        if (name === 'click' || name === 'beat' || name === 'downbeat') {
+            this.engine.triggerClick(data.intensity ?? 1.0);
+        } else if (name === 'interaction') {
+            this.engine.updateInteraction(data.x, data.y, data.intensity);
+        } else if (name === 'scroll') {
+            this.engine.updateScroll(data.velocity);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Update parameter display exactly like index.html
      */
@@ -391,6 +445,9 @@ export class PolychoraSystem {
         
         // Update value display
         const displays = {
+            rot4dXY: 'xyValue',
+            rot4dXZ: 'xzValue',
+            rot4dYZ: 'yzValue',
             rot4dXW: 'xwValue',
             rot4dYW: 'ywValue', 
             rot4dZW: 'zwValue',
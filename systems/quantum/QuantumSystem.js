@@ -3,20 +3,18 @@
  * ULTRA PRESERVATION: Every visual effect, shader, parameter, and interaction preserved EXACTLY
  */
 
-export class QuantumSystem {
-    constructor() {
+import { VisualizationSystem } from '../../core/VisualizationSystem.js';
+import { applyLayerComposites, layerParameters } from '../../src/core/LayerCompositing.js';
+
+export class QuantumSystem extends VisualizationSystem {
+    constructor(options = {}) {
+        super(options);
         this.name = 'quantum';
         this.isActive = false;
         this.isInitialized = false;
         
         // Canvas management - EXACT same IDs as index.html
-        this.canvasIds = [
-            'quantum-background-canvas',
-            'quantum-shadow-canvas', 
-            'quantum-content-canvas',
-            'quantum-highlight-canvas',
-            'quantum-accent-canvas'
-        ];
+        this.canvasIds = [...QuantumSystem.capabilities.layers];
         
         // Engine and UI components
         this.engine = null;
@@ -24,15 +22,23 @@ export class QuantumSystem {
         this.parameters = new Map();
         
         // Geometry configuration exactly like index.html - QUANTUM ENHANCED
-        this.geometries = [
-            'Quantum Tetra', 'Quantum Cube', 'Quantum Sphere',
-            'Quantum Torus', 'Quantum Klein', 'Quantum Fractal', 
-            'Quantum Wave', 'Quantum Crystal'
-        ];
+        this.geometries = [...QuantumSystem.capabilities.geometries];
         
         console.log('🌌 QuantumSystem: Initialized with enhanced holographic effects');
     }
 
+    static get capabilities() {
+        return {
+            label: 'Quantum',
+            icon: '🌌',
+            layers: ['quantum-background-canvas', 'quantum-shadow-canvas', 'quantum-content-canvas', 'quantum-highlight-canvas', 'quantum-accent-canvas'],
+            container: 'quantumLayers',
+            geometries: ['Quantum Tetra', 'Quantum Cube', 'Quantum Sphere', 'Quantum Torus', 'Quantum Klein', 'Quantum Fractal', 'Quantum Wave', 'Quantum Crystal'],
+            audio: true,
+            offline: true
+        };
+    }
+
     /**
      * Initialize the Quantum system - PRESERVE ALL ORIGINAL FUNCTIONALITY
      */
@@ -80,13 +86,13 @@ export class QuantumSystem {
             // Activate engine with EXACT parameters from original
             if (this.engine) {
                 this.engine.isActive = true;
-                this.engine.setActive(true); // Quantum engine specific activation
-                
-                // Start render loop exactly like index.html
-                if (this.engine.startRenderLoop) {
-                    this.engine.startRenderLoop();
+                // setActive() also opens the engine's own audio input; hosts that feed audio pass { audio: false }
+                if (this.options.audio !== false) {
+                    this.engine.setActive(true); // Quantum engine specific activation
                 }
                 
+                // QuantumEngine starts its render loop when constructed (it idles while inactive); a second loop would draw every frame twice
+                
                 // Force all visualizers to start rendering - CRITICAL for gallery preview
                 if (this.engine.visualizers) {
                     this.engine.visualizers.forEach(visualizer => {
@@ -234,6 +240,9 @@ export class QuantumSystem {
         // QUANTUM ENHANCED default parameters - exactly like QuantumEngine
         const defaultParams = {
             geometry: 0,
+            rot4dXY: 0,
+            rot4dXZ: 0,
+            rot4dYZ: 0,
             rot4dXW: 0,
             rot4dYW: 0, 
             rot4dZW: 0,
@@ -312,6 +321,39 @@ export class QuantumSystem {
         }
     }
 
+    /**
+     * Contract: store in the engine's parameter manager, which its loop hands to every layer each frame
+     * (engine.updateParameter logs and re-renders per call - too heavy for per-frame choreography)
+     */
+    applyParameters(params) {
+        Object.entries(params).forEach(([param, value]) => this.engine.parameters.setParameter(param, value));
+    }
+
+    drawFrame(time) {
+        const params = this.engine.parameters.getAllParameters();
+        applyLayerComposites(params, this.visualizers);
+        this.visualizers.forEach(visualizer => {
+            if (visualizer.updateParameters && visualizer.render) {
+                visualizer.updateParameters(layerParameters(params, visualizer.role));
+                visualizer.render();
+            }
+        });
+    }
+
+    triggerEvent(name, data = {}) {
+        if (!this.engine) return false;
+        if (name === 'click' || name === 'beat' || name === 'downbeat') {
+            this.engine.updateClick(data.intensity ?? 1.0);
+        } else if (name === 'interaction') {
+            this.engine.updateInteraction(data.x, data.y, data.intensity);
+        } else if (name === 'scroll') {
+            this.engine.updateScroll(data.velocity);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Update parameter display exactly like index.html
      */
@@ -324,6 +366,9 @@ export class QuantumSystem {
         
         // Update value display
         const displays = {
+            rot4dXY: 'xyValue',
+            rot4dXZ: 'xzValue',
+            rot4dYZ: 'yzValue',
             rot4dXW: 'xwValue',
             rot4dYW: 'ywValue', 
             rot4dZW: 'zwValue',
@@ -0,0 +1,57 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { BeatQuantizer } = require('../src/choreography/BeatQuantizer.js');
+
+// 120 BPM, 4/4, first beat at 0.25s, 32 beats analyzed
+const beats = Array.from({ length: 32 }, (_, i) => 0.25 + i * 0.5);
+const GRID = { bpm: 120, beatsPerBar: 4, beats, downbeats: beats.filter((_, i) => i % 4 === 0) };
+
+test.describe('BeatQuantizer', () => {
+    test('snaps to the nearest analyzed beat and bar', () => {
+        const quantizer = new BeatQuantizer(GRID);
+
+        expect(quantizer.snap(1.3, 'beat')).toBe(1.25);
+        expect(quantizer.snap(1.55, 'beat')).toBe(1.75);
+        expect(quantizer.snap(1.3, 'bar')).toBe(2.25);
+        expect(quantizer.snap(1.2, 'bar')).toBe(0.25);
+    });
+
+    test('phrases are every phraseBars downbeats', () => {
+        const quantizer = new BeatQuantizer(GRID, { phraseBars: 2 });
+
+        expect(quantizer.snap(3, 'phrase')).toBe(4.25);
+        expect(quantizer.snap(2, 'phrase')).toBe(0.25);
+    });
+
+    test('extrapolates past either end of the grid', () => {
+        const quantizer = new BeatQuantizer(GRID);
+
+        expect(quantizer.snap(20.1, 'beat')).toBe(20.25);
+        expect(quantizer.snap(0.05, 'beat')).toBe(0.25);
+        expect(quantizer.snap(30, 'bar')).toBe(30.25);
+    });
+
+    test('without a grid it snaps to 120 BPM from zero', () => {
+        const quantizer = new BeatQuantizer();
+
+        expect(quantizer.snap(1.2, 'beat')).toBe(1);
+        expect(quantizer.snap(3.1, 'bar')).toBe(4);
+        expect(quantizer.snap(-1, 'beat')).toBe(0);
+    });
+
+    test("'off' only rounds to hundredths", () => {
+        const quantizer = new BeatQuantizer(GRID);
+
+        expect(quantizer.snap(1.234, 'off')).toBe(1.23);
+        expect(quantizer.snapRange(1.234, 0.001, 'off')).toEqual({ time: 1.23, duration: 0.01 });
+    });
+
+    test('snapRange lands both ends on the grid at least one step apart', () => {
+        const quantizer = new BeatQuantizer(GRID);
+
+        expect(quantizer.snapRange(1.3, 2.1, 'beat')).toEqual({ time: 1.25, duration: 2 });
+        // Too short to reach the next beat: stretched to one beat
+        expect(quantizer.snapRange(1.3, 0.1, 'beat')).toEqual({ time: 1.25, duration: 0.5 });
+        expect(quantizer.snapRange(0.3, 1, 'bar')).toEqual({ time: 0.25, duration: 2 });
+    });
+});
@@ -0,0 +1,102 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+    CHOREOGRAPHY_TYPE,
+    CHOREOGRAPHY_VERSION,
+    createChoreographyDocument,
+    parseChoreography,
+    migrateChoreography
+} = require('../src/choreography/ChoreographyDocument.js');
+
+/**
+ * Choreography file format: migrations from every older version and validation on load
+ */
+
+const SEQUENCE = { time: 0, duration: 8, effects: { system: 'faceted', geometry: 'cycle', rotation: 'smooth', chaos: 0.2, speed: 1, colorShift: 'slow' } };
+const SYSTEMS = ['faceted', 'quantum', 'holographic', 'polychora'];
+
+test.describe('ChoreographyDocument', () => {
+    test('migrates a version 0 bare sequences array', () => {
+        const { document, migratedFrom } = migrateChoreography([SEQUENCE]);
+
+        expect(migratedFrom).toBe(0);
+        expect(document.type).toBe(CHOREOGRAPHY_TYPE);
+        expect(document.version).toBe(CHOREOGRAPHY_VERSION);
+        expect(document.sequences).toEqual([SEQUENCE]);
+        expect(document.automation).toEqual({});
+        expect(document.modulation.length).toBeGreaterThan(0);
+    });
+
+    test('migrates a version 1 document and keeps its automation', () => {
+        const automation = { chaos: [{ time: 0, value: 0.1, curve: 'linear' }, { time: 4, value: 0.9, curve: 'linear' }] };
+        const { document, migratedFrom } = migrateChoreography({ sequences: [SEQUENCE], automation });
+
+        expect(migratedFrom).toBe(1);
+        expect(document.version).toBe(CHOREOGRAPHY_VERSION);
+        expect(document.automation).toEqual(automation);
+        expect(document.audio).toBeNull();
+    });
+
+    test('migrates version 2 reactivity multipliers into modulation routes', () => {
+        const { document, migratedFrom } = migrateChoreography({
+            type: CHOREOGRAPHY_TYPE,
+            version: 2,
+            settings: { mode: 'reactive', reactivity: { bassToGridDensity: 12 } },
+            sequences: [SEQUENCE],
+            automation: {}
+        });
+
+        expect(migratedFrom).toBe(2);
+        expect(document.settings).toEqual({ mode: 'reactive' });
+        const route = document.modulation.find(r => r.source === 'bass' && r.target === 'gridDensity');
+        expect(route.amount).toBe(12);
+    });
+
+    test('leaves a current document unmigrated', () => {
+        const current = createChoreographyDocument({ sequences: [SEQUENCE] });
+        const { document, migratedFrom } = parseChoreography(JSON.stringify(current), { systems: SYSTEMS });
+
+        expect(migratedFrom).toBeNull();
+        expect(document.sequences).toEqual([SEQUENCE]);
+    });
+
+    test('parses every older version into a valid document', () => {
+        const inputs = [
+            [SEQUENCE],
+            { sequences: [SEQUENCE] },
+            { type: CHOREOGRAPHY_TYPE, version: 2, settings: {}, sequences: [SEQUENCE], automation: {} }
+        ];
+        inputs.forEach((input, version) => {
+            const { migratedFrom } = parseChoreography(JSON.stringify(input), { systems: SYSTEMS });
+            expect(migratedFrom).toBe(version);
+        });
+    });
+
+    test('rejects newer versions and unknown files', () => {
+        expect(() => migrateChoreography({ type: CHOREOGRAPHY_TYPE, version: CHOREOGRAPHY_VERSION + 1 })).toThrow(/newer than this app supports/);
+        expect(() => migrateChoreography({ hello: 'world' })).toThrow(/Not a VIB34D choreography file/);
+        expect(() => parseChoreography('{ not json')).toThrow(/Not valid JSON/);
+    });
+
+    test('reports field paths for invalid values', () => {
+        const bad = { sequences: [{ time: -1, duration: 4, effects: { system: 'plasma', chaos: 2 } }] };
+        let errors = [];
+        try {
+            parseChoreography(JSON.stringify(bad), { systems: SYSTEMS });
+        } catch (error) {
+            errors = error.errors;
+        }
+
+        const paths = errors.map(error => error.path);
+        expect(paths).toContain('sequences[0].time');
+        expect(paths).toContain('sequences[0].effects.system');
+        expect(paths).toContain('sequences[0].effects.chaos');
+    });
+
+    test('accepts any system name when no system list is given', () => {
+        const plugin = { sequences: [{ ...SEQUENCE, effects: { ...SEQUENCE.effects, system: 'plasma' } }] };
+
+        expect(() => parseChoreography(JSON.stringify(plugin))).not.toThrow();
+        expect(() => parseChoreography(JSON.stringify(plugin), { systems: SYSTEMS })).toThrow(/effects\.system/);
+    });
+});
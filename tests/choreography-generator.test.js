@@ -0,0 +1,81 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { ChoreographyGenerator, CHOREOGRAPHY_STYLES } = require('../src/choreography/ChoreographyGenerator.js');
+
+const FRAME_RATE = 60;
+const SECTIONS = [
+    { start: 0, end: 16, label: 'intro', group: 0, energy: 0.2 },
+    { start: 16, end: 48, label: 'verse', group: 1, energy: 0.4 },
+    { start: 48, end: 80, label: 'chorus', group: 2, energy: 0.9 },
+    { start: 80, end: 96, label: 'outro', group: 0, energy: 0.2 }
+];
+
+// The shape ChoreographyGenerator reads from an AudioAnalysis: 96s at 120 BPM in 4/4
+function analysis(sections = SECTIONS) {
+    const energy = new Float32Array(96 * FRAME_RATE);
+    sections.forEach(section => energy.fill(section.energy, section.start * FRAME_RATE, section.end * FRAME_RATE));
+    return {
+        duration: 96,
+        frameRate: FRAME_RATE,
+        sections,
+        envelopes: { energy },
+        beatGrid: { bpm: 120, beatsPerBar: 4, downbeats: Array.from({ length: 48 }, (_, bar) => bar * 2) }
+    };
+}
+
+test.describe('ChoreographyGenerator', () => {
+    test('the same seed and style give identical sequences', () => {
+        const first = new ChoreographyGenerator({ style: 'cinematic', seed: 42 }).generate(analysis());
+        const second = new ChoreographyGenerator({ style: 'cinematic', seed: 42 }).generate(analysis());
+        const reseeded = new ChoreographyGenerator({ style: 'cinematic', seed: 43 }).generate(analysis());
+
+        expect(second).toEqual(first);
+        expect(reseeded).not.toEqual(first);
+    });
+
+    test('sequences tile the track, cutting long sections into phrases on downbeats', () => {
+        const sequences = new ChoreographyGenerator({ style: 'cinematic', seed: 1 }).generate(analysis());
+
+        expect(sequences[0].time).toBe(0);
+        sequences.slice(1).forEach((seq, i) => {
+            expect(seq.time).toBeCloseTo(sequences[i].time + sequences[i].duration, 3);
+            expect(seq.time % 2).toBe(0);
+        });
+        const last = sequences[sequences.length - 1];
+        expect(last.time + last.duration).toBeCloseTo(96, 3);
+
+        // 8-bar phrases: the 32s verse and chorus split in two
+        expect(sequences.map(seq => seq.time)).toEqual([0, 16, 32, 48, 64, 80]);
+    });
+
+    test('systems follow the style per section, with a transition on each change', () => {
+        const style = CHOREOGRAPHY_STYLES.cinematic;
+        const sequences = new ChoreographyGenerator({ style: 'cinematic', seed: 7 }).generate(analysis());
+
+        sequences.forEach((seq, i) => {
+            expect(seq.effects.system).toBe(style.systems[seq.section]);
+            const changed = i > 0 && sequences[i - 1].effects.system !== seq.effects.system;
+            expect(Boolean(seq.effects.transition)).toBe(changed);
+        });
+    });
+
+    test('louder sections get more intense effects', () => {
+        const sequences = new ChoreographyGenerator({ style: 'cinematic', seed: 3 }).generate(analysis());
+        const intro = sequences.find(seq => seq.section === 'intro');
+        const chorus = sequences.find(seq => seq.section === 'chorus');
+
+        expect(chorus.effects.speed).toBeGreaterThan(intro.effects.speed);
+        expect(chorus.effects.densityBoost).toBeGreaterThan(intro.effects.densityBoost);
+    });
+
+    test('without sections the whole track is one verse', () => {
+        const sequences = new ChoreographyGenerator({ seed: 1 }).generate({ ...analysis([]), beatGrid: null });
+
+        expect(sequences).toHaveLength(1);
+        expect(sequences[0]).toMatchObject({ time: 0, duration: 96, section: 'verse' });
+    });
+
+    test('unknown styles are rejected', () => {
+        expect(() => new ChoreographyGenerator({ style: 'baroque' }).generate(analysis())).toThrow(/Unknown choreography style/);
+    });
+});
@@ -0,0 +1,103 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { CommandHistory } = require('../src/core/CommandHistory.js');
+
+function createHistory() {
+    const target = { values: { chaos: 0, speed: 1 } };
+    const history = new CommandHistory();
+    history.register('params', state => Object.assign(target.values, state));
+    const edit = (changes, coalesce = null) => {
+        const before = Object.fromEntries(Object.keys(changes).map(name => [name, target.values[name]]));
+        Object.assign(target.values, changes);
+        return history.record({ type: 'params', label: 'Edit', before, after: changes, coalesce });
+    };
+    return { target, history, edit };
+}
+
+test.describe('CommandHistory', () => {
+    test('undo and redo restore each side of an edit', () => {
+        const { target, history, edit } = createHistory();
+        edit({ chaos: 0.5 });
+        edit({ speed: 2 });
+
+        history.undo();
+        expect(target.values).toEqual({ chaos: 0.5, speed: 1 });
+        history.undo();
+        expect(target.values).toEqual({ chaos: 0, speed: 1 });
+        expect(history.canUndo).toBe(false);
+
+        history.redo();
+        history.redo();
+        expect(target.values).toEqual({ chaos: 0.5, speed: 2 });
+        expect(history.canRedo).toBe(false);
+    });
+
+    test('edits sharing a coalesce key merge into one step', () => {
+        const { target, history, edit } = createHistory();
+        edit({ chaos: 0.1 }, 'chaos');
+        edit({ chaos: 0.2 }, 'chaos');
+        edit({ chaos: 0.3 }, 'chaos');
+
+        expect(history.undoStack).toHaveLength(1);
+        expect(history.undoStack[0].before).toEqual({ chaos: 0 });
+        expect(history.undoStack[0].after).toEqual({ chaos: 0.3 });
+
+        history.undo();
+        expect(target.values.chaos).toBe(0);
+    });
+
+    test('seal, a different key or a pause ends coalescing', () => {
+        const { history, edit } = createHistory();
+        edit({ chaos: 0.1 }, 'chaos');
+        history.seal();
+        edit({ chaos: 0.2 }, 'chaos');
+        edit({ speed: 2 }, 'speed');
+        history.lastRecordTime -= 5000;
+        edit({ speed: 3 }, 'speed');
+
+        expect(history.undoStack).toHaveLength(4);
+    });
+
+    test('a new edit clears redo, and no-op edits are not recorded', () => {
+        const { history, edit } = createHistory();
+        edit({ chaos: 0.5 });
+        history.undo();
+        expect(history.canRedo).toBe(true);
+
+        expect(edit({ chaos: 0 })).toBeNull();
+        expect(history.canRedo).toBe(true);
+
+        edit({ speed: 2 });
+        expect(history.canRedo).toBe(false);
+        expect(history.getLabels()).toEqual({ undo: 'Edit', redo: null });
+    });
+
+    test('restoring does not record new edits', () => {
+        const history = new CommandHistory();
+        history.register('params', () => {
+            expect(history.record({ type: 'params', before: 1, after: 2 })).toBeNull();
+        });
+        history.record({ type: 'params', before: 0, after: 1 });
+
+        history.undo();
+        expect(history.undoStack).toHaveLength(0);
+        expect(history.redoStack).toHaveLength(1);
+    });
+
+    test('keeps at most limit entries and round-trips through JSON', () => {
+        const history = new CommandHistory({ limit: 3 });
+        history.register('value', () => {});
+        for (let i = 0; i < 5; i++) history.record({ type: 'value', before: i, after: i + 1 });
+        expect(history.undoStack.map(entry => entry.after)).toEqual([3, 4, 5]);
+
+        const restored = new CommandHistory();
+        restored.register('value', () => {});
+        restored.load(JSON.parse(JSON.stringify(history.toJSON())));
+        expect(restored.undoStack).toEqual(history.undoStack);
+    });
+
+    test('unknown command types are rejected', () => {
+        const history = new CommandHistory();
+        expect(() => history.record({ type: 'missing', before: 0, after: 1 })).toThrow(/No history handler/);
+    });
+});
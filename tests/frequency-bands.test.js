@@ -0,0 +1,64 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { FrequencyBands } = require('../src/audio/FrequencyBands.js');
+
+const range = ({ start, end }) => [start, end];
+
+test.describe('FrequencyBands.getBinMap', () => {
+    test('maps the 3-band preset onto a 64-point FFT', () => {
+        // 32 bins of 689 Hz at 44.1 kHz
+        const map = new FrequencyBands({ sampleRate: 44100 }).getBinMap(32);
+
+        expect(range(map.bands.bass)).toEqual([1, 2]);
+        expect(range(map.bands.mid)).toEqual([1, 6]);
+        expect(range(map.bands.high)).toEqual([6, 30]);
+    });
+
+    test('bands narrower than a bin read the bin nearest their centre, never DC', () => {
+        // 128 bins of 172 Hz
+        const map = new FrequencyBands({ sampleRate: 44100, bands: '7-band' }).getBinMap(128);
+
+        expect(range(map.bands.subBass)).toEqual([1, 2]);
+        expect(range(map.bands.bass)).toEqual([1, 2]);
+        expect(range(map.bands.lowMid)).toEqual([2, 3]);
+        Object.values(map.bands).forEach(band => expect(band.end).toBeGreaterThan(band.start));
+    });
+
+    test('bands above Nyquist are empty and read as silence', () => {
+        const bands = new FrequencyBands({ sampleRate: 22050, bands: { low: [20, 500], air: [12000, 16000] } });
+        const map = bands.getBinMap(16);
+
+        expect(range(map.bands.air)).toEqual([16, 16]);
+        expect(bands.process(new Float32Array(16).fill(1)).air).toBe(0);
+    });
+
+    test('no band reaches past the last bin', () => {
+        const bands = new FrequencyBands({ sampleRate: 8000, bands: '1/3-octave' });
+        const map = bands.getBinMap(8);
+
+        Object.values(map.bands).forEach(band => {
+            expect(band.start).toBeGreaterThanOrEqual(1);
+            expect(band.end).toBeLessThanOrEqual(8);
+        });
+    });
+
+    test('the map is cached per bin count until the bands change', () => {
+        const bands = new FrequencyBands({ sampleRate: 48000 });
+        const map = bands.getBinMap(128);
+
+        expect(bands.getBinMap(128)).toBe(map);
+        expect(bands.getBinMap(64)).not.toBe(map);
+
+        bands.configure({ bands: '7-band' });
+        expect(bands.getBinMap(64).bands.subBass).toBeDefined();
+    });
+
+    test('A-weighting attenuates low bins', () => {
+        const bands = new FrequencyBands({ sampleRate: 44100, weighting: 'A' });
+        const { offsets } = bands.getBinMap(128).bands.bass;
+
+        expect(offsets).toHaveLength(1);
+        expect(offsets[0]).toBeLessThan(0);
+        expect(bands.process(new Uint8Array(128).fill(255)).bass).toBeLessThan(1);
+    });
+});
@@ -0,0 +1,79 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { OfflineAudioAnalyzer, AudioAnalysis } = require('../src/audio/OfflineAudioAnalyzer.js');
+const { SeededRandom } = require('../src/choreography/SeededRandom.js');
+
+const SAMPLE_RATE = 22050;
+
+/**
+ * Mono samples with a kick-like click on every beat; `bed(t, noise)` adds a sustained texture
+ */
+function clickTrack(seconds, bpm, bed = () => 0) {
+    const samples = new Float32Array(seconds * SAMPLE_RATE);
+    const random = new SeededRandom(1);
+    const noise = () => random.range(-1, 1);
+    const period = 60 / bpm;
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        const sinceBeat = t % period;
+        const click = sinceBeat < 0.03
+            ? 0.8 * noise() * Math.exp(-sinceBeat * 150) + 0.8 * Math.sin(2 * Math.PI * 60 * t) * Math.exp(-sinceBeat * 100)
+            : 0;
+        samples[i] = click + bed(t, noise);
+    }
+    return samples;
+}
+
+// Quiet low hum for A sections, loud bright noise for B
+const quietHum = t => 0.05 * Math.sin(2 * Math.PI * 220 * t);
+const loudHiss = (t, noise) => 0.3 * noise() + 0.3 * Math.sin(2 * Math.PI * 3520 * t);
+
+test.describe('OfflineAudioAnalyzer', () => {
+    test('finds the tempo and beat times of a 120 BPM click track', async () => {
+        const analysis = await new OfflineAudioAnalyzer({ sampleRate: SAMPLE_RATE }).analyzeSamples(clickTrack(16, 120));
+        const { bpm, beats, downbeats, beatsPerBar } = analysis.beatGrid;
+
+        expect(bpm).toBe(120);
+        expect(beats.length).toBeGreaterThanOrEqual(31);
+        // Within two analysis frames of each click
+        beats.forEach(time => {
+            const offset = time % 0.5;
+            expect(Math.min(offset, 0.5 - offset)).toBeLessThan(2 / 60);
+        });
+        expect(downbeats.every(time => beats.includes(time))).toBe(true);
+        expect(beats.indexOf(downbeats[1]) - beats.indexOf(downbeats[0])).toBe(beatsPerBar);
+    });
+
+    test('collects onsets and kick hits on the clicks', async () => {
+        const analysis = await new OfflineAudioAnalyzer({ sampleRate: SAMPLE_RATE }).analyzeSamples(clickTrack(8, 120));
+        const kicks = analysis.getHitsBetween(0, 8, 'kick');
+
+        expect(kicks.length).toBeGreaterThanOrEqual(14);
+        expect(analysis.onsets.length).toBeGreaterThanOrEqual(14);
+        expect(analysis.getBeatAt(4.3)).toMatchObject({ bpm: 120, phase: expect.any(Number) });
+    });
+
+    test('segments A-B-A material at the changes and groups the repeats', async () => {
+        const track = clickTrack(48, 120, (t, noise) => t < 16 || t >= 32 ? quietHum(t) : loudHiss(t, noise));
+        const { sections } = await new OfflineAudioAnalyzer({ sampleRate: SAMPLE_RATE }).analyzeSamples(track);
+
+        expect(sections).toHaveLength(3);
+        expect(sections[0].start).toBe(0);
+        expect(sections[1].start).toBeCloseTo(16, 0);
+        expect(sections[2].start).toBeCloseTo(32, 0);
+        expect(sections[2].end).toBe(48);
+        expect(sections[2].group).toBe(sections[0].group);
+        expect(sections[1].group).not.toBe(sections[0].group);
+        expect(sections[1].energy).toBeGreaterThan(sections[0].energy);
+    });
+
+    test('analysis documents survive a JSON round trip', async () => {
+        const analysis = await new OfflineAudioAnalyzer({ sampleRate: SAMPLE_RATE }).analyzeSamples(clickTrack(4, 120));
+        const restored = AudioAnalysis.fromJSON(JSON.parse(JSON.stringify(analysis.toJSON())));
+
+        expect(restored.beatGrid).toEqual(analysis.beatGrid);
+        expect(restored.frameCount).toBe(analysis.frameCount);
+        expect(restored.getFeaturesAt(1.01).bass).toBeCloseTo(analysis.getFeaturesAt(1.01).bass, 5);
+        expect(() => AudioAnalysis.fromJSON({ type: 'something-else' })).toThrow(/Invalid audio analysis document/);
+    });
+});
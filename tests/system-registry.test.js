@@ -0,0 +1,49 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('SystemRegistry', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/index-modular.html');
+        await page.waitForFunction(() => window.currentSystem === 'faceted', null, { timeout: 10000 });
+    });
+
+    test('a system without capabilities is labelled with its registered name', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            const { VisualizationSystem } = await import('/core/VisualizationSystem.js');
+            const { systemRegistry } = await import('/core/SystemRegistry.js');
+            class MinimalSystem extends VisualizationSystem {}
+            systemRegistry.register('minimal', MinimalSystem);
+
+            const listed = systemRegistry.list().find(entry => entry.name === 'minimal');
+            return {
+                label: systemRegistry.getCapabilities('minimal').label,
+                listedLabel: listed && listed.label,
+                builtInLabel: systemRegistry.getCapabilities('faceted').label
+            };
+        });
+
+        expect(result.label).toBe('minimal');
+        expect(result.listedLabel).toBe('minimal');
+        expect(result.builtInLabel).toBe('Faceted');
+    });
+
+    test('SystemManager switches to a registered minimal system', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            const { VisualizationSystem } = await import('/core/VisualizationSystem.js');
+            const { SystemManager } = await import('/core/SystemManager.js');
+            class MinimalSystem extends VisualizationSystem {}
+
+            const manager = new SystemManager();
+            const registered = await manager.registerSystem('minimal', MinimalSystem);
+            const switched = await manager.switchSystem('minimal');
+            return {
+                registered,
+                switched,
+                current: window.currentSystem,
+                header: document.querySelector('.panel-header span').textContent
+            };
+        });
+
+        expect(result).toEqual({ registered: true, switched: true, current: 'minimal', header: 'MINIMAL SYSTEM' });
+    });
+});
@@ -0,0 +1,70 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { TempoTracker } = require('../src/audio/TempoTracker.js');
+
+const FRAME_RATE = 60;
+
+// Onset-strength envelope: a spike on every beat, accented on each bar's first beat
+function pulses(seconds, bpm, { start = 0, accent = 1 } = {}) {
+    const envelope = new Float32Array(seconds * FRAME_RATE);
+    const period = 60 / bpm;
+    for (let beat = 0; start + beat * period < seconds; beat++) {
+        envelope[Math.round((start + beat * period) * FRAME_RATE)] = beat % 4 === 0 ? accent : 1;
+    }
+    return envelope;
+}
+
+test.describe('TempoTracker', () => {
+    test('estimates tempo from the onset envelope', () => {
+        const tracker = new TempoTracker({ frameRate: FRAME_RATE });
+
+        expect(tracker.estimateTempo(pulses(12, 100)).bpm).toBeCloseTo(100, 0);
+        expect(tracker.estimateTempo(pulses(12, 150)).bpm).toBeCloseTo(150, 0);
+        expect(tracker.estimateTempo(new Float32Array(720)).bpm).toBe(0);
+    });
+
+    test('offline beats land on the pulses and downbeats follow the bass accent', () => {
+        const onsets = pulses(16, 120, { start: 0.25 });
+        const bass = pulses(16, 120, { start: 0.25, accent: 4 });
+        const grid = new TempoTracker({ frameRate: FRAME_RATE }).trackBeats(onsets, bass);
+
+        expect(grid.bpm).toBe(120);
+        grid.beats.forEach((time, i) => expect(time).toBeCloseTo(0.25 + i * 0.5, 1));
+        expect(grid.downbeats[0]).toBeCloseTo(0.25, 1);
+        expect(grid.downbeats[1] - grid.downbeats[0]).toBeCloseTo(2, 1);
+    });
+
+    test('grid positions count beats and bars from the first downbeat', () => {
+        const grid = { bpm: 120, beatsPerBar: 4, firstDownbeat: 1, beats: [0, 0.5, 1, 1.5, 2, 2.5] };
+
+        expect(TempoTracker.getGridPosition(grid, 1.25)).toMatchObject({ beatIndex: 2, barIndex: 0, beatInBar: 1, isDownbeat: false, phase: 0.5 });
+        expect(TempoTracker.getGridPosition(grid, 0.6)).toMatchObject({ beatIndex: 1, barIndex: 0, beatInBar: 0, isDownbeat: true });
+        expect(TempoTracker.getGridPosition(grid, 0.2)).toMatchObject({ beatIndex: 0, barIndex: -1, beatInBar: 3 });
+        expect(TempoTracker.getGridPosition(null, 1).beatIndex).toBe(-1);
+    });
+
+    test('live tracking locks on and emits beats at the tempo', () => {
+        const tracker = new TempoTracker({ frameRate: FRAME_RATE });
+        const envelope = pulses(12, 120);
+        const beatTimes = [];
+        envelope.forEach((value, frame) => {
+            const beat = tracker.push(value, frame / FRAME_RATE);
+            if (beat) beatTimes.push(frame / FRAME_RATE);
+        });
+
+        expect(tracker.getState().bpm).toBe(120);
+        const late = beatTimes.filter(time => time > 8);
+        expect(late.length).toBeGreaterThanOrEqual(6);
+        late.slice(1).forEach((time, i) => expect(time - late[i]).toBeCloseTo(0.5, 1));
+    });
+
+    test('seeking backwards resets live tracking', () => {
+        const tracker = new TempoTracker({ frameRate: FRAME_RATE });
+        pulses(10, 120).forEach((value, frame) => tracker.push(value, frame / FRAME_RATE));
+        expect(tracker.bpm).toBeGreaterThan(0);
+
+        tracker.push(0, 1);
+        expect(tracker.bpm).toBe(0);
+        expect(tracker.getState().beatIndex).toBe(-1);
+    });
+});
@@ -0,0 +1,79 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { parseLRC, parseSRT, parseVTT, parseLyrics } = require('../src/choreography/TextTrack.js');
+
+test.describe('TextTrack lyric parsers', () => {
+    test('LRC lines end where the next one starts', () => {
+        const cues = parseLRC('[ar:Artist]\n[00:01.00]First line\n[00:03.50]Second line\n');
+
+        expect(cues).toEqual([
+            { start: 1, end: 3.5, text: 'First line' },
+            { start: 3.5, end: 8.5, text: 'Second line' }
+        ]);
+    });
+
+    test('LRC repeated stamps, word stamps, blank lines and offset', () => {
+        const cues = parseLRC([
+            '[offset:500]',
+            '[00:02.00][00:10.00]Chorus <00:02.50>line',
+            '[00:04.00]',
+            '[00:06.00]Verse'
+        ].join('\n'));
+
+        expect(cues.map(cue => cue.text)).toEqual(['Chorus line', 'Verse', 'Chorus line']);
+        // A positive offset brings every line 0.5s sooner; the blank line ends the first chorus
+        expect(cues[0]).toEqual({ start: 1.5, end: 3.5, text: 'Chorus line' });
+        expect(cues[1].start).toBeCloseTo(5.5);
+        expect(cues[2].start).toBeCloseTo(9.5);
+    });
+
+    test('SRT cues with comma milliseconds, markup and multiple lines', () => {
+        const cues = parseSRT([
+            '2',
+            '00:00:05,000 --> 00:00:07,250',
+            '<i>Second</i>',
+            '',
+            '1',
+            '00:00:01,500 --> 00:00:03,000',
+            '{\\an8}First',
+            'continued',
+            ''
+        ].join('\r\n'));
+
+        expect(cues).toEqual([
+            { start: 1.5, end: 3, text: 'First\ncontinued' },
+            { start: 5, end: 7.25, text: 'Second' }
+        ]);
+    });
+
+    test('VTT header, NOTE blocks, cue settings and short timestamps', () => {
+        const cues = parseVTT([
+            'WEBVTT',
+            '',
+            'NOTE written by hand',
+            '',
+            'intro',
+            '00:01.000 --> 00:02.500 align:start position:10%',
+            '<v Singer>Hello</v>',
+            '',
+            '01:00:00.000 --> 01:00:01.000',
+            'Late'
+        ].join('\n'));
+
+        expect(cues).toEqual([
+            { start: 1, end: 2.5, text: 'Hello' },
+            { start: 3600, end: 3601, text: 'Late' }
+        ]);
+    });
+
+    test('VTT without its header is rejected', () => {
+        expect(() => parseVTT('00:01.000 --> 00:02.000\nHello')).toThrow(/WEBVTT/);
+    });
+
+    test('parseLyrics picks the format from the name or the content', () => {
+        expect(parseLyrics('[00:01.00]Hi', 'song.lrc')).toHaveLength(1);
+        expect(parseLyrics('WEBVTT\n\n00:01.000 --> 00:02.000\nHi')).toEqual([{ start: 1, end: 2, text: 'Hi' }]);
+        expect(parseLyrics('1\n00:00:01,000 --> 00:00:02,000\nHi')).toEqual([{ start: 1, end: 2, text: 'Hi' }]);
+        expect(() => parseLyrics('just words', 'notes.txt')).toThrow(/Unrecognised lyrics format/);
+    });
+});
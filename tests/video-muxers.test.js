@@ -0,0 +1,212 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { WebMMuxer } = require('../src/export/WebMMuxer.js');
+const { MP4Muxer } = require('../src/export/MP4Muxer.js');
+
+/**
+ * WebM (EBML elements) and MP4 (ISO BMFF boxes) writers, read back byte by byte
+ */
+
+// Stand-in for an EncodedVideoChunk / EncodedAudioChunk; timestamps in µs
+function chunk(bytes, timestamp, type = 'delta', duration = undefined) {
+    const data = Uint8Array.from(bytes);
+    return { type, timestamp, duration, byteLength: data.length, copyTo: target => target.set(data) };
+}
+
+async function bytesOf(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+const text = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+// EBML
+
+function readVint(bytes, position, keepMarker) {
+    let width = 1;
+    while (width <= 8 && !(bytes[position] & (0x80 >> (width - 1)))) width++;
+    let value = keepMarker ? bytes[position] : bytes[position] & (0xFF >> width);
+    for (let i = 1; i < width; i++) value = value * 256 + bytes[position + i];
+    return { value, length: width };
+}
+
+function elements(bytes, start = 0, end = bytes.length) {
+    const found = [];
+    let position = start;
+    while (position < end) {
+        const id = readVint(bytes, position, true);
+        const size = readVint(bytes, position + id.length, false);
+        const dataStart = position + id.length + size.length;
+        found.push({ id: id.value, start: dataStart, end: dataStart + size.value });
+        position = dataStart + size.value;
+    }
+    return found;
+}
+
+const children = (bytes, parent, id) => elements(bytes, parent.start, parent.end).filter(element => element.id === id);
+const child = (bytes, parent, id) => children(bytes, parent, id)[0];
+const uint = (bytes, element) => bytes.subarray(element.start, element.end).reduce((value, byte) => value * 256 + byte, 0);
+
+// ISO BMFF
+
+function boxes(bytes, start = 0, end = bytes.length) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    const found = [];
+    let position = start;
+    while (position < end) {
+        const size = view.getUint32(position);
+        found.push({ type: text(bytes, position + 4, position + 8), start: position + 8, end: position + size });
+        position += size;
+    }
+    return found;
+}
+
+function findBoxes(bytes, path, scope = { start: 0, end: bytes.length }) {
+    const [type, ...rest] = path;
+    const matches = boxes(bytes, scope.start, scope.end).filter(found => found.type === type);
+    return rest.length ? matches.flatMap(match => findBoxes(bytes, rest, match)) : matches;
+}
+
+// Entries of a full box table: skip version/flags and the entry count
+function table(bytes, found, fieldsPerEntry = 1, skip = 0) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    const count = view.getUint32(found.start + 4 + skip);
+    return Array.from({ length: count * fieldsPerEntry }, (_, i) => view.getUint32(found.start + 8 + skip + i * 4));
+}
+
+const ID = { DocType: 0x4282, Segment: 0x18538067, Tracks: 0x1654AE6B, TrackEntry: 0xAE, CodecID: 0x86, CodecPrivate: 0x63A2, Video: 0xE0, PixelWidth: 0xB0, Cluster: 0x1F43B675, Timecode: 0xE7, SimpleBlock: 0xA3, Cues: 0x1C53BB6B, CuePoint: 0xBB, CueTime: 0xB3, CueTrackPositions: 0xB7, CueClusterPosition: 0xF1 };
+
+test.describe('WebMMuxer', () => {
+    const video = { codec: 'vp09.00.10.08', width: 640, height: 360 };
+
+    test('writes an EBML header and a segment sized to the rest of the file', async () => {
+        const muxer = new WebMMuxer({ video });
+        muxer.addVideoChunk(chunk([1, 2, 3], 0, 'key'));
+        const bytes = await bytesOf(muxer.finalize());
+
+        const [header, segment] = elements(bytes);
+        const docType = child(bytes, header, ID.DocType);
+        expect(text(bytes, docType.start, docType.end)).toBe('webm');
+        expect(segment.id).toBe(ID.Segment);
+        expect(segment.end).toBe(bytes.length);
+
+        const entry = child(bytes, child(bytes, segment, ID.Tracks), ID.TrackEntry);
+        const codec = child(bytes, entry, ID.CodecID);
+        expect(text(bytes, codec.start, codec.end)).toBe('V_VP9');
+        expect(uint(bytes, child(bytes, child(bytes, entry, ID.Video), ID.PixelWidth))).toBe(640);
+    });
+
+    test('starts a cluster on each keyframe and cues it', async () => {
+        const muxer = new WebMMuxer({ video });
+        [0, 40000, 80000, 120000].forEach((time, i) => muxer.addVideoChunk(chunk([i], time, i % 2 ? 'delta' : 'key')));
+        const bytes = await bytesOf(muxer.finalize());
+        const segment = elements(bytes)[1];
+
+        const clusters = children(bytes, segment, ID.Cluster);
+        expect(clusters.map(cluster => uint(bytes, child(bytes, cluster, ID.Timecode)))).toEqual([0, 80]);
+
+        // SimpleBlock: track vint, int16 relative time, flags (0x80 = keyframe), frame data
+        const blocks = children(bytes, clusters[1], ID.SimpleBlock).map(block => bytes.subarray(block.start, block.end));
+        expect(blocks.map(block => [block[0], (block[1] << 8) | block[2], block[3], block[4]])).toEqual([
+            [0x81, 0, 0x80, 2],
+            [0x81, 40, 0, 3]
+        ]);
+
+        const cuePoints = children(bytes, child(bytes, segment, ID.Cues), ID.CuePoint);
+        expect(cuePoints.map(point => uint(bytes, child(bytes, point, ID.CueTime)))).toEqual([0, 80]);
+        cuePoints.forEach((point, i) => {
+            const position = uint(bytes, child(bytes, child(bytes, point, ID.CueTrackPositions), ID.CueClusterPosition));
+            const cluster = elements(bytes, segment.start + position, segment.end)[0];
+            expect(cluster.start).toBe(clusters[i].start);
+        });
+    });
+
+    test('splits long gaps before block timecodes overflow', async () => {
+        const muxer = new WebMMuxer({ video });
+        muxer.addVideoChunk(chunk([1], 0, 'key'));
+        muxer.addVideoChunk(chunk([2], 31000000));
+        const bytes = await bytesOf(muxer.finalize());
+        const segment = elements(bytes)[1];
+
+        expect(children(bytes, segment, ID.Cluster)).toHaveLength(2);
+        expect(children(bytes, child(bytes, segment, ID.Cues), ID.CuePoint)).toHaveLength(1);
+    });
+
+    test('interleaves an Opus track with an OpusHead codec private', async () => {
+        const muxer = new WebMMuxer({ video, audio: { codec: 'opus', sampleRate: 48000, numberOfChannels: 2 } });
+        muxer.addVideoChunk(chunk([1], 0, 'key'));
+        muxer.addAudioChunk(chunk([9], 20000, 'key'));
+        const bytes = await bytesOf(muxer.finalize());
+        const segment = elements(bytes)[1];
+
+        const audio = children(bytes, child(bytes, segment, ID.Tracks), ID.TrackEntry)[1];
+        const codecPrivate = child(bytes, audio, ID.CodecPrivate);
+        expect(text(bytes, codecPrivate.start, codecPrivate.start + 8)).toBe('OpusHead');
+
+        const blocks = children(bytes, child(bytes, segment, ID.Cluster), ID.SimpleBlock);
+        expect(blocks.map(block => bytes[block.start])).toEqual([0x81, 0x82]);
+    });
+});
+
+test.describe('MP4Muxer', () => {
+    const video = { codec: 'avc1.42001f', width: 640, height: 360, fps: 30 };
+    const avcC = { decoderConfig: { description: Uint8Array.of(1, 0x42, 0, 0x1f) } };
+
+    test('writes ftyp, moov then an mdat holding every sample', async () => {
+        const muxer = new MP4Muxer({ video });
+        muxer.addVideoChunk(chunk([1, 2, 3], 0, 'key'), avcC);
+        muxer.addVideoChunk(chunk([4, 5], 33333));
+        const bytes = await bytesOf(muxer.finalize());
+
+        const top = boxes(bytes);
+        expect(top.map(found => found.type)).toEqual(['ftyp', 'moov', 'mdat']);
+        expect(Array.from(bytes.subarray(top[2].start, top[2].end))).toEqual([1, 2, 3, 4, 5]);
+
+        // stsd: version/flags and entry count, then the avc1 entry whose 78 bytes of fields precede avcC
+        const [stsd] = findBoxes(bytes, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stsd']);
+        const [avc1] = boxes(bytes, stsd.start + 8, stsd.end);
+        const [avcCBox] = boxes(bytes, avc1.start + 78, avc1.end);
+        expect(avc1.type).toBe('avc1');
+        expect(avcCBox.type).toBe('avcC');
+        expect(Array.from(bytes.subarray(avcCBox.start, avcCBox.end))).toEqual([1, 0x42, 0, 0x1f]);
+    });
+
+    test('sample tables: sizes, keyframes, derived durations and offsets', async () => {
+        const muxer = new MP4Muxer({ video });
+        const frames = [[10, 11, 12], [20], [30, 31]];
+        frames.forEach((frame, i) => muxer.addVideoChunk(chunk(frame, Math.round(i * 1e6 / 30), i === 1 ? 'delta' : 'key'), i === 0 ? avcC : undefined));
+        const bytes = await bytesOf(muxer.finalize());
+        const find = type => findBoxes(bytes, ['moov', 'trak', 'mdia', 'minf', 'stbl', type])[0];
+
+        expect(table(bytes, find('stsz'), 1, 4)).toEqual([3, 1, 2]);
+        expect(table(bytes, find('stss'))).toEqual([1, 3]);
+        // Missing chunk durations come from the next timestamp; the last frame uses 1/fps
+        expect(table(bytes, find('stts'), 2)).toEqual([3, 3000]);
+
+        table(bytes, find('stco')).forEach((offset, i) => {
+            expect(Array.from(bytes.subarray(offset, offset + frames[i].length))).toEqual(frames[i]);
+        });
+    });
+
+    test('adds an Opus sound track after the video samples', async () => {
+        const muxer = new MP4Muxer({ video, audio: { codec: 'opus', sampleRate: 48000, numberOfChannels: 2 } });
+        muxer.addVideoChunk(chunk([1], 0, 'key'), avcC);
+        muxer.addAudioChunk(chunk([7, 7], 0, 'key', 20000));
+        const bytes = await bytesOf(muxer.finalize());
+
+        const handlers = findBoxes(bytes, ['moov', 'trak', 'mdia', 'hdlr']).map(found => text(bytes, found.start + 8, found.start + 12));
+        expect(handlers).toEqual(['vide', 'soun']);
+
+        const [, audioStsd] = findBoxes(bytes, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stsd']);
+        expect(boxes(bytes, audioStsd.start + 8, audioStsd.end)[0].type).toBe('Opus');
+
+        const [, audioStco] = findBoxes(bytes, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stco']);
+        const [offset] = table(bytes, audioStco);
+        expect(Array.from(bytes.subarray(offset, offset + 2))).toEqual([7, 7]);
+    });
+
+    test('needs the avcC description from the encoder', () => {
+        const muxer = new MP4Muxer({ video });
+        muxer.addVideoChunk(chunk([1], 0, 'key'));
+        expect(() => muxer.finalize()).toThrow(/avcC description/);
+    });
+});